@@ -71,6 +71,11 @@ class CacheConfig {
                     ttl: 300,  // 5 minutes (same as underlying data)
                     description: 'Main menu interface data with balance and portfolio'
                 },
+                token_safety: {
+                    prefix: 'area51:token_safety:',
+                    ttl: 900,  // 15 minutes
+                    description: 'On-chain token risk report (honeypot, tax, ownership, holders)'
+                },
             },
             
             // Short-term cache (1-5 minutes)
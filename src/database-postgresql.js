@@ -4,6 +4,9 @@
 const { Pool } = require('pg');
 const Redis = require('redis');
 
+// Positions edited from the bot UI are those of the active wallet
+const ACTIVE_WALLET_CLAUSE = 'wallet_address = (SELECT LOWER(wallet_address) FROM users WHERE telegram_id = $1)';
+
 class DatabasePostgreSQL {
     constructor(monitoring = null, redisClient = null) {
         this.monitoring = monitoring;
@@ -269,7 +272,388 @@ class DatabasePostgreSQL {
                 is_active BOOLEAN NOT NULL DEFAULT true,
                 
                 CONSTRAINT fk_user_access_code FOREIGN KEY (used_code) REFERENCES access_codes(code)
-            )`
+            )`,
+
+            // Limit orders watched by the background LimitOrderService
+            `CREATE TABLE IF NOT EXISTS limit_orders (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                token_address VARCHAR(42) NOT NULL,
+                token_symbol VARCHAR(20),
+                order_type VARCHAR(10) NOT NULL,
+                target_price DECIMAL(36,18) NOT NULL,
+                amount DECIMAL(36,18) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                tx_hash VARCHAR(66),
+                executed_price DECIMAL(36,18),
+                error_message TEXT,
+                expires_at TIMESTAMPTZ NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                executed_at TIMESTAMPTZ,
+
+                CONSTRAINT chk_limit_order_type CHECK (order_type IN ('buy', 'sell')),
+                CONSTRAINT chk_limit_order_amount_positive CHECK (amount > 0)
+            )`,
+
+            // Recurring DCA buys run by the background DcaService
+            `CREATE TABLE IF NOT EXISTS dca_schedules (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                token_address VARCHAR(42) NOT NULL,
+                token_symbol VARCHAR(20),
+                amount DECIMAL(36,18) NOT NULL,
+                interval_hours INTEGER NOT NULL,
+                total_runs INTEGER NOT NULL,
+                completed_runs INTEGER NOT NULL DEFAULT 0,
+                failed_runs INTEGER NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                next_run_at TIMESTAMPTZ NOT NULL,
+                last_run_at TIMESTAMPTZ,
+                last_tx_hash VARCHAR(66),
+                last_error TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_dca_status CHECK (status IN ('active', 'paused', 'completed', 'cancelled')),
+                CONSTRAINT chk_dca_amount_positive CHECK (amount > 0),
+                CONSTRAINT chk_dca_interval_positive CHECK (interval_hours > 0),
+                CONSTRAINT chk_dca_runs_positive CHECK (total_runs > 0)
+            )`,
+
+            // Price alerts evaluated by the background PriceAlertService
+            `CREATE TABLE IF NOT EXISTS price_alerts (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                token_address VARCHAR(42) NOT NULL,
+                token_symbol VARCHAR(20),
+                alert_type VARCHAR(30) NOT NULL,
+                direction VARCHAR(10),
+                target_price DECIMAL(36,18),
+                change_percent DECIMAL(7,2),
+                window_minutes INTEGER NOT NULL DEFAULT 60,
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                trigger_count INTEGER NOT NULL DEFAULT 0,
+                last_triggered_price DECIMAL(36,18),
+                last_triggered_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_price_alert_type CHECK (alert_type IN ('price_alert', 'price_change_threshold')),
+                CONSTRAINT chk_price_alert_status CHECK (status IN ('active', 'triggered', 'cancelled'))
+            )`,
+
+            // Copy trading: target wallets a user mirrors
+            `CREATE TABLE IF NOT EXISTS copy_trade_follows (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                target_address VARCHAR(42) NOT NULL,
+                mode VARCHAR(20) NOT NULL DEFAULT 'fixed',
+                fixed_amount DECIMAL(36,18),
+                proportion_percent DECIMAL(7,2),
+                max_per_trade DECIMAL(36,18),
+                token_blacklist JSONB NOT NULL DEFAULT '[]',
+                copy_sells BOOLEAN NOT NULL DEFAULT true,
+                status VARCHAR(20) NOT NULL DEFAULT 'active',
+                total_copied INTEGER NOT NULL DEFAULT 0,
+                last_copied_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(telegram_id, target_address),
+
+                CONSTRAINT chk_copy_mode CHECK (mode IN ('fixed', 'proportional')),
+                CONSTRAINT chk_copy_status CHECK (status IN ('active', 'paused', 'stopped'))
+            )`,
+
+            // One row per mirrored source transaction (also dedupes WebSocket + polling detection)
+            `CREATE TABLE IF NOT EXISTS copy_trade_executions (
+                id BIGSERIAL PRIMARY KEY,
+                follow_id BIGINT NOT NULL REFERENCES copy_trade_follows(id) ON DELETE CASCADE,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                source_tx_hash VARCHAR(66) NOT NULL,
+                action VARCHAR(10) NOT NULL,
+                token_address VARCHAR(42) NOT NULL,
+                source_amount DECIMAL(36,18),
+                amount DECIMAL(36,18),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                tx_hash VARCHAR(66),
+                error_message TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(follow_id, source_tx_hash),
+
+                CONSTRAINT chk_copy_execution_status CHECK (status IN ('pending', 'executed', 'failed', 'skipped'))
+            )`,
+
+            // Per-group leaderboard with rolling competition rounds
+            `CREATE TABLE IF NOT EXISTS group_leaderboards (
+                chat_id BIGINT PRIMARY KEY,
+                enabled BOOLEAN NOT NULL DEFAULT true,
+                metric VARCHAR(10) NOT NULL DEFAULT 'pnl',
+                period_days INTEGER NOT NULL DEFAULT 7,
+                round_number INTEGER NOT NULL DEFAULT 1,
+                round_started_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_by BIGINT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_leaderboard_metric CHECK (metric IN ('pnl', 'volume'))
+            )`,
+
+            // Members who opted in to be ranked in a group
+            `CREATE TABLE IF NOT EXISTS group_leaderboard_members (
+                chat_id BIGINT NOT NULL REFERENCES group_leaderboards(chat_id) ON DELETE CASCADE,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                display_name VARCHAR(64) NOT NULL,
+                joined_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (chat_id, telegram_id)
+            )`,
+
+            // Per-group bot behavior, editable by the chat's Telegram admins
+            `CREATE TABLE IF NOT EXISTS group_settings (
+                chat_id BIGINT PRIMARY KEY,
+                token_cards_enabled BOOLEAN NOT NULL DEFAULT true,
+                group_buys_enabled BOOLEAN NOT NULL DEFAULT true,
+                default_buy_amount DECIMAL(36,18),
+                max_buy_amount DECIMAL(36,18),
+                quiet_hours_start SMALLINT,
+                quiet_hours_end SMALLINT,
+                allowed_categories TEXT[],
+                updated_by BIGINT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_group_quiet_hours CHECK (
+                    (quiet_hours_start IS NULL AND quiet_hours_end IS NULL)
+                    OR (quiet_hours_start BETWEEN 0 AND 23 AND quiet_hours_end BETWEEN 0 AND 23)
+                )
+            )`,
+
+            // Token calls posted in groups; the first member to post a token gets the credit
+            `CREATE TABLE IF NOT EXISTS group_calls (
+                id BIGSERIAL PRIMARY KEY,
+                chat_id BIGINT NOT NULL,
+                caller_id BIGINT NOT NULL,
+                caller_name VARCHAR(64) NOT NULL,
+                token_address VARCHAR(42) NOT NULL,
+                token_symbol VARCHAR(20),
+                call_price DECIMAL(36,18) NOT NULL,
+                current_price DECIMAL(36,18) NOT NULL,
+                peak_price DECIMAL(36,18) NOT NULL,
+                peak_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_checked_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(chat_id, token_address)
+            )`,
+
+            // Sniper filters per user; buys use the auto buy amount and gas
+            `CREATE TABLE IF NOT EXISTS sniper_settings (
+                telegram_id BIGINT PRIMARY KEY REFERENCES users(telegram_id) ON DELETE CASCADE,
+                enabled BOOLEAN NOT NULL DEFAULT false,
+                min_liquidity_usd DECIMAL(20,2),
+                name_pattern VARCHAR(100),
+                deployer_allowlist TEXT[],
+                max_risk VARCHAR(10),
+                daily_cap DECIMAL(36,18) NOT NULL DEFAULT 1,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // One snipe per user and token; amounts count against the daily cap
+            `CREATE TABLE IF NOT EXISTS sniper_executions (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                token_address VARCHAR(42) NOT NULL,
+                amount DECIMAL(36,18) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                tx_hash VARCHAR(66),
+                error_message TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(telegram_id, token_address),
+
+                CONSTRAINT chk_sniper_execution_status CHECK (status IN ('pending', 'executed', 'failed'))
+            )`,
+
+            // Tokens a user watches from /watchlist
+            `CREATE TABLE IF NOT EXISTS watchlist_entries (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                token_address VARCHAR(42) NOT NULL,
+                token_symbol VARCHAR(20),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(telegram_id, token_address)
+            )`,
+
+            // Bot staff; owners manage roles, admins moderate, support can only look things up
+            `CREATE TABLE IF NOT EXISTS admin_roles (
+                telegram_id BIGINT PRIMARY KEY,
+                role VARCHAR(10) NOT NULL,
+                granted_by BIGINT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_admin_role CHECK (role IN ('owner', 'admin', 'support'))
+            )`,
+
+            // Every action taken from the /admin console
+            `CREATE TABLE IF NOT EXISTS admin_audit_log (
+                id BIGSERIAL PRIMARY KEY,
+                admin_id BIGINT NOT NULL,
+                action VARCHAR(50) NOT NULL,
+                target VARCHAR(100),
+                details JSONB DEFAULT '{}',
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Personal referral code per user (deep link /start ref_<code>)
+            `CREATE TABLE IF NOT EXISTS referral_codes (
+                telegram_id BIGINT PRIMARY KEY REFERENCES users(telegram_id) ON DELETE CASCADE,
+                code VARCHAR(16) UNIQUE NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Who referred whom; recorded before the referred user has a wallet, so no FK on referred_id
+            `CREATE TABLE IF NOT EXISTS referrals (
+                referred_id BIGINT PRIMARY KEY,
+                referrer_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                code VARCHAR(16) NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_referral_not_self CHECK (referred_id <> referrer_id)
+            )`,
+
+            // Claimed referral rewards, paid out manually from the admin export
+            `CREATE TABLE IF NOT EXISTS referral_payouts (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                amount DECIMAL(36,18) NOT NULL,
+                wallet_address VARCHAR(42) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                tx_hash VARCHAR(66),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                paid_at TIMESTAMPTZ,
+
+                CONSTRAINT chk_referral_payout_status CHECK (status IN ('pending', 'paid')),
+                CONSTRAINT chk_referral_payout_amount CHECK (amount > 0)
+            )`,
+            // One open claim per user; createReferralPayout's ON CONFLICT needs it, so it is built here
+            // (an invalid leftover of an interrupted concurrent build is dropped first)
+            `DO $$
+             BEGIN
+                 IF EXISTS (
+                     SELECT 1 FROM pg_index i JOIN pg_class c ON c.oid = i.indexrelid
+                     WHERE c.relname = 'idx_referral_payouts_pending' AND NOT i.indisvalid
+                 ) THEN
+                     DROP INDEX idx_referral_payouts_pending;
+                 END IF;
+             END $$`,
+            "CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_payouts_pending ON referral_payouts(telegram_id) WHERE status = 'pending'",
+
+            // Platform fee ledger: one row per fee-charged trade (fees never enter PnL)
+            `CREATE TABLE IF NOT EXISTS platform_fees (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                tx_hash VARCHAR(66) NOT NULL,
+                side VARCHAR(4) NOT NULL,
+                token_address VARCHAR(42) NOT NULL,
+                trade_value DECIMAL(36,18) NOT NULL,
+                fee_tier VARCHAR(20) NOT NULL,
+                fee_bps INTEGER NOT NULL,
+                fee_amount DECIMAL(36,18) NOT NULL,
+                fee_tx_hash VARCHAR(66),
+                status VARCHAR(20) NOT NULL,
+                error_message TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                CONSTRAINT chk_platform_fee_side CHECK (side IN ('buy', 'sell')),
+                CONSTRAINT chk_platform_fee_status CHECK (status IN ('collected', 'failed'))
+            )`,
+
+            // Saved withdrawal addresses; usable for whitelisted transfers from active_at (cooling period)
+            `CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+                id SERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                address VARCHAR(42) NOT NULL,
+                label VARCHAR(32) NOT NULL,
+                active_at TIMESTAMPTZ NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+                UNIQUE(telegram_id, address)
+            )`,
+
+            // Named wallets per user; the active one is mirrored into users.wallet_address
+            `CREATE TABLE IF NOT EXISTS user_wallets (
+                id BIGSERIAL PRIMARY KEY,
+                telegram_id BIGINT NOT NULL REFERENCES users(telegram_id) ON DELETE CASCADE,
+                name VARCHAR(32) NOT NULL,
+                wallet_address VARCHAR(42) NOT NULL,
+                encrypted_private_key TEXT NOT NULL,
+                encrypted_mnemonic TEXT,
+                is_active BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(telegram_id, wallet_address)
+            )`,
+
+            // Seed the wallet list of users created before multi-wallet support
+            `INSERT INTO user_wallets (telegram_id, name, wallet_address, encrypted_private_key, encrypted_mnemonic, is_active)
+             SELECT u.telegram_id, 'Wallet 1', u.wallet_address, u.encrypted_private_key, u.encrypted_mnemonic, true
+             FROM users u
+             WHERE u.wallet_address LIKE '0x%'
+             AND NOT EXISTS (SELECT 1 FROM user_wallets w WHERE w.telegram_id = u.telegram_id)`,
+
+            // Position cost basis and stop-loss / take-profit (added to existing deployments)
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS total_invested DECIMAL(36,18) DEFAULT 0`,
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS stop_loss_percent DECIMAL(7,2)`,
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS take_profit_percent DECIMAL(7,2)`,
+            // Rows from before balance tracking never recorded sells, so their balance is unknown.
+            // Flag them once (when the column is added); PortfolioService rebuilds them from the wallet's on-chain balance
+            `DO $$
+             BEGIN
+                 IF NOT EXISTS (
+                     SELECT 1 FROM information_schema.columns
+                     WHERE table_name = 'portfolio_entries' AND column_name = 'needs_balance_sync'
+                 ) THEN
+                     ALTER TABLE portfolio_entries ADD COLUMN needs_balance_sync BOOLEAN NOT NULL DEFAULT false;
+                     UPDATE portfolio_entries SET needs_balance_sync = true
+                     WHERE COALESCE(total_invested, 0) = 0 AND COALESCE(current_balance, 0) = 0
+                     AND total_bought > 0 AND average_buy_price > 0;
+                 END IF;
+             END $$`,
+            `ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS default_stop_loss_percent DECIMAL(7,2)`,
+            `ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS default_take_profit_percent DECIMAL(7,2)`,
+
+            // Trailing stop with persisted peak price
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS trailing_stop_percent DECIMAL(7,2)`,
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS trailing_peak_price DECIMAL(36,18)`,
+
+            // Positions are per wallet, so cost basis and protection sells follow the wallet holding the tokens.
+            // Existing rows belong to the wallet that was active when they were recorded
+            `ALTER TABLE portfolio_entries ADD COLUMN IF NOT EXISTS wallet_address VARCHAR(42)`,
+            `UPDATE portfolio_entries p SET wallet_address = LOWER(u.wallet_address)
+             FROM users u
+             WHERE p.wallet_address IS NULL AND u.telegram_id = p.telegram_id AND u.wallet_address LIKE '0x%'`,
+            `ALTER TABLE portfolio_entries DROP CONSTRAINT IF EXISTS portfolio_entries_telegram_id_token_address_key`,
+            `CREATE UNIQUE INDEX IF NOT EXISTS idx_portfolio_wallet_token ON portfolio_entries(telegram_id, wallet_address, token_address)`,
+
+            // Audit data for automated trades (why a sell fired, etc.)
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS metadata JSONB`,
+
+            // Highest token risk level auto buy accepts (NULL = no safety gate)
+            `ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS auto_buy_max_risk VARCHAR(10)`,
+
+            // PnL realized by each sell (for period rankings such as group leaderboards)
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(36,18)`,
+
+            // Lifecycle tracking: sender / nonce, the Telegram message to update and same-nonce replacements
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS from_address VARCHAR(42)`,
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS nonce BIGINT`,
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS chat_id BIGINT`,
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS message_id BIGINT`,
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replacement_tx_hash VARCHAR(66)`,
+            `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS replacement_type VARCHAR(10)`,
+
+            // Platform fee tier set by an admin (NULL = automatic: referred or standard)
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS fee_tier VARCHAR(20)`,
+
+            // Withdrawal whitelist: turning it off only takes effect at withdrawal_whitelist_disable_at
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS withdrawal_whitelist_enabled BOOLEAN DEFAULT false`,
+            `ALTER TABLE users ADD COLUMN IF NOT EXISTS withdrawal_whitelist_disable_at TIMESTAMPTZ`
         ];
 
         for (const query of queries) {
@@ -305,6 +689,7 @@ class DatabasePostgreSQL {
             // Existing performance indexes - Medium Priority
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_telegram_id ON users(telegram_id)',
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_wallet_address ON users(wallet_address)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_wallets_user ON user_wallets(telegram_id)',
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_users_last_activity ON users(last_activity)',
             
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_transactions_telegram_id ON transactions(telegram_id)',
@@ -336,7 +721,26 @@ class DatabasePostgreSQL {
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_access_telegram_id ON user_access(telegram_id)',
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_access_code ON user_access(used_code)',
             'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_access_active ON user_access(is_active)',
-            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_access_granted_at ON user_access(access_granted_at)'
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_access_granted_at ON user_access(access_granted_at)',
+
+            // Limit order indexes
+            "CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_limit_orders_active ON limit_orders(token_address) WHERE status = 'active'",
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_limit_orders_user ON limit_orders(telegram_id, created_at DESC)',
+            "CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_price_alerts_active ON price_alerts(token_address) WHERE status = 'active'",
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_price_alerts_user ON price_alerts(telegram_id, created_at DESC)',
+            "CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_copy_follows_target ON copy_trade_follows(target_address) WHERE status = 'active'",
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_copy_executions_user ON copy_trade_executions(telegram_id, created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_transactions_user_created ON transactions(telegram_id, created_at DESC)',
+            "CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_transactions_pending ON transactions(created_at) WHERE status = 'pending'",
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_group_calls_chat ON group_calls(chat_id, created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_group_calls_tracking ON group_calls(created_at, token_address)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_sniper_executions_user ON sniper_executions(telegram_id, created_at DESC)',
+            "CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_dca_schedules_due ON dca_schedules(next_run_at) WHERE status = 'active'",
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_dca_schedules_user ON dca_schedules(telegram_id, created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id, created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_platform_fees_created ON platform_fees(created_at DESC)',
+            'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_platform_fees_user ON platform_fees(telegram_id, created_at DESC)'
         ];
 
         let successCount = 0;
@@ -529,7 +933,7 @@ class DatabasePostgreSQL {
         return user;
     }
 
-    async updateUserWallet(telegramId, walletAddress, encryptedPrivateKey, encryptedMnemonic) {
+    async updateUserWallet(telegramId, walletAddress, encryptedPrivateKey, encryptedMnemonic, walletName = null) {
         const query = `
             UPDATE users 
             SET wallet_address = $1, encrypted_private_key = $2, encrypted_mnemonic = $3, 
@@ -544,6 +948,7 @@ class DatabasePostgreSQL {
             await this.invalidateStaticCache(telegramId, 'user');
             const userCacheKey = `${this.staticCacheKeys.user}${telegramId}`;
             await this.setStaticCache(userCacheKey, result);
+            await this.saveActiveUserWallet(telegramId, walletAddress, encryptedPrivateKey, encryptedMnemonic, walletName);
         }
         
         return result;
@@ -658,15 +1063,18 @@ class DatabasePostgreSQL {
         const query = `
             INSERT INTO transactions 
             (telegram_id, tx_hash, type, token_address, token_symbol, amount, 
-             price_per_token, total_value, gas_used, gas_price, status, block_number, network) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             price_per_token, total_value, gas_used, gas_price, status, block_number, network, metadata, realized_pnl, from_address) 
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, LOWER($16))
             RETURNING *`;
         
         const params = [
             telegramId, txData.txHash, txData.type, txData.tokenAddress,
             txData.tokenSymbol, txData.amount, txData.pricePerToken,
             txData.totalValue, txData.gasUsed, txData.gasPrice, 
-            txData.status, txData.blockNumber, txData.network || 'monad'
+            txData.status, txData.blockNumber, txData.network || 'monad',
+            txData.metadata ? JSON.stringify(txData.metadata) : null,
+            txData.realizedPnl ?? null,
+            txData.fromAddress || null
         ];
         
         return await this.getOne(query, params);
@@ -700,25 +1108,124 @@ class DatabasePostgreSQL {
         return transactions;
     }
 
-    // Portfolio management with atomic updates
-    async updatePortfolioEntry(telegramId, tokenAddress, tokenSymbol, buyAmount, buyPrice) {
+    /**
+     * Build the WHERE clause for history filters {tokenAddress, type, since}
+     */
+    buildTransactionHistoryFilter(telegramId, filters = {}) {
+        const conditions = ['telegram_id = $1'];
+        const params = [telegramId];
+
+        if (filters.tokenAddress) {
+            params.push(filters.tokenAddress);
+            conditions.push(`LOWER(token_address) = LOWER($${params.length})`);
+        }
+        if (filters.type) {
+            params.push(filters.type);
+            conditions.push(`type = $${params.length}`);
+        }
+        if (filters.since) {
+            params.push(filters.since);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+
+        return { where: conditions.join(' AND '), params };
+    }
+
+    /**
+     * Filtered transaction history, newest first (limit null = everything, for exports)
+     */
+    async getTransactionHistory(telegramId, filters = {}, limit = null, offset = 0) {
+        const { where, params } = this.buildTransactionHistoryFilter(telegramId, filters);
+        let query = `
+            SELECT * FROM transactions 
+            WHERE ${where}
+            ORDER BY created_at DESC`;
+
+        if (limit) {
+            params.push(limit, offset);
+            query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+        }
+
+        return await this.getMany(query, params);
+    }
+
+    /**
+     * Number of transactions matching the history filters
+     */
+    async countTransactionHistory(telegramId, filters = {}) {
+        const { where, params } = this.buildTransactionHistoryFilter(telegramId, filters);
+        const result = await this.getOne(`SELECT COUNT(*) AS count FROM transactions WHERE ${where}`, params);
+        return parseInt(result?.count || '0', 10);
+    }
+
+    /**
+     * Resolve a symbol the user has traded to its token address
+     */
+    async findUserTransactionToken(telegramId, tokenSymbol) {
+        const query = `
+            SELECT token_address, token_symbol FROM transactions 
+            WHERE telegram_id = $1 AND UPPER(token_symbol) = UPPER($2)
+            ORDER BY created_at DESC 
+            LIMIT 1`;
+
+        return await this.getOne(query, [telegramId, tokenSymbol]);
+    }
+
+    // Portfolio management with atomic updates (one position per wallet and token)
+    async updatePortfolioEntry(telegramId, walletAddress, tokenAddress, tokenSymbol, buyAmount, buyPrice) {
         const query = `
             INSERT INTO portfolio_entries 
-            (telegram_id, token_address, token_symbol, total_bought, average_buy_price, updated_at)
-            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
-            ON CONFLICT (telegram_id, token_address)
+            (telegram_id, wallet_address, token_address, token_symbol, total_bought, average_buy_price, 
+             total_invested, current_balance, updated_at)
+            VALUES ($1, LOWER($6), $2, $3, $4, $5, $4 * $5, $4, CURRENT_TIMESTAMP)
+            ON CONFLICT (telegram_id, wallet_address, token_address)
             DO UPDATE SET
                 total_bought = portfolio_entries.total_bought + EXCLUDED.total_bought,
                 average_buy_price = (
-                    (portfolio_entries.total_bought * portfolio_entries.average_buy_price + 
-                     EXCLUDED.total_bought * EXCLUDED.average_buy_price) /
-                    (portfolio_entries.total_bought + EXCLUDED.total_bought)
+                    (portfolio_entries.current_balance * portfolio_entries.average_buy_price + 
+                     EXCLUDED.current_balance * EXCLUDED.average_buy_price) /
+                    (portfolio_entries.current_balance + EXCLUDED.current_balance)
                 ),
+                total_invested = COALESCE(portfolio_entries.total_invested, 0) + EXCLUDED.total_invested,
+                current_balance = portfolio_entries.current_balance + EXCLUDED.current_balance,
                 token_symbol = EXCLUDED.token_symbol,
                 updated_at = CURRENT_TIMESTAMP
             RETURNING *`;
         
-        const result = await this.getOne(query, [telegramId, tokenAddress, tokenSymbol, buyAmount, buyPrice]);
+        const result = await this.getOne(query, [telegramId, tokenAddress, tokenSymbol, buyAmount, buyPrice, walletAddress]);
+        
+        // Invalidate portfolio cache
+        await this.deleteCache(`portfolio:${telegramId}`);
+        
+        return result;
+    }
+
+    /**
+     * Realize PnL for a sell against the average cost and reduce the held balance of that wallet's position.
+     * Only the part of the sell covered by the tracked balance is realized.
+     * The returned row carries realized_delta, the PnL realized by this sell.
+     */
+    async recordPortfolioSale(telegramId, walletAddress, tokenAddress, soldAmount, monReceived) {
+        const query = `
+            WITH previous AS (
+                SELECT id, COALESCE(realized_pnl, 0) AS realized_pnl FROM portfolio_entries
+                WHERE telegram_id = $1 AND wallet_address = LOWER($5) AND LOWER(token_address) = LOWER($2)
+            )
+            UPDATE portfolio_entries 
+            SET realized_pnl = COALESCE(realized_pnl, 0) 
+                    + ($4::numeric * LEAST($3::numeric, current_balance) / $3::numeric)
+                    - (average_buy_price * LEAST($3::numeric, current_balance)),
+                total_sold = COALESCE(total_sold, 0) + LEAST($3::numeric, current_balance),
+                -- The sold share of the cost basis leaves the position
+                total_invested = CASE WHEN current_balance > $3::numeric
+                    THEN COALESCE(total_invested, 0) * (current_balance - $3::numeric) / current_balance
+                    ELSE 0 END,
+                current_balance = GREATEST(current_balance - $3::numeric, 0),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE telegram_id = $1 AND wallet_address = LOWER($5) AND LOWER(token_address) = LOWER($2)
+            RETURNING *, realized_pnl - (SELECT previous.realized_pnl FROM previous WHERE previous.id = portfolio_entries.id) AS realized_delta`;
+        
+        const result = await this.getOne(query, [telegramId, tokenAddress, soldAmount, monReceived, walletAddress]);
         
         // Invalidate portfolio cache
         await this.deleteCache(`portfolio:${telegramId}`);
@@ -726,7 +1233,48 @@ class DatabasePostgreSQL {
         return result;
     }
 
-    async getPortfolioEntries(telegramId) {
+    /**
+     * Start a position from before balance tracking at what the wallet still holds (capped at what was bought)
+     */
+    async syncLegacyPortfolioBalance(telegramId, walletAddress, tokenAddress, walletBalance) {
+        const query = `
+            UPDATE portfolio_entries 
+            SET current_balance = LEAST(total_bought, $4::numeric),
+                total_invested = LEAST(total_bought, $4::numeric) * average_buy_price,
+                needs_balance_sync = false,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE telegram_id = $1 AND wallet_address = LOWER($2) AND LOWER(token_address) = LOWER($3)
+            AND needs_balance_sync
+            RETURNING *`;
+        
+        const result = await this.getOne(query, [telegramId, walletAddress, tokenAddress, walletBalance]);
+        await this.deleteCache(`portfolio:${telegramId}`);
+        return result;
+    }
+
+    /**
+     * Reduce a position's held balance for tokens that left the wallet without a sell (transfers)
+     */
+    async reducePortfolioBalance(telegramId, walletAddress, tokenAddress, amount) {
+        const query = `
+            UPDATE portfolio_entries 
+            SET total_invested = CASE WHEN current_balance > $4::numeric
+                    THEN COALESCE(total_invested, 0) * (current_balance - $4::numeric) / current_balance
+                    ELSE 0 END,
+                current_balance = GREATEST(current_balance - $4::numeric, 0),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE telegram_id = $1 AND wallet_address = LOWER($2) AND LOWER(token_address) = LOWER($3)
+            RETURNING *`;
+        
+        const result = await this.getOne(query, [telegramId, walletAddress, tokenAddress, amount]);
+        await this.deleteCache(`portfolio:${telegramId}`);
+        return result;
+    }
+
+    /**
+     * Positions of all the user's wallets, or of one wallet
+     */
+    async getPortfolioEntries(telegramId, walletAddress = null) {
         const cacheKey = `portfolio:${telegramId}`;
         let portfolio = await this.getFromCache(cacheKey);
         
@@ -740,6 +1288,9 @@ class DatabasePostgreSQL {
             await this.setCache(cacheKey, portfolio, 120); // 2 minutes cache
         }
         
+        if (walletAddress) {
+            return portfolio.filter(entry => entry.wallet_address === walletAddress.toLowerCase());
+        }
         return portfolio;
     }
 
@@ -803,6 +1354,22 @@ class DatabasePostgreSQL {
         return result;
     }
 
+    /**
+     * Atomically take a state if it is still current, so it can only be acted on once
+     */
+    async claimUserState(telegramId, state) {
+        const query = `
+            DELETE FROM user_states 
+            WHERE telegram_id = $1 AND state = $2 AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *`;
+        
+        const result = await this.getOne(query, [telegramId, state]);
+        if (result && result.state_data) {
+            result.data = typeof result.state_data === 'string' ? JSON.parse(result.state_data) : result.state_data;
+        }
+        return result;
+    }
+
     async clearUserState(telegramId) {
         const query = `DELETE FROM user_states WHERE telegram_id = $1`;
         return await this.query(query, [telegramId]);
@@ -1217,16 +1784,16 @@ class DatabasePostgreSQL {
     /**
      * Create new access code
      */
-    async createAccessCode(code, codeType, maxUses = null, expiresAt = null, createdBy = null) {
+    async createAccessCode(code, codeType, maxUses = null, expiresAt = null, createdBy = null, description = null) {
         const query = `
-            INSERT INTO access_codes (code, code_type, max_uses, expires_at, created_by, is_active)
-            VALUES ($1, $2, $3, $4, $5, true)
+            INSERT INTO access_codes (code, code_type, max_uses, expires_at, created_by, description, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, true)
             RETURNING *`;
         
         try {
             // Convert createdBy to number if it's a string number, otherwise keep as null
             const createdByValue = createdBy && !isNaN(createdBy) ? parseInt(createdBy) : null;
-            return await this.getOne(query, [code, codeType, maxUses, expiresAt, createdByValue]);
+            return await this.getOne(query, [code, codeType, maxUses, expiresAt, createdByValue, description]);
         } catch (error) {
             console.error('Error creating access code:', error);
             throw error;
@@ -1281,6 +1848,7 @@ class DatabasePostgreSQL {
             SET used_count = used_count + 1
             WHERE code = $1 
             AND (max_uses IS NULL OR used_count < max_uses)
+            AND (expires_at IS NULL OR expires_at > NOW())
             AND is_active = true
             RETURNING *`;
         
@@ -1298,6 +1866,8 @@ class DatabasePostgreSQL {
                     throw new Error('Code does not exist');
                 } else if (!codeCheck.is_active) {
                     throw new Error('Code is inactive');
+                } else if (codeCheck.expires_at && new Date(codeCheck.expires_at) <= new Date()) {
+                    throw new Error('Code has expired');
                 } else if (codeCheck.max_uses && codeCheck.used_count >= codeCheck.max_uses) {
                     throw new Error('Code usage limit exceeded');
                 }
@@ -1349,6 +1919,1467 @@ class DatabasePostgreSQL {
         }
     }
 
+    /**
+     * Active personal invite code of a user
+     */
+    async getActiveInviteCode(telegramId) {
+        const query = `
+            SELECT * FROM access_codes
+            WHERE created_by = $1 AND code_type = 'invite' AND is_active = true
+            ORDER BY created_at DESC
+            LIMIT 1`;
+
+        return await this.getOne(query, [telegramId]);
+    }
+
+    /**
+     * Most recent codes with the number of users who joined through each (invite codes excluded)
+     */
+    async getAccessCodeReport(limit = 20) {
+        const query = `
+            SELECT ac.*, COUNT(ua.telegram_id) AS users_count
+            FROM access_codes ac
+            LEFT JOIN user_access ua ON ac.code = ua.used_code
+            WHERE ac.code_type <> 'invite'
+            GROUP BY ac.id
+            ORDER BY ac.created_at DESC
+            LIMIT $1`;
+
+        return await this.getMany(query, [limit]);
+    }
+
+    /**
+     * Users who joined through a code, newest first
+     */
+    async getAccessCodeUsers(code, limit = 50) {
+        const query = `
+            SELECT ua.telegram_id, ua.access_granted_at, ua.user_info, u.username
+            FROM user_access ua
+            LEFT JOIN users u ON u.telegram_id = ua.telegram_id
+            WHERE ua.used_code = $1
+            ORDER BY ua.access_granted_at DESC
+            LIMIT $2`;
+
+        return await this.getMany(query, [code, limit]);
+    }
+
+    // ===== USER WALLET METHODS =====
+
+    /**
+     * Add the wallet to the user's list (or update it) and flag it as the only active one
+     */
+    async saveActiveUserWallet(telegramId, walletAddress, encryptedPrivateKey, encryptedMnemonic = null, name = null) {
+        // Addresses compare case-insensitively; a saved wallet keeps its stored spelling so it is updated, not duplicated
+        const query = `
+            WITH deactivated AS (
+                UPDATE user_wallets SET is_active = false
+                WHERE telegram_id = $1 AND LOWER(wallet_address) <> LOWER($2) AND is_active = true
+            )
+            INSERT INTO user_wallets (telegram_id, name, wallet_address, encrypted_private_key, encrypted_mnemonic, is_active)
+            VALUES (
+                $1,
+                COALESCE($5, 'Wallet ' || ((SELECT COUNT(*) FROM user_wallets WHERE telegram_id = $1) + 1)),
+                COALESCE(
+                    (SELECT wallet_address FROM user_wallets WHERE telegram_id = $1 AND LOWER(wallet_address) = LOWER($2) LIMIT 1),
+                    $2
+                ),
+                $3, $4, true
+            )
+            ON CONFLICT (telegram_id, wallet_address) DO UPDATE SET
+                name = COALESCE($5, user_wallets.name),
+                encrypted_private_key = EXCLUDED.encrypted_private_key,
+                encrypted_mnemonic = COALESCE(EXCLUDED.encrypted_mnemonic, user_wallets.encrypted_mnemonic),
+                is_active = true
+            RETURNING *`;
+
+        return await this.getOne(query, [telegramId, walletAddress, encryptedPrivateKey, encryptedMnemonic || null, name]);
+    }
+
+    async getUserWallets(telegramId) {
+        const query = `
+            SELECT * FROM user_wallets 
+            WHERE telegram_id = $1 
+            ORDER BY created_at ASC, id ASC`;
+
+        return await this.getMany(query, [telegramId]);
+    }
+
+    async getUserWallet(telegramId, walletId) {
+        const query = 'SELECT * FROM user_wallets WHERE id = $1 AND telegram_id = $2';
+        return await this.getOne(query, [walletId, telegramId]);
+    }
+
+    async getUserWalletByAddress(telegramId, walletAddress) {
+        const query = 'SELECT * FROM user_wallets WHERE telegram_id = $1 AND LOWER(wallet_address) = LOWER($2)';
+        return await this.getOne(query, [telegramId, walletAddress]);
+    }
+
+    /**
+     * Make another of the user's wallets the active one; returns the updated user
+     */
+    async switchActiveWallet(telegramId, walletId) {
+        const wallet = await this.getUserWallet(telegramId, walletId);
+        if (!wallet) {
+            return null;
+        }
+        return await this.updateUserWallet(telegramId, wallet.wallet_address, wallet.encrypted_private_key, wallet.encrypted_mnemonic);
+    }
+
+    async renameUserWallet(telegramId, walletId, name) {
+        const query = `
+            UPDATE user_wallets 
+            SET name = $3 
+            WHERE id = $1 AND telegram_id = $2 
+            RETURNING *`;
+
+        return await this.getOne(query, [walletId, telegramId, name]);
+    }
+
+    /**
+     * Remove an inactive wallet (switch away from the active one first)
+     */
+    async deleteUserWallet(telegramId, walletId) {
+        const query = `
+            DELETE FROM user_wallets 
+            WHERE id = $1 AND telegram_id = $2 AND is_active = false 
+            RETURNING *`;
+
+        return await this.getOne(query, [walletId, telegramId]);
+    }
+
+    // ===== LIMIT ORDER METHODS =====
+
+    /**
+     * Create a new limit order
+     */
+    async createLimitOrder(telegramId, orderData) {
+        const query = `
+            INSERT INTO limit_orders
+            (telegram_id, token_address, token_symbol, order_type, target_price, amount, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            telegramId, orderData.tokenAddress, orderData.tokenSymbol, orderData.orderType,
+            orderData.targetPrice, orderData.amount, orderData.expiresAt
+        ]);
+    }
+
+    /**
+     * Get all active, non-expired limit orders (for the background watcher)
+     */
+    async getActiveLimitOrders() {
+        const query = `
+            SELECT * FROM limit_orders
+            WHERE status = 'active' AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY created_at ASC`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * Get a user's active limit orders, optionally for a single token
+     */
+    async getUserLimitOrders(telegramId, tokenAddress = null) {
+        if (tokenAddress) {
+            return await this.getMany(`
+                SELECT * FROM limit_orders
+                WHERE telegram_id = $1 AND LOWER(token_address) = LOWER($2) AND status = 'active'
+                ORDER BY created_at DESC`, [telegramId, tokenAddress]);
+        }
+
+        return await this.getMany(`
+            SELECT * FROM limit_orders
+            WHERE telegram_id = $1 AND status = 'active'
+            ORDER BY created_at DESC`, [telegramId]);
+    }
+
+    /**
+     * Atomically move an order from active to executing so it only fires once
+     */
+    async claimLimitOrder(orderId) {
+        const query = `
+            UPDATE limit_orders
+            SET status = 'executing'
+            WHERE id = $1 AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, [orderId]);
+    }
+
+    /**
+     * Record the final outcome of an executed limit order
+     */
+    async completeLimitOrder(orderId, status, details = {}) {
+        const query = `
+            UPDATE limit_orders
+            SET status = $2, tx_hash = $3, executed_price = $4, error_message = $5, executed_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            orderId, status, details.txHash || null, details.executedPrice || null, details.errorMessage || null
+        ]);
+    }
+
+    /**
+     * Cancel an active limit order owned by the user
+     */
+    async cancelLimitOrder(orderId, telegramId) {
+        const query = `
+            UPDATE limit_orders
+            SET status = 'cancelled'
+            WHERE id = $1 AND telegram_id = $2 AND status = 'active'
+            RETURNING *`;
+
+        return await this.getOne(query, [orderId, telegramId]);
+    }
+
+    /**
+     * Mark active orders past their expiry as expired and return them
+     */
+    async expireLimitOrders() {
+        const query = `
+            UPDATE limit_orders
+            SET status = 'expired'
+            WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getMany(query);
+    }
+
+    // ===== DCA SCHEDULE METHODS =====
+
+    /**
+     * Create a DCA schedule; the first buy runs on the next check
+     */
+    async createDcaSchedule(telegramId, scheduleData) {
+        const query = `
+            INSERT INTO dca_schedules
+            (telegram_id, token_address, token_symbol, amount, interval_hours, total_runs, next_run_at)
+            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            telegramId, scheduleData.tokenAddress, scheduleData.tokenSymbol, scheduleData.amount,
+            scheduleData.intervalHours, scheduleData.totalRuns
+        ]);
+    }
+
+    /**
+     * Get active schedules whose next run is due (for the background runner)
+     */
+    async getDueDcaSchedules() {
+        const query = `
+            SELECT * FROM dca_schedules
+            WHERE status = 'active' AND next_run_at <= CURRENT_TIMESTAMP
+            ORDER BY next_run_at ASC`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * Get a user's active and paused schedules
+     */
+    async getUserDcaSchedules(telegramId) {
+        const query = `
+            SELECT * FROM dca_schedules
+            WHERE telegram_id = $1 AND status IN ('active', 'paused')
+            ORDER BY created_at DESC`;
+
+        return await this.getMany(query, [telegramId]);
+    }
+
+    /**
+     * Atomically move a due schedule's next run forward so each run fires once
+     */
+    async claimDcaRun(scheduleId) {
+        const query = `
+            UPDATE dca_schedules
+            SET next_run_at = CURRENT_TIMESTAMP + (interval_hours * INTERVAL '1 hour'),
+                last_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'active' AND next_run_at <= CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, [scheduleId]);
+    }
+
+    /**
+     * Record the outcome of one DCA run, completing the schedule after its last buy
+     */
+    async recordDcaRun(scheduleId, success, details = {}) {
+        const query = success
+            ? `UPDATE dca_schedules
+               SET completed_runs = completed_runs + 1, failed_runs = 0, last_tx_hash = $2, last_error = NULL,
+                   status = CASE WHEN completed_runs + 1 >= total_runs THEN 'completed' ELSE status END,
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1
+               RETURNING *`
+            : `UPDATE dca_schedules
+               SET failed_runs = failed_runs + 1, last_error = $2, updated_at = CURRENT_TIMESTAMP
+               WHERE id = $1
+               RETURNING *`;
+
+        return await this.getOne(query, [scheduleId, success ? details.txHash || null : details.errorMessage || null]);
+    }
+
+    /**
+     * Pause an active schedule (telegramId null = system pause, e.g. low balance)
+     */
+    async pauseDcaSchedule(scheduleId, telegramId = null, reason = null) {
+        const query = `
+            UPDATE dca_schedules
+            SET status = 'paused', last_error = COALESCE($3, last_error), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND ($2::BIGINT IS NULL OR telegram_id = $2) AND status = 'active'
+            RETURNING *`;
+
+        return await this.getOne(query, [scheduleId, telegramId, reason]);
+    }
+
+    /**
+     * Resume a paused schedule; the next buy runs on the next check
+     */
+    async resumeDcaSchedule(scheduleId, telegramId) {
+        const query = `
+            UPDATE dca_schedules
+            SET status = 'active', failed_runs = 0, next_run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND telegram_id = $2 AND status = 'paused'
+            RETURNING *`;
+
+        return await this.getOne(query, [scheduleId, telegramId]);
+    }
+
+    /**
+     * Cancel an active or paused schedule owned by the user
+     */
+    async cancelDcaSchedule(scheduleId, telegramId) {
+        const query = `
+            UPDATE dca_schedules
+            SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND telegram_id = $2 AND status IN ('active', 'paused')
+            RETURNING *`;
+
+        return await this.getOne(query, [scheduleId, telegramId]);
+    }
+
+    // ===== PRICE ALERT METHODS =====
+
+    /**
+     * Create a price alert (alertType is a PRICE_EVENTS value)
+     */
+    async createPriceAlert(telegramId, alertData) {
+        const query = `
+            INSERT INTO price_alerts
+            (telegram_id, token_address, token_symbol, alert_type, direction, target_price, change_percent, window_minutes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            telegramId, alertData.tokenAddress, alertData.tokenSymbol, alertData.alertType,
+            alertData.direction || null, alertData.targetPrice || null, alertData.changePercent || null,
+            alertData.windowMinutes || 60
+        ]);
+    }
+
+    /**
+     * Get all active alerts (for the background evaluator)
+     */
+    async getActivePriceAlerts() {
+        return await this.getMany(`SELECT * FROM price_alerts WHERE status = 'active' ORDER BY created_at ASC`);
+    }
+
+    /**
+     * Get a user's active alerts, optionally for a single token
+     */
+    async getUserPriceAlerts(telegramId, tokenAddress = null) {
+        if (tokenAddress) {
+            return await this.getMany(`
+                SELECT * FROM price_alerts
+                WHERE telegram_id = $1 AND LOWER(token_address) = LOWER($2) AND status = 'active'
+                ORDER BY created_at DESC`, [telegramId, tokenAddress]);
+        }
+
+        return await this.getMany(`
+            SELECT * FROM price_alerts
+            WHERE telegram_id = $1 AND status = 'active'
+            ORDER BY created_at DESC`, [telegramId]);
+    }
+
+    /**
+     * Atomically mark an alert as fired so it notifies only once.
+     * Price alerts are one-shot; change alerts re-arm after their window.
+     */
+    async claimPriceAlert(alertId, price) {
+        const query = `
+            UPDATE price_alerts
+            SET status = CASE WHEN alert_type = 'price_alert' THEN 'triggered' ELSE status END,
+                trigger_count = trigger_count + 1,
+                last_triggered_price = $2,
+                last_triggered_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'active'
+            AND (last_triggered_at IS NULL 
+                 OR last_triggered_at <= CURRENT_TIMESTAMP - (window_minutes * INTERVAL '1 minute'))
+            RETURNING *`;
+
+        return await this.getOne(query, [alertId, price]);
+    }
+
+    /**
+     * Cancel an active alert owned by the user
+     */
+    async cancelPriceAlert(alertId, telegramId) {
+        const query = `
+            UPDATE price_alerts
+            SET status = 'cancelled'
+            WHERE id = $1 AND telegram_id = $2 AND status = 'active'
+            RETURNING *`;
+
+        return await this.getOne(query, [alertId, telegramId]);
+    }
+
+    // ===== COPY TRADING METHODS =====
+
+    /**
+     * Follow a target wallet (re-following a stopped target reactivates it with the new settings)
+     */
+    async createCopyFollow(telegramId, followData) {
+        const query = `
+            INSERT INTO copy_trade_follows
+            (telegram_id, target_address, mode, fixed_amount, proportion_percent, max_per_trade)
+            VALUES ($1, LOWER($2), $3, $4, $5, $6)
+            ON CONFLICT (telegram_id, target_address) DO UPDATE SET
+                mode = EXCLUDED.mode,
+                fixed_amount = EXCLUDED.fixed_amount,
+                proportion_percent = EXCLUDED.proportion_percent,
+                max_per_trade = EXCLUDED.max_per_trade,
+                status = 'active',
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            telegramId, followData.targetAddress, followData.mode, followData.fixedAmount || null,
+            followData.proportionPercent || null, followData.maxPerTrade || null
+        ]);
+    }
+
+    /**
+     * Get all active follows (for the background copy trader)
+     */
+    async getActiveCopyFollows() {
+        const query = `
+            SELECT * FROM copy_trade_follows
+            WHERE status = 'active'
+            ORDER BY created_at ASC`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * Get a user's active and paused follows
+     */
+    async getUserCopyFollows(telegramId) {
+        const query = `
+            SELECT * FROM copy_trade_follows
+            WHERE telegram_id = $1 AND status IN ('active', 'paused')
+            ORDER BY created_at DESC`;
+
+        return await this.getMany(query, [telegramId]);
+    }
+
+    /**
+     * Pause, resume or stop a follow owned by the user
+     */
+    async setCopyFollowStatus(followId, telegramId, status) {
+        const query = `
+            UPDATE copy_trade_follows
+            SET status = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND telegram_id = $2 AND status IN ('active', 'paused')
+            RETURNING *`;
+
+        return await this.getOne(query, [followId, telegramId, status]);
+    }
+
+    async toggleCopyFollowSells(followId, telegramId) {
+        const query = `
+            UPDATE copy_trade_follows
+            SET copy_sells = NOT copy_sells, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND telegram_id = $2 AND status IN ('active', 'paused')
+            RETURNING *`;
+
+        return await this.getOne(query, [followId, telegramId]);
+    }
+
+    async updateCopyFollowBlacklist(followId, telegramId, tokenAddresses) {
+        const query = `
+            UPDATE copy_trade_follows
+            SET token_blacklist = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND telegram_id = $2
+            RETURNING *`;
+
+        return await this.getOne(query, [followId, telegramId, JSON.stringify(tokenAddresses.map(address => address.toLowerCase()))]);
+    }
+
+    /**
+     * Reserve a source transaction for a follow; returns null if it was already handled
+     */
+    async claimCopyExecution(follow, sourceTxHash, executionData) {
+        const query = `
+            INSERT INTO copy_trade_executions
+            (follow_id, telegram_id, source_tx_hash, action, token_address, source_amount)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (follow_id, source_tx_hash) DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            follow.id, follow.telegram_id, sourceTxHash, executionData.action,
+            executionData.tokenAddress, executionData.sourceAmount || null
+        ]);
+    }
+
+    /**
+     * Record the outcome of a mirrored trade
+     */
+    async recordCopyExecution(executionId, status, details = {}) {
+        const query = `
+            WITH execution AS (
+                UPDATE copy_trade_executions
+                SET status = $2, amount = $3, tx_hash = $4, error_message = $5
+                WHERE id = $1
+                RETURNING *
+            ), follow AS (
+                UPDATE copy_trade_follows
+                SET total_copied = total_copied + 1, last_copied_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = (SELECT follow_id FROM execution) AND $2 = 'executed'
+            )
+            SELECT * FROM execution`;
+
+        return await this.getOne(query, [
+            executionId, status, details.amount || null, details.txHash || null, details.errorMessage || null
+        ]);
+    }
+
+    // ===== GROUP LEADERBOARD METHODS =====
+
+    async getGroupLeaderboard(chatId) {
+        return await this.getOne('SELECT * FROM group_leaderboards WHERE chat_id = $1', [chatId]);
+    }
+
+    /**
+     * Enable a group's leaderboard; re-enabling after a pause starts a fresh round
+     */
+    async enableGroupLeaderboard(chatId, updatedBy) {
+        const query = `
+            INSERT INTO group_leaderboards (chat_id, updated_by)
+            VALUES ($1, $2)
+            ON CONFLICT (chat_id) DO UPDATE SET
+                enabled = true,
+                round_number = CASE WHEN group_leaderboards.enabled THEN group_leaderboards.round_number ELSE group_leaderboards.round_number + 1 END,
+                round_started_at = CASE WHEN group_leaderboards.enabled THEN group_leaderboards.round_started_at ELSE CURRENT_TIMESTAMP END,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, [chatId, updatedBy]);
+    }
+
+    /**
+     * Change enabled flag or metric of an existing leaderboard
+     */
+    async updateGroupLeaderboard(chatId, updates, updatedBy) {
+        const query = `
+            UPDATE group_leaderboards
+            SET enabled = COALESCE($2, enabled),
+                metric = COALESCE($3, metric),
+                updated_by = $4,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1
+            RETURNING *`;
+
+        return await this.getOne(query, [chatId, updates.enabled ?? null, updates.metric || null, updatedBy]);
+    }
+
+    async joinGroupLeaderboard(chatId, telegramId, displayName) {
+        const query = `
+            INSERT INTO group_leaderboard_members (chat_id, telegram_id, display_name)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (chat_id, telegram_id) DO UPDATE SET display_name = EXCLUDED.display_name
+            RETURNING *`;
+
+        return await this.getOne(query, [chatId, telegramId, displayName]);
+    }
+
+    async leaveGroupLeaderboard(chatId, telegramId) {
+        const query = `
+            DELETE FROM group_leaderboard_members
+            WHERE chat_id = $1 AND telegram_id = $2
+            RETURNING *`;
+
+        return await this.getOne(query, [chatId, telegramId]);
+    }
+
+    /**
+     * Rank opted-in members by realized PnL or volume of their bot trades in [since, until).
+     * Members without trades in the period are listed with zero
+     */
+    async getGroupLeaderboardStandings(chatId, metric, since = null, until = null, limit = 10) {
+        const query = `
+            SELECT m.telegram_id, m.display_name,
+                   COALESCE(SUM(t.realized_pnl) FILTER (WHERE t.type = 'sell'), 0) AS realized_pnl,
+                   COALESCE(SUM(t.total_value), 0) AS volume,
+                   COUNT(t.id) AS trades
+            FROM group_leaderboard_members m
+            LEFT JOIN transactions t ON t.telegram_id = m.telegram_id
+                AND t.type IN ('buy', 'sell')
+                AND t.status <> 'failed'
+                AND ($3::timestamptz IS NULL OR t.created_at >= $3)
+                AND ($4::timestamptz IS NULL OR t.created_at < $4)
+            WHERE m.chat_id = $1
+            GROUP BY m.telegram_id, m.display_name
+            ORDER BY CASE WHEN $2 = 'volume' THEN COALESCE(SUM(t.total_value), 0)
+                          ELSE COALESCE(SUM(t.realized_pnl) FILTER (WHERE t.type = 'sell'), 0) END DESC,
+                     COUNT(t.id) DESC, m.display_name
+            LIMIT $5`;
+
+        return await this.getMany(query, [chatId, metric, since, until, limit]);
+    }
+
+    async countGroupLeaderboardMembers(chatId) {
+        const result = await this.getOne('SELECT COUNT(*)::int AS count FROM group_leaderboard_members WHERE chat_id = $1', [chatId]);
+        return result ? result.count : 0;
+    }
+
+    /**
+     * Enabled leaderboards whose current round has ended
+     */
+    async getEndedGroupLeaderboardRounds() {
+        const query = `
+            SELECT * FROM group_leaderboards
+            WHERE enabled = true
+            AND round_started_at + period_days * INTERVAL '1 day' <= CURRENT_TIMESTAMP
+            ORDER BY round_started_at ASC`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * Start the next round; returns null if another worker already advanced it
+     */
+    async advanceGroupLeaderboardRound(chatId, roundNumber) {
+        const query = `
+            UPDATE group_leaderboards
+            SET round_number = round_number + 1,
+                round_started_at = round_started_at + period_days * INTERVAL '1 day',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE chat_id = $1 AND round_number = $2
+            RETURNING *`;
+
+        return await this.getOne(query, [chatId, roundNumber]);
+    }
+
+    // ===== GROUP SETTINGS METHODS =====
+
+    /**
+     * Get a group's settings (null until an admin changes something)
+     */
+    async getGroupSettings(chatId) {
+        return await this.getOne('SELECT * FROM group_settings WHERE chat_id = $1', [chatId]);
+    }
+
+    /**
+     * Create or update a group's settings with the provided columns
+     */
+    async updateGroupSettings(chatId, settings, updatedBy) {
+        const columns = Object.keys(settings);
+        if (columns.length === 0) {
+            return null;
+        }
+
+        const values = [chatId, updatedBy, ...Object.values(settings)];
+        const query = `
+            INSERT INTO group_settings (chat_id, updated_by, ${columns.join(', ')})
+            VALUES ($1, $2, ${columns.map((column, index) => `$${index + 3}`).join(', ')})
+            ON CONFLICT (chat_id) DO UPDATE SET
+                ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+                updated_by = EXCLUDED.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, values);
+    }
+
+    // ===== GROUP CALL METHODS =====
+
+    /**
+     * Record a token call; returns null if the token was already called in this group
+     */
+    async recordGroupCall(chatId, callData) {
+        const query = `
+            INSERT INTO group_calls
+            (chat_id, caller_id, caller_name, token_address, token_symbol, call_price, current_price, peak_price)
+            VALUES ($1, $2, $3, LOWER($4), $5, $6, $6, $6)
+            ON CONFLICT (chat_id, token_address) DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            chatId, callData.callerId, callData.callerName, callData.tokenAddress,
+            callData.tokenSymbol || null, callData.callPrice
+        ]);
+    }
+
+    async getGroupCall(chatId, tokenAddress) {
+        return await this.getOne(
+            'SELECT * FROM group_calls WHERE chat_id = $1 AND token_address = LOWER($2)',
+            [chatId, tokenAddress]
+        );
+    }
+
+    async getRecentGroupCalls(chatId, limit = 10) {
+        return await this.getMany(
+            'SELECT * FROM group_calls WHERE chat_id = $1 ORDER BY created_at DESC LIMIT $2',
+            [chatId, limit]
+        );
+    }
+
+    /**
+     * Distinct tokens of calls still inside the tracking window (for the price tracker)
+     */
+    async getTrackedGroupCallTokens(trackingDays) {
+        const rows = await this.getMany(`
+            SELECT DISTINCT token_address FROM group_calls
+            WHERE created_at >= CURRENT_TIMESTAMP - $1::int * INTERVAL '1 day'`, [trackingDays]);
+        return rows.map(row => row.token_address);
+    }
+
+    /**
+     * Update current and peak price of every tracked call of a token
+     */
+    async updateGroupCallPrices(tokenAddress, price, trackingDays) {
+        const query = `
+            UPDATE group_calls
+            SET current_price = $2,
+                peak_at = CASE WHEN $2 > peak_price THEN CURRENT_TIMESTAMP ELSE peak_at END,
+                peak_price = GREATEST(peak_price, $2),
+                last_checked_at = CURRENT_TIMESTAMP
+            WHERE token_address = LOWER($1)
+            AND created_at >= CURRENT_TIMESTAMP - $3::int * INTERVAL '1 day'`;
+
+        await this.query(query, [tokenAddress, price, trackingDays]);
+    }
+
+    /**
+     * Rank a group's callers by the average peak multiple of their calls since a date
+     */
+    async getGroupCallerRanking(chatId, since, limit = 10) {
+        const query = `
+            SELECT caller_id,
+                   (ARRAY_AGG(caller_name ORDER BY created_at DESC))[1] AS caller_name,
+                   COUNT(*)::int AS calls,
+                   AVG(peak_price / call_price) AS avg_peak_multiple,
+                   MAX(peak_price / call_price) AS best_multiple,
+                   COUNT(*) FILTER (WHERE peak_price >= call_price * 2)::int AS hits
+            FROM group_calls
+            WHERE chat_id = $1 AND created_at >= $2
+            GROUP BY caller_id
+            ORDER BY avg_peak_multiple DESC, calls DESC
+            LIMIT $3`;
+
+        return await this.getMany(query, [chatId, since, limit]);
+    }
+
+    // ===== SNIPER METHODS =====
+
+    async getSniperSettings(telegramId) {
+        return await this.getOne('SELECT * FROM sniper_settings WHERE telegram_id = $1', [telegramId]);
+    }
+
+    /**
+     * Create or update a user's sniper settings with the provided columns
+     */
+    async updateSniperSettings(telegramId, settings) {
+        const columns = Object.keys(settings);
+        if (columns.length === 0) {
+            return null;
+        }
+
+        const values = [telegramId, ...Object.values(settings)];
+        const query = `
+            INSERT INTO sniper_settings (telegram_id, ${columns.join(', ')})
+            VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})
+            ON CONFLICT (telegram_id) DO UPDATE SET
+                ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        return await this.getOne(query, values);
+    }
+
+    /**
+     * Enabled snipers with a wallet, joined with the auto buy amount / gas / slippage
+     */
+    async getEnabledSnipers() {
+        const query = `
+            SELECT s.*, us.auto_buy_amount, us.auto_buy_gas, us.auto_buy_slippage
+            FROM sniper_settings s
+            JOIN users u ON u.telegram_id = s.telegram_id
+            LEFT JOIN user_settings us ON us.telegram_id = s.telegram_id
+            WHERE s.enabled = true
+            AND u.wallet_address IS NOT NULL AND u.wallet_address <> 'pending_wallet_creation'`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * MON spent by non-failed snipes since midnight UTC
+     */
+    async getSniperSpentToday(telegramId) {
+        const result = await this.getOne(`
+            SELECT COALESCE(SUM(amount), 0) AS spent FROM sniper_executions
+            WHERE telegram_id = $1 AND status <> 'failed'
+            AND created_at >= DATE_TRUNC('day', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`, [telegramId]);
+        return result ? parseFloat(result.spent) : 0;
+    }
+
+    /**
+     * Reserve a snipe; returns null if the token was already sniped or the amount exceeds the daily cap.
+     * Claims of one user run one at a time (sniper_settings row lock), so concurrent launches cannot overshoot the cap
+     */
+    async claimSniperExecution(telegramId, tokenAddress, amount, dailyCap) {
+        const query = `
+            INSERT INTO sniper_executions (telegram_id, token_address, amount)
+            SELECT $1::bigint, LOWER($2::text), $3::numeric
+            WHERE (
+                SELECT COALESCE(SUM(amount), 0) FROM sniper_executions
+                WHERE telegram_id = $1 AND status <> 'failed'
+                AND created_at >= DATE_TRUNC('day', CURRENT_TIMESTAMP AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+            ) + $3::numeric <= $4::numeric
+            ON CONFLICT (telegram_id, token_address) DO NOTHING
+            RETURNING *`;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT 1 FROM sniper_settings WHERE telegram_id = $1 FOR UPDATE', [telegramId]);
+            // A new statement, so the spent total includes claims committed while waiting for the lock
+            const result = await client.query(query, [telegramId, tokenAddress, amount, dailyCap]);
+            await client.query('COMMIT');
+            return result.rows[0] || null;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            if (this.monitoring) {
+                this.monitoring.logError('Database claimSniperExecution error', error, { telegramId, tokenAddress });
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async recordSniperExecution(executionId, status, details = {}) {
+        const query = `
+            UPDATE sniper_executions
+            SET status = $2, tx_hash = $3, error_message = $4
+            WHERE id = $1
+            RETURNING *`;
+
+        return await this.getOne(query, [executionId, status, details.txHash || null, details.errorMessage || null]);
+    }
+
+    async getRecentSniperExecutions(telegramId, limit = 5) {
+        return await this.getMany(
+            'SELECT * FROM sniper_executions WHERE telegram_id = $1 ORDER BY created_at DESC LIMIT $2',
+            [telegramId, limit]
+        );
+    }
+
+    // ===== WATCHLIST METHODS =====
+
+    async getWatchlist(telegramId) {
+        return await this.getMany(
+            'SELECT * FROM watchlist_entries WHERE telegram_id = $1 ORDER BY created_at ASC',
+            [telegramId]
+        );
+    }
+
+    /**
+     * Add a token; returns null if it is already on the watchlist
+     */
+    async addWatchlistToken(telegramId, tokenAddress, tokenSymbol) {
+        const query = `
+            INSERT INTO watchlist_entries (telegram_id, token_address, token_symbol)
+            VALUES ($1, LOWER($2), $3)
+            ON CONFLICT (telegram_id, token_address) DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [telegramId, tokenAddress, tokenSymbol || null]);
+    }
+
+    async removeWatchlistToken(entryId, telegramId) {
+        return await this.getOne(
+            'DELETE FROM watchlist_entries WHERE id = $1 AND telegram_id = $2 RETURNING *',
+            [entryId, telegramId]
+        );
+    }
+
+    // ===== TRANSACTION TRACKING METHODS =====
+
+    /**
+     * Pending transactions submitted within the tracking window, oldest first
+     */
+    async getPendingTransactions(hours = 24, limit = 100) {
+        const query = `
+            SELECT * FROM transactions
+            WHERE status = 'pending'
+            AND created_at > NOW() - $1::int * INTERVAL '1 hour'
+            ORDER BY created_at ASC
+            LIMIT $2`;
+
+        return await this.getMany(query, [hours, limit]);
+    }
+
+    async getTransactionById(transactionId, telegramId) {
+        return await this.getOne(
+            'SELECT * FROM transactions WHERE id = $1 AND telegram_id = $2',
+            [transactionId, telegramId]
+        );
+    }
+
+    /**
+     * Remember which Telegram message shows a pending transaction
+     */
+    async attachTransactionMessage(txHash, chatId, messageId) {
+        const query = `
+            UPDATE transactions
+            SET chat_id = $2, message_id = $3
+            WHERE tx_hash = $1 AND status = 'pending'
+            RETURNING *`;
+
+        return await this.getOne(query, [txHash, chatId, messageId]);
+    }
+
+    /**
+     * Update tracking columns (from_address, nonce, replacement_tx_hash, replacement_type)
+     */
+    async updateTransactionTracking(transactionId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return null;
+        }
+
+        const query = `
+            UPDATE transactions
+            SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')}
+            WHERE id = $1
+            RETURNING *`;
+
+        return await this.getOne(query, [transactionId, ...Object.values(fields)]);
+    }
+
+    /**
+     * Record the final status of a tracked transaction; txHash is the hash that was mined
+     */
+    async settleTransaction(transactionId, status, { txHash, gasUsed = null, gasPrice = null, blockNumber = null }) {
+        const query = `
+            UPDATE transactions
+            SET status = $2, tx_hash = COALESCE($3, tx_hash), gas_used = $4, gas_price = $5,
+                block_number = $6, confirmed_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *`;
+
+        return await this.getOne(query, [transactionId, status, txHash || null, gasUsed, gasPrice, blockNumber]);
+    }
+
+    async setTransactionRealizedPnl(transactionId, realizedPnl) {
+        const query = 'UPDATE transactions SET realized_pnl = $2 WHERE id = $1 RETURNING *';
+        return await this.getOne(query, [transactionId, realizedPnl]);
+    }
+
+    // ===== ADMIN METHODS =====
+
+    async getAdminRole(telegramId) {
+        const row = await this.getOne('SELECT role FROM admin_roles WHERE telegram_id = $1', [telegramId]);
+        return row ? row.role : null;
+    }
+
+    async setAdminRole(telegramId, role, grantedBy) {
+        const query = `
+            INSERT INTO admin_roles (telegram_id, role, granted_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (telegram_id) DO UPDATE SET role = EXCLUDED.role, granted_by = EXCLUDED.granted_by
+            RETURNING *`;
+
+        return await this.getOne(query, [telegramId, role, grantedBy]);
+    }
+
+    async removeAdminRole(telegramId) {
+        return await this.getOne('DELETE FROM admin_roles WHERE telegram_id = $1 RETURNING *', [telegramId]);
+    }
+
+    async getAdmins() {
+        return await this.getMany(
+            `SELECT * FROM admin_roles
+             ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, created_at ASC`
+        );
+    }
+
+    async logAdminAction(adminId, action, target = null, details = {}) {
+        const query = `
+            INSERT INTO admin_audit_log (admin_id, action, target, details)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *`;
+
+        return await this.getOne(query, [adminId, action, target !== null ? String(target) : null, JSON.stringify(details)]);
+    }
+
+    async getAdminAuditLog(limit = 20) {
+        return await this.getMany(
+            'SELECT * FROM admin_audit_log ORDER BY created_at DESC LIMIT $1',
+            [limit]
+        );
+    }
+
+    /**
+     * Owner of a wallet address (active wallet or any of their saved wallets)
+     */
+    async findUserByWallet(walletAddress) {
+        const query = `
+            SELECT u.* FROM users u
+            WHERE LOWER(u.wallet_address) = LOWER($1)
+            OR EXISTS (
+                SELECT 1 FROM user_wallets w
+                WHERE w.telegram_id = u.telegram_id AND LOWER(w.wallet_address) = LOWER($1)
+            )
+            LIMIT 1`;
+
+        return await this.getOne(query, [walletAddress]);
+    }
+
+    /**
+     * User and trading totals for the admin console
+     */
+    async getBotStats() {
+        const query = `
+            SELECT
+                (SELECT COUNT(*) FROM users) AS total_users,
+                (SELECT COUNT(*) FROM users WHERE last_activity > NOW() - INTERVAL '24 hours') AS active_users_24h,
+                (SELECT COUNT(*) FROM users WHERE created_at > NOW() - INTERVAL '24 hours') AS new_users_24h,
+                (SELECT COUNT(*) FROM transactions WHERE created_at > NOW() - INTERVAL '24 hours') AS transactions_24h,
+                (SELECT COALESCE(SUM(total_value), 0) FROM transactions
+                    WHERE created_at > NOW() - INTERVAL '24 hours' AND status = 'confirmed' AND type IN ('buy', 'sell')) AS volume_24h,
+                (SELECT COUNT(*) FROM transactions WHERE status = 'pending') AS pending_transactions`;
+
+        return await this.getOne(query);
+    }
+
+    /**
+     * Telegram ids of every active user (broadcast recipients)
+     */
+    async getBroadcastRecipients() {
+        const rows = await this.getMany('SELECT telegram_id FROM users WHERE is_active = true ORDER BY telegram_id');
+        return rows.map(row => row.telegram_id);
+    }
+
+    // ===== REFERRAL METHODS =====
+
+    async getReferralCode(telegramId) {
+        return await this.getOne('SELECT * FROM referral_codes WHERE telegram_id = $1', [telegramId]);
+    }
+
+    async getReferralCodeOwner(code) {
+        return await this.getOne('SELECT * FROM referral_codes WHERE code = $1', [code]);
+    }
+
+    /**
+     * Store a referral code; returns null if the code is taken
+     */
+    async createReferralCode(telegramId, code) {
+        const query = `
+            INSERT INTO referral_codes (telegram_id, code)
+            VALUES ($1, $2)
+            ON CONFLICT DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [telegramId, code]);
+    }
+
+    async getReferral(referredId) {
+        return await this.getOne('SELECT * FROM referrals WHERE referred_id = $1', [referredId]);
+    }
+
+    /**
+     * Record who referred a user; a user keeps their first referrer (returns null then)
+     */
+    async addReferral(referredId, referrerId, code) {
+        const query = `
+            INSERT INTO referrals (referred_id, referrer_id, code)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (referred_id) DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [referredId, referrerId, code]);
+    }
+
+    /**
+     * Referred users, their confirmed buy/sell volume and collected platform fees (MON) per level, up to maxLevel deep
+     */
+    async getReferralVolumeByLevel(referrerId, maxLevel = 3) {
+        const query = `
+            WITH RECURSIVE tree AS (
+                SELECT referred_id, created_at, 1 AS level
+                FROM referrals WHERE referrer_id = $1
+                UNION ALL
+                SELECT r.referred_id, r.created_at, t.level + 1
+                FROM referrals r
+                JOIN tree t ON r.referrer_id = t.referred_id
+                WHERE t.level < $2
+            )
+            SELECT t.level, COUNT(*) AS users, COALESCE(SUM(v.volume), 0) AS volume, COALESCE(SUM(f.fees), 0) AS fees
+            FROM tree t
+            LEFT JOIN LATERAL (
+                SELECT SUM(tx.total_value) AS volume
+                FROM transactions tx
+                WHERE tx.telegram_id = t.referred_id
+                AND tx.status = 'confirmed'
+                AND tx.type IN ('buy', 'sell')
+                AND tx.created_at >= t.created_at
+            ) v ON true
+            LEFT JOIN LATERAL (
+                SELECT SUM(pf.fee_amount) AS fees
+                FROM platform_fees pf
+                WHERE pf.telegram_id = t.referred_id
+                AND pf.status = 'collected'
+                AND pf.created_at >= t.created_at
+            ) f ON true
+            GROUP BY t.level
+            ORDER BY t.level`;
+
+        return await this.getMany(query, [referrerId, maxLevel]);
+    }
+
+    /**
+     * Direct invitees with their confirmed trading volume, most recent first
+     */
+    async getReferralInvitees(referrerId, limit = 10) {
+        const query = `
+            SELECT r.referred_id, r.created_at, u.username,
+                   COALESCE((
+                       SELECT SUM(tx.total_value) FROM transactions tx
+                       WHERE tx.telegram_id = r.referred_id
+                       AND tx.status = 'confirmed'
+                       AND tx.type IN ('buy', 'sell')
+                       AND tx.created_at >= r.created_at
+                   ), 0) AS volume
+            FROM referrals r
+            LEFT JOIN users u ON u.telegram_id = r.referred_id
+            WHERE r.referrer_id = $1
+            ORDER BY r.created_at DESC
+            LIMIT $2`;
+
+        return await this.getMany(query, [referrerId, limit]);
+    }
+
+    /**
+     * Claimed rewards of a user split by payout status
+     */
+    async getReferralPayoutTotals(telegramId) {
+        const query = `
+            SELECT
+                COALESCE(SUM(amount) FILTER (WHERE status = 'pending'), 0) AS pending,
+                COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) AS paid
+            FROM referral_payouts
+            WHERE telegram_id = $1`;
+
+        return await this.getOne(query, [telegramId]);
+    }
+
+    /**
+     * Open a payout request; returns null while another request is pending
+     */
+    async createReferralPayout(telegramId, amount, walletAddress) {
+        const query = `
+            INSERT INTO referral_payouts (telegram_id, amount, wallet_address)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (telegram_id) WHERE status = 'pending' DO NOTHING
+            RETURNING *`;
+
+        return await this.getOne(query, [telegramId, amount, walletAddress]);
+    }
+
+    async getReferralPayouts(status = null, limit = 1000) {
+        const query = `
+            SELECT p.*, u.username
+            FROM referral_payouts p
+            LEFT JOIN users u ON u.telegram_id = p.telegram_id
+            WHERE ($1::text IS NULL OR p.status = $1)
+            ORDER BY p.created_at ASC
+            LIMIT $2`;
+
+        return await this.getMany(query, [status, limit]);
+    }
+
+    async markReferralPayoutPaid(payoutId, txHash) {
+        const query = `
+            UPDATE referral_payouts
+            SET status = 'paid', tx_hash = $2, paid_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *`;
+
+        return await this.getOne(query, [payoutId, txHash]);
+    }
+
+    // ===== PLATFORM FEE METHODS =====
+
+    /**
+     * Admin-set fee tier and whether the user was referred (for the automatic tier)
+     */
+    async getUserFeeTier(telegramId) {
+        const query = `
+            SELECT u.fee_tier, EXISTS (SELECT 1 FROM referrals r WHERE r.referred_id = u.telegram_id) AS referred
+            FROM users u
+            WHERE u.telegram_id = $1`;
+
+        return await this.getOne(query, [telegramId]);
+    }
+
+    /**
+     * Set a user's fee tier; null returns the user to the automatic tier
+     */
+    async setUserFeeTier(telegramId, feeTier) {
+        const result = await this.getOne(
+            'UPDATE users SET fee_tier = $2 WHERE telegram_id = $1 RETURNING telegram_id, fee_tier',
+            [telegramId, feeTier]
+        );
+        await this.invalidateStaticCache(telegramId, 'user');
+        return result;
+    }
+
+    async recordPlatformFee(telegramId, fee) {
+        const query = `
+            INSERT INTO platform_fees (telegram_id, tx_hash, side, token_address, trade_value, fee_tier, fee_bps, fee_amount, fee_tx_hash, status, error_message)
+            VALUES ($1, $2, $3, LOWER($4), $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *`;
+
+        return await this.getOne(query, [
+            telegramId, fee.txHash, fee.side, fee.tokenAddress, fee.tradeValue, fee.feeTier,
+            fee.feeBps, fee.feeAmount, fee.feeTxHash || null, fee.status, fee.errorMessage || null
+        ]);
+    }
+
+    /**
+     * Fee revenue over the last days: totals, split by tier / side, and per day
+     */
+    async getRevenueSummary(days = 30) {
+        const period = `created_at > NOW() - $1::int * INTERVAL '1 day'`;
+
+        const [totals, byTier, daily] = await Promise.all([
+            this.getOne(`
+                SELECT
+                    COUNT(*) FILTER (WHERE status = 'collected') AS collected_count,
+                    COALESCE(SUM(fee_amount) FILTER (WHERE status = 'collected'), 0) AS collected,
+                    COUNT(*) FILTER (WHERE status = 'failed') AS failed_count,
+                    COALESCE(SUM(fee_amount) FILTER (WHERE status = 'failed'), 0) AS failed,
+                    COALESCE(SUM(trade_value), 0) AS volume,
+                    COUNT(DISTINCT telegram_id) AS users,
+                    (SELECT COALESCE(SUM(amount), 0) FROM referral_payouts WHERE status = 'pending') AS referral_pending
+                FROM platform_fees
+                WHERE ${period}`, [days]),
+            this.getMany(`
+                SELECT fee_tier, side, COUNT(*) AS trades,
+                       COALESCE(SUM(fee_amount) FILTER (WHERE status = 'collected'), 0) AS collected
+                FROM platform_fees
+                WHERE ${period}
+                GROUP BY fee_tier, side
+                ORDER BY collected DESC`, [days]),
+            this.getMany(`
+                SELECT DATE(created_at) AS day, COUNT(*) AS trades,
+                       COALESCE(SUM(fee_amount) FILTER (WHERE status = 'collected'), 0) AS collected
+                FROM platform_fees
+                WHERE ${period}
+                GROUP BY DATE(created_at)
+                ORDER BY day DESC
+                LIMIT 7`, [days])
+        ]);
+
+        return { totals, byTier, daily };
+    }
+
+    // ===== WITHDRAWAL WHITELIST METHODS =====
+
+    async getWithdrawalWhitelistStatus(telegramId) {
+        return await this.getOne(
+            'SELECT withdrawal_whitelist_enabled, withdrawal_whitelist_disable_at FROM users WHERE telegram_id = $1',
+            [telegramId]
+        );
+    }
+
+    /**
+     * Turn the whitelist on (also cancels a scheduled disable)
+     */
+    async enableWithdrawalWhitelist(telegramId) {
+        return await this.getOne(
+            `UPDATE users SET withdrawal_whitelist_enabled = true, withdrawal_whitelist_disable_at = NULL
+             WHERE telegram_id = $1
+             RETURNING withdrawal_whitelist_enabled, withdrawal_whitelist_disable_at`,
+            [telegramId]
+        );
+    }
+
+    /**
+     * Schedule the whitelist to turn off after a delay (keeps an earlier schedule)
+     */
+    async scheduleWithdrawalWhitelistDisable(telegramId, delayHours) {
+        return await this.getOne(
+            `UPDATE users
+             SET withdrawal_whitelist_disable_at = COALESCE(withdrawal_whitelist_disable_at, NOW() + $2::int * INTERVAL '1 hour')
+             WHERE telegram_id = $1 AND withdrawal_whitelist_enabled = true
+             RETURNING withdrawal_whitelist_enabled, withdrawal_whitelist_disable_at`,
+            [telegramId, delayHours]
+        );
+    }
+
+    async getWithdrawalAddresses(telegramId) {
+        return await this.getMany(
+            'SELECT * FROM withdrawal_addresses WHERE telegram_id = $1 ORDER BY created_at',
+            [telegramId]
+        );
+    }
+
+    async getWithdrawalAddress(telegramId, address) {
+        return await this.getOne(
+            'SELECT * FROM withdrawal_addresses WHERE telegram_id = $1 AND address = LOWER($2)',
+            [telegramId, address]
+        );
+    }
+
+    /**
+     * Save an address that becomes usable after the cooling period. Null if it is already saved
+     */
+    async addWithdrawalAddress(telegramId, address, label, cooldownHours) {
+        return await this.getOne(
+            `INSERT INTO withdrawal_addresses (telegram_id, address, label, active_at)
+             VALUES ($1, LOWER($2), $3, NOW() + $4::int * INTERVAL '1 hour')
+             ON CONFLICT (telegram_id, address) DO NOTHING
+             RETURNING *`,
+            [telegramId, address, label, cooldownHours]
+        );
+    }
+
+    async removeWithdrawalAddress(telegramId, addressId) {
+        return await this.getOne(
+            'DELETE FROM withdrawal_addresses WHERE id = $1 AND telegram_id = $2 RETURNING *',
+            [addressId, telegramId]
+        );
+    }
+
+    // ===== POSITION PROTECTION METHODS =====
+
+    /**
+     * Get a single position entry of the active wallet
+     */
+    async getPositionEntry(telegramId, tokenAddress) {
+        const query = `
+            SELECT * FROM portfolio_entries 
+            WHERE telegram_id = $1 AND ${ACTIVE_WALLET_CLAUSE} AND LOWER(token_address) = LOWER($2)`;
+
+        return await this.getOne(query, [telegramId, tokenAddress]);
+    }
+
+    /**
+     * Set or clear (null) the stop-loss or take-profit percentage of a position
+     */
+    async updatePositionProtection(telegramId, tokenAddress, field, percent) {
+        const allowedFields = ['stop_loss_percent', 'take_profit_percent'];
+        if (!allowedFields.includes(field)) {
+            throw new Error(`Invalid protection field: ${field}`);
+        }
+
+        const query = `
+            UPDATE portfolio_entries 
+            SET ${field} = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE telegram_id = $1 AND ${ACTIVE_WALLET_CLAUSE} AND LOWER(token_address) = LOWER($2)
+            RETURNING *`;
+
+        const result = await this.getOne(query, [telegramId, tokenAddress, percent]);
+        await this.deleteCache(`portfolio:${telegramId}`);
+        return result;
+    }
+
+    /**
+     * Apply default stop-loss / take-profit to a position without overriding existing values
+     */
+    async applyDefaultPositionProtection(telegramId, walletAddress, tokenAddress, tokenSymbol, stopLossPercent, takeProfitPercent) {
+        const query = `
+            INSERT INTO portfolio_entries 
+            (telegram_id, wallet_address, token_address, token_symbol, stop_loss_percent, take_profit_percent, updated_at)
+            VALUES ($1, LOWER($6), $2, $3, $4, $5, CURRENT_TIMESTAMP)
+            ON CONFLICT (telegram_id, wallet_address, token_address)
+            DO UPDATE SET
+                stop_loss_percent = COALESCE(portfolio_entries.stop_loss_percent, EXCLUDED.stop_loss_percent),
+                take_profit_percent = COALESCE(portfolio_entries.take_profit_percent, EXCLUDED.take_profit_percent),
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *`;
+
+        const result = await this.getOne(query, [telegramId, tokenAddress, tokenSymbol, stopLossPercent, takeProfitPercent, walletAddress]);
+        await this.deleteCache(`portfolio:${telegramId}`);
+        return result;
+    }
+
+    /**
+     * Set or clear (null) the trailing stop of a position, resetting its peak price
+     */
+    async updateTrailingStop(telegramId, tokenAddress, percent, peakPrice) {
+        const query = `
+            UPDATE portfolio_entries 
+            SET trailing_stop_percent = $3, trailing_peak_price = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE telegram_id = $1 AND ${ACTIVE_WALLET_CLAUSE} AND LOWER(token_address) = LOWER($2)
+            RETURNING *`;
+
+        const result = await this.getOne(query, [telegramId, tokenAddress, percent, percent ? peakPrice : null]);
+        await this.deleteCache(`portfolio:${telegramId}`);
+        return result;
+    }
+
+    /**
+     * Raise the persisted trailing peak price (never lowers it)
+     */
+    async updateTrailingPeak(positionId, price) {
+        const query = `
+            UPDATE portfolio_entries 
+            SET trailing_peak_price = $2
+            WHERE id = $1 AND trailing_stop_percent IS NOT NULL
+            AND (trailing_peak_price IS NULL OR trailing_peak_price < $2)
+            RETURNING *`;
+
+        return await this.getOne(query, [positionId, price]);
+    }
+
+    /**
+     * Get all open positions with a stop-loss, take-profit or trailing stop configured
+     */
+    async getProtectedPositions() {
+        const query = `
+            SELECT * FROM portfolio_entries 
+            WHERE (stop_loss_percent IS NOT NULL OR take_profit_percent IS NOT NULL OR trailing_stop_percent IS NOT NULL)
+            AND average_buy_price > 0
+            AND current_balance > 0`;
+
+        return await this.getMany(query);
+    }
+
+    /**
+     * Atomically clear a position's protection so a trigger only fires once
+     */
+    async claimPositionProtection(positionId) {
+        const query = `
+            UPDATE portfolio_entries 
+            SET stop_loss_percent = NULL, take_profit_percent = NULL, 
+                trailing_stop_percent = NULL, trailing_peak_price = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 
+            AND (stop_loss_percent IS NOT NULL OR take_profit_percent IS NOT NULL OR trailing_stop_percent IS NOT NULL)
+            RETURNING *`;
+
+        return await this.getOne(query, [positionId]);
+    }
+
     // Graceful shutdown
     async close() {
         try {
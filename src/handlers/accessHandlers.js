@@ -0,0 +1,73 @@
+const { Markup } = require('telegraf');
+
+class AccessHandlers {
+    constructor(bot, accessCodeService, monitoring) {
+        this.bot = bot;
+        this.accessCodeService = accessCodeService;
+        this.monitoring = monitoring;
+    }
+
+    setupHandlers() {
+        this.bot.action('my_invite', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showInvite(ctx);
+        });
+    }
+
+    /**
+     * Ask a new user for their access code (shown by the access gate and handleStart)
+     */
+    async showAccessPrompt(ctx, error = null) {
+        const text = `🔐 *Invite Only*
+
+${error ? `❌ ${error}.\n\n` : ''}This bot is currently invite-only.
+Send your access code as a message, or open the invite link you received.`;
+
+        await ctx.replyWithMarkdown(text);
+    }
+
+    async showAccessGranted(ctx) {
+        const keyboard = Markup.inlineKeyboard([
+            [Markup.button.callback('🚀 Start Trading', 'start_trading')]
+        ]);
+        await ctx.replyWithMarkdown(`✅ *Access Granted*
+
+Welcome aboard! Tap below to create or import your wallet.`, keyboard);
+    }
+
+    /**
+     * The user's personal invite link and how many people joined with it
+     */
+    async showInvite(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            if (!this.accessCodeService.isEnabled()) {
+                await ctx.reply('ℹ️ The bot is open to everyone right now, no invite needed. Just share the bot link!');
+                return;
+            }
+
+            const invite = await this.accessCodeService.getInviteCode(userId);
+            const link = `https://t.me/${ctx.botInfo?.username || this.bot.botInfo?.username}?start=${invite.code}`;
+            const remaining = invite.max_uses ? invite.max_uses - invite.used_count : null;
+
+            await ctx.replyWithMarkdown(`🎟️ *Your Invite*
+
+• *Code:* \`${invite.code}\`
+• *Link:* \`${link}\`
+• *Joined:* ${invite.used_count}${remaining !== null ? ` (${remaining} invites left)` : ''}
+
+Friends can open the link or send the code to the bot to get access.`, {
+                disable_web_page_preview: true,
+                ...Markup.inlineKeyboard([
+                    [Markup.button.url('📤 Share Invite', `https://t.me/share/url?url=${encodeURIComponent(link)}`)]
+                ])
+            });
+        } catch (error) {
+            this.monitoring?.logError('Show invite failed', error, { userId });
+            await ctx.reply('❌ Error loading your invite. Please try again.');
+        }
+    }
+}
+
+module.exports = AccessHandlers;
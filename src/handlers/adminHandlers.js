@@ -0,0 +1,766 @@
+const { Markup } = require('telegraf');
+const TradingConfig = require('../trading/TradingConfig');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class AdminHandlers {
+    constructor(bot, database, security, adminRateLimitManager, accessCodeService, referralService, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.security = security;
+        this.adminRateLimitManager = adminRateLimitManager;
+        this.accessCodeService = accessCodeService;
+        this.referralService = referralService;
+        this.monitoring = monitoring;
+
+        this.roleRanks = { support: 1, admin: 2, owner: 3 };
+        // Minimum role per console command
+        this.permissions = {
+            user: 'support',
+            stats: 'support',
+            lock: 'admin',
+            unlock: 'admin',
+            broadcast: 'admin',
+            audit: 'admin',
+            fix_stuck: 'admin',
+            reset_user: 'admin',
+            check_user: 'support',
+            codes: 'support',
+            code: 'support',
+            codes_create: 'admin',
+            code_disable: 'admin',
+            referral_payouts: 'admin',
+            referral_paid: 'admin',
+            revenue: 'admin',
+            fee_tier: 'admin',
+            role: 'owner',
+            roles: 'owner'
+        };
+        // Owners from ADMIN_USER_ID (comma separated) always keep access, so the first owner can grant roles
+        this.ownerIds = (process.env.ADMIN_USER_ID || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => /^\d+$/.test(id));
+
+        this.defaultLockHours = 7 * 24;
+        this.recentTransactions = 5;
+        this.auditPageSize = 15;
+        // Telegram allows ~30 messages per second
+        this.broadcastDelayMs = 50;
+        // adminId -> broadcast text waiting for confirmation
+        this.pendingBroadcasts = new Map();
+        this.tradingConfig = new TradingConfig();
+        this.defaultRevenueDays = 30;
+    }
+
+    setupHandlers() {
+        this.bot.action('admin_panel', async (ctx) => {
+            await this.runAction(ctx, null, (role) => this.showPanel(ctx, role));
+        });
+
+        this.bot.action('admin_stats', async (ctx) => {
+            await this.runAction(ctx, 'stats', () => this.showStats(ctx));
+        });
+
+        this.bot.action('admin_audit', async (ctx) => {
+            await this.runAction(ctx, 'audit', () => this.showAuditLog(ctx));
+        });
+
+        this.bot.action('admin_revenue', async (ctx) => {
+            await this.runAction(ctx, 'revenue', () => this.showRevenue(ctx, this.defaultRevenueDays));
+        });
+
+        this.bot.action('admin_roles', async (ctx) => {
+            await this.runAction(ctx, 'roles', () => this.showRoles(ctx));
+        });
+
+        this.bot.action(/^admin_user_(\d+)$/, async (ctx) => {
+            await this.runAction(ctx, 'user', () => this.lookupUser(ctx, ctx.match[1]));
+        });
+
+        this.bot.action(/^admin_lock_(\d+)$/, async (ctx) => {
+            await this.runAction(ctx, 'lock', () => this.lockUser(ctx, ctx.match[1], this.defaultLockHours, null));
+        });
+
+        this.bot.action(/^admin_unlock_(\d+)$/, async (ctx) => {
+            await this.runAction(ctx, 'unlock', () => this.unlockUser(ctx, ctx.match[1]));
+        });
+
+        this.bot.action('admin_broadcast_confirm', async (ctx) => {
+            await this.runAction(ctx, 'broadcast', () => this.sendBroadcast(ctx));
+        });
+
+        this.bot.action('admin_broadcast_cancel', async (ctx) => {
+            this.pendingBroadcasts.delete(ctx.from.id);
+            await ctx.answerCbQuery('Broadcast cancelled');
+            await ctx.editMessageText('❌ Broadcast cancelled.').catch(() => {});
+        });
+    }
+
+    /**
+     * Role of a user, or null if they are not staff
+     */
+    async getRole(userId) {
+        if (this.ownerIds.includes(String(userId))) {
+            return 'owner';
+        }
+        return await this.database.getAdminRole(userId);
+    }
+
+    hasPermission(role, command) {
+        const required = this.permissions[command] || 'owner';
+        return Boolean(role) && this.roleRanks[role] >= this.roleRanks[required];
+    }
+
+    /**
+     * Write an admin action to the audit log; logging failures never block the action
+     */
+    async audit(ctx, action, target = null, details = {}) {
+        try {
+            await this.database.logAdminAction(ctx.from.id, action, target, details);
+        } catch (error) {
+            this.monitoring?.logError('Admin audit log failed', error, { adminId: ctx.from.id, action, target });
+        }
+    }
+
+    /**
+     * /admin [command] [args] (private chat only)
+     */
+    async handleAdminCommand(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            if (ctx.chat?.type !== 'private') {
+                return;
+            }
+
+            const role = await this.getRole(userId);
+            if (!role) {
+                await ctx.reply('❌ Access denied. Admin privileges required.');
+                return;
+            }
+
+            const args = ctx.message.text.split(/\s+/).slice(1);
+            if (args.length === 0) {
+                await this.showPanel(ctx, role);
+                return;
+            }
+
+            const command = args[0].toLowerCase();
+            if (!this.hasPermission(role, command)) {
+                await ctx.reply(this.permissions[command]
+                    ? `❌ ${command} requires the ${this.permissions[command]} role.`
+                    : `❌ Unknown admin command: ${command}\n\nSend /admin for the list of commands.`);
+                return;
+            }
+
+            await this.runCommand(ctx, command, args.slice(1));
+        } catch (error) {
+            this.monitoring?.logError('Admin command error', error, { userId });
+            await ctx.reply('❌ Error processing admin command.');
+        }
+    }
+
+    async runCommand(ctx, command, args) {
+        switch (command) {
+            case 'user':
+                if (!args[0]) {
+                    await ctx.reply('❌ Usage: /admin user <telegram_id|wallet>');
+                    return;
+                }
+                await this.lookupUser(ctx, args[0]);
+                return;
+
+            case 'lock': {
+                if (!/^\d+$/.test(args[0] || '')) {
+                    await ctx.reply('❌ Usage: /admin lock <telegram_id> [hours] [reason]');
+                    return;
+                }
+                const hasHours = /^\d+$/.test(args[1] || '');
+                const hours = hasHours ? parseInt(args[1]) : this.defaultLockHours;
+                const reason = args.slice(hasHours ? 2 : 1).join(' ') || null;
+                if (hours < 1) {
+                    await ctx.reply('❌ Lock duration must be at least 1 hour.');
+                    return;
+                }
+                await this.lockUser(ctx, args[0], hours, reason);
+                return;
+            }
+
+            case 'unlock':
+                if (!/^\d+$/.test(args[0] || '')) {
+                    await ctx.reply('❌ Usage: /admin unlock <telegram_id>');
+                    return;
+                }
+                await this.unlockUser(ctx, args[0]);
+                return;
+
+            case 'broadcast':
+                await this.prepareBroadcast(ctx, ctx.message.text.replace(/^\/admin(@\w+)?\s+broadcast\s*/i, '').trim());
+                return;
+
+            case 'stats':
+                await this.showStats(ctx);
+                return;
+
+            case 'audit':
+                await this.showAuditLog(ctx);
+                return;
+
+            case 'roles':
+                await this.showRoles(ctx);
+                return;
+
+            case 'role':
+                await this.setRole(ctx, args[0], (args[1] || '').toLowerCase());
+                return;
+
+            case 'codes_create':
+                await this.createCodes(ctx, args);
+                return;
+
+            case 'codes':
+                await this.showCodes(ctx);
+                return;
+
+            case 'code':
+                if (!args[0]) {
+                    await ctx.reply('❌ Usage: /admin code <CODE>');
+                    return;
+                }
+                await this.showCodeReport(ctx, args[0]);
+                return;
+
+            case 'code_disable':
+                if (!args[0]) {
+                    await ctx.reply('❌ Usage: /admin code_disable <CODE>');
+                    return;
+                }
+                await this.disableCode(ctx, args[0]);
+                return;
+
+            case 'referral_payouts':
+                await this.exportReferralPayouts(ctx, (args[0] || 'pending').toLowerCase());
+                return;
+
+            case 'referral_paid':
+                if (!/^\d+$/.test(args[0] || '') || !/^0x[a-fA-F0-9]{64}$/.test(args[1] || '')) {
+                    await ctx.reply('❌ Usage: /admin referral_paid <payout_id> <tx_hash>');
+                    return;
+                }
+                await this.markReferralPaid(ctx, args[0], args[1]);
+                return;
+
+            case 'revenue': {
+                const days = args[0] ? parseInt(args[0]) : this.defaultRevenueDays;
+                if (!/^\d*$/.test(args[0] || '') || days < 1 || days > 365) {
+                    await ctx.reply('❌ Usage: /admin revenue [days 1-365]');
+                    return;
+                }
+                await this.showRevenue(ctx, days);
+                return;
+            }
+
+            case 'fee_tier':
+                await this.setFeeTier(ctx, args[0], (args[1] || '').toLowerCase());
+                return;
+
+            default: {
+                // Rate limit maintenance (fix_stuck, reset_user, check_user)
+                const result = await this.adminRateLimitManager.handleAdminCommand(command, args);
+                await this.audit(ctx, `ratelimit_${command}`, args[0] || null, { args });
+                await ctx.reply(result, { parse_mode: 'Markdown' });
+            }
+        }
+    }
+
+    /**
+     * Callback wrapper: re-checks the role on every button press
+     */
+    async runAction(ctx, command, action) {
+        const userId = ctx.from.id;
+
+        try {
+            const role = await this.getRole(userId);
+            if (!role || (command && !this.hasPermission(role, command))) {
+                await ctx.answerCbQuery('❌ Access denied', { show_alert: true });
+                return;
+            }
+            await ctx.answerCbQuery();
+            await action(role);
+        } catch (error) {
+            this.monitoring?.logError('Admin action failed', error, { userId, command });
+            await ctx.reply('❌ Error processing admin command.');
+        }
+    }
+
+    async showPanel(ctx, role = null) {
+        role = role || await this.getRole(ctx.from.id);
+        const commands = [
+            ['user', '`/admin user <id|wallet>` - User details, settings, transactions'],
+            ['stats', '`/admin stats` - Bot statistics'],
+            ['lock', '`/admin lock <id> [hours] [reason]` - Lock an account'],
+            ['unlock', '`/admin unlock <id>` - Unlock an account'],
+            ['broadcast', '`/admin broadcast <message>` - Message every active user'],
+            ['audit', '`/admin audit` - Recent admin actions'],
+            ['check_user', '`/admin check_user <id>` - Rate limit report'],
+            ['reset_user', '`/admin reset_user <id> <operation>` - Reset a rate limit'],
+            ['fix_stuck', '`/admin fix_stuck` - Fix all stuck rate limits'],
+            ['codes', '`/admin codes` - Access codes and how many joined'],
+            ['code', '`/admin code <CODE>` - Who joined through a code'],
+            ['codes_create', '`/admin codes_create <count> [uses|0] [days|0] [note]` - Mint access codes (0 = unlimited / no expiry)'],
+            ['code_disable', '`/admin code_disable <CODE>` - Disable an access code'],
+            ['referral_payouts', '`/admin referral_payouts [pending|paid|all]` - Export referral payouts (CSV)'],
+            ['referral_paid', '`/admin referral_paid <id> <tx_hash>` - Mark a referral payout as paid'],
+            ['revenue', '`/admin revenue [days]` - Platform fee revenue'],
+            ['fee_tier', '`/admin fee_tier <id> <standard|referred|vip|exempt|auto>` - Set a user\'s fee tier'],
+            ['role', '`/admin role <id> <owner|admin|support|none>` - Grant or revoke a role']
+        ];
+
+        const buttons = [[Markup.button.callback('📊 Stats', 'admin_stats')]];
+        if (this.hasPermission(role, 'audit')) {
+            buttons[0].push(Markup.button.callback('📜 Audit Log', 'admin_audit'));
+        }
+        if (this.hasPermission(role, 'revenue')) {
+            buttons[0].push(Markup.button.callback('💸 Revenue', 'admin_revenue'));
+        }
+        if (this.hasPermission(role, 'roles')) {
+            buttons.push([Markup.button.callback('👥 Staff & Roles', 'admin_roles')]);
+        }
+
+        const text = `🔧 *Admin Console* | ${role}
+
+${commands.filter(([command]) => this.hasPermission(role, command)).map(([, line]) => `• ${line}`).join('\n')}`;
+
+        await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    /**
+     * Profile, lock state, settings and recent transactions of a user (by Telegram ID or wallet)
+     */
+    async lookupUser(ctx, query) {
+        const user = /^0x[a-fA-F0-9]{40}$/.test(query)
+            ? await this.database.findUserByWallet(query)
+            : /^\d+$/.test(query) ? await this.database.getUser(query) : null;
+
+        await this.audit(ctx, 'user_lookup', query, { found: Boolean(user) });
+
+        if (!user) {
+            await ctx.reply('❌ User not found. Use a Telegram ID or a wallet address.');
+            return;
+        }
+
+        const userId = user.telegram_id;
+        const [settings, wallets, transactions, transactionCount, lock, role] = await Promise.all([
+            this.database.getUserSettings(userId),
+            this.database.getUserWallets(userId),
+            this.database.getUserTransactions(userId, this.recentTransactions),
+            this.database.getUserTransactionCount(userId),
+            this.security.checkUserLock(userId),
+            this.getRole(userId)
+        ]);
+
+        const lockText = lock.locked
+            ? `🔒 Locked until ${lock.until.toISOString().slice(0, 16).replace('T', ' ')} UTC${lock.reason ? ` (${TelegramUtils.stripMarkdown(lock.reason)})` : ''}`
+            : '🔓 Not locked';
+
+        const settingsText = settings
+            ? `• *Buy:* ${this.formatGwei(settings.gas_price)} gwei · ${parseFloat(settings.slippage_tolerance)}% slippage
+• *Sell:* ${this.formatGwei(settings.sell_gas_price)} gwei · ${parseFloat(settings.sell_slippage_tolerance)}% slippage
+• *Auto Buy:* ${settings.auto_buy_enabled ? `ON (${parseFloat(settings.auto_buy_amount)} MON)` : 'OFF'}
+• *Turbo:* ${settings.turbo_mode ? 'ON' : 'OFF'}`
+            : '_No settings saved_';
+
+        const transactionLines = transactions.map(tx =>
+            `• ${tx.created_at ? new Date(tx.created_at).toISOString().slice(0, 10) : '—'} ${tx.type} ${parseFloat(tx.amount)} ${TelegramUtils.stripMarkdown(tx.token_symbol || 'Token')} · ${tx.status}`
+        );
+
+        const walletLines = wallets.length > 0
+            ? wallets.map(wallet => `• ${TelegramUtils.stripMarkdown(wallet.name)}${wallet.is_active ? ' (active)' : ''}: \`${wallet.wallet_address}\``).join('\n')
+            : `• \`${user.wallet_address || 'No wallet'}\``;
+
+        const text = `👤 *User ${userId}*${user.username ? ` | @${TelegramUtils.stripMarkdown(user.username)}` : ''}
+
+• *Joined:* ${user.created_at ? new Date(user.created_at).toISOString().slice(0, 10) : '—'}
+• *Last Active:* ${user.last_activity ? new Date(user.last_activity).toISOString().slice(0, 16).replace('T', ' ') : '—'}
+• *Status:* ${lockText}${role ? `\n• *Staff Role:* ${role}` : ''}
+
+*Wallets*
+${walletLines}
+
+*Settings*
+${settingsText}
+
+*Transactions* (${transactionCount} total)
+${transactionLines.length > 0 ? transactionLines.join('\n') : '_None_'}`;
+
+        const buttons = [[
+            lock.locked
+                ? Markup.button.callback('🔓 Unlock', `admin_unlock_${userId}`)
+                : Markup.button.callback(`🔒 Lock ${this.defaultLockHours / 24}d`, `admin_lock_${userId}`),
+            Markup.button.callback('🔄 Refresh', `admin_user_${userId}`)
+        ], [Markup.button.callback('🔙 Admin Console', 'admin_panel')]];
+
+        await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+    }
+
+    async lockUser(ctx, userId, hours, reason) {
+        if (String(userId) === String(ctx.from.id)) {
+            await ctx.reply('❌ You cannot lock your own account.');
+            return;
+        }
+        const targetRole = await this.getRole(userId);
+        if (targetRole && this.roleRanks[targetRole] >= this.roleRanks[await this.getRole(ctx.from.id)]) {
+            await ctx.reply('❌ You cannot lock staff with the same or a higher role.');
+            return;
+        }
+
+        await this.security.lockUser(userId, reason || 'Locked by an administrator', hours * 3600, ctx.from.id);
+        await this.audit(ctx, 'user_lock', userId, { hours, reason });
+        this.monitoring?.logInfo('User locked by admin', { adminId: ctx.from.id, userId, hours });
+
+        await ctx.reply(`🔒 User \`${userId}\` locked for ${hours}h${reason ? `: ${TelegramUtils.stripMarkdown(reason)}` : ''}.`, { parse_mode: 'Markdown' });
+    }
+
+    async unlockUser(ctx, userId) {
+        const wasLocked = await this.security.unlockUser(userId, ctx.from.id);
+        await this.audit(ctx, 'user_unlock', userId, { wasLocked });
+        this.monitoring?.logInfo('User unlocked by admin', { adminId: ctx.from.id, userId });
+
+        await ctx.reply(wasLocked
+            ? `🔓 User \`${userId}\` unlocked.`
+            : `⚠️ User \`${userId}\` was not locked.`, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * Show a preview; the message is only sent after confirmation
+     */
+    async prepareBroadcast(ctx, text) {
+        if (!text) {
+            await ctx.reply('❌ Usage: /admin broadcast <message>');
+            return;
+        }
+
+        const recipients = await this.database.getBroadcastRecipients();
+        this.pendingBroadcasts.set(ctx.from.id, text);
+
+        await ctx.reply(`📢 Broadcast preview (${recipients.length} users):
+
+${text}`, Markup.inlineKeyboard([[
+            Markup.button.callback('✅ Send', 'admin_broadcast_confirm'),
+            Markup.button.callback('❌ Cancel', 'admin_broadcast_cancel')
+        ]]));
+    }
+
+    async sendBroadcast(ctx) {
+        const adminId = ctx.from.id;
+        const text = this.pendingBroadcasts.get(adminId);
+        if (!text) {
+            await ctx.reply('❌ No broadcast waiting for confirmation.');
+            return;
+        }
+        this.pendingBroadcasts.delete(adminId);
+
+        const recipients = await this.database.getBroadcastRecipients();
+        await this.audit(ctx, 'broadcast', null, { recipients: recipients.length, text: text.substring(0, 500) });
+        await ctx.editMessageText(`📢 Sending broadcast to ${recipients.length} users...`).catch(() => {});
+
+        // Runs past the update handler timeout for large user bases
+        this.deliverBroadcast(adminId, recipients, text).catch(error => {
+            this.monitoring?.logError('Broadcast failed', error, { adminId });
+        });
+    }
+
+    async deliverBroadcast(adminId, recipients, text) {
+        let delivered = 0;
+        let failed = 0;
+
+        for (const recipient of recipients) {
+            try {
+                await this.bot.telegram.sendMessage(recipient, text, { disable_web_page_preview: true });
+                delivered++;
+            } catch (error) {
+                // Blocked the bot or deleted the chat
+                failed++;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.broadcastDelayMs));
+        }
+
+        this.monitoring?.logInfo('Broadcast delivered', { adminId, delivered, failed });
+        await this.bot.telegram.sendMessage(adminId, `📢 Broadcast finished: ${delivered} delivered, ${failed} failed.`);
+    }
+
+    async showStats(ctx) {
+        const stats = await this.database.getBotStats();
+        await this.audit(ctx, 'stats_view');
+
+        const text = `📊 *Bot Statistics*
+
+• *Users:* ${stats.total_users} (${stats.new_users_24h} new in 24h)
+• *Active 24h:* ${stats.active_users_24h}
+• *Transactions 24h:* ${stats.transactions_24h}
+• *Volume 24h:* ${parseFloat(stats.volume_24h).toFixed(2)} MON
+• *Pending Transactions:* ${stats.pending_transactions}
+
+_Updated ${new Date().toUTCString().slice(17, 22)} UTC_`;
+
+        await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard([[
+            Markup.button.callback('🔄 Refresh', 'admin_stats'),
+            Markup.button.callback('🔙 Admin Console', 'admin_panel')
+        ]]));
+    }
+
+    async showAuditLog(ctx) {
+        const entries = await this.database.getAdminAuditLog(this.auditPageSize);
+        await this.audit(ctx, 'audit_view');
+
+        const lines = entries.map(entry =>
+            `• ${new Date(entry.created_at).toISOString().slice(5, 16).replace('T', ' ')} \`${entry.admin_id}\` ${TelegramUtils.stripMarkdown(entry.action)}${entry.target ? ` → ${TelegramUtils.stripMarkdown(entry.target)}` : ''}`
+        );
+
+        await TelegramUtils.sendOrEdit(ctx, `📜 *Admin Audit Log* | last ${this.auditPageSize}
+
+${lines.length > 0 ? lines.join('\n') : '_No admin actions yet_'}`, Markup.inlineKeyboard([[
+            Markup.button.callback('🔄 Refresh', 'admin_audit'),
+            Markup.button.callback('🔙 Admin Console', 'admin_panel')
+        ]]));
+    }
+
+    async showRoles(ctx) {
+        const admins = await this.database.getAdmins();
+        const lines = [
+            ...this.ownerIds.map(id => `• \`${id}\` owner (ADMIN\\_USER\\_ID)`),
+            ...admins
+                .filter(admin => !this.ownerIds.includes(String(admin.telegram_id)))
+                .map(admin => `• \`${admin.telegram_id}\` ${admin.role}`)
+        ];
+
+        await TelegramUtils.sendOrEdit(ctx, `👥 *Staff & Roles*
+
+${lines.length > 0 ? lines.join('\n') : '_No staff configured_'}
+
+Change with \`/admin role <id> <owner|admin|support|none>\``, Markup.inlineKeyboard([[
+            Markup.button.callback('🔙 Admin Console', 'admin_panel')
+        ]]));
+    }
+
+    async setRole(ctx, userId, role) {
+        if (!/^\d+$/.test(userId || '') || !(role in this.roleRanks || role === 'none')) {
+            await ctx.reply('❌ Usage: /admin role <telegram_id> <owner|admin|support|none>');
+            return;
+        }
+        if (this.ownerIds.includes(String(userId))) {
+            await ctx.reply('❌ Owners from ADMIN_USER_ID can only be changed in the configuration.');
+            return;
+        }
+
+        if (role === 'none') {
+            const removed = await this.database.removeAdminRole(userId);
+            await this.audit(ctx, 'role_revoke', userId, { previousRole: removed?.role || null });
+            await ctx.reply(removed ? `✅ Role removed from \`${userId}\`.` : `⚠️ \`${userId}\` has no role.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        await this.database.setAdminRole(userId, role, ctx.from.id);
+        await this.audit(ctx, 'role_grant', userId, { role });
+        await ctx.reply(`✅ \`${userId}\` is now ${role}.`, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * /admin codes_create <count> [uses|0] [days|0] [note]
+     */
+    async createCodes(ctx, args) {
+        const [count, uses = '1', days = '0', ...note] = args;
+        if (!/^\d+$/.test(count || '') || !/^\d+$/.test(uses) || !/^\d+$/.test(days) || parseInt(count) < 1) {
+            await ctx.reply('❌ Usage: /admin codes_create <count> [uses|0] [days|0] [note]\n\nExample: /admin codes_create 10 1 7 Twitter giveaway');
+            return;
+        }
+
+        const maxUses = parseInt(uses) || null;
+        const expiresInDays = parseInt(days) || null;
+        const description = note.join(' ').substring(0, 200) || null;
+        const codes = await this.accessCodeService.mintCodes(count, { maxUses, expiresInDays, description }, ctx.from.id);
+        await this.audit(ctx, 'codes_create', null, { count: codes.length, maxUses, expiresInDays, description });
+
+        const botUsername = ctx.botInfo?.username || this.bot.botInfo?.username;
+        const gateNote = this.accessCodeService.isEnabled() ? '' : '\n\n⚠️ The access gate is off (ACCESS\\_CODES\\_ENABLED), codes are not required yet.';
+
+        await ctx.replyWithMarkdown(`🎟️ *${codes.length} access code${codes.length === 1 ? '' : 's'} created*
+• *Uses:* ${maxUses || 'unlimited'} each · *Expires:* ${expiresInDays ? `in ${expiresInDays}d` : 'never'}
+
+${codes.map(code => `\`${code.code}\``).join('\n')}
+
+Invite link: \`https://t.me/${botUsername}?start=<CODE>\`${gateNote}`);
+    }
+
+    async showCodes(ctx) {
+        const codes = await this.database.getAccessCodeReport(20);
+        await this.audit(ctx, 'codes_view');
+
+        const lines = codes.map(code => {
+            const expired = code.expires_at && new Date(code.expires_at) <= new Date();
+            const status = !code.is_active ? '⛔' : expired ? '⌛' : '✅';
+            return `${status} \`${code.code}\` ${code.used_count}/${code.max_uses || '∞'} used · ${code.users_count} joined${code.description ? ` · ${TelegramUtils.stripMarkdown(code.description)}` : ''}`;
+        });
+
+        await ctx.replyWithMarkdown(`🎟️ *Access Codes* | last 20 (invites excluded)
+
+${lines.length > 0 ? lines.join('\n') : '_No codes yet_'}
+
+\`/admin code <CODE>\` shows who joined.`);
+    }
+
+    async showCodeReport(ctx, rawCode) {
+        const code = this.accessCodeService.normalizeCode(rawCode);
+        const accessCode = await this.database.getAccessCode(code);
+        await this.audit(ctx, 'code_view', code, { found: Boolean(accessCode) });
+
+        if (!accessCode) {
+            await ctx.reply('❌ Access code not found.');
+            return;
+        }
+
+        const users = await this.database.getAccessCodeUsers(code);
+        const lines = users.map(user =>
+            `• \`${user.telegram_id}\`${user.username ? ` @${TelegramUtils.stripMarkdown(user.username)}` : ''} · ${new Date(user.access_granted_at).toISOString().slice(0, 10)}`
+        );
+
+        await ctx.replyWithMarkdown(`🎟️ *Code* \`${accessCode.code}\` | ${accessCode.code_type}
+
+• *Created By:* \`${accessCode.created_by}\` on ${new Date(accessCode.created_at).toISOString().slice(0, 10)}
+• *Uses:* ${accessCode.used_count}/${accessCode.max_uses || '∞'}
+• *Expires:* ${accessCode.expires_at ? new Date(accessCode.expires_at).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'never'}
+• *Status:* ${accessCode.is_active ? 'active' : 'disabled'}${accessCode.description ? `\n• *Note:* ${TelegramUtils.stripMarkdown(accessCode.description)}` : ''}
+
+*Joined* (${users.length})
+${lines.length > 0 ? lines.join('\n') : '_Nobody yet_'}`);
+    }
+
+    async disableCode(ctx, rawCode) {
+        const code = this.accessCodeService.normalizeCode(rawCode);
+        const disabled = await this.database.deactivateAccessCode(code);
+        await this.audit(ctx, 'code_disable', code, { found: Boolean(disabled) });
+
+        await ctx.reply(disabled ? `⛔ Access code ${code} disabled.` : '❌ Access code not found.');
+    }
+
+    /**
+     * Send referral payout requests as a CSV document
+     */
+    async exportReferralPayouts(ctx, status) {
+        if (!['pending', 'paid', 'all'].includes(status)) {
+            await ctx.reply('❌ Usage: /admin referral_payouts [pending|paid|all]');
+            return;
+        }
+
+        const report = await this.referralService.exportPayouts(status === 'all' ? null : status);
+        await this.audit(ctx, 'referral_payouts_export', status, { count: report.count, total: report.total });
+
+        if (report.count === 0) {
+            await ctx.reply(`No ${status === 'all' ? '' : `${status} `}referral payouts.`);
+            return;
+        }
+
+        await ctx.replyWithDocument({
+            source: Buffer.from(report.csv),
+            filename: `referral_payouts_${status}_${new Date().toISOString().slice(0, 10)}.csv`
+        }, {
+            caption: `🤝 ${report.count} ${status} payouts · ${report.total.toFixed(4)} MON total`
+        });
+    }
+
+    async markReferralPaid(ctx, payoutId, txHash) {
+        const payout = await this.database.markReferralPayoutPaid(payoutId, txHash);
+        await this.audit(ctx, 'referral_paid', payoutId, { txHash, found: Boolean(payout) });
+
+        if (!payout) {
+            await ctx.reply('❌ Pending payout not found.');
+            return;
+        }
+
+        await ctx.reply(`✅ Payout #${payout.id} (${parseFloat(payout.amount).toFixed(4)} MON to user ${payout.telegram_id}) marked as paid.`);
+        try {
+            await this.bot.telegram.sendMessage(payout.telegram_id, `💰 Your referral payout of ${parseFloat(payout.amount).toFixed(4)} MON was sent.\n\nTx: ${txHash}`);
+        } catch (error) {
+            // User blocked the bot
+        }
+    }
+
+    /**
+     * Platform fee revenue over the last days, by tier / side and per day
+     */
+    async showRevenue(ctx, days) {
+        const { totals, byTier, daily } = await this.database.getRevenueSummary(days);
+        await this.audit(ctx, 'revenue_view', null, { days });
+
+        const fee = this.tradingConfig.platformFee;
+        const tierRates = Object.keys(fee.tiers)
+            .map(tier => `${tier} ${this.tradingConfig.getPlatformFeeBps(tier) / 100}%`)
+            .join(' · ');
+        const status = this.tradingConfig.isPlatformFeeEnabled()
+            ? `✅ On → \`${fee.wallet}\``
+            : '⛔ Off (set PLATFORM\\_FEE\\_WALLET)';
+
+        const tierLines = byTier.map(row =>
+            `• ${row.fee_tier} ${row.side}: ${row.trades} trades · ${this.formatMon(row.collected)} MON`
+        );
+        const dayLines = daily.map(row =>
+            `• ${new Date(row.day).toISOString().slice(0, 10)}: ${this.formatMon(row.collected)} MON (${row.trades} trades)`
+        );
+
+        const text = `💸 *Platform Revenue* | last ${days}d
+
+• *Fee:* ${status}
+• *Rates:* ${tierRates}
+
+• *Collected:* ${this.formatMon(totals.collected)} MON (${totals.collected_count} trades)
+• *Failed:* ${this.formatMon(totals.failed)} MON (${totals.failed_count} trades)
+• *Fee-Charged Volume:* ${this.formatMon(totals.volume)} MON
+• *Paying Users:* ${totals.users}
+• *Referral Payouts Pending:* ${this.formatMon(totals.referral_pending)} MON
+
+*By Tier*
+${tierLines.length > 0 ? tierLines.join('\n') : '_No fees yet_'}
+
+*Recent Days*
+${dayLines.length > 0 ? dayLines.join('\n') : '_No fees yet_'}`;
+
+        await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard([[
+            Markup.button.callback('🔄 Refresh', 'admin_revenue'),
+            Markup.button.callback('🔙 Admin Console', 'admin_panel')
+        ]]));
+    }
+
+    /**
+     * Pin a user's fee tier; auto clears it (referred or standard)
+     */
+    async setFeeTier(ctx, userId, tier) {
+        if (!/^\d+$/.test(userId || '') || !(this.tradingConfig.isValidFeeTier(tier) || tier === 'auto')) {
+            await ctx.reply('❌ Usage: /admin fee_tier <telegram_id> <standard|referred|vip|exempt|auto>');
+            return;
+        }
+
+        const updated = await this.database.setUserFeeTier(userId, tier === 'auto' ? null : tier);
+        await this.audit(ctx, 'fee_tier_set', userId, { tier, found: Boolean(updated) });
+
+        if (!updated) {
+            await ctx.reply('❌ User not found.');
+            return;
+        }
+
+        await ctx.reply(tier === 'auto'
+            ? `✅ User ${userId} is back on the automatic fee tier.`
+            : `✅ User ${userId} now pays the ${tier} fee (${this.tradingConfig.getPlatformFeeBps(tier) / 100}%).`);
+    }
+
+    formatMon(amount) {
+        const value = parseFloat(amount) || 0;
+        if (value > 0 && value < 0.0001) return '<0.0001';
+        return value === 0 ? '0' : value.toFixed(4).replace(/\.?0+$/, '');
+    }
+
+    formatGwei(wei) {
+        return wei ? (Number(wei) / 1e9).toFixed(0) : '—';
+    }
+}
+
+module.exports = AdminHandlers;
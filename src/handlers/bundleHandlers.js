@@ -0,0 +1,309 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class BundleHandlers {
+    constructor(bot, database, tradingEngine, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.tradingEngine = tradingEngine;
+        this.monitoring = monitoring;
+
+        this.explorerUrl = 'https://testnet.monadexplorer.com/tx/';
+    }
+
+    setupHandlers() {
+        // Split one buy across all wallets (from the buy screen)
+        this.bot.action('bundle_buy', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startBundleBuy(ctx);
+        });
+
+        // Sell the same percentage from every wallet holding the token (from the sell screen)
+        this.bot.action('bundle_sell', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showBundleSell(ctx);
+        });
+
+        this.bot.action(/^bundle_sell_(\d+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.executeBundleSell(ctx, parseInt(ctx.match[1], 10));
+        });
+    }
+
+    /**
+     * Ask for the total MON to split across the user's wallets
+     */
+    async startBundleBuy(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const userState = await this.database.getUserState(userId);
+            const tokenAddress = userState?.data?.tokenAddress;
+            if (userState?.state !== 'token_selected' || !tokenAddress) {
+                await ctx.reply('❌ Token selection expired. Please select a token again.');
+                return;
+            }
+
+            const wallets = await this.database.getUserWallets(userId);
+            if (wallets.length < 2) {
+                await ctx.reply('❌ Bundle trades need at least 2 wallets. Add one from the 👛 Wallet menu.');
+                return;
+            }
+
+            const tokenSymbol = userState.data.tokenInfo?.symbol || 'Token';
+            await this.database.setUserState(userId, 'awaiting_bundle_buy', { tokenAddress, tokenSymbol });
+
+            const text = `📦 *Bundle Buy* | *${tokenSymbol}*
+
+\`${tokenAddress}\`
+
+Send the total MON to split evenly across your ${wallets.length} wallets:
+${wallets.map(wallet => `• ${wallet.name}`).join('\n')}
+
+**Example:** \`${wallets.length}\` _(1 MON from each wallet)_`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start bundle buy failed', error, { userId });
+            await ctx.reply('❌ Error starting bundle buy. Please try again.');
+        }
+    }
+
+    /**
+     * Split the entered amount and buy from every wallet concurrently
+     */
+    async processBundleBuyInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { tokenAddress, tokenSymbol } = userState.data || {};
+            if (!tokenAddress) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const totalAmount = parseFloat(ctx.message.text.trim());
+            if (isNaN(totalAmount) || totalAmount <= 0) {
+                await ctx.reply('❌ Please enter a valid MON amount greater than 0.');
+                return;
+            }
+
+            const wallets = await this.database.getUserWallets(userId);
+            if (wallets.length < 2) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Bundle trades need at least 2 wallets.');
+                return;
+            }
+            await this.database.clearUserState(userId);
+
+            const amountPerWallet = parseFloat((totalAmount / wallets.length).toFixed(6));
+            const processingMsg = await ctx.reply(`🔄 Buying ${tokenSymbol} with ${amountPerWallet} MON from ${wallets.length} wallets...`);
+
+            const bundle = await this.runBundle(userId, 'buy', tokenAddress, wallets.map(wallet => ({
+                wallet,
+                amount: amountPerWallet
+            })));
+
+            await this.sendSummary(ctx, processingMsg, bundle, tokenAddress, tokenSymbol);
+        } catch (error) {
+            this.monitoring?.logError('Bundle buy failed', error, { userId });
+            await ctx.reply('❌ Error executing bundle buy. Please try again.');
+        }
+    }
+
+    /**
+     * Show the token balance of every wallet and the percentage buttons
+     */
+    async showBundleSell(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const userState = await this.database.getUserState(userId);
+            const tokenAddress = userState?.data?.tokenAddress;
+            if (userState?.state !== 'selling_token' || !tokenAddress) {
+                await ctx.reply('❌ Token selection expired. Please select a token again.');
+                return;
+            }
+            const tokenSymbol = userState.data.tokenSymbol || 'Token';
+
+            const holdings = await this.getHoldings(userId, tokenAddress);
+            if (holdings.length === 0) {
+                await ctx.reply(`❌ None of your wallets hold ${tokenSymbol}.`);
+                return;
+            }
+
+            const userSettings = await this.database.getUserSettings(userId);
+            let customPercentages = userSettings?.custom_sell_percentages || '25,50,75,100';
+            if (typeof customPercentages !== 'string') {
+                customPercentages = '25,50,75,100';
+            }
+            const percentages = customPercentages.split(',')
+                .map(value => parseInt(value.trim(), 10))
+                .filter(value => value > 0 && value <= 100);
+
+            const text = `📦 *Bundle Sell* | *${tokenSymbol}*
+
+*Holdings (${holdings.length} wallets):*
+${holdings.map(({ wallet, balance }) => `• ${wallet.name}: ${balance.toFixed(6)} ${tokenSymbol}`).join('\n')}
+
+_🎯 Select the percentage to sell from every wallet:_`;
+
+            const buttons = [];
+            for (let i = 0; i < percentages.length; i += 2) {
+                buttons.push(percentages.slice(i, i + 2).map(percentage =>
+                    Markup.button.callback(`${percentage}%`, `bundle_sell_${percentage}`)
+                ));
+            }
+            buttons.push([Markup.button.callback('🔙 Back to Portfolio', 'portfolio')]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show bundle sell failed', error, { userId });
+            await ctx.reply('❌ Error loading bundle sell. Please try again.');
+        }
+    }
+
+    /**
+     * Sell the chosen percentage from every wallet holding the token
+     */
+    async executeBundleSell(ctx, percentage) {
+        const userId = ctx.from.id;
+
+        try {
+            const userState = await this.database.getUserState(userId);
+            const tokenAddress = userState?.data?.tokenAddress;
+            if (userState?.state !== 'selling_token' || !tokenAddress) {
+                await ctx.reply('❌ Token selection expired. Please select a token again.');
+                return;
+            }
+            if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+                await ctx.reply('❌ Invalid percentage. Please try again.');
+                return;
+            }
+            const tokenSymbol = userState.data.tokenSymbol || 'Token';
+
+            // Re-read balances so the amounts match what each wallet holds right now
+            const holdings = await this.getHoldings(userId, tokenAddress);
+            if (holdings.length === 0) {
+                await ctx.reply(`❌ None of your wallets hold ${tokenSymbol}.`);
+                return;
+            }
+            await this.database.clearUserState(userId);
+
+            // Use 99.99% for 100% to avoid precision issues with fees
+            const effectivePercentage = percentage === 100 ? 99.99 : percentage;
+            const processingMsg = await ctx.editMessageText(`🔄 Selling ${percentage}% of ${tokenSymbol} from ${holdings.length} wallets...`);
+
+            const bundle = await this.runBundle(userId, 'sell', tokenAddress, holdings.map(({ wallet, balance }) => ({
+                wallet,
+                amount: (balance * effectivePercentage / 100).toString()
+            })), { percentage: effectivePercentage });
+
+            await this.sendSummary(ctx, processingMsg, bundle, tokenAddress, tokenSymbol);
+        } catch (error) {
+            this.monitoring?.logError('Bundle sell failed', error, { userId, percentage });
+            await ctx.reply('❌ Error executing bundle sell. Please try again.');
+        }
+    }
+
+    async runBundle(userId, action, tokenAddress, legs, metadata = {}) {
+        const [user, userSettings] = await Promise.all([
+            this.database.getUser(userId),
+            this.database.getUserSettings(userId)
+        ]);
+
+        const bundle = await this.tradingEngine.executeBundle({
+            type: userSettings?.turbo_mode ? 'turbo' : 'normal',
+            action,
+            userId,
+            tokenAddress,
+            legs,
+            preloadedUser: user,
+            preloadedSettings: userSettings,
+            metadata
+        });
+
+        this.monitoring?.logInfo('Bundle trade executed', {
+            userId,
+            action,
+            tokenAddress,
+            wallets: legs.length,
+            successCount: bundle.successCount,
+            executionTime: bundle.executionTime
+        });
+        return bundle;
+    }
+
+    /**
+     * Wallets holding a non-zero balance of the token
+     */
+    async getHoldings(userId, tokenAddress) {
+        const wallets = await this.database.getUserWallets(userId);
+        const holdings = await Promise.all(wallets.map(async (wallet) => {
+            try {
+                const tokens = await this.tradingEngine.monorailAPI.getWalletBalance(wallet.wallet_address, true);
+                const token = (tokens || []).find(item => (item.address || '').toLowerCase() === tokenAddress.toLowerCase());
+                return { wallet, balance: parseFloat(token?.balance || 0) };
+            } catch (error) {
+                this.monitoring?.logError('Bundle balance fetch failed', error, { userId, walletId: wallet.id });
+                return { wallet, balance: 0 };
+            }
+        }));
+        return holdings.filter(holding => holding.balance > 0);
+    }
+
+    /**
+     * Combined result message: successes, failures and totals
+     */
+    async sendSummary(ctx, processingMsg, bundle, tokenAddress, tokenSymbol) {
+        const isBuy = bundle.action === 'buy';
+        const lines = bundle.results.map(result => {
+            const name = TelegramUtils.stripMarkdown(result.wallet.name);
+            if (!result.success) {
+                return `❌ ${name} - ${TelegramUtils.stripMarkdown((result.error || 'Unknown error').split('\n')[0])}`;
+            }
+            const detail = isBuy
+                ? `${parseFloat(result.monAmount || 0)} MON → ${parseFloat(result.actualTokenAmount || 0).toFixed(4)} ${tokenSymbol}`
+                : `${parseFloat(result.tokenAmount || 0).toFixed(4)} ${tokenSymbol} → ${parseFloat(result.monReceived || 0).toFixed(4)} MON`;
+            return `✅ ${name} - ${detail} · [Tx](${this.explorerUrl}${result.txHash})`;
+        });
+
+        const totals = isBuy
+            ? `• *Spent:* ${parseFloat(bundle.totalSpent.toFixed(6))} MON
+• *Tokens Acquired:* ${bundle.totalTokens.toFixed(4)} ${tokenSymbol}`
+            : `• *Tokens Sold:* ${bundle.totalTokens.toFixed(4)} ${tokenSymbol}
+• *Received:* ${bundle.totalReceived.toFixed(4)} MON`;
+
+        const text = `📦 *Bundle ${isBuy ? 'Buy' : 'Sell'}* | *${tokenSymbol}*
+
+• *Wallets:* ${bundle.successCount}/${bundle.results.length} succeeded${bundle.failureCount > 0 ? ` (${bundle.failureCount} failed)` : ''}
+${totals}
+
+${lines.join('\n')}`;
+
+        const keyboard = Markup.inlineKeyboard([
+            [
+                Markup.button.callback('🔄 View Token', `refresh_token_${tokenAddress}`),
+                Markup.button.callback('📊 Portfolio', 'portfolio')
+            ],
+            [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+        ]);
+        const options = {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard.reply_markup,
+            disable_web_page_preview: true
+        };
+
+        try {
+            await ctx.telegram.editMessageText(processingMsg.chat.id, processingMsg.message_id, undefined, text, options);
+        } catch (error) {
+            await ctx.reply(text, options);
+        }
+    }
+}
+
+module.exports = BundleHandlers;
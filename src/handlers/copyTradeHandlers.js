@@ -0,0 +1,299 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class CopyTradeHandlers {
+    constructor(bot, database, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monitoring = monitoring;
+
+        this.maxActiveFollows = 5;
+        this.maxBlacklistSize = 50;
+    }
+
+    setupHandlers() {
+        // List follows (from /copy and settings)
+        this.bot.action('copy_trading', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showFollows(ctx);
+        });
+
+        this.bot.action('copy_add', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startFollowCreation(ctx);
+        });
+
+        this.bot.action(/^copy_(pause|resume|stop|sells)_(\d+)$/, async (ctx) => {
+            await this.updateFollow(ctx, ctx.match[1], ctx.match[2]);
+        });
+
+        this.bot.action(/^copy_blacklist_(\d+)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startBlacklistEdit(ctx, ctx.match[1]);
+        });
+    }
+
+    /**
+     * Ask for the wallet to follow and the sizing rule
+     */
+    async startFollowCreation(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const follows = await this.database.getUserCopyFollows(userId);
+            if (follows.length >= this.maxActiveFollows) {
+                await ctx.reply(`❌ You already follow ${this.maxActiveFollows} wallets. Stop one before adding another.`);
+                return;
+            }
+
+            await this.database.setUserState(userId, 'awaiting_copy_target');
+
+            const text = `🪞 *Follow a Wallet*
+
+Send the wallet address, the buy size and an optional max MON per trade:
+
+**Format:** \`<address> <amount|percent%> [max]\`
+**Fixed:** \`0xabc... 0.5\` _(0.5 MON per copied buy)_
+**Proportional:** \`0xabc... 10% 2\` _(10% of the target's buy, max 2 MON)_
+
+_Sells are copied as the same % of your own balance._`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔙 Back', 'copy_trading')]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start copy follow failed', error, { userId });
+            await ctx.reply('❌ Error starting copy trading. Please try again.');
+        }
+    }
+
+    /**
+     * Parse and store the follow entered by the user
+     */
+    async processFollowInput(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const parts = ctx.message.text.trim().split(/\s+/);
+            const targetAddress = parts[0];
+            if (!/^0x[a-fA-F0-9]{40}$/.test(targetAddress || '')) {
+                await ctx.reply('❌ Invalid wallet address. Example: `0xabc... 0.5`', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const user = await this.database.getUser(userId);
+            if (user?.wallet_address?.toLowerCase() === targetAddress.toLowerCase()) {
+                await ctx.reply('❌ You cannot copy your own wallet.');
+                return;
+            }
+
+            const sizing = parts[1] || '';
+            const isProportional = sizing.endsWith('%');
+            const value = parseFloat(sizing.replace('%', ''));
+            if (isNaN(value) || value <= 0 || (isProportional && value > 1000)) {
+                await ctx.reply('❌ Invalid size. Use a MON amount (`0.5`) or a percentage (`10%`).', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const maxPerTrade = parts[2] !== undefined ? parseFloat(parts[2]) : null;
+            if (maxPerTrade !== null && (isNaN(maxPerTrade) || maxPerTrade <= 0)) {
+                await ctx.reply('❌ Max per trade must be a MON amount greater than 0.');
+                return;
+            }
+
+            const follow = await this.database.createCopyFollow(userId, {
+                targetAddress,
+                mode: isProportional ? 'proportional' : 'fixed',
+                fixedAmount: isProportional ? null : value,
+                proportionPercent: isProportional ? value : null,
+                maxPerTrade
+            });
+            await this.database.clearUserState(userId);
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🪞 Copy Trading', 'copy_trading'), Markup.button.callback(`⏹️ Stop #${follow.id}`, `copy_stop_${follow.id}`)],
+                [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await ctx.reply(`✅ *Now Copying*
+
+${this.formatFollowLine(follow)}
+
+_New Monorail swaps from this wallet are mirrored within seconds._`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard.reply_markup
+            });
+
+            this.monitoring?.logInfo('Copy follow created', { userId, followId: follow.id, targetAddress });
+        } catch (error) {
+            this.monitoring?.logError('Copy follow input processing failed', error, { userId });
+            await ctx.reply('❌ Error creating copy follow. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for the token addresses that should never be copied
+     */
+    async startBlacklistEdit(ctx, followId) {
+        const userId = ctx.from.id;
+
+        try {
+            const follow = (await this.database.getUserCopyFollows(userId)).find(item => String(item.id) === String(followId));
+            if (!follow) {
+                await ctx.reply('❌ Follow not found.');
+                return;
+            }
+
+            await this.database.setUserState(userId, 'awaiting_copy_blacklist', { followId: follow.id });
+
+            const blacklist = follow.token_blacklist || [];
+            const text = `🚫 *Token Blacklist* | #${follow.id}
+
+${blacklist.length > 0 ? blacklist.map(address => `• \`${address}\``).join('\n') : '_No blacklisted tokens._'}
+
+Send the token addresses to skip (separated by spaces or new lines), or \`none\` to clear the list.`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔙 Back', 'copy_trading')]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start copy blacklist edit failed', error, { userId, followId });
+            await ctx.reply('❌ Error loading blacklist. Please try again.');
+        }
+    }
+
+    /**
+     * Replace the follow's blacklist with the addresses typed by the user
+     */
+    async processBlacklistInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { followId } = userState.data || {};
+            if (!followId) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const input = ctx.message.text.trim();
+            const addresses = input.toLowerCase() === 'none' ? [] : [...new Set(input.split(/[\s,]+/))];
+            if (addresses.some(address => !/^0x[a-fA-F0-9]{40}$/.test(address))) {
+                await ctx.reply('❌ Please send valid token addresses, or `none`.', { parse_mode: 'Markdown' });
+                return;
+            }
+            if (addresses.length > this.maxBlacklistSize) {
+                await ctx.reply(`❌ A blacklist can hold at most ${this.maxBlacklistSize} tokens.`);
+                return;
+            }
+
+            const updated = await this.database.updateCopyFollowBlacklist(followId, userId, addresses);
+            await this.database.clearUserState(userId);
+            if (!updated) {
+                await ctx.reply('❌ Follow not found.');
+                return;
+            }
+
+            await ctx.reply(addresses.length > 0
+                ? `✅ Blacklist updated (${addresses.length} token${addresses.length === 1 ? '' : 's'}).`
+                : '✅ Blacklist cleared.');
+            await this.showFollows(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Copy blacklist input processing failed', error, { userId });
+            await ctx.reply('❌ Error updating blacklist. Please try again.');
+        }
+    }
+
+    /**
+     * Show all of the user's active and paused follows
+     */
+    async showFollows(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const follows = await this.database.getUserCopyFollows(userId);
+
+            let text = '🪞 *Copy Trading*\n\n';
+            if (follows.length === 0) {
+                text += '_You are not copying any wallets._\n\nTap ➕ *Follow Wallet* to mirror another wallet\'s Monorail swaps.';
+            } else {
+                text += follows.map(follow => this.formatFollowLine(follow)).join('\n\n');
+            }
+
+            const buttons = [];
+            for (const follow of follows) {
+                buttons.push([
+                    follow.status === 'active'
+                        ? Markup.button.callback(`⏸️ Pause #${follow.id}`, `copy_pause_${follow.id}`)
+                        : Markup.button.callback(`▶️ Resume #${follow.id}`, `copy_resume_${follow.id}`),
+                    Markup.button.callback(`⏹️ Stop #${follow.id}`, `copy_stop_${follow.id}`)
+                ]);
+                buttons.push([
+                    Markup.button.callback(`${follow.copy_sells ? '✅' : '❌'} Sells #${follow.id}`, `copy_sells_${follow.id}`),
+                    Markup.button.callback(`🚫 Blacklist #${follow.id}`, `copy_blacklist_${follow.id}`)
+                ]);
+            }
+            if (follows.length < this.maxActiveFollows) {
+                buttons.push([Markup.button.callback('➕ Follow Wallet', 'copy_add')]);
+            }
+            buttons.push([
+                Markup.button.callback('⚙️ Settings', 'settings'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show copy follows failed', error, { userId });
+            await ctx.reply('❌ Error loading copy trading. Please try again.');
+        }
+    }
+
+    /**
+     * Pause, resume, stop or toggle sell copying, then refresh the list
+     */
+    async updateFollow(ctx, action, followId) {
+        const userId = ctx.from.id;
+
+        try {
+            const statuses = { pause: 'paused', resume: 'active', stop: 'stopped' };
+            const updated = action === 'sells'
+                ? await this.database.toggleCopyFollowSells(followId, userId)
+                : await this.database.setCopyFollowStatus(followId, userId, statuses[action]);
+
+            const labels = { pause: 'Follow paused', resume: 'Follow resumed', stop: 'Follow stopped' };
+            if (!updated) {
+                await ctx.answerCbQuery('⚠️ Follow can no longer be changed');
+            } else {
+                await ctx.answerCbQuery(action === 'sells'
+                    ? `✅ Sell copying ${updated.copy_sells ? 'enabled' : 'disabled'}`
+                    : `✅ ${labels[action]}`);
+                this.monitoring?.logInfo('Copy follow updated', { userId, followId, action });
+            }
+            await this.showFollows(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Update copy follow failed', error, { userId, followId, action });
+            await ctx.reply('❌ Error updating copy follow. Please try again.');
+        }
+    }
+
+    /**
+     * Follow summary with sizing, filters and activity
+     */
+    formatFollowLine(follow) {
+        const sizing = follow.mode === 'fixed'
+            ? `${parseFloat(follow.fixed_amount)} MON per buy`
+            : `${parseFloat(follow.proportion_percent)}% of target buys`;
+        const cap = follow.max_per_trade ? `, max ${parseFloat(follow.max_per_trade)} MON` : '';
+        const blacklist = follow.token_blacklist || [];
+        const lastCopied = follow.last_copied_at
+            ? `Last copy: ${new Date(follow.last_copied_at).toLocaleString('en-US')}`
+            : 'No copies yet';
+
+        return `#${follow.id} ${follow.status === 'active' ? '🟢' : '⏸️'} \`${follow.target_address}\`
+   ${sizing}${cap} · Sells ${follow.copy_sells ? 'on' : 'off'}${blacklist.length > 0 ? ` · ${blacklist.length} blacklisted` : ''}
+   _${follow.total_copied} copied · ${lastCopied}_`;
+    }
+}
+
+module.exports = CopyTradeHandlers;
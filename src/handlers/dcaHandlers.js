@@ -0,0 +1,219 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class DcaHandlers {
+    constructor(bot, database, monorailAPI, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+
+        this.maxIntervalHours = 24 * 30;
+        this.maxRuns = 1000;
+        this.maxActiveSchedules = 10;
+    }
+
+    setupHandlers() {
+        // Start a new schedule for a token (from the token view)
+        this.bot.action(/^dca_create_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startScheduleCreation(ctx, ctx.match[1]);
+        });
+
+        // List schedules (from /dca and settings)
+        this.bot.action('dca_schedules', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showDcaSchedules(ctx);
+        });
+
+        this.bot.action(/^dca_(pause|resume|cancel)_(\d+)$/, async (ctx) => {
+            await this.updateScheduleStatus(ctx, ctx.match[1], ctx.match[2]);
+        });
+    }
+
+    /**
+     * Ask the user for amount, interval and number of buys
+     */
+    async startScheduleCreation(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const schedules = await this.database.getUserDcaSchedules(userId);
+            if (schedules.length >= this.maxActiveSchedules) {
+                await ctx.reply(`❌ You already have ${this.maxActiveSchedules} DCA schedules. Cancel one before creating another.`);
+                return;
+            }
+
+            const tokenInfo = await this.monorailAPI.getTokenInfo(tokenAddress);
+            if (!tokenInfo || !tokenInfo.success) {
+                await ctx.reply('❌ Token not found or not supported.');
+                return;
+            }
+            const tokenSymbol = tokenInfo.token.symbol || 'Token';
+            const priceInMON = parseFloat(tokenInfo.token.mon_per_token || '0');
+
+            await this.database.setUserState(userId, 'awaiting_dca_schedule', {
+                tokenAddress,
+                tokenSymbol
+            });
+
+            const text = `🔁 *New DCA Schedule* | *${tokenSymbol}*
+
+• *Current Price:* ${priceInMON} MON
+
+Send the MON amount per buy, the interval in hours and the number of buys:
+
+**Format:** \`<amount> <hours> <buys>\`
+**Example:** \`0.5 6 20\` _(0.5 MON every 6 hours, 20 times)_`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('📋 My DCA', 'dca_schedules'), Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start DCA creation failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error starting DCA schedule. Please try again.');
+        }
+    }
+
+    /**
+     * Parse and store the schedule entered by the user
+     */
+    async processDcaInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { tokenAddress, tokenSymbol } = userState.data || {};
+            if (!tokenAddress) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const parts = ctx.message.text.trim().split(/\s+/);
+            const amount = parseFloat(parts[0]);
+            const intervalHours = parseInt(parts[1], 10);
+            const totalRuns = parseInt(parts[2], 10);
+
+            if (parts.length < 3 || isNaN(amount) || amount <= 0) {
+                await ctx.reply('❌ Invalid format. Example: `0.5 6 20`', { parse_mode: 'Markdown' });
+                return;
+            }
+            if (isNaN(intervalHours) || intervalHours < 1 || intervalHours > this.maxIntervalHours) {
+                await ctx.reply(`❌ Interval must be between 1 and ${this.maxIntervalHours} hours.`);
+                return;
+            }
+            if (isNaN(totalRuns) || totalRuns < 1 || totalRuns > this.maxRuns) {
+                await ctx.reply(`❌ Number of buys must be between 1 and ${this.maxRuns}.`);
+                return;
+            }
+
+            const schedule = await this.database.createDcaSchedule(userId, {
+                tokenAddress,
+                tokenSymbol,
+                amount,
+                intervalHours,
+                totalRuns
+            });
+
+            await this.database.clearUserState(userId);
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('📋 My DCA', 'dca_schedules'), Markup.button.callback(`❌ Cancel #${schedule.id}`, `dca_cancel_${schedule.id}`)],
+                [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await ctx.reply(`✅ *DCA Schedule Created*
+
+${this.formatScheduleLine(schedule)}
+
+• *Total:* ${parseFloat((amount * totalRuns).toFixed(6))} MON
+
+_The first buy runs within a minute. Schedules pause automatically if your balance is too low._`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard.reply_markup
+            });
+
+            this.monitoring?.logInfo('DCA schedule created', { userId, scheduleId: schedule.id, tokenAddress });
+        } catch (error) {
+            this.monitoring?.logError('DCA input processing failed', error, { userId });
+            await ctx.reply('❌ Error creating DCA schedule. Please try again.');
+        }
+    }
+
+    /**
+     * Show all of the user's active and paused schedules
+     */
+    async showDcaSchedules(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const schedules = await this.database.getUserDcaSchedules(userId);
+
+            let text = '🔁 *Your DCA Schedules*\n\n';
+            if (schedules.length === 0) {
+                text += '_You have no DCA schedules._\n\nOpen a token and tap 🔁 *DCA* to create one.';
+            } else {
+                text += schedules.map(schedule => this.formatScheduleLine(schedule)).join('\n\n');
+            }
+
+            const buttons = schedules.map(schedule => [
+                schedule.status === 'active'
+                    ? Markup.button.callback(`⏸️ Pause #${schedule.id}`, `dca_pause_${schedule.id}`)
+                    : Markup.button.callback(`▶️ Resume #${schedule.id}`, `dca_resume_${schedule.id}`),
+                Markup.button.callback(`❌ Cancel #${schedule.id}`, `dca_cancel_${schedule.id}`)
+            ]);
+            buttons.push([
+                Markup.button.callback('⚙️ Settings', 'settings'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show DCA schedules failed', error, { userId });
+            await ctx.reply('❌ Error loading DCA schedules. Please try again.');
+        }
+    }
+
+    /**
+     * Pause, resume or cancel a schedule and refresh the list
+     */
+    async updateScheduleStatus(ctx, action, scheduleId) {
+        const userId = ctx.from.id;
+
+        try {
+            let updated;
+            if (action === 'pause') {
+                updated = await this.database.pauseDcaSchedule(scheduleId, userId);
+            } else if (action === 'resume') {
+                updated = await this.database.resumeDcaSchedule(scheduleId, userId);
+            } else {
+                updated = await this.database.cancelDcaSchedule(scheduleId, userId);
+            }
+
+            const labels = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' };
+            if (!updated) {
+                await ctx.answerCbQuery('⚠️ Schedule can no longer be changed');
+            } else {
+                await ctx.answerCbQuery(`✅ Schedule ${labels[action]}`);
+                this.monitoring?.logInfo('DCA schedule updated', { userId, scheduleId, action });
+            }
+            await this.showDcaSchedules(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Update DCA schedule failed', error, { userId, scheduleId, action });
+            await ctx.reply('❌ Error updating DCA schedule. Please try again.');
+        }
+    }
+
+    /**
+     * One-line schedule summary with progress and next run
+     */
+    formatScheduleLine(schedule) {
+        const statusText = schedule.status === 'active'
+            ? `Next: ${new Date(schedule.next_run_at).toLocaleString('en-US')}`
+            : `Paused${schedule.last_error ? ` - ${schedule.last_error.split('\n')[0]}` : ''}`;
+        return `#${schedule.id} ${schedule.status === 'active' ? '🟢' : '⏸️'} *${schedule.token_symbol || 'Token'}* ${parseFloat(schedule.amount)} MON every ${schedule.interval_hours}h (${schedule.completed_runs}/${schedule.total_runs})
+   _${statusText}_`;
+    }
+}
+
+module.exports = DcaHandlers;
@@ -12,7 +12,13 @@ class GroupHandlers {
         this.tradingEngine = dependencies.tradingEngine;
         this.walletManager = dependencies.walletManager;
         this.cacheService = dependencies.cacheService;
+        this.tokenSafetyScanner = dependencies.tokenSafetyScanner || null;
+        this.groupLeaderboardService = dependencies.groupLeaderboardService || null;
+        this.groupCallService = dependencies.groupCallService || null;
         this.botUsername = dependencies.botUsername || 'MonAreaBot';
+
+        // Monorail token categories; 'other' covers tokens without a known category
+        this.tokenCategories = ['verified', 'stable', 'lst', 'bridged', 'meme', 'other'];
     }
 
     /**
@@ -44,6 +50,15 @@ class GroupHandlers {
             }
         });
 
+        // Group settings buttons (admins only)
+        bot.action(/^gset_(cards|buys)$/, async (ctx) => {
+            await this.toggleGroupSetting(ctx, ctx.match[1]);
+        });
+
+        bot.action(/^gset_cat_(\w+)$/, async (ctx) => {
+            await this.toggleGroupCategory(ctx, ctx.match[1]);
+        });
+
         console.log('✅ Group handlers setup complete');
     }
 
@@ -96,13 +111,23 @@ class GroupHandlers {
 
             switch (command) {
                 case 'buy':
-                    if (args.length >= 3) {
+                    if (args.length >= 2) {
                         return await this.handleGroupBuyCommand(ctx, args);
                     } else {
                         await ctx.reply('❌ Usage: @bot buy <contract_address> <amount>');
                         return true;
                     }
+
+                case 'settings':
+                    return await this.handleGroupSettingsCommand(ctx, args.slice(1));
                 
+                case 'leaderboard':
+                case 'lb':
+                    return await this.handleLeaderboardCommand(ctx, args.slice(1));
+
+                case 'calls':
+                    return await this.handleCallsCommand(ctx);
+
                 case 'help':
                     return await this.handleGroupHelpCommand(ctx);
                 
@@ -125,7 +150,19 @@ class GroupHandlers {
     async handleGroupBuyCommand(ctx, args) {
         try {
             const tokenAddress = args[1];
-            const amount = args[2];
+            const settings = await this.database.getGroupSettings(ctx.chat.id);
+
+            const restriction = this.getGroupBuyRestriction(settings);
+            if (restriction) {
+                await ctx.reply(restriction);
+                return true;
+            }
+
+            const amount = args[2] || (settings?.default_buy_amount ? String(parseFloat(settings.default_buy_amount)) : null);
+            if (!amount) {
+                await ctx.reply('❌ Usage: @bot buy <contract_address> <amount>');
+                return true;
+            }
 
             // Validate contract address format
             if (!tokenAddress || !tokenAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
@@ -139,6 +176,11 @@ class GroupHandlers {
                 return true;
             }
 
+            if (settings?.max_buy_amount && parseFloat(amount) > parseFloat(settings.max_buy_amount)) {
+                await ctx.reply(`❌ The max buy in this group is ${parseFloat(settings.max_buy_amount)} MON.`);
+                return true;
+            }
+
             // Check if user exists in database
             const user = await this.database.getUser(ctx.from.id);
             if (!user) {
@@ -152,6 +194,14 @@ class GroupHandlers {
                 return true;
             }
 
+            if (settings?.allowed_categories) {
+                const tokenInfoResponse = await this.monorailAPI.getTokenInfo(tokenAddress);
+                if (!tokenInfoResponse?.success || !this.isTokenAllowed(settings, tokenInfoResponse.token)) {
+                    await ctx.reply('🚫 This token is not in a category allowed in this group.');
+                    return true;
+                }
+            }
+
             // Execute the buy
             await this.executeBuyInGroup(ctx, tokenAddress, amount, user);
             return true;
@@ -166,6 +216,379 @@ class GroupHandlers {
         }
     }
 
+    /**
+     * Handle leaderboard command in groups: show standings, join/leave, admin on/off/metric
+     */
+    async handleLeaderboardCommand(ctx, args) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id;
+        const subcommand = (args[0] || '').toLowerCase();
+
+        try {
+            if (!this.groupLeaderboardService) {
+                return false;
+            }
+
+            if (subcommand === 'on' || subcommand === 'off' || subcommand === 'metric') {
+                if (!await this.isGroupAdmin(ctx)) {
+                    await ctx.reply('❌ Only group admins can change the leaderboard.');
+                    return true;
+                }
+
+                if (subcommand === 'on') {
+                    const board = await this.database.enableGroupLeaderboard(chatId, userId);
+                    await ctx.reply(`✅ *Leaderboard enabled* | Round #${board.round_number}
+
+Members who opt in with \`leaderboard join\` are ranked by their bot trades. Results are posted here every ${board.period_days} days.`, { parse_mode: 'Markdown' });
+                    this.monitoring?.logInfo('Group leaderboard enabled', { chatId, userId });
+                    return true;
+                }
+
+                const board = await this.database.getGroupLeaderboard(chatId);
+                if (!board) {
+                    await ctx.reply('❌ The leaderboard is not set up. Use `leaderboard on` first.', { parse_mode: 'Markdown' });
+                    return true;
+                }
+
+                if (subcommand === 'off') {
+                    await this.database.updateGroupLeaderboard(chatId, { enabled: false }, userId);
+                    await ctx.reply('⏸️ Leaderboard disabled. Members stay opted in for when it is turned back on.');
+                    this.monitoring?.logInfo('Group leaderboard disabled', { chatId, userId });
+                    return true;
+                }
+
+                const metric = (args[1] || '').toLowerCase();
+                if (metric !== 'pnl' && metric !== 'volume') {
+                    await ctx.reply('❌ Usage: `leaderboard metric pnl|volume`', { parse_mode: 'Markdown' });
+                    return true;
+                }
+                await this.database.updateGroupLeaderboard(chatId, { metric }, userId);
+                await ctx.reply(`✅ Leaderboard now ranks by ${metric === 'volume' ? 'trading volume' : 'realized PnL'}.`);
+                return true;
+            }
+
+            const board = await this.database.getGroupLeaderboard(chatId);
+            if (!board || !board.enabled) {
+                await ctx.reply('🏆 The leaderboard is off in this group. An admin can enable it with `leaderboard on`.', { parse_mode: 'Markdown' });
+                return true;
+            }
+
+            if (subcommand === 'join') {
+                const user = await this.database.getUser(userId);
+                if (!user) {
+                    await ctx.reply('❌ You need to start the bot privately first to create a wallet: /start');
+                    return true;
+                }
+                const displayName = (ctx.from.first_name || ctx.from.username || 'Trader').substring(0, 32);
+                await this.database.joinGroupLeaderboard(chatId, userId, displayName);
+                await ctx.reply(`✅ ${this.groupLeaderboardService.escape(displayName)} joined the leaderboard. Only your display name and trade results are shown - never your wallet.`);
+                return true;
+            }
+
+            if (subcommand === 'leave') {
+                const removed = await this.database.leaveGroupLeaderboard(chatId, userId);
+                await ctx.reply(removed ? '✅ You left the leaderboard.' : 'ℹ️ You are not on this leaderboard.');
+                return true;
+            }
+
+            const period = subcommand === '' || subcommand === 'week' ? 'round' : subcommand;
+            if (period !== 'round' && !this.groupLeaderboardService.periods[period]) {
+                await ctx.reply('❌ Usage: `leaderboard [24h|7d|30d|all|join|leave]`', { parse_mode: 'Markdown' });
+                return true;
+            }
+
+            const text = await this.groupLeaderboardService.getLeaderboardText(board, period);
+            await ctx.reply(text, { parse_mode: 'Markdown' });
+            return true;
+
+        } catch (error) {
+            this.monitoring?.logError('Group leaderboard command failed', error, { chatId, userId, subcommand });
+            await ctx.reply('❌ Error loading the leaderboard. Please try again.');
+            return true;
+        }
+    }
+
+    /**
+     * Handle calls command in groups: recent calls with performance and caller ranking
+     */
+    async handleCallsCommand(ctx) {
+        try {
+            if (!this.groupCallService) {
+                return false;
+            }
+
+            const text = await this.groupCallService.getCallsText(ctx.chat.id);
+            await ctx.reply(text, { parse_mode: 'Markdown' });
+            return true;
+
+        } catch (error) {
+            this.monitoring?.logError('Group calls command failed', error, { chatId: ctx.chat.id, userId: ctx.from.id });
+            await ctx.reply('❌ Error loading calls. Please try again.');
+            return true;
+        }
+    }
+
+    /**
+     * Handle settings command in groups: show the settings card, admins can change values
+     */
+    async handleGroupSettingsCommand(ctx, args) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id;
+        const option = (args[0] || '').toLowerCase();
+        const value = (args[1] || '').toLowerCase();
+
+        try {
+            if (!option) {
+                await this.showGroupSettings(ctx, await this.database.getGroupSettings(chatId));
+                return true;
+            }
+
+            if (!await this.isGroupAdmin(ctx)) {
+                await ctx.reply('❌ Only group admins can change the bot settings.');
+                return true;
+            }
+
+            let updates;
+            switch (option) {
+                case 'cards':
+                case 'buys':
+                    if (value !== 'on' && value !== 'off') {
+                        await ctx.reply(`❌ Usage: \`settings ${option} on|off\``, { parse_mode: 'Markdown' });
+                        return true;
+                    }
+                    updates = { [option === 'cards' ? 'token_cards_enabled' : 'group_buys_enabled']: value === 'on' };
+                    break;
+
+                case 'default':
+                case 'max': {
+                    const amount = parseFloat(value);
+                    if (value !== 'off' && (isNaN(amount) || amount <= 0)) {
+                        await ctx.reply(`❌ Usage: \`settings ${option} <amount|off>\``, { parse_mode: 'Markdown' });
+                        return true;
+                    }
+                    updates = { [option === 'default' ? 'default_buy_amount' : 'max_buy_amount']: value === 'off' ? null : amount };
+                    break;
+                }
+
+                case 'quiet': {
+                    const hours = value.match(/^(\d{1,2})-(\d{1,2})$/);
+                    const start = hours ? parseInt(hours[1]) : null;
+                    const end = hours ? parseInt(hours[2]) : null;
+                    if (value !== 'off' && (!hours || start > 23 || end > 23 || start === end)) {
+                        await ctx.reply('❌ Usage: `settings quiet <start-end|off>` with UTC hours, e.g. `settings quiet 23-7`', { parse_mode: 'Markdown' });
+                        return true;
+                    }
+                    updates = { quiet_hours_start: start, quiet_hours_end: end };
+                    break;
+                }
+
+                case 'categories': {
+                    const categories = [...new Set(value.split(','))].filter(Boolean);
+                    if (value !== 'all' && (categories.length === 0 || categories.some(category => !this.tokenCategories.includes(category)))) {
+                        await ctx.reply(`❌ Usage: \`settings categories all\` or a list of ${this.tokenCategories.join(', ')}`, { parse_mode: 'Markdown' });
+                        return true;
+                    }
+                    updates = { allowed_categories: value === 'all' ? null : categories };
+                    break;
+                }
+
+                default:
+                    await ctx.reply('❌ Unknown setting. Use `settings` to see the options.', { parse_mode: 'Markdown' });
+                    return true;
+            }
+
+            const settings = await this.database.updateGroupSettings(chatId, updates, userId);
+            this.monitoring?.logInfo('Group settings updated', { chatId, userId, option });
+            await this.showGroupSettings(ctx, settings);
+            return true;
+
+        } catch (error) {
+            this.monitoring?.logError('Group settings command failed', error, { chatId, userId, option });
+            await ctx.reply('❌ Error updating group settings. Please try again.');
+            return true;
+        }
+    }
+
+    /**
+     * Toggle token cards or group buys from the settings card
+     */
+    async toggleGroupSetting(ctx, setting) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id;
+
+        try {
+            if (!this.isGroupChat(ctx) || !await this.isGroupAdmin(ctx)) {
+                await ctx.answerCbQuery('❌ Only group admins can change settings');
+                return;
+            }
+
+            const column = setting === 'cards' ? 'token_cards_enabled' : 'group_buys_enabled';
+            const current = await this.database.getGroupSettings(chatId);
+            const settings = await this.database.updateGroupSettings(chatId, { [column]: !(current ? current[column] : true) }, userId);
+
+            await ctx.answerCbQuery(`✅ ${setting === 'cards' ? 'Token cards' : 'Group buys'} ${settings[column] ? 'enabled' : 'disabled'}`);
+            await this.showGroupSettings(ctx, settings);
+        } catch (error) {
+            this.monitoring?.logError('Group setting toggle failed', error, { chatId, userId, setting });
+            await ctx.reply('❌ Error updating group settings. Please try again.');
+        }
+    }
+
+    /**
+     * Allow or block a token category from the settings card ('all' allows every category)
+     */
+    async toggleGroupCategory(ctx, category) {
+        const chatId = ctx.chat.id;
+        const userId = ctx.from.id;
+
+        try {
+            if (!this.isGroupChat(ctx) || !await this.isGroupAdmin(ctx)) {
+                await ctx.answerCbQuery('❌ Only group admins can change settings');
+                return;
+            }
+            if (category !== 'all' && !this.tokenCategories.includes(category)) {
+                await ctx.answerCbQuery();
+                return;
+            }
+
+            const current = await this.database.getGroupSettings(chatId);
+            let allowed = null;
+            if (category !== 'all') {
+                const previous = current?.allowed_categories || this.tokenCategories;
+                allowed = previous.includes(category)
+                    ? previous.filter(item => item !== category)
+                    : [...previous, category];
+
+                if (allowed.length === 0) {
+                    await ctx.answerCbQuery('⚠️ At least one category must stay allowed');
+                    return;
+                }
+                if (this.tokenCategories.every(item => allowed.includes(item))) {
+                    allowed = null;
+                }
+            }
+
+            const settings = await this.database.updateGroupSettings(chatId, { allowed_categories: allowed }, userId);
+            await ctx.answerCbQuery('✅ Allowed tokens updated');
+            await this.showGroupSettings(ctx, settings);
+        } catch (error) {
+            this.monitoring?.logError('Group category toggle failed', error, { chatId, userId, category });
+            await ctx.reply('❌ Error updating group settings. Please try again.');
+        }
+    }
+
+    /**
+     * Show the group settings card (edits the card when called from a button)
+     */
+    async showGroupSettings(ctx, settings) {
+        const botMention = `@${this.botUsername}`;
+        const cardsEnabled = settings ? settings.token_cards_enabled : true;
+        const buysEnabled = settings ? settings.group_buys_enabled : true;
+        const allowed = settings?.allowed_categories || null;
+        const quietHours = settings?.quiet_hours_start !== null && settings?.quiet_hours_start !== undefined
+            ? `${String(settings.quiet_hours_start).padStart(2, '0')}:00-${String(settings.quiet_hours_end).padStart(2, '0')}:00 UTC`
+            : 'Off';
+
+        const text = `⚙️ *Group Settings*
+
+🃏 *Token Cards:* ${cardsEnabled ? '✅ On' : '❌ Off'}
+🛒 *Group Buys:* ${buysEnabled ? '✅ On' : '❌ Off'}
+💰 *Default Buy:* ${settings?.default_buy_amount ? `${parseFloat(settings.default_buy_amount)} MON` : 'Not set'}
+📏 *Max Buy:* ${settings?.max_buy_amount ? `${parseFloat(settings.max_buy_amount)} MON` : 'No limit'}
+🌙 *Quiet Hours:* ${quietHours}
+🏷️ *Allowed Tokens:* ${allowed ? allowed.join(', ') : 'All'}
+
+*Admin commands:*
+• \`${botMention} settings default <amount|off>\`
+• \`${botMention} settings max <amount|off>\`
+• \`${botMention} settings quiet <start-end|off>\` _(UTC hours)_
+
+_Only group admins can change these settings._`;
+
+        const categoryButtons = this.tokenCategories.map(category => Markup.button.callback(
+            `${!allowed || allowed.includes(category) ? '✅' : '❌'} ${category}`,
+            `gset_cat_${category}`
+        ));
+        const keyboard = Markup.inlineKeyboard([
+            [
+                Markup.button.callback(`🃏 Cards ${cardsEnabled ? '✅' : '❌'}`, 'gset_cards'),
+                Markup.button.callback(`🛒 Buys ${buysEnabled ? '✅' : '❌'}`, 'gset_buys')
+            ],
+            categoryButtons.slice(0, 3),
+            categoryButtons.slice(3),
+            [Markup.button.callback('🏷️ Allow All Tokens', 'gset_cat_all')]
+        ]);
+
+        if (ctx.callbackQuery) {
+            try {
+                await ctx.editMessageText(text, {
+                    parse_mode: 'Markdown',
+                    reply_markup: keyboard.reply_markup
+                });
+                return;
+            } catch (error) {
+                // Fall through to a new message
+            }
+        }
+        await ctx.reply(text, { parse_mode: 'Markdown', reply_markup: keyboard.reply_markup });
+    }
+
+    /**
+     * Reason group buys are blocked right now, or null if they are allowed
+     */
+    getGroupBuyRestriction(settings) {
+        if (!settings) {
+            return null;
+        }
+        if (!settings.group_buys_enabled) {
+            return '🚫 Group buys are disabled by the admins of this group.';
+        }
+        if (this.isQuietHours(settings)) {
+            return `🌙 Quiet hours - group buys resume at ${String(settings.quiet_hours_end).padStart(2, '0')}:00 UTC.`;
+        }
+        return null;
+    }
+
+    /**
+     * Check if the current UTC hour is inside the group's quiet hours (the window may wrap midnight)
+     */
+    isQuietHours(settings) {
+        if (settings?.quiet_hours_start === null || settings?.quiet_hours_start === undefined) {
+            return false;
+        }
+        const hour = new Date().getUTCHours();
+        const start = settings.quiet_hours_start;
+        const end = settings.quiet_hours_end;
+        return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+    }
+
+    /**
+     * Check a token against the group's allowed categories (no restriction when unset)
+     */
+    isTokenAllowed(settings, token) {
+        if (!settings?.allowed_categories) {
+            return true;
+        }
+        const categories = (token?.categories || []).filter(category => this.tokenCategories.includes(category));
+        if (categories.length === 0) {
+            categories.push('other');
+        }
+        return categories.some(category => settings.allowed_categories.includes(category));
+    }
+
+    /**
+     * Check if the sender is an admin or the owner of the group
+     */
+    async isGroupAdmin(ctx) {
+        try {
+            const member = await ctx.getChatMember(ctx.from.id);
+            return member.status === 'creator' || member.status === 'administrator';
+        } catch (error) {
+            this.monitoring?.logError('Group admin check failed', error, { chatId: ctx.chat.id, userId: ctx.from.id });
+            return false;
+        }
+    }
+
     /**
      * Handle token recognition in messages (contract addresses only)
      */
@@ -178,12 +601,23 @@ class GroupHandlers {
             if (matches && matches.length > 0) {
                 // Take the first contract address found
                 const contractAddress = matches[0];
+
+                // Admins can turn cards off or silence them during quiet hours
+                const settings = await this.database.getGroupSettings(ctx.chat.id);
+                if (settings && (!settings.token_cards_enabled || this.isQuietHours(settings))) {
+                    return false;
+                }
                 
                 // Get token info
                 const tokenInfoResponse = await this.monorailAPI.getTokenInfo(contractAddress);
                 
                 if (tokenInfoResponse && tokenInfoResponse.success && tokenInfoResponse.token) {
-                    await this.sendTokenInfoToGroup(ctx, tokenInfoResponse.token);
+                    if (!this.isTokenAllowed(settings, tokenInfoResponse.token)) {
+                        return false;
+                    }
+
+                    const callLine = await this.recordTokenCall(ctx, tokenInfoResponse.token);
+                    await this.sendTokenInfoToGroup(ctx, tokenInfoResponse.token, callLine);
                     return true;
                 }
             }
@@ -195,10 +629,28 @@ class GroupHandlers {
         }
     }
 
+    /**
+     * Credit the call to the poster (first post wins) and return the line for the token card
+     */
+    async recordTokenCall(ctx, tokenInfo) {
+        const token = tokenInfo.token || tokenInfo;
+        if (!this.groupCallService || !token?.address || ctx.from.is_bot) {
+            return '';
+        }
+
+        try {
+            const result = await this.groupCallService.recordCall(ctx, token);
+            return result ? this.groupCallService.formatCallLine(result.call, result.isNew) : '';
+        } catch (error) {
+            this.monitoring?.logError('Group call recording failed', error, { chatId: ctx.chat.id, tokenAddress: token.address });
+            return '';
+        }
+    }
+
     /**
      * Send formatted token information to group
      */
-    async sendTokenInfoToGroup(ctx, tokenInfo) {
+    async sendTokenInfoToGroup(ctx, tokenInfo, callLine = '') {
         try {
             // Access token data correctly from API response structure
             const token = tokenInfo.token || tokenInfo;
@@ -234,12 +686,23 @@ class GroupHandlers {
                 tokenPriceSection[lastIndex] = tokenPriceSection[lastIndex].replace('├', '└');
             }
 
+            // Risk badge (cached report, or a placeholder while the first scan runs)
+            let safetySection = '';
+            if (this.tokenSafetyScanner) {
+                const report = await this.tokenSafetyScanner.getReport(token.address);
+                safetySection = `🛡️ *Safety:* ${this.tokenSafetyScanner.getRiskBadge(report)}
+${report && report.flags.length > 0 ? `${report.flags.slice(0, 3).map(flag => `└ ${flag.message}`).join('\n')}\n` : ''}
+`;
+            }
+
             const message = `🟣 *${token.name || token.symbol}* (${token.symbol})
 └─ \`${token.address}\`
 
 ${tokenPriceSection.length > 0 ? `📊 *Token Price*
 ${tokenPriceSection.join('\n')}
 
+` : ''}${safetySection}${callLine ? `${callLine}
+
 ` : ''}⚡️ *Quick Buy*
 └─ \`@${this.botUsername} buy ${token.address} <amount>\``;
 
@@ -329,11 +792,17 @@ ${tokenPriceSection.join('\n')}
             const helpText = `🤖 **Area51 Bot - Group Help**
 
 **Available Commands:**
-• \`${botMention} buy <token> <amount>\` - Buy a token
+• \`${botMention} buy <token> [amount]\` - Buy a token (amount defaults to the group setting)
+• \`${botMention} leaderboard [24h|7d|30d|all]\` - Show the trading leaderboard
+• \`${botMention} leaderboard join|leave\` - Opt in or out of the rankings
+• \`${botMention} leaderboard on|off|metric pnl|volume\` - Admin leaderboard settings
+• \`${botMention} calls\` - Recent token calls and top callers
+• \`${botMention} settings\` - Group bot settings (admins can change them)
 • \`${botMention} help\` - Show this help
 
 **Automatic Recognition:**
 • Posting a token contract (0x...) will automatically display its information
+• The first member to post a token is credited with the call
 
 **Examples:**
 • \`${botMention} buy USDC 5\`
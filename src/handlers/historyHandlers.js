@@ -0,0 +1,297 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class HistoryHandlers {
+    constructor(bot, database, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monitoring = monitoring;
+
+        this.pageSize = 5;
+        this.explorerUrl = 'https://testnet.monadexplorer.com/tx/';
+        // Short codes keep filter state inside the 64-byte callback data
+        this.typeCodes = { a: null, b: 'buy', s: 'sell', t: 'transfer' };
+        this.periods = { 1: '24h', 7: '7d', 30: '30d' };
+    }
+
+    setupHandlers() {
+        // Main menu entry
+        this.bot.action('history', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showHistory(ctx);
+        });
+
+        // Page / filter change: hist_<page>_<type>_<days>_<token>
+        this.bot.action(/^hist_(\d+)_([abst])_(all|1|7|30)_(all|0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            const filters = this.decodeFilters(ctx.match[2], ctx.match[3], ctx.match[4]);
+            await this.showHistory(ctx, filters, parseInt(ctx.match[1], 10));
+        });
+
+        // Ask for a token to filter by
+        this.bot.action(/^hist_token_([abst])_(all|1|7|30)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.promptTokenFilter(ctx, this.decodeFilters(ctx.match[1], ctx.match[2], 'all'));
+        });
+
+        this.bot.action('history_export', async (ctx) => {
+            await ctx.answerCbQuery('📄 Preparing CSV...');
+            await this.exportHistoryCsv(ctx);
+        });
+    }
+
+    /**
+     * Paginated transaction history with the current filters
+     */
+    async showHistory(ctx, filters = {}, page = 1) {
+        const userId = ctx.from.id;
+
+        try {
+            const queryFilters = {
+                tokenAddress: filters.tokenAddress,
+                type: filters.type,
+                since: filters.days ? new Date(Date.now() - filters.days * 24 * 60 * 60 * 1000) : null
+            };
+            const total = await this.database.countTransactionHistory(userId, queryFilters);
+            const totalPages = Math.max(1, Math.ceil(total / this.pageSize));
+            const currentPage = Math.min(Math.max(page, 1), totalPages);
+            const transactions = await this.database.getTransactionHistory(
+                userId, queryFilters, this.pageSize, (currentPage - 1) * this.pageSize
+            );
+
+            let text = `📜 *Trade History*\n\n_Filters: ${this.describeFilters(filters, transactions)}_\n`;
+            if (transactions.length === 0) {
+                text += '\n_No transactions found._';
+            } else {
+                const first = (currentPage - 1) * this.pageSize + 1;
+                text += `_Showing ${first}-${first + transactions.length - 1} of ${total}_\n\n`;
+                text += transactions.map(tx => this.formatTransaction(tx)).join('\n\n');
+            }
+
+            await TelegramUtils.sendOrEdit(ctx, text, this.buildKeyboard(filters, currentPage, totalPages), { disableWebPagePreview: true });
+        } catch (error) {
+            this.monitoring?.logError('Show history failed', error, { userId });
+            await ctx.reply('❌ Error loading trade history. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for the token address or symbol to filter by
+     */
+    async promptTokenFilter(ctx, filters) {
+        const userId = ctx.from.id;
+
+        try {
+            await this.database.setUserState(userId, 'awaiting_history_token', {
+                type: filters.type || null,
+                days: filters.days || null
+            });
+            await ctx.reply('🔎 Send the token address or symbol to filter your history by:', {
+                reply_markup: {
+                    force_reply: true,
+                    input_field_placeholder: '0x... or SYMBOL'
+                }
+            });
+        } catch (error) {
+            this.monitoring?.logError('Prompt history token filter failed', error, { userId });
+            await ctx.reply('❌ Error. Please try again.');
+        }
+    }
+
+    /**
+     * Handle the token address or symbol typed by the user
+     */
+    async processTokenFilterInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const input = ctx.message.text.trim();
+            let tokenAddress = null;
+            if (/^0x[a-fA-F0-9]{40}$/.test(input)) {
+                tokenAddress = input;
+            } else {
+                const token = await this.database.findUserTransactionToken(userId, input.replace(/^\$/, ''));
+                tokenAddress = token?.token_address || null;
+            }
+
+            if (!tokenAddress) {
+                await ctx.reply('❌ No transactions found for that token. Send another address or symbol.');
+                return;
+            }
+
+            await this.database.clearUserState(userId);
+            const { type, days } = userState.data || {};
+            await this.showHistory(ctx, { type, days, tokenAddress }, 1);
+        } catch (error) {
+            this.monitoring?.logError('History token filter input failed', error, { userId });
+            await ctx.reply('❌ Error applying token filter. Please try again.');
+        }
+    }
+
+    /**
+     * Send the full history as a CSV document
+     */
+    async exportHistoryCsv(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const transactions = await this.database.getTransactionHistory(userId);
+            if (transactions.length === 0) {
+                await ctx.reply('📄 You have no transactions to export yet.');
+                return;
+            }
+
+            const header = [
+                'date', 'type', 'token_symbol', 'token_address', 'amount', 'price_per_token_mon',
+                'total_value_mon', 'gas_used', 'gas_price_wei', 'gas_fee_mon', 'status', 'tx_hash', 'explorer_url'
+            ];
+            const rows = transactions.map(tx => [
+                new Date(tx.created_at).toISOString(),
+                tx.type,
+                tx.token_symbol,
+                tx.token_address,
+                tx.amount,
+                tx.price_per_token,
+                tx.total_value,
+                tx.gas_used,
+                tx.gas_price,
+                this.getGasFee(tx),
+                tx.status,
+                tx.tx_hash,
+                `${this.explorerUrl}${tx.tx_hash}`
+            ]);
+            const csv = [header, ...rows]
+                .map(row => row.map(value => this.escapeCsv(value)).join(','))
+                .join('\n');
+
+            const date = new Date().toISOString().slice(0, 10);
+            await ctx.replyWithDocument(
+                { source: Buffer.from(csv, 'utf8'), filename: `area51-history-${date}.csv` },
+                { caption: `📄 Trade history export (${transactions.length} transactions)` }
+            );
+            this.monitoring?.logInfo('History exported', { userId, count: transactions.length });
+        } catch (error) {
+            this.monitoring?.logError('History export failed', error, { userId });
+            await ctx.reply('❌ Error exporting trade history. Please try again.');
+        }
+    }
+
+    /**
+     * One transaction entry for the history list
+     */
+    formatTransaction(tx) {
+        const typeLabels = { buy: '🟢 *Buy*', sell: '🔴 *Sell*', transfer: '📤 *Transfer*' };
+        const statusLabels = { confirmed: '✅ Confirmed', pending: '⏳ Pending', failed: '❌ Failed' };
+        const symbol = TelegramUtils.stripMarkdown(tx.token_symbol || 'Token');
+        const gasFee = this.getGasFee(tx);
+        const date = new Date(tx.created_at).toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+
+        return `${typeLabels[tx.type] || `⚪ *${TelegramUtils.stripMarkdown(tx.type || 'Unknown')}*`} | *${symbol}*
+• *Amount:* ${parseFloat(tx.amount || 0).toFixed(4)} ${symbol}
+• *Value:* ${parseFloat(tx.total_value || 0).toFixed(4)} MON
+• *Gas:* ${gasFee !== null ? `${gasFee.toFixed(6)} MON` : '—'}
+• *Status:* ${statusLabels[tx.status] || TelegramUtils.stripMarkdown(tx.status || 'Unknown')}
+• ${date} · [Explorer](${this.explorerUrl}${tx.tx_hash})`;
+    }
+
+    /**
+     * Gas fee in MON, or null when the receipt was not recorded
+     */
+    getGasFee(tx) {
+        if (!tx.gas_used || !tx.gas_price) {
+            return null;
+        }
+        return Number(BigInt(tx.gas_used) * BigInt(tx.gas_price)) / 1e18;
+    }
+
+    buildKeyboard(filters, currentPage, totalPages) {
+        const typeCode = this.encodeType(filters.type);
+        const days = filters.days ? String(filters.days) : 'all';
+        const token = filters.tokenAddress || 'all';
+        const link = (page, t = typeCode, d = days, tk = token) => `hist_${page}_${t}_${d}_${tk}`;
+        const mark = (selected, label) => (selected ? `✓ ${label}` : label);
+
+        const buttons = [
+            [
+                Markup.button.callback(mark(typeCode === 'a', 'All'), link(1, 'a')),
+                Markup.button.callback(mark(typeCode === 'b', 'Buys'), link(1, 'b')),
+                Markup.button.callback(mark(typeCode === 's', 'Sells'), link(1, 's')),
+                Markup.button.callback(mark(typeCode === 't', 'Transfers'), link(1, 't'))
+            ],
+            [
+                Markup.button.callback(mark(days === 'all', 'All time'), link(1, typeCode, 'all')),
+                ...Object.entries(this.periods).map(([value, label]) =>
+                    Markup.button.callback(mark(days === value, label), link(1, typeCode, value))
+                )
+            ],
+            [
+                filters.tokenAddress
+                    ? Markup.button.callback('❌ Clear Token Filter', link(1, typeCode, days, 'all'))
+                    : Markup.button.callback('🔎 Filter by Token', `hist_token_${typeCode}_${days}`)
+            ]
+        ];
+
+        if (totalPages > 1) {
+            const navButtons = [];
+            if (currentPage > 1) {
+                navButtons.push(Markup.button.callback('⬅️ Previous', link(currentPage - 1)));
+            }
+            if (currentPage < totalPages) {
+                navButtons.push(Markup.button.callback('Next ➡️', link(currentPage + 1)));
+            }
+            buttons.push(navButtons);
+        }
+
+        buttons.push([
+            Markup.button.callback('📄 Export CSV', 'history_export'),
+            Markup.button.callback('🏠 Main Menu', 'back_to_main')
+        ]);
+
+        return Markup.inlineKeyboard(buttons);
+    }
+
+    decodeFilters(typeCode, days, token) {
+        return {
+            type: this.typeCodes[typeCode] || null,
+            days: days === 'all' ? null : parseInt(days, 10),
+            tokenAddress: token === 'all' ? null : token
+        };
+    }
+
+    encodeType(type) {
+        return Object.keys(this.typeCodes).find(code => this.typeCodes[code] === (type || null)) || 'a';
+    }
+
+    describeFilters(filters, transactions) {
+        const parts = [];
+        if (filters.type) {
+            parts.push(`${filters.type}s`);
+        }
+        if (filters.days) {
+            parts.push(`last ${this.periods[filters.days]}`);
+        }
+        if (filters.tokenAddress) {
+            const symbol = transactions[0]?.token_symbol;
+            parts.push(symbol ? TelegramUtils.stripMarkdown(symbol) : `${filters.tokenAddress.slice(0, 8)}...`);
+        }
+        return parts.length > 0 ? parts.join(' · ') : 'all transactions';
+    }
+
+    /**
+     * Quote CSV cells and neutralize spreadsheet formulas (token symbols are chosen by token deployers)
+     */
+    escapeCsv(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?(e-?\d+)?$/i.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = HistoryHandlers;
@@ -1,8 +1,9 @@
 const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
 
 /**
  * Basic Inline Handlers for Area51 Trading Bot
- * Provides simple token search functionality
+ * Provides token search cards and shareable position cards
  */
 class InlineHandlers {
     constructor(bot, dependencies) {
@@ -12,6 +13,9 @@ class InlineHandlers {
         this.monitoring = dependencies.monitoring;
         this.redis = dependencies.redis;
         this.cacheService = dependencies.cacheService;
+
+        // Buy presets on shared cards; each opens the bot with a confirm button, never a one-tap trade
+        this.buyPresets = ['0.1', '0.5', '1'];
     }
 
     /**
@@ -23,16 +27,26 @@ class InlineHandlers {
             await this.handleInlineQuery(ctx);
         });
 
+        // Refresh a shared token card in place
+        this.bot.action(/^inline_refresh_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await this.refreshTokenCard(ctx, ctx.match[1]);
+        });
+
         console.log('✅ Basic inline handlers setup complete');
     }
 
     /**
-     * Handle inline queries - basic token search
+     * Handle inline queries - token search, or `pnl [token]` to share own positions
      */
     async handleInlineQuery(ctx) {
         try {
             const query = ctx.inlineQuery.query.trim();
-            
+
+            const positionMatch = query.match(/^(?:pnl|position)\b\s*(.*)$/i);
+            if (positionMatch) {
+                return await this.sharePositions(ctx, positionMatch[1].trim());
+            }
+
             // If no query, return empty results
             if (!query || query.length < 2) {
                 return await ctx.answerInlineQuery([]);
@@ -54,7 +68,7 @@ class InlineHandlers {
         try {
             // Use the correct MonorailAPI searchTokens method
             const searchResults = await this.monorailAPI.searchTokens(searchTerm);
-            
+
             if (!searchResults?.success || !searchResults?.tokens || searchResults.tokens.length === 0) {
                 return await ctx.answerInlineQuery([{
                     type: 'article',
@@ -68,7 +82,7 @@ class InlineHandlers {
             }
 
             // Use the tokens from search results
-            const tokens = searchResults.tokens.slice(0, 10);
+            const tokens = searchResults.tokens.filter(token => /^0x[a-fA-F0-9]{40}$/.test(token.address || '')).slice(0, 10);
 
             if (tokens.length === 0) {
                 return await ctx.answerInlineQuery([{
@@ -82,19 +96,27 @@ class InlineHandlers {
                 }]);
             }
 
-            // Create basic results
-            const results = tokens.map((token, index) => ({
-                type: 'article',
-                id: `token_${token.address}_${index}`,
-                title: `${token.symbol || 'Unknown'} - ${token.name || 'Unknown Token'}`,
-                description: `Address: ${token.address?.slice(0, 10)}...`,
-                input_message_content: {
-                    message_text: `🪙 *${token.symbol || 'Unknown'}*\n📝 ${token.name || 'Unknown Token'}\n📍 \`${token.address}\``,
-                    parse_mode: 'Markdown'
-                }
-            }));
+            // Enrich search hits with price / market data (cached for 5 minutes)
+            const details = await Promise.all(tokens.map(token => this.getTokenDetails(token.address)));
+            const botUsername = this.getBotUsername(ctx);
+
+            const results = tokens.map((searchToken, index) => {
+                const token = { ...searchToken, ...(details[index] || {}) };
+                return {
+                    type: 'article',
+                    id: `token_${token.address}_${index}`,
+                    title: `${token.symbol || 'Unknown'} - ${token.name || 'Unknown Token'}`,
+                    description: this.formatDescription(token),
+                    input_message_content: {
+                        message_text: this.formatTokenCard(token),
+                        parse_mode: 'Markdown',
+                        disable_web_page_preview: true
+                    },
+                    reply_markup: this.getTokenKeyboard(token.address, botUsername).reply_markup
+                };
+            });
 
-            await ctx.answerInlineQuery(results);
+            await ctx.answerInlineQuery(results, { cache_time: 30 });
 
         } catch (error) {
             this.monitoring?.logError('Search tokens error', error, { searchTerm });
@@ -102,7 +124,214 @@ class InlineHandlers {
         }
     }
 
+    /**
+     * Position cards (entry, current price, PnL) for the querying user, optionally filtered by symbol or address
+     */
+    async sharePositions(ctx, filter) {
+        const userId = ctx.from.id;
+
+        try {
+            const user = await this.database.getUser(userId);
+            if (!user) {
+                return await ctx.answerInlineQuery([], {
+                    cache_time: 0,
+                    is_personal: true,
+                    button: { text: '🚀 Start the bot to share positions', start_parameter: 'inline' }
+                });
+            }
 
+            const needle = filter.toLowerCase();
+            const entries = (await this.database.getPortfolioEntries(userId))
+                .filter(entry => parseFloat(entry.current_balance) > 0)
+                .filter(entry => !needle
+                    || entry.token_address.toLowerCase() === needle
+                    || (entry.token_symbol || '').toLowerCase().includes(needle))
+                .slice(0, 10);
+
+            if (entries.length === 0) {
+                return await ctx.answerInlineQuery([{
+                    type: 'article',
+                    id: 'no_positions',
+                    title: '📭 No open positions',
+                    description: needle ? `No open position matches "${filter}"` : 'Buy a token to get a shareable position card',
+                    input_message_content: {
+                        message_text: '📭 No open positions to share.'
+                    }
+                }], { cache_time: 0, is_personal: true });
+            }
+
+            const details = await Promise.all(entries.map(entry => this.getTokenDetails(entry.token_address)));
+            const botUsername = this.getBotUsername(ctx);
+
+            const results = entries.map((entry, index) => {
+                const position = this.calculatePosition(entry, details[index]);
+                return {
+                    type: 'article',
+                    id: `position_${entry.id}`,
+                    title: `📈 ${entry.token_symbol || 'Token'} position`,
+                    description: position.currentPrice > 0
+                        ? `${this.formatSigned(position.unrealizedPnl)} MON (${this.formatSigned(position.pnlPercent, 2)}%)`
+                        : 'Price unavailable',
+                    input_message_content: {
+                        message_text: this.formatPositionCard(entry, position),
+                        parse_mode: 'Markdown',
+                        disable_web_page_preview: true
+                    },
+                    reply_markup: this.getTokenKeyboard(entry.token_address, botUsername).reply_markup
+                };
+            });
+
+            await ctx.answerInlineQuery(results, { cache_time: 0, is_personal: true });
+            this.monitoring?.logInfo('Inline positions shared', { userId, count: results.length });
+
+        } catch (error) {
+            this.monitoring?.logError('Inline position share failed', error, { userId, filter });
+            await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+        }
+    }
+
+    /**
+     * Re-render a shared token card with a fresh price
+     */
+    async refreshTokenCard(ctx, tokenAddress) {
+        try {
+            const tokenInfo = await this.monorailAPI.getTokenInfo(tokenAddress);
+            if (!tokenInfo?.success) {
+                await ctx.answerCbQuery('❌ Token data unavailable, try again later');
+                return;
+            }
+            if (this.cacheService) {
+                await this.cacheService.set('token_info', tokenAddress, tokenInfo);
+            }
+
+            await ctx.answerCbQuery('🔄 Updated');
+            await ctx.editMessageText(this.formatTokenCard(tokenInfo.token), {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: this.getTokenKeyboard(tokenAddress, this.getBotUsername(ctx)).reply_markup
+            });
+        } catch (error) {
+            // Unchanged prices make Telegram reject the edit
+            if (!error.message?.includes('message is not modified')) {
+                this.monitoring?.logError('Inline card refresh failed', error, { tokenAddress });
+            }
+        }
+    }
+
+    async getTokenDetails(tokenAddress) {
+        try {
+            const fetchInfo = () => this.monorailAPI.getTokenInfo(tokenAddress);
+            const tokenInfo = this.cacheService
+                ? await this.cacheService.getOrSet('token_info', tokenAddress, fetchInfo)
+                : await fetchInfo();
+            return tokenInfo?.success ? tokenInfo.token : null;
+        } catch (error) {
+            this.monitoring?.logError('Inline token details failed', error, { tokenAddress });
+            return null;
+        }
+    }
+
+    calculatePosition(entry, token) {
+        const balance = parseFloat(entry.current_balance) || 0;
+        const entryPrice = parseFloat(entry.average_buy_price) || 0;
+        const currentPrice = parseFloat(token?.mon_per_token) || 0;
+        const unrealizedPnl = currentPrice > 0 ? balance * (currentPrice - entryPrice) : 0;
+
+        return {
+            balance,
+            entryPrice,
+            currentPrice,
+            unrealizedPnl,
+            pnlPercent: entryPrice > 0 && currentPrice > 0 ? (currentPrice / entryPrice - 1) * 100 : 0,
+            realizedPnl: parseFloat(entry.realized_pnl) || 0
+        };
+    }
+
+    formatTokenCard(token) {
+        const lines = [];
+        const monPrice = parseFloat(token.mon_per_token);
+        const usdPrice = parseFloat(token.usd_per_token);
+        if (monPrice > 0) {
+            lines.push(`💰 *Price:* ${TelegramUtils.formatPrice(monPrice)} MON${usdPrice > 0 ? ` ($${TelegramUtils.formatPrice(usdPrice)})` : ''}`);
+        }
+        if (token.priceChange24h !== null && token.priceChange24h !== undefined && !isNaN(parseFloat(token.priceChange24h))) {
+            const change = parseFloat(token.priceChange24h);
+            lines.push(`${change >= 0 ? '🟢' : '🔴'} *24h:* ${this.formatSigned(change, 2)}%`);
+        }
+        if (parseFloat(token.liquidity) > 0) {
+            lines.push(`💧 *Liquidity:* $${TelegramUtils.formatCompact(token.liquidity, 3)}`);
+        }
+        if (parseFloat(token.marketCap) > 0) {
+            lines.push(`🏦 *Market Cap:* $${TelegramUtils.formatCompact(token.marketCap, 3)}`);
+        }
+        if (parseFloat(token.volume24h) > 0) {
+            lines.push(`📊 *Volume 24h:* $${TelegramUtils.formatCompact(token.volume24h, 3)}`);
+        }
+
+        return `🟣 *${TelegramUtils.stripMarkdown(token.symbol || 'Unknown')}* | ${TelegramUtils.stripMarkdown(token.name || 'Unknown Token')}
+\`${token.address}\`
+
+${lines.length > 0 ? lines.join('\n') : '_Price data unavailable_'}
+
+_Updated ${new Date().toUTCString().slice(17, 22)} UTC_`;
+    }
+
+    formatPositionCard(entry, position) {
+        const symbol = TelegramUtils.stripMarkdown(entry.token_symbol || 'Token');
+        const pnlLine = position.currentPrice > 0
+            ? `${position.unrealizedPnl >= 0 ? '🟢' : '🔴'} *Unrealized:* ${this.formatSigned(position.unrealizedPnl)} MON (${this.formatSigned(position.pnlPercent, 2)}%)`
+            : '⚪ *Unrealized:* price unavailable';
+
+        return `📈 *${symbol} Position*
+\`${entry.token_address}\`
+
+💼 *Holding:* ${TelegramUtils.formatCompact(position.balance, 3)} ${symbol}
+🎯 *Entry:* ${TelegramUtils.formatPrice(position.entryPrice)} MON
+💰 *Current:* ${position.currentPrice > 0 ? `${TelegramUtils.formatPrice(position.currentPrice)} MON` : '—'}
+${pnlLine}
+💵 *Realized:* ${this.formatSigned(position.realizedPnl)} MON`;
+    }
+
+    /**
+     * Short result description: price and 24h change when available
+     */
+    formatDescription(token) {
+        const parts = [];
+        if (parseFloat(token.mon_per_token) > 0) {
+            parts.push(`${TelegramUtils.formatPrice(parseFloat(token.mon_per_token))} MON`);
+        }
+        if (token.priceChange24h !== null && token.priceChange24h !== undefined && !isNaN(parseFloat(token.priceChange24h))) {
+            parts.push(`${this.formatSigned(parseFloat(token.priceChange24h), 2)}% 24h`);
+        }
+        parts.push(`${token.address.slice(0, 10)}...`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Deep-link keyboard: buy presets and token view open in a private chat with the bot
+     */
+    getTokenKeyboard(tokenAddress, botUsername) {
+        const link = payload => `https://t.me/${botUsername}?start=${payload}`;
+        return Markup.inlineKeyboard([
+            this.buyPresets.map(amount => Markup.button.url(
+                `🟢 Buy ${amount}`,
+                link(`buyToken-${amount.replace('.', '_')}-${tokenAddress}`)
+            )),
+            [
+                Markup.button.url('🔴 Sell', link(`sellToken-${tokenAddress}`)),
+                Markup.button.url('📊 Open', link(`token_${tokenAddress}`)),
+                Markup.button.callback('🔄 Refresh', `inline_refresh_${tokenAddress}`)
+            ]
+        ]);
+    }
+
+    getBotUsername(ctx) {
+        return ctx.botInfo?.username || this.bot.botInfo?.username || 'MonAreaBot';
+    }
+
+    formatSigned(value, decimals = 4) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}`;
+    }
 }
 
 module.exports = InlineHandlers;
\ No newline at end of file
@@ -0,0 +1,269 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class LimitOrderHandlers {
+    constructor(bot, database, monorailAPI, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+
+        this.defaultExpiryHours = 24;
+        this.maxExpiryHours = 24 * 30;
+        this.maxActiveOrders = 20;
+    }
+
+    setupHandlers() {
+        // Limit order menu for a token (from the token view)
+        this.bot.action(/^limit_order_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showTokenLimitOrders(ctx, ctx.match[1]);
+        });
+
+        // Start creating a buy-below / sell-above order
+        this.bot.action(/^limit_(buy|sell)_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startOrderCreation(ctx, ctx.match[1], ctx.match[2]);
+        });
+
+        // List all active orders
+        this.bot.action('limit_orders', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showUserLimitOrders(ctx);
+        });
+
+        // Cancel an order
+        this.bot.action(/^cancel_limit_(\d+)$/, async (ctx) => {
+            await this.cancelOrder(ctx, ctx.match[1]);
+        });
+    }
+
+    /**
+     * Show limit order options and active orders for one token
+     */
+    async showTokenLimitOrders(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const [tokenInfo, orders] = await Promise.all([
+                this.monorailAPI.getTokenInfo(tokenAddress),
+                this.database.getUserLimitOrders(userId, tokenAddress)
+            ]);
+            const tokenSymbol = tokenInfo?.token?.symbol || 'Token';
+            const priceInMON = parseFloat(tokenInfo?.token?.mon_per_token || '0');
+
+            let text = `🎯 *Limit Orders | ${tokenSymbol}*
+
+\`${tokenAddress}\`
+
+• *Current Price:* ${priceInMON} MON
+
+`;
+            if (orders.length === 0) {
+                text += '_No active limit orders for this token._';
+            } else {
+                text += `*📋 Active Orders (${orders.length}):*\n`;
+                text += orders.map(order => this.formatOrderLine(order)).join('\n');
+            }
+
+            const buttons = [
+                [
+                    Markup.button.callback('🟢 Buy Below', `limit_buy_${tokenAddress}`),
+                    Markup.button.callback('🔴 Sell Above', `limit_sell_${tokenAddress}`)
+                ]
+            ];
+            for (const order of orders) {
+                buttons.push([Markup.button.callback(`❌ Cancel #${order.id}`, `cancel_limit_${order.id}`)]);
+            }
+            buttons.push([
+                Markup.button.callback('📋 All Orders', 'limit_orders'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            const keyboard = Markup.inlineKeyboard(buttons);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Show token limit orders failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error loading limit orders. Please try again.');
+        }
+    }
+
+    /**
+     * Ask the user for target price, amount and optional expiry
+     */
+    async startOrderCreation(ctx, orderType, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const activeOrders = await this.database.getUserLimitOrders(userId);
+            if (activeOrders.length >= this.maxActiveOrders) {
+                await ctx.reply(`❌ You already have ${this.maxActiveOrders} active limit orders. Cancel one before creating another.`);
+                return;
+            }
+
+            const tokenInfo = await this.monorailAPI.getTokenInfo(tokenAddress);
+            if (!tokenInfo || !tokenInfo.success) {
+                await ctx.reply('❌ Token not found or not supported.');
+                return;
+            }
+            const tokenSymbol = tokenInfo.token.symbol || 'Token';
+            const priceInMON = parseFloat(tokenInfo.token.mon_per_token || '0');
+
+            await this.database.setUserState(userId, 'awaiting_limit_order', {
+                orderType,
+                tokenAddress,
+                tokenSymbol
+            });
+
+            const isBuy = orderType === 'buy';
+            const text = `${isBuy ? '🟢 *Buy Below*' : '🔴 *Sell Above*'} | *${tokenSymbol}*
+
+• *Current Price:* ${priceInMON} MON
+
+Send the target price in MON, the ${isBuy ? 'MON amount to spend' : 'percentage of your holdings to sell'} and optionally the expiry in hours (default ${this.defaultExpiryHours}h):
+
+**Format:** \`<price> <${isBuy ? 'amount' : 'percent'}> [hours]\`
+**Example:** \`${isBuy ? '0.0005 1 48' : '0.002 50 48'}\``;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔙 Back', `limit_order_${tokenAddress}`)]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start limit order creation failed', error, { userId, orderType, tokenAddress });
+            await ctx.reply('❌ Error starting limit order. Please try again.');
+        }
+    }
+
+    /**
+     * Parse and store the order entered by the user
+     */
+    async processLimitOrderInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { orderType, tokenAddress, tokenSymbol } = userState.data || {};
+            if (!orderType || !tokenAddress) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const parts = ctx.message.text.trim().split(/\s+/);
+            const targetPrice = parseFloat(parts[0]);
+            const amount = parseFloat(parts[1]);
+            const expiryHours = parts[2] !== undefined ? parseFloat(parts[2]) : this.defaultExpiryHours;
+
+            if (parts.length < 2 || isNaN(targetPrice) || targetPrice <= 0) {
+                await ctx.reply('❌ Invalid format. Example: `0.0005 1 48`', { parse_mode: 'Markdown' });
+                return;
+            }
+            if (isNaN(amount) || amount <= 0) {
+                await ctx.reply('❌ Amount must be a positive number.');
+                return;
+            }
+            if (orderType === 'sell' && amount > 100) {
+                await ctx.reply('❌ Sell percentage must be between 1 and 100.');
+                return;
+            }
+            if (isNaN(expiryHours) || expiryHours <= 0 || expiryHours > this.maxExpiryHours) {
+                await ctx.reply(`❌ Expiry must be between 1 and ${this.maxExpiryHours} hours.`);
+                return;
+            }
+
+            const expiresAt = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+            const order = await this.database.createLimitOrder(userId, {
+                tokenAddress,
+                tokenSymbol,
+                orderType,
+                targetPrice,
+                amount,
+                expiresAt
+            });
+
+            await this.database.clearUserState(userId);
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('📋 My Orders', 'limit_orders'), Markup.button.callback(`❌ Cancel #${order.id}`, `cancel_limit_${order.id}`)],
+                [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await ctx.reply(`✅ *Limit Order Created*
+
+${this.formatOrderLine(order)}
+
+_You will be notified when the order executes or expires._`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard.reply_markup
+            });
+
+            this.monitoring?.logInfo('Limit order created', { userId, orderId: order.id, orderType, tokenAddress });
+        } catch (error) {
+            this.monitoring?.logError('Limit order input processing failed', error, { userId });
+            await ctx.reply('❌ Error creating limit order. Please try again.');
+        }
+    }
+
+    /**
+     * Show all of the user's active limit orders
+     */
+    async showUserLimitOrders(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const orders = await this.database.getUserLimitOrders(userId);
+
+            let text = '📋 *Your Limit Orders*\n\n';
+            if (orders.length === 0) {
+                text += '_You have no active limit orders._\n\nOpen a token and tap 🎯 *Limit Order* to create one.';
+            } else {
+                text += orders.map(order => this.formatOrderLine(order)).join('\n\n');
+            }
+
+            const buttons = orders.map(order => [
+                Markup.button.callback(`❌ Cancel #${order.id} ${order.token_symbol || ''}`.trim(), `cancel_limit_${order.id}`)
+            ]);
+            buttons.push([Markup.button.callback('🏠 Main Menu', 'back_to_main')]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show limit orders failed', error, { userId });
+            await ctx.reply('❌ Error loading limit orders. Please try again.');
+        }
+    }
+
+    /**
+     * Cancel an active order and refresh the order list
+     */
+    async cancelOrder(ctx, orderId) {
+        const userId = ctx.from.id;
+
+        try {
+            const cancelled = await this.database.cancelLimitOrder(orderId, userId);
+            if (!cancelled) {
+                await ctx.answerCbQuery('⚠️ Order is no longer active');
+            } else {
+                await ctx.answerCbQuery('✅ Order cancelled');
+                this.monitoring?.logInfo('Limit order cancelled', { userId, orderId });
+            }
+            await this.showUserLimitOrders(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Cancel limit order failed', error, { userId, orderId });
+            await ctx.reply('❌ Error cancelling limit order. Please try again.');
+        }
+    }
+
+    /**
+     * One-line order summary with expiry
+     */
+    formatOrderLine(order) {
+        const isBuy = order.order_type === 'buy';
+        const amountText = isBuy
+            ? `${parseFloat(order.amount)} MON`
+            : `${parseFloat(order.amount)}%`;
+        const expiresAt = new Date(order.expires_at).toLocaleString('en-US');
+        return `#${order.id} ${isBuy ? '🟢 Buy' : '🔴 Sell'} *${order.token_symbol || 'Token'}* ${amountText} ${isBuy ? '≤' : '≥'} ${parseFloat(order.target_price)} MON
+   _Expires: ${expiresAt}_`;
+    }
+}
+
+module.exports = LimitOrderHandlers;
@@ -1,5 +1,6 @@
 // Navigation and UI Handlers
 const { Markup } = require('telegraf');
+const { ethers } = require('ethers');
 const InterfaceUtils = require('../utils/interfaceUtils');
 const FreshDataFetcher = require("../utils/freshDataFetcher");
 class NavigationHandlers {
@@ -14,6 +15,7 @@ class NavigationHandlers {
         this.cacheService = cacheService;
         this.accessCodeSystem = accessCodeSystem;
         this.welcomeHandler = welcomeHandler;
+        this.maxTransferTokens = 8;
     }
     setupHandlers() {
         // Start command
@@ -50,6 +52,18 @@ class NavigationHandlers {
         this.bot.action('transfer', async (ctx) => {
             await this.handleTransfer(ctx);
         });
+        this.bot.action(/^transfer_token_(mon|0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await this.handleTransfer(ctx, ctx.match[1] === 'mon' ? null : ctx.match[1]);
+        });
+        this.bot.action(/^transfer_to_(\d+)$/, async (ctx) => {
+            await this.handleTransferToSaved(ctx, parseInt(ctx.match[1]));
+        });
+        this.bot.action('transfer_confirm', async (ctx) => {
+            await this.executeTransfer(ctx);
+        });
+        this.bot.action('transfer_cancel', async (ctx) => {
+            await this.cancelTransfer(ctx);
+        });
         // Text message handler
         this.bot.on('text', async (ctx) => {
             await this.handleTextMessage(ctx);
@@ -158,7 +172,7 @@ class NavigationHandlers {
                 if (cachedData) {
                     this.monitoring.logInfo('🚀 Main menu cache HIT', { userId });
                     const { text, keyboard } = InterfaceUtils.generateMainInterface(
-                        cachedData.user, cachedData.monBalance, cachedData.monPriceUSD, cachedData.portfolioValueUSD
+                        cachedData.user, cachedData.monBalance, cachedData.monPriceUSD, cachedData.portfolioValueUSD, cachedData.pnlSummary
                     );
                     return { text, keyboard };
                 }
@@ -273,10 +287,11 @@ class NavigationHandlers {
         const portfolioValueUSD = parseFloat(portfolioValueData.value || '0');
         const portfolioValueMON = monPriceUSD > 0 ? portfolioValueUSD / monPriceUSD : 0;
         const monValueUSD = monBalance * monPriceUSD;
+        const pnlSummary = await this.getPnLSummary(user);
         // Cache the data for 5 minutes for faster access (shorter than price data for balance updates)
         if (this.cacheService && !forceRefresh) {
             try {
-                const dataToCache = { monBalance, monPriceUSD, portfolioValueUSD, portfolioValueMON, monValueUSD, user };
+                const dataToCache = { monBalance, monPriceUSD, portfolioValueUSD, portfolioValueMON, monValueUSD, user, pnlSummary };
                 await this.cacheService.set('main_menu', userId, dataToCache, 300);
                 this.monitoring.logInfo('💾 Main menu data cached', { userId, ttl: 300 });
             } catch (redisError) {
@@ -284,10 +299,25 @@ class NavigationHandlers {
             }
         }
         const { text, keyboard } = InterfaceUtils.generateMainInterface(
-            user, monBalance, monPriceUSD, portfolioValueUSD
+            user, monBalance, monPriceUSD, portfolioValueUSD, pnlSummary
         );
         return { text, keyboard };
     }
+    /**
+     * Total realized / unrealized PnL for the main menu (null if unavailable)
+     */
+    async getPnLSummary(user) {
+        const portfolioService = this.mainBot?.portfolioService;
+        if (!portfolioService) {
+            return null;
+        }
+        try {
+            return await portfolioService.getPnLSummary(user.telegram_id, user.wallet_address);
+        } catch (error) {
+            this.monitoring.logError('Main menu PnL summary failed', error, { userId: user.telegram_id });
+            return null;
+        }
+    }
     async showWelcome(ctx, fromCache = false, forceRefresh = false) {
         const userId = ctx.from.id;
         try {
@@ -438,7 +468,7 @@ Explore and trade tokens in the Monad ecosystem:`;
         }
     }
     // showSettings method removed - using the updated version from index-modular-simple.js
-    async handleTransfer(ctx) {
+    async handleTransfer(ctx, tokenAddress = null) {
         const userId = ctx.from.id;
         try {
             if (ctx.callbackQuery) {
@@ -450,22 +480,54 @@ Explore and trade tokens in the Monad ecosystem:`;
                 await ctx.reply('❌ Please start the bot first with /start');
                 return;
             }
-            // Get current MON balance
-            const currentBalanceData = await this.monorailAPI.getMONBalance(user.wallet_address);
+            // Get current MON balance and the tokens the user can send
+            const [currentBalanceData, walletTokens] = await Promise.all([
+                this.monorailAPI.getMONBalance(user.wallet_address),
+                this.monorailAPI.getWalletBalance(user.wallet_address)
+            ]);
             const currentBalance = parseFloat(currentBalanceData.balance || '0');
-            const transferText = `📤 *Transfer MON*
+            const tokens = (walletTokens || [])
+                .filter(token => token.address && token.address !== this.monorailAPI.tokens.MON && parseFloat(token.balance) > 0)
+                .slice(0, this.maxTransferTokens);
+            const selected = tokenAddress ? tokens.find(token => token.address.toLowerCase() === tokenAddress.toLowerCase()) : null;
+            if (tokenAddress && !selected) {
+                await ctx.reply('❌ Token not found in your portfolio.');
+                return;
+            }
+            // With the withdrawal whitelist on, offer the saved addresses that finished their cooling period
+            const whitelist = await this.mainBot?.withdrawalWhitelistService?.getOverview(userId);
+            const savedAddresses = whitelist?.enabled ? whitelist.addresses.filter(entry => entry.active) : [];
+            const assetLine = selected
+                ? `🪙 **Sending:** *${this.escapeMarkdown(selected.symbol)}* (balance: ${parseFloat(selected.balance).toFixed(4)})`
+                : '🪙 **Sending:** *MON*';
+            const addressPrompt = whitelist?.enabled
+                ? '🛡️ _Whitelist on: transfers only go to your saved addresses._\n\nPick the asset below, then tap a saved address or paste one:'
+                : 'Pick the asset to send below, then enter the recipient address:\n**Example:** `0x1234567890123456789012345678901234567890`';
+            const transferText = `📤 *Transfer*
 
 💼 **Your Balance:** *${currentBalance.toFixed(4)} MON*
+${assetLine}
 
-Please enter the recipient address:
-**Example:** \`0x1234567890123456789012345678901234567890\``;
+${addressPrompt}`;
+            const assetButtons = [Markup.button.callback(selected ? 'MON' : '✓ MON', 'transfer_token_mon')];
+            tokens.forEach(token => {
+                const isSelected = selected && token.address === selected.address;
+                assetButtons.push(Markup.button.callback(`${isSelected ? '✓ ' : ''}${token.symbol}`, `transfer_token_${token.address}`));
+            });
+            const rows = [];
+            for (let i = 0; i < assetButtons.length; i += 3) {
+                rows.push(assetButtons.slice(i, i + 3));
+            }
+            savedAddresses.forEach(entry => {
+                rows.push([Markup.button.callback(`📍 ${entry.label} (${entry.address.slice(0, 6)}...${entry.address.slice(-4)})`, `transfer_to_${entry.id}`)]);
+            });
+            rows.push([
+                Markup.button.callback('🛡️ Whitelist', 'withdrawal_whitelist'),
+                Markup.button.callback('🏠 Back to Main', 'main')
+            ]);
             const transferOptions = {
                 parse_mode: 'Markdown',
-                reply_markup: {
-                    inline_keyboard: [
-                        [{ text: '🏠 Back to Main', callback_data: 'main' }]
-                    ]
-                }
+                reply_markup: Markup.inlineKeyboard(rows).reply_markup
             };
             if (ctx.callbackQuery) {
                 // For buttons - edit existing message
@@ -479,13 +541,40 @@ Please enter the recipient address:
                 // For commands - send new message
                 await ctx.reply(transferText, transferOptions);
             }
-            // Set user state to await address
-            await this.database.setUserState(userId, 'awaiting_transfer_address');
+            // Set user state to await address (MON unless a token was picked)
+            await this.database.setUserState(userId, 'awaiting_transfer_address', selected ? {
+                tokenAddress: selected.address,
+                tokenSymbol: selected.symbol
+            } : {});
         } catch (error) {
             this.monitoring.logError('Transfer handler failed', error, { userId });
             await ctx.reply('❌ Error starting transfer. Please try again.');
         }
     }
+    /**
+     * Continue a transfer with a saved whitelist address instead of typing it
+     */
+    async handleTransferToSaved(ctx, addressId) {
+        const userId = ctx.from.id;
+        try {
+            await ctx.answerCbQuery();
+            const userState = await this.database.getUserState(userId);
+            if (userState?.state !== 'awaiting_transfer_address') {
+                await ctx.reply('❌ Transfer expired. Please start again with /transfer');
+                return;
+            }
+            const addresses = await this.database.getWithdrawalAddresses(userId);
+            const entry = addresses.find(address => address.id === addressId);
+            if (!entry) {
+                await ctx.reply('❌ Saved address not found. Please start again with /transfer');
+                return;
+            }
+            await this.processTransferAddress(ctx, entry.address, userState.data || {});
+        } catch (error) {
+            this.monitoring.logError('Transfer to saved address failed', error, { userId, addressId });
+            await ctx.reply('❌ Error processing address. Please try again.');
+        }
+    }
     // showDocs function removed - now using direct URL button
     async handleTextMessage(ctx) {
         const userId = ctx.from.id;
@@ -582,10 +671,10 @@ Please enter the recipient address:
                     await this.processCustomAutoBuyAmount(ctx, ctx.message.text);
                     return;
                 case 'awaiting_transfer_address':
-                    await this.processTransferAddress(ctx, ctx.message.text);
+                    await this.processTransferAddress(ctx, ctx.message.text, userState.data || {});
                     return;
                 case 'awaiting_transfer_amount':
-                    await this.processTransferAmount(ctx, ctx.message.text, userState.data?.recipientAddress);
+                    await this.processTransferAmount(ctx, ctx.message.text, userState.data || {});
                     return;
             }
         }
@@ -601,31 +690,41 @@ Please enter the recipient address:
             parse_mode: 'Markdown'
         });
     }
-    async processTransferAddress(ctx, address) {
+    async processTransferAddress(ctx, address, transfer = {}) {
         const userId = ctx.from.id;
         try {
             // Validate address format
             const cleanAddress = address.trim();
-            if (!cleanAddress.startsWith('0x') || cleanAddress.length !== 42) {
+            if (!ethers.isAddress(cleanAddress)) {
                 await ctx.reply('❌ Invalid address format. Address must be 42 characters starting with 0x');
                 return;
             }
+            // Reject non-whitelisted addresses up front; executeTransfer enforces it again before sending
+            const security = this.mainBot?.walletHandlers?.security;
+            const whitelistCheck = security
+                ? await security.checkWithdrawalAddress(userId, cleanAddress)
+                : { allowed: false, reason: 'Security check failed' };
+            if (!whitelistCheck.allowed) {
+                await ctx.reply(`🛡️ ${whitelistCheck.reason}.
+
+Manage your saved addresses with /whitelist, or send another address.`);
+                return;
+            }
             // Get user balance for display
             const user = await this.database.getUserByTelegramId(userId);
             if (!user) {
                 await ctx.reply('❌ User not found. Please start the bot with /start');
                 return;
             }
-            const balance = await this.walletManager.getBalance(user.wallet_address);
-            const currentBalance = parseFloat(balance);
+            const { balance, symbol } = await this.getTransferBalance(user, transfer);
             // Ask for amount
             const amountText = `✅ **Address Confirmed**
 
 📤 **To:** \`${cleanAddress}\`
-💼 **Your Balance:** *${currentBalance.toFixed(4)} MON*
+💼 **Your Balance:** *${parseFloat(balance).toFixed(4)} ${this.escapeMarkdown(symbol)}*
 
-Enter the amount you want to transfer:
-**Example:** \`1.5\``;
+Enter the amount you want to transfer, or a percentage of your balance:
+**Example:** \`1.5\` or \`50%\``;
             await ctx.reply(amountText, {
                     parse_mode: 'Markdown',
                     reply_markup: {
@@ -635,6 +734,7 @@ Enter the amount you want to transfer:
             });
             // Update user state with address
             await this.database.setUserState(userId, 'awaiting_transfer_amount', { 
+                ...transfer,
                 recipientAddress: cleanAddress 
             });
             // Clear cache to ensure fresh state is loaded
@@ -644,42 +744,144 @@ Enter the amount you want to transfer:
             await ctx.reply('❌ Error processing address. Please try again.');
         }
     }
-    async processTransferAmount(ctx, amountStr, recipientAddress) {
+    async processTransferAmount(ctx, amountStr, transfer = {}) {
         const userId = ctx.from.id;
         try {
+            const input = amountStr.trim();
             // Check if input looks like an address (user sent another address instead of amount)
-            if (amountStr.trim().match(/0x[a-fA-F0-9]{40}/)) {
+            if (input.match(/0x[a-fA-F0-9]{40}/)) {
                 await ctx.reply('❌ Please enter the transfer amount, not an address. Example: 0.1');
                 return;
             }
-            const amount = parseFloat(amountStr);
+            const percentMatch = input.match(/^(\d+(?:\.\d+)?)\s*%$/);
+            const value = parseFloat(percentMatch ? percentMatch[1] : input);
             // Validate amount
-            if (isNaN(amount) || amount <= 0) {
-                await ctx.reply('❌ Invalid amount. Please enter a positive number.');
+            if (isNaN(value) || value <= 0 || (percentMatch && value > 100) || !/^[\d.]+\s*%?$/.test(input)) {
+                await ctx.reply('❌ Invalid amount. Please enter a positive number or a percentage (e.g. 50%).');
                 return;
             }
             // Get user data
             const user = await this.database.getUserByTelegramId(userId);
+            if (!user || !transfer.recipientAddress) {
+                await ctx.reply('❌ Transfer expired. Please start again with /transfer');
+                return;
+            }
+            const { rawBalance, decimals, symbol } = await this.getTransferBalance(user, transfer);
+            const isToken = !!transfer.tokenAddress;
+            // Gas is paid in MON: estimate it first so MON percentages leave room for it
+            const gas = await this.walletManager.estimateTransferGas(
+                user.wallet_address,
+                transfer.recipientAddress,
+                isToken ? 1n : 0n,
+                transfer.tokenAddress || null
+            );
+            const gasWei = gas.gasLimit * gas.gasPrice;
+            const spendable = isToken ? rawBalance : (rawBalance > gasWei ? rawBalance - gasWei : 0n);
+            let amount;
+            if (percentMatch) {
+                amount = spendable * BigInt(Math.round(value * 100)) / 10000n;
+            } else {
+                const [whole, fraction = ''] = input.split('.');
+                amount = ethers.parseUnits(`${whole || '0'}.${fraction.slice(0, decimals) || '0'}`, decimals);
+            }
+            const available = ethers.formatUnits(spendable, decimals);
+            if (amount <= 0n || amount > spendable) {
+                await ctx.reply(`❌ Insufficient balance. You can send up to ${parseFloat(available).toFixed(6)} ${symbol}${isToken ? '' : ' (after gas)'}.`);
+                return;
+            }
+            if (isToken) {
+                const monBalance = ethers.parseEther(await this.walletManager.getBalance(user.wallet_address));
+                if (monBalance < gasWei) {
+                    await ctx.reply(`❌ Not enough MON for gas. This transfer needs about ${parseFloat(gas.gasCost).toFixed(6)} MON.`);
+                    return;
+                }
+            }
+            const amountText = ethers.formatUnits(amount, decimals);
+            const confirmText = `📤 *Confirm Transfer*
+
+🪙 **Amount:** *${parseFloat(amountText)} ${this.escapeMarkdown(symbol)}*
+📍 **To:** \`${transfer.recipientAddress}\`
+⛽ **Est. Gas:** ~${parseFloat(gas.gasCost).toFixed(6)} MON
+
+⚠️ _Transfers cannot be reversed. Double-check the recipient address._`;
+            await ctx.reply(confirmText, {
+                parse_mode: 'Markdown',
+                reply_markup: Markup.inlineKeyboard([
+                    [Markup.button.callback('✅ Confirm Transfer', 'transfer_confirm'), Markup.button.callback('❌ Cancel', 'transfer_cancel')]
+                ]).reply_markup
+            });
+            await this.database.setUserState(userId, 'awaiting_transfer_confirmation', {
+                ...transfer,
+                tokenSymbol: symbol,
+                decimals,
+                amount: amount.toString()
+            });
+        } catch (error) {
+            this.monitoring.logError('Transfer processing failed', error, { userId });
+            await ctx.reply('❌ Error processing transfer. Please try again.');
+        }
+    }
+    /**
+     * Send the confirmed transfer (MON or ERC-20) and log it as a transfer transaction
+     */
+    async executeTransfer(ctx) {
+        const userId = ctx.from.id;
+        try {
+            await ctx.answerCbQuery();
+            // Claimed atomically so a double tap cannot send twice
+            const userState = await this.database.claimUserState(userId, 'awaiting_transfer_confirmation');
+            if (!userState?.data?.amount) {
+                await ctx.editMessageText('❌ Transfer expired. Please start again with /transfer');
+                return;
+            }
+            const transfer = userState.data;
+            const user = await this.database.getUserByTelegramId(userId);
             if (!user) {
                 await ctx.reply('❌ User not found. Please start the bot with /start');
                 return;
             }
-            // Check balance
-            const balance = await this.walletManager.getBalance(user.wallet_address);
-            const currentBalance = parseFloat(balance);
-            if (currentBalance < amount) {
-                await ctx.reply(`❌ Insufficient balance. You have ${currentBalance.toFixed(6)} MON, trying to send ${amount} MON`);
+            // Withdrawal whitelist and large_transaction rate limit
+            const verification = await this.mainBot?.walletHandlers?.security?.verifyUserForSensitiveOperation(userId, 'large_transaction', {
+                userTelegramId: userId,
+                recipientAddress: transfer.recipientAddress
+            });
+            if (!verification?.allowed) {
+                await ctx.editMessageText(`🛡️ *Transfer Blocked*
+
+${this.escapeMarkdown(verification?.reason || 'Security check failed')}`, { parse_mode: 'Markdown' });
                 return;
             }
+            await ctx.editMessageText('🔄 Sending transfer...');
+            const amount = BigInt(transfer.amount);
+            const amountText = ethers.formatUnits(amount, transfer.decimals);
             // Execute transfer using wallet manager
-            const result = await this.walletManager.sendMON(
-                user.encrypted_private_key,
-                recipientAddress,
-                amount.toString()
-            );
-            // Clear user state after transfer attempt (success or failure)
-            await this.database.clearUserState(userId);
+            const result = transfer.tokenAddress
+                ? await this.walletManager.sendToken(user.encrypted_private_key, transfer.tokenAddress, transfer.recipientAddress, amount)
+                : await this.walletManager.sendMON(user.encrypted_private_key, transfer.recipientAddress, amountText);
             if (result.success) {
+                let monValue = transfer.tokenAddress ? 0 : parseFloat(amountText);
+                if (transfer.tokenAddress) {
+                    const tokenInfo = await this.monorailAPI.getTokenInfo(transfer.tokenAddress).catch(() => null);
+                    monValue = parseFloat(amountText) * (parseFloat(tokenInfo?.token?.mon_per_token) || 0);
+                }
+                // Logged as pending: the transaction tracker records gas and the final status
+                await this.database.addTransaction(userId, {
+                    txHash: result.txHash,
+                    type: 'transfer',
+                    tokenAddress: transfer.tokenAddress || this.monorailAPI.tokens.MON,
+                    tokenSymbol: transfer.tokenSymbol || 'MON',
+                    amount: amountText,
+                    pricePerToken: null,
+                    totalValue: monValue.toString(),
+                    gasPrice: result.gasPrice || null,
+                    status: 'pending',
+                    fromAddress: user.wallet_address,
+                    metadata: {
+                        source: 'transfer',
+                        recipient: transfer.recipientAddress,
+                        decimals: transfer.decimals
+                    }
+                }).catch(error => this.monitoring.logError('Transfer logging failed', error, { userId, txHash: result.txHash }));
                 // Use UnifiedCacheManager for transfer operations (same as trading)
                 if (this.cacheService) {
                     try {
@@ -709,26 +911,54 @@ Enter the amount you want to transfer:
                     }
                 }
                 const explorerUrl = `https://testnet.monadexplorer.com/tx/${result.transactionHash}`;
-                await ctx.reply(`✅ *Transfer Successful!*
+                await ctx.editMessageText(`✅ *Transfer Sent!*
 
-📤 **Sent:** ${amount} MON
-📍 **To:** \`${recipientAddress}\`
+📤 **Sent:** ${parseFloat(amountText)} ${this.escapeMarkdown(transfer.tokenSymbol || 'MON')}
+📍 **To:** \`${transfer.recipientAddress}\`
 
-[View on Explorer](${explorerUrl})
-
-Your MON has been sent successfully!`, {
-                    parse_mode: 'Markdown'
+[View on Explorer](${explorerUrl})`, {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
                 });
+                // Updated with the final status (and gas used) once mined
+                await this.mainBot?.transactionTracker?.track(result.txHash, ctx.chat.id, ctx.callbackQuery.message.message_id);
+                this.monitoring.logInfo('Transfer sent', { userId, txHash: result.txHash, tokenAddress: transfer.tokenAddress || 'MON' });
             } else {
-                await ctx.reply(`❌ *Transfer Failed*
+                await ctx.editMessageText(`❌ *Transfer Failed*
 Error: ${result.error}
 Please try again or check your wallet balance.`);
             }
         } catch (error) {
-            this.monitoring.logError('Transfer processing failed', error, { userId, transferText });
+            this.monitoring.logError('Transfer execution failed', error, { userId });
             await ctx.reply('❌ Error processing transfer. Please try again.');
         }
     }
+    async cancelTransfer(ctx) {
+        await ctx.answerCbQuery();
+        await this.database.clearUserState(ctx.from.id);
+        await ctx.editMessageText('❌ Transfer cancelled.', {
+            reply_markup: Markup.inlineKeyboard([[Markup.button.callback('🏠 Back to Main', 'main')]]).reply_markup
+        });
+    }
+    /**
+     * Balance of the asset being transferred: raw units, formatted, decimals and symbol
+     */
+    async getTransferBalance(user, transfer) {
+        if (transfer.tokenAddress) {
+            const token = await this.walletManager.getTokenBalance(user.wallet_address, transfer.tokenAddress);
+            return {
+                rawBalance: token.balance,
+                balance: ethers.formatUnits(token.balance, token.decimals),
+                decimals: token.decimals,
+                symbol: token.symbol || transfer.tokenSymbol
+            };
+        }
+        const balance = await this.walletManager.getBalance(user.wallet_address);
+        return { rawBalance: ethers.parseEther(balance), balance, decimals: 18, symbol: 'MON' };
+    }
+    escapeMarkdown(text) {
+        return String(text).replace(/[_*`[\]]/g, '');
+    }
     // Custom input processing methods
     async processCustomGas(ctx, gasValue, type) {
         const userId = ctx.from.id;
@@ -876,6 +1106,34 @@ Please try again or check your wallet balance.`);
             await ctx.reply('❌ Error updating auto buy amount. Please try again.');
         }
     }
+    /**
+     * Risk badge for token views; shows a scanning placeholder if the scan is still running
+     */
+    async getSafetyBadge(tokenAddress) {
+        const scanner = this.mainBot?.tokenSafetyScanner;
+        if (!scanner) {
+            return '⚪ Not scanned';
+        }
+        return scanner.getRiskBadge(await scanner.getReport(tokenAddress));
+    }
+
+    /**
+     * Reason to skip auto buy when the token is above the user's max risk level, otherwise null
+     */
+    async getAutoBuyBlockReason(tokenAddress, userSettings) {
+        const scanner = this.mainBot?.tokenSafetyScanner;
+        if (!scanner || !userSettings.auto_buy_max_risk) {
+            return null;
+        }
+        // A scan that fails or does not finish in time blocks the auto buy; the token view still offers a manual buy
+        const report = await scanner.getReport(tokenAddress, 4000);
+        if (!report) {
+            return 'token could not be scanned in time';
+        }
+        return scanner.exceedsRisk(report, userSettings.auto_buy_max_risk)
+            ? `${scanner.getRiskBadge(report)} is above your max (${userSettings.auto_buy_max_risk})`
+            : null;
+    }
     async executeInstantAutoBuy(ctx, tokenAddress, user, userSettings) {
         const userId = ctx.from.id;
         let processingMessage = null;
@@ -952,6 +1210,11 @@ Please try again or check your wallet balance.`);
                         disable_web_page_preview: true
                     }
                 );
+
+                // Turbo auto buys are not mined yet: the tracker updates this message once they are
+                if (!tradeResult.gasUsed) {
+                    await this.mainBot?.transactionTracker?.track(tradeResult.txHash, ctx.chat.id, processingMessage.message_id);
+                }
                 
                 // Auto buy completed successfully - no additional sell interface needed
                 // User can click on the token name to access sell options
@@ -1047,6 +1310,7 @@ Please try again or contact support if the issue persists.
             if (tokenInfo.token.pconf) {
                 confidence = parseInt(tokenInfo.token.pconf);
             }
+            const safetyBadge = await this.getSafetyBadge(tokenAddress);
             
             const tokenText = `*🟣 ${tokenInfo.token.symbol || 'Unknown'} | ${tokenInfo.token.name || 'Unknown Token'}*
 
@@ -1056,6 +1320,7 @@ Please try again or contact support if the issue persists.
 • *Price:* \`${this.formatNumber(tokenPriceUSD)} USD\`
 • *Price in MON:* \`${this.formatNumber(tokenPriceInMON)} MON\`
 • *Confidence:* \`${confidence}%\`
+• *Safety:* ${safetyBadge}
 
 *💼 Your Wallet:*
 • *MON Balance:* \`${this.formatNumber(monBalance)} MON\`
@@ -1080,6 +1345,9 @@ Please try again or contact support if the issue persists.
                     Markup.button.callback(`${amountsArray[3]?.trim() || '5'} MON`, `buy_amount_${amountsArray[3]?.trim() || '5'}`)
                 ],
                 [Markup.button.callback('📝 Custom Amount', 'buy_amount_custom'), Markup.button.callback('🔍 View on Explorer', `view_explorer_${tokenAddress}`)],
+                [Markup.button.callback('🛡️ Safety Report', `safety_report_${tokenAddress}`), Markup.button.callback('⭐ Watchlist', `watch_add_${tokenAddress}`)],
+                [Markup.button.callback('🎯 Limit Order', `limit_order_${tokenAddress}`), Markup.button.callback('🔁 DCA', `dca_create_${tokenAddress}`), Markup.button.callback('📋 My Orders', 'limit_orders')],
+                [Markup.button.callback('🔔 Price Alert', `alert_menu_${tokenAddress}`), Markup.button.callback('🔔 My Alerts', 'price_alerts')],
                 [Markup.button.callback('🏠 Back to Main', 'back_to_main'), Markup.button.callback('🔄 Refresh Data', `refresh_token_${tokenAddress}`)]
             ]);
             await ctx.reply(tokenText, {
@@ -1117,7 +1385,11 @@ Please try again or contact support if the issue persists.
         }
     }
 
-    async processTokenAddress(ctx, tokenAddress) {
+    /**
+     * Show the token view, or buy right away when the user has auto buy on.
+     * skipAutoBuy: always just show the token (links must never trade on their own)
+     */
+    async processTokenAddress(ctx, tokenAddress, { skipAutoBuy = false } = {}) {
         const userId = ctx.from.id;
         try {
             // Validate token address format
@@ -1154,11 +1426,14 @@ Please try again or contact support if the issue persists.
                 await ctx.reply('❌ Please start the bot first with /start');
                 return;
             }
-            // Check if auto buy is enabled and execute immediately
-            if (userSettings && userSettings.auto_buy_enabled === true) {
-                await this.executeInstantAutoBuy(ctx, tokenAddress, user, userSettings);
-                return;
-            } else {
+            // Check if auto buy is enabled and execute immediately (unless the token is above the user's max risk)
+            let autoBuyBlockReason = null;
+            if (!skipAutoBuy && userSettings && userSettings.auto_buy_enabled === true) {
+                autoBuyBlockReason = await this.getAutoBuyBlockReason(tokenAddress, userSettings);
+                if (!autoBuyBlockReason) {
+                    await this.executeInstantAutoBuy(ctx, tokenAddress, user, userSettings);
+                    return;
+                }
             }
             const monBalanceData = await this.monorailAPI.getMONBalance(user.wallet_address);
             const monBalance = parseFloat(monBalanceData.balance || '0');
@@ -1175,7 +1450,8 @@ Please try again or contact support if the issue persists.
             if (tokenInfo.token.pconf) {
                 confidence = parseInt(tokenInfo.token.pconf);
             }
-            const tokenText = `*🟣 ${tokenInfo.token.symbol || 'Unknown'} | ${tokenInfo.token.name || 'Unknown Token'}*
+            const safetyBadge = await this.getSafetyBadge(tokenAddress);
+            const tokenText = `${autoBuyBlockReason ? `🛡️ *Auto Buy Skipped:* ${autoBuyBlockReason}\n\n` : ''}*🟣 ${tokenInfo.token.symbol || 'Unknown'} | ${tokenInfo.token.name || 'Unknown Token'}*
 
 \`${tokenAddress}\`
 
@@ -1183,6 +1459,7 @@ Please try again or contact support if the issue persists.
 • *Price:* \`${this.formatNumber(tokenPriceUSD)} USD\`
 • *Price in MON:* \`${this.formatNumber(tokenPriceInMON)} MON\`
 • *Confidence:* \`${confidence}%\`
+• *Safety:* ${safetyBadge}
 
 *💼 Your Wallet:*
 • *MON Balance:* \`${this.formatNumber(monBalance)} MON\`
@@ -1205,6 +1482,9 @@ Please try again or contact support if the issue persists.
                     Markup.button.callback(`${amountsArray[3]?.trim() || '5'} MON`, `buy_amount_${amountsArray[3]?.trim() || '5'}`)
                 ],
                 [Markup.button.callback('📝 Custom Amount', 'buy_amount_custom'), Markup.button.callback('🔍 View on Explorer', `view_explorer_${tokenAddress}`)],
+                [Markup.button.callback('🛡️ Safety Report', `safety_report_${tokenAddress}`), Markup.button.callback('⭐ Watchlist', `watch_add_${tokenAddress}`)],
+                [Markup.button.callback('🎯 Limit Order', `limit_order_${tokenAddress}`), Markup.button.callback('🔁 DCA', `dca_create_${tokenAddress}`), Markup.button.callback('📋 My Orders', 'limit_orders')],
+                [Markup.button.callback('🔔 Price Alert', `alert_menu_${tokenAddress}`), Markup.button.callback('🔔 My Alerts', 'price_alerts')],
                 [Markup.button.callback('🏠 Back to Main', 'back_to_main'), Markup.button.callback('🔄 Refresh Data', `refresh_token_${tokenAddress}`)]
             ]);
             await ctx.reply(tokenText, {
@@ -1374,6 +1654,10 @@ Select percentage to sell:`;
             }
 
             // Add refresh and navigation buttons
+            buttons.push([
+                Markup.button.callback('🛡️ SL / TP', `protection_${tokenAddress}`),
+                Markup.button.callback('📉 Trailing Stop', `trailing_${tokenAddress}`)
+            ]);
             buttons.push([
                 Markup.button.callback('🔄 Refresh', `refresh_sell_${tokenAddress}`),
                 Markup.button.callback('📊 Portfolio', 'portfolio')
@@ -1492,6 +1776,10 @@ Select percentage to sell:`;
             }
 
             // Add refresh and navigation buttons
+            buttons.push([
+                Markup.button.callback('🛡️ SL / TP', `protection_${tokenAddress}`),
+                Markup.button.callback('📉 Trailing Stop', `trailing_${tokenAddress}`)
+            ]);
             buttons.push([
                 Markup.button.callback('🔄 Refresh', `refresh_sell_${tokenAddress}`),
                 Markup.button.callback('📊 Portfolio', 'portfolio')
@@ -1539,8 +1827,10 @@ Select percentage to sell:`;
             const tokenAddress = userState.data.tokenAddress;
             const tokenSymbol = userState.data.tokenSymbol || 'Token';
             
-            // Get user for wallet validation
-            const user = await this.database.getUser(userId);
+            // Get user for wallet validation (with the wallet picked on the buy screen, if any)
+            const user = this.mainBot?.tradingInterface
+                ? await this.mainBot.tradingInterface.getTradeUser(userId, userState.data.walletId)
+                : await this.database.getUser(userId);
             if (!user?.wallet_address) {
                 await ctx.reply('❌ Wallet not found. Please create a wallet first.');
                 return;
@@ -1576,7 +1866,9 @@ Select percentage to sell:`;
                     userId: userId,
                     tokenAddress: tokenAddress,
                     amount: amount,
-                    ctx: ctx
+                    ctx: ctx,
+                    preloadedUser: user,
+                    preloadedSettings: userSettings
                 });
                 
                 // Clear user state
@@ -1655,9 +1947,10 @@ Select percentage to sell:`;
             const monPriceUSD = parseFloat(monPriceData.price || '0');
             const portfolioValueUSD = parseFloat(portfolioValueData.value || '0');
             const monValueUSD = monBalance * monPriceUSD;
+            const pnlSummary = await this.getPnLSummary(user);
             // Generate fresh interface
             const { text, keyboard } = InterfaceUtils.generateMainInterface(
-                user, monBalance, monPriceUSD, portfolioValueUSD
+                user, monBalance, monPriceUSD, portfolioValueUSD, pnlSummary
             );
             // Update the message - NEVER send new message, only edit existing
             try {
@@ -1778,6 +2071,7 @@ Select percentage to sell:`;
             const tokenPriceUSD = parseFloat(tokenData.usd_per_token || '0');
             const tokenPriceInMON = parseFloat(tokenData.mon_per_token || '0');
             const confidence = parseInt(tokenData.pconf || '100');
+            const safetyBadge = await this.getSafetyBadge(tokenAddress);
             
             const tokenText = `🟣 **${tokenData.symbol || 'Unknown'} | ${tokenData.name || 'Unknown Token'}**
 
@@ -1787,6 +2081,7 @@ Select percentage to sell:`;
 • **Price:** \`${tokenPriceUSD.toFixed(4)} USD\`
 • **Price in MON:** \`${tokenPriceInMON.toFixed(4)} MON\`
 • **Confidence:** \`${confidence}%\`
+• **Safety:** ${safetyBadge}
 
 🔍 **Searched by:** ${username}
 ⏰ **Time:** ${new Date().toLocaleString('en-US')}
@@ -1975,6 +2270,26 @@ Select percentage to sell:`;
                 return;
             }
             
+            // Handle buy preset deep link (buyToken-<amount with _ for .>-<address>) from shared inline cards
+            const buyMatch = startPayload.match(/^buyToken-(\d+(?:_\d+)?)-(0x[a-fA-F0-9]{40})$/);
+            if (buyMatch) {
+                const amount = buyMatch[1].replace('_', '.');
+                const tokenAddress = buyMatch[2];
+
+                this.monitoring.logInfo('Deep link buy preset accessed', { userId, tokenAddress, amount });
+
+                // Show the token view (selects the token), then ask to confirm - links never trade on their own
+                await this.processTokenAddress(ctx, tokenAddress, { skipAutoBuy: true });
+                const userState = await this.database.getUserState(userId);
+                if (userState?.state === 'token_selected' && userState.data?.tokenAddress === tokenAddress) {
+                    const keyboard = Markup.inlineKeyboard([
+                        [Markup.button.callback(`✅ Buy ${amount} MON`, `buy_amount_${amount}`)]
+                    ]);
+                    await ctx.replyWithMarkdown(`🟢 *Confirm buy of ${amount} MON?*`, keyboard);
+                }
+                return;
+            }
+
             // Handle token info deep link
             if (startPayload.startsWith('token_')) {
                 const tokenAddress = startPayload.replace('token_', '');
@@ -1991,7 +2306,31 @@ Select percentage to sell:`;
                 await this.processTokenAddress(ctx, tokenAddress);
                 return;
             }
-            
+
+            // Handle referral deep link (ref_<code>) - new users continue to wallet setup
+            const referralMatch = startPayload.match(/^ref_([a-z0-9]{4,16})$/i);
+            if (referralMatch && this.mainBot?.referralService) {
+                const result = await this.mainBot.referralService.registerReferral(userId, referralMatch[1]);
+                this.monitoring.logInfo('Deep link referral accessed', { userId, success: result.success, error: result.error });
+
+                // Invite-only: the referral is kept, wallet setup follows once an access code is redeemed
+                if (ctx.needsAccessCode && this.mainBot?.accessHandler) {
+                    await this.mainBot.accessHandler.showAccessPrompt(ctx);
+                    return;
+                }
+
+                const user = await this.database.getUserByTelegramId(userId);
+                if (!user || !user.wallet_address || user.wallet_address === 'pending_wallet_creation') {
+                    if (result.success) {
+                        await ctx.reply('🤝 You were invited by a friend. Welcome!');
+                    }
+                    await this.showWelcomeNewUser(ctx);
+                } else {
+                    await this.showWelcome(ctx);
+                }
+                return;
+            }
+
             // If no recognized parameter, show normal start
             await this.showWelcome(ctx);
             
@@ -18,15 +18,20 @@ class PortfolioHandlers {
         });
 
         // Portfolio pagination handlers
-        this.bot.action(/^portfolio:page:(\d+)$/, async (ctx) => {
+        this.bot.action(/^portfolio:page:(\d+)(?::(\d+))?$/, async (ctx) => {
             await this.handlePortfolioPage(ctx);
         });
 
         // Portfolio refresh handler
-        this.bot.action('portfolio:refresh', async (ctx) => {
+        this.bot.action(/^portfolio:refresh(?::(\d+))?$/, async (ctx) => {
             await this.handlePortfolioRefresh(ctx);
         });
 
+        // Per-wallet portfolio view
+        this.bot.action(/^portfolio:wallet:(\d+)$/, async (ctx) => {
+            await this.handlePortfolioWallet(ctx);
+        });
+
         // Refresh handler removed - handled by navigationHandlers.js to avoid conflicts
 
         this.bot.action('refresh_balance', async (ctx) => {
@@ -71,11 +76,13 @@ class PortfolioHandlers {
             }
 
             console.log('🔍 [DEBUG] Calling getPortfolioDisplay for wallet:', user.wallet_address);
+            const wallets = await this.database.getUserWallets(userId);
             const portfolioDisplay = await this.portfolioService.getPortfolioDisplay(
                 userId, 
                 user.wallet_address, 
                 1, // page 1
-                false // don't force refresh
+                false, // don't force refresh
+                wallets
             );
             
             console.log('🔍 [DEBUG] Portfolio display result:', {
@@ -119,11 +126,13 @@ class PortfolioHandlers {
                 return;
             }
 
+            const { wallets, walletAddress } = await this.resolvePortfolioWallet(userId, user, ctx.match[2]);
             const portfolioDisplay = await this.portfolioService.getPortfolioDisplay(
                 userId, 
-                user.wallet_address, 
+                walletAddress, 
                 page, 
-                false // don't force refresh
+                false, // don't force refresh
+                wallets
             );
 
             await ctx.editMessageText(portfolioDisplay.text, {
@@ -155,11 +164,13 @@ class PortfolioHandlers {
             }
             
             // Force refresh from API
+            const { wallets, walletAddress } = await this.resolvePortfolioWallet(userId, user, ctx.match[1]);
             const portfolioDisplay = await this.portfolioService.getPortfolioDisplay(
                 userId, 
-                user.wallet_address, 
+                walletAddress, 
                 1, // reset to page 1
-                true // force refresh
+                true, // force refresh
+                wallets
             );
 
             // Add timestamp to force message update even for empty portfolios
@@ -211,6 +222,38 @@ class PortfolioHandlers {
         }
     }
 
+    async handlePortfolioWallet(ctx) {
+        const userId = ctx.from.id;
+        try {
+            await ctx.answerCbQuery();
+            const user = await this.database.getUserByTelegramId(userId);
+            if (!user) {
+                await ctx.reply('❌ Please start the bot first with /start');
+                return;
+            }
+
+            const { wallets, walletAddress } = await this.resolvePortfolioWallet(userId, user, ctx.match[1]);
+            const portfolioDisplay = await this.portfolioService.getPortfolioDisplay(userId, walletAddress, 1, false, wallets);
+
+            await ctx.editMessageText(portfolioDisplay.text, {
+                parse_mode: 'HTML',
+                reply_markup: portfolioDisplay.keyboard
+            });
+        } catch (error) {
+            this.monitoring.logError('Portfolio wallet switch failed', error, { userId });
+            await ctx.reply('❌ Error loading wallet portfolio. Please try again.');
+        }
+    }
+
+    /**
+     * User's wallets and the address to show (defaults to the active wallet)
+     */
+    async resolvePortfolioWallet(userId, user, walletId = null) {
+        const wallets = await this.database.getUserWallets(userId);
+        const wallet = walletId ? wallets.find(item => String(item.id) === String(walletId)) : null;
+        return { wallets, walletAddress: wallet ? wallet.wallet_address : user.wallet_address };
+    }
+
     async handleRefreshWithWelcome(ctx) {
         const userId = ctx.from.id;
         
@@ -0,0 +1,411 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class PositionProtectionHandlers {
+    constructor(bot, database, monorailAPI, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+
+        this.stopLossPresets = [10, 20, 30];
+        this.takeProfitPresets = [50, 100, 200];
+        this.trailingStopPresets = [5, 10, 20];
+        this.limits = {
+            sl: { min: 1, max: 99 },
+            tp: { min: 1, max: 10000 },
+            ts: { min: 1, max: 99 }
+        };
+    }
+
+    setupHandlers() {
+        // Per-position SL/TP screen (from the sell interface)
+        this.bot.action(/^protection_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showPositionProtection(ctx, ctx.match[1]);
+        });
+
+        // Trailing stop screen (from the sell interface)
+        this.bot.action(/^trailing_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showTrailingStop(ctx, ctx.match[1]);
+        });
+
+        // Preset SL/TP/trailing stop for a position (0 = off)
+        this.bot.action(/^set_(sl|tp|ts)_(0x[a-fA-F0-9]{40})_(\d+)$/, async (ctx) => {
+            if (ctx.match[1] === 'ts') {
+                await this.setTrailingStop(ctx, ctx.match[2], parseFloat(ctx.match[3]));
+                return;
+            }
+            await this.setPositionProtection(ctx, ctx.match[1], ctx.match[2], parseFloat(ctx.match[3]));
+        });
+
+        // Custom SL/TP/trailing stop for a position
+        this.bot.action(/^custom_(sl|tp|ts)_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.promptCustomPercent(ctx, ctx.match[1], ctx.match[2]);
+        });
+
+        // Default SL/TP applied after every buy
+        this.bot.action('default_protection', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showDefaultProtection(ctx);
+        });
+
+        this.bot.action(/^default_(sl|tp)_(\d+)$/, async (ctx) => {
+            await this.setDefaultProtection(ctx, ctx.match[1], parseFloat(ctx.match[2]));
+        });
+
+        this.bot.action(/^default_custom_(sl|tp)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.promptCustomPercent(ctx, ctx.match[1], null);
+        });
+    }
+
+    /**
+     * Show stop-loss / take-profit configuration for one position
+     */
+    async showPositionProtection(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const position = await this.database.getPositionEntry(userId, tokenAddress);
+            const entryPrice = parseFloat(position?.average_buy_price || '0');
+
+            if (!position || !(entryPrice > 0)) {
+                const keyboard = Markup.inlineKeyboard([
+                    [Markup.button.callback('🔙 Back', `refresh_sell_${tokenAddress}`)]
+                ]);
+                await TelegramUtils.sendOrEdit(ctx, `🛡️ *Stop-Loss / Take-Profit*
+
+_No entry price is recorded for this token yet._
+
+Protection is available for positions bought through the bot.`, keyboard);
+                return;
+            }
+
+            const symbol = position.token_symbol || 'Token';
+            const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+            const currentPrice = parseFloat(priceResult?.price || '0');
+            const changePercent = currentPrice > 0 ? (currentPrice - entryPrice) / entryPrice * 100 : 0;
+
+            const stopLoss = parseFloat(position.stop_loss_percent);
+            const takeProfit = parseFloat(position.take_profit_percent);
+            const stopLossText = stopLoss > 0
+                ? `${stopLoss}% (at ${this.formatPrice(entryPrice * (1 - stopLoss / 100))} MON)`
+                : 'Off';
+            const takeProfitText = takeProfit > 0
+                ? `${takeProfit}% (at ${this.formatPrice(entryPrice * (1 + takeProfit / 100))} MON)`
+                : 'Off';
+            const trailingStop = parseFloat(position.trailing_stop_percent);
+
+            const text = `🛡️ *Stop-Loss / Take-Profit | ${symbol}*
+
+\`${tokenAddress}\`
+
+• *Entry Price:* ${this.formatPrice(entryPrice)} MON
+• *Current Price:* ${this.formatPrice(currentPrice)} MON (${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%)
+
+🔻 *Stop-Loss:* ${stopLossText}
+🎯 *Take-Profit:* ${takeProfitText}
+📉 *Trailing Stop:* ${trailingStop > 0 ? `${trailingStop}%` : 'Off'}
+
+_When triggered, the whole position is sold and the protection is removed._`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    ...this.stopLossPresets.map(p => Markup.button.callback(`SL ${p}%`, `set_sl_${tokenAddress}_${p}`)),
+                    Markup.button.callback('SL Off', `set_sl_${tokenAddress}_0`)
+                ],
+                [
+                    ...this.takeProfitPresets.map(p => Markup.button.callback(`TP ${p}%`, `set_tp_${tokenAddress}_${p}`)),
+                    Markup.button.callback('TP Off', `set_tp_${tokenAddress}_0`)
+                ],
+                [
+                    Markup.button.callback('📝 Custom SL', `custom_sl_${tokenAddress}`),
+                    Markup.button.callback('📝 Custom TP', `custom_tp_${tokenAddress}`)
+                ],
+                [Markup.button.callback('📉 Trailing Stop', `trailing_${tokenAddress}`)],
+                [
+                    Markup.button.callback('🔙 Back', `refresh_sell_${tokenAddress}`),
+                    Markup.button.callback('🏠 Main Menu', 'back_to_main')
+                ]
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Show position protection failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error loading stop-loss / take-profit. Please try again.');
+        }
+    }
+
+    /**
+     * Set a preset stop-loss / take-profit for one position
+     */
+    async setPositionProtection(ctx, kind, tokenAddress, percent) {
+        const userId = ctx.from.id;
+
+        try {
+            const field = kind === 'sl' ? 'stop_loss_percent' : 'take_profit_percent';
+            const updated = await this.database.updatePositionProtection(userId, tokenAddress, field, percent > 0 ? percent : null);
+            if (!updated) {
+                await ctx.answerCbQuery('❌ Position not found');
+                return;
+            }
+            await ctx.answerCbQuery(percent > 0 ? `✅ ${kind.toUpperCase()} set to ${percent}%` : `✅ ${kind.toUpperCase()} disabled`);
+            this.monitoring?.logInfo('Position protection updated', { userId, tokenAddress, field, percent });
+            await this.showPositionProtection(ctx, tokenAddress);
+        } catch (error) {
+            this.monitoring?.logError('Set position protection failed', error, { userId, tokenAddress, kind });
+            await ctx.reply('❌ Error updating protection. Please try again.');
+        }
+    }
+
+    /**
+     * Show trailing stop configuration for one position
+     */
+    async showTrailingStop(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const position = await this.database.getPositionEntry(userId, tokenAddress);
+            const entryPrice = parseFloat(position?.average_buy_price || '0');
+
+            if (!position || !(entryPrice > 0)) {
+                const keyboard = Markup.inlineKeyboard([
+                    [Markup.button.callback('🔙 Back', `refresh_sell_${tokenAddress}`)]
+                ]);
+                await TelegramUtils.sendOrEdit(ctx, `📉 *Trailing Stop*
+
+_No entry price is recorded for this token yet._
+
+Trailing stops are available for positions bought through the bot.`, keyboard);
+                return;
+            }
+
+            const symbol = position.token_symbol || 'Token';
+            const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+            const currentPrice = parseFloat(priceResult?.price || '0');
+
+            const trailingStop = parseFloat(position.trailing_stop_percent);
+            const peakPrice = parseFloat(position.trailing_peak_price || '0');
+            let statusText = '📉 *Trailing Stop:* Off';
+            if (trailingStop > 0) {
+                statusText = `📉 *Trailing Stop:* ${trailingStop}%
+• *Peak Price:* ${this.formatPrice(peakPrice)} MON
+• *Sells At:* ${this.formatPrice(peakPrice * (1 - trailingStop / 100))} MON or below`;
+            }
+
+            const text = `📉 *Trailing Stop | ${symbol}*
+
+\`${tokenAddress}\`
+
+• *Entry Price:* ${this.formatPrice(entryPrice)} MON
+• *Current Price:* ${this.formatPrice(currentPrice)} MON
+
+${statusText}
+
+_The peak follows the highest price since the stop was set. When the price falls the chosen % below the peak, the whole position is sold._`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    ...this.trailingStopPresets.map(p => Markup.button.callback(`${p}%`, `set_ts_${tokenAddress}_${p}`)),
+                    Markup.button.callback('Off', `set_ts_${tokenAddress}_0`)
+                ],
+                [Markup.button.callback('📝 Custom %', `custom_ts_${tokenAddress}`)],
+                [
+                    Markup.button.callback('🔙 Back', `refresh_sell_${tokenAddress}`),
+                    Markup.button.callback('🏠 Main Menu', 'back_to_main')
+                ]
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Show trailing stop failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error loading trailing stop. Please try again.');
+        }
+    }
+
+    /**
+     * Set a preset trailing stop for one position (0 = off)
+     */
+    async setTrailingStop(ctx, tokenAddress, percent) {
+        const userId = ctx.from.id;
+
+        try {
+            const updated = await this.applyTrailingStop(userId, tokenAddress, percent > 0 ? percent : null);
+            if (!updated) {
+                await ctx.answerCbQuery('❌ Position not found');
+                return;
+            }
+            await ctx.answerCbQuery(percent > 0 ? `✅ Trailing stop set to ${percent}%` : '✅ Trailing stop disabled');
+            await this.showTrailingStop(ctx, tokenAddress);
+        } catch (error) {
+            this.monitoring?.logError('Set trailing stop failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error updating trailing stop. Please try again.');
+        }
+    }
+
+    /**
+     * Store the trailing %, starting the peak at the higher of entry and current price
+     */
+    async applyTrailingStop(userId, tokenAddress, percent) {
+        let peakPrice = null;
+        if (percent) {
+            const position = await this.database.getPositionEntry(userId, tokenAddress);
+            if (!position) {
+                return null;
+            }
+            const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+            const currentPrice = parseFloat(priceResult?.price || '0');
+            peakPrice = Math.max(parseFloat(position.average_buy_price || '0'), currentPrice);
+        }
+
+        const updated = await this.database.updateTrailingStop(userId, tokenAddress, percent, peakPrice);
+        this.monitoring?.logInfo('Trailing stop updated', { userId, tokenAddress, percent, peakPrice });
+        return updated;
+    }
+
+    /**
+     * Show the default stop-loss / take-profit applied after every buy
+     */
+    async showDefaultProtection(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const userSettings = await this.database.getUserSettings(userId);
+            const stopLoss = parseFloat(userSettings?.default_stop_loss_percent);
+            const takeProfit = parseFloat(userSettings?.default_take_profit_percent);
+
+            const text = `🛡️ *Default Stop-Loss / Take-Profit*
+
+🔻 *Stop-Loss:* ${stopLoss > 0 ? `${stopLoss}%` : 'Off'}
+🎯 *Take-Profit:* ${takeProfit > 0 ? `${takeProfit}%` : 'Off'}
+
+_Applied automatically to a position after every buy, unless that position already has its own values._`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    ...this.stopLossPresets.map(p => Markup.button.callback(`SL ${p}%`, `default_sl_${p}`)),
+                    Markup.button.callback('SL Off', 'default_sl_0')
+                ],
+                [
+                    ...this.takeProfitPresets.map(p => Markup.button.callback(`TP ${p}%`, `default_tp_${p}`)),
+                    Markup.button.callback('TP Off', 'default_tp_0')
+                ],
+                [
+                    Markup.button.callback('📝 Custom SL', 'default_custom_sl'),
+                    Markup.button.callback('📝 Custom TP', 'default_custom_tp')
+                ],
+                [Markup.button.callback('Back', 'sell_settings')]
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Show default protection failed', error, { userId });
+            await ctx.reply('❌ Error loading default stop-loss / take-profit.');
+        }
+    }
+
+    /**
+     * Set the default stop-loss / take-profit
+     */
+    async setDefaultProtection(ctx, kind, percent) {
+        const userId = ctx.from.id;
+
+        try {
+            const field = kind === 'sl' ? 'default_stop_loss_percent' : 'default_take_profit_percent';
+            await this.database.updateUserSettings(userId, { [field]: percent > 0 ? percent : null });
+            await ctx.answerCbQuery(percent > 0 ? `✅ Default ${kind.toUpperCase()} set to ${percent}%` : `✅ Default ${kind.toUpperCase()} disabled`);
+            await this.showDefaultProtection(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Set default protection failed', error, { userId, kind });
+            await ctx.reply('❌ Error updating default protection. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for a custom percentage (tokenAddress null = default setting)
+     */
+    async promptCustomPercent(ctx, kind, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const limits = this.limits[kind];
+            await this.database.setUserState(userId, 'awaiting_protection_percent', { kind, tokenAddress });
+
+            const label = { sl: 'stop-loss', tp: 'take-profit', ts: 'trailing stop' }[kind];
+            const example = { sl: '15', tp: '75', ts: '12' }[kind];
+            await ctx.reply(`📝 Enter the ${tokenAddress ? '' : 'default '}${label} percentage (${limits.min}-${limits.max}):
+**Example:** \`${example}\``, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    force_reply: true,
+                    input_field_placeholder: example
+                }
+            });
+        } catch (error) {
+            this.monitoring?.logError('Prompt custom protection failed', error, { userId, kind });
+            await ctx.reply('❌ Error. Please try again.');
+        }
+    }
+
+    /**
+     * Handle the custom percentage typed by the user
+     */
+    async processCustomPercentInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { kind, tokenAddress } = userState.data || {};
+            const limits = this.limits[kind];
+            if (!limits) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const percent = parseFloat(ctx.message.text.trim().replace('%', ''));
+            if (isNaN(percent) || percent < limits.min || percent > limits.max) {
+                await ctx.reply(`❌ Please enter a percentage between ${limits.min} and ${limits.max}.`);
+                return;
+            }
+
+            await this.database.clearUserState(userId);
+
+            if (kind === 'ts') {
+                const updated = tokenAddress && await this.applyTrailingStop(userId, tokenAddress, percent);
+                if (!updated) {
+                    await ctx.reply('❌ Position not found.');
+                    return;
+                }
+                await ctx.reply(`✅ Trailing stop set to ${percent}%`);
+                await this.showTrailingStop(ctx, tokenAddress);
+            } else if (tokenAddress) {
+                const field = kind === 'sl' ? 'stop_loss_percent' : 'take_profit_percent';
+                const updated = await this.database.updatePositionProtection(userId, tokenAddress, field, percent);
+                if (!updated) {
+                    await ctx.reply('❌ Position not found.');
+                    return;
+                }
+                await ctx.reply(`✅ ${kind === 'sl' ? 'Stop-loss' : 'Take-profit'} set to ${percent}%`);
+                await this.showPositionProtection(ctx, tokenAddress);
+            } else {
+                const field = kind === 'sl' ? 'default_stop_loss_percent' : 'default_take_profit_percent';
+                await this.database.updateUserSettings(userId, { [field]: percent });
+                await ctx.reply(`✅ Default ${kind === 'sl' ? 'stop-loss' : 'take-profit'} set to ${percent}%`);
+                await this.showDefaultProtection(ctx);
+            }
+        } catch (error) {
+            this.monitoring?.logError('Custom protection input failed', error, { userId });
+            await ctx.reply('❌ Error updating protection. Please try again.');
+        }
+    }
+
+    formatPrice(price) {
+        if (!price || isNaN(price)) return '0';
+        return parseFloat(Number(price).toPrecision(6)).toString();
+    }
+}
+
+module.exports = PositionProtectionHandlers;
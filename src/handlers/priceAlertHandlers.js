@@ -0,0 +1,256 @@
+const { Markup } = require('telegraf');
+const { PRICE_EVENTS } = require('../constants/WebSocketEvents');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class PriceAlertHandlers {
+    constructor(bot, database, monorailAPI, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+
+        this.maxActiveAlerts = 20;
+        this.changeWindowMinutes = 60;
+        this.changeLimits = { min: 1, max: 1000 };
+    }
+
+    setupHandlers() {
+        // Alert menu for a token (from the token view)
+        this.bot.action(/^alert_menu_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showTokenAlerts(ctx, ctx.match[1]);
+        });
+
+        // Start creating an above / below / % change alert
+        this.bot.action(/^alert_(above|below|change)_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startAlertCreation(ctx, ctx.match[1], ctx.match[2]);
+        });
+
+        // Manage all alerts
+        this.bot.action('price_alerts', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showUserAlerts(ctx);
+        });
+
+        this.bot.action(/^delete_alert_(\d+)$/, async (ctx) => {
+            await this.deleteAlert(ctx, ctx.match[1]);
+        });
+    }
+
+    /**
+     * Show alert options and active alerts for one token
+     */
+    async showTokenAlerts(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const [tokenInfo, alerts] = await Promise.all([
+                this.monorailAPI.getTokenInfo(tokenAddress),
+                this.database.getUserPriceAlerts(userId, tokenAddress)
+            ]);
+            const tokenSymbol = tokenInfo?.token?.symbol || 'Token';
+            const priceInMON = parseFloat(tokenInfo?.token?.mon_per_token || '0');
+
+            let text = `🔔 *Price Alerts | ${tokenSymbol}*
+
+\`${tokenAddress}\`
+
+• *Current Price:* ${priceInMON} MON
+
+`;
+            if (alerts.length === 0) {
+                text += '_No active alerts for this token._';
+            } else {
+                text += `*Active Alerts (${alerts.length}):*\n`;
+                text += alerts.map(alert => this.formatAlertLine(alert)).join('\n');
+            }
+
+            const buttons = [
+                [
+                    Markup.button.callback('📈 Above', `alert_above_${tokenAddress}`),
+                    Markup.button.callback('📉 Below', `alert_below_${tokenAddress}`),
+                    Markup.button.callback('⚡ ±% in 1h', `alert_change_${tokenAddress}`)
+                ]
+            ];
+            for (const alert of alerts) {
+                buttons.push([Markup.button.callback(`🗑️ Delete #${alert.id}`, `delete_alert_${alert.id}`)]);
+            }
+            buttons.push([
+                Markup.button.callback('🔔 All Alerts', 'price_alerts'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show token alerts failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error loading price alerts. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for the target price or % threshold
+     */
+    async startAlertCreation(ctx, kind, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const activeAlerts = await this.database.getUserPriceAlerts(userId);
+            if (activeAlerts.length >= this.maxActiveAlerts) {
+                await ctx.reply(`❌ You already have ${this.maxActiveAlerts} active alerts. Delete one before creating another.`);
+                return;
+            }
+
+            const tokenInfo = await this.monorailAPI.getTokenInfo(tokenAddress);
+            if (!tokenInfo || !tokenInfo.success) {
+                await ctx.reply('❌ Token not found or not supported.');
+                return;
+            }
+            const tokenSymbol = tokenInfo.token.symbol || 'Token';
+            const priceInMON = parseFloat(tokenInfo.token.mon_per_token || '0');
+
+            await this.database.setUserState(userId, 'awaiting_price_alert', { kind, tokenAddress, tokenSymbol });
+
+            const prompt = kind === 'change'
+                ? `Send the % move within 1 hour that should notify you (${this.changeLimits.min}-${this.changeLimits.max}):\n**Example:** \`10\` _(price moves up or down 10%)_`
+                : `Send the price in MON that should notify you when the price goes ${kind} it:\n**Example:** \`${priceInMON > 0 ? parseFloat((priceInMON * (kind === 'above' ? 1.5 : 0.5)).toPrecision(4)) : '0.001'}\``;
+
+            const text = `🔔 *New Alert* | *${tokenSymbol}*
+
+• *Current Price:* ${priceInMON} MON
+
+${prompt}`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔙 Back', `alert_menu_${tokenAddress}`)]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start alert creation failed', error, { userId, kind, tokenAddress });
+            await ctx.reply('❌ Error starting price alert. Please try again.');
+        }
+    }
+
+    /**
+     * Parse and store the alert entered by the user
+     */
+    async processAlertInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { kind, tokenAddress, tokenSymbol } = userState.data || {};
+            if (!kind || !tokenAddress) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const value = parseFloat(ctx.message.text.trim().replace('%', ''));
+            let alertData;
+            if (kind === 'change') {
+                if (isNaN(value) || value < this.changeLimits.min || value > this.changeLimits.max) {
+                    await ctx.reply(`❌ Please enter a percentage between ${this.changeLimits.min} and ${this.changeLimits.max}.`);
+                    return;
+                }
+                alertData = {
+                    alertType: PRICE_EVENTS.PRICE_CHANGE_THRESHOLD,
+                    changePercent: value,
+                    windowMinutes: this.changeWindowMinutes
+                };
+            } else {
+                if (isNaN(value) || value <= 0) {
+                    await ctx.reply('❌ Please enter a valid price in MON.');
+                    return;
+                }
+                alertData = {
+                    alertType: PRICE_EVENTS.PRICE_ALERT,
+                    direction: kind,
+                    targetPrice: value
+                };
+            }
+
+            const alert = await this.database.createPriceAlert(userId, { tokenAddress, tokenSymbol, ...alertData });
+            await this.database.clearUserState(userId);
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔔 My Alerts', 'price_alerts'), Markup.button.callback(`🗑️ Delete #${alert.id}`, `delete_alert_${alert.id}`)],
+                [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+            ]);
+            await ctx.reply(`✅ *Price Alert Created*
+
+${this.formatAlertLine(alert)}
+
+_You will get a Telegram message when it triggers._`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard.reply_markup
+            });
+
+            this.monitoring?.logInfo('Price alert created', { userId, alertId: alert.id, kind, tokenAddress });
+        } catch (error) {
+            this.monitoring?.logError('Price alert input processing failed', error, { userId });
+            await ctx.reply('❌ Error creating price alert. Please try again.');
+        }
+    }
+
+    /**
+     * Show all of the user's active alerts
+     */
+    async showUserAlerts(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const alerts = await this.database.getUserPriceAlerts(userId);
+
+            let text = '🔔 *Your Price Alerts*\n\n';
+            if (alerts.length === 0) {
+                text += '_You have no active alerts._\n\nOpen a token and tap 🔔 *Price Alert* to create one.';
+            } else {
+                text += alerts.map(alert => this.formatAlertLine(alert)).join('\n\n');
+            }
+
+            const buttons = alerts.map(alert => [
+                Markup.button.callback(`🗑️ Delete #${alert.id} ${alert.token_symbol || ''}`.trim(), `delete_alert_${alert.id}`)
+            ]);
+            buttons.push([Markup.button.callback('🏠 Main Menu', 'back_to_main')]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show price alerts failed', error, { userId });
+            await ctx.reply('❌ Error loading price alerts. Please try again.');
+        }
+    }
+
+    /**
+     * Delete (cancel) an alert and refresh the list
+     */
+    async deleteAlert(ctx, alertId) {
+        const userId = ctx.from.id;
+
+        try {
+            const cancelled = await this.database.cancelPriceAlert(alertId, userId);
+            if (!cancelled) {
+                await ctx.answerCbQuery('⚠️ Alert is no longer active');
+            } else {
+                await ctx.answerCbQuery('✅ Alert deleted');
+                this.monitoring?.logInfo('Price alert deleted', { userId, alertId });
+            }
+            await this.showUserAlerts(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Delete price alert failed', error, { userId, alertId });
+            await ctx.reply('❌ Error deleting price alert. Please try again.');
+        }
+    }
+
+    /**
+     * One-line alert summary
+     */
+    formatAlertLine(alert) {
+        const symbol = alert.token_symbol || 'Token';
+        if (alert.alert_type === PRICE_EVENTS.PRICE_CHANGE_THRESHOLD) {
+            return `#${alert.id} ⚡ *${symbol}* moves ±${parseFloat(alert.change_percent)}% in ${alert.window_minutes}m`;
+        }
+        return `#${alert.id} ${alert.direction === 'above' ? '📈' : '📉'} *${symbol}* ${alert.direction === 'above' ? '≥' : '≤'} ${parseFloat(alert.target_price)} MON`;
+    }
+}
+
+module.exports = PriceAlertHandlers;
@@ -0,0 +1,112 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class ReferralHandlers {
+    constructor(bot, referralService, monitoring) {
+        this.bot = bot;
+        this.referralService = referralService;
+        this.monitoring = monitoring;
+
+        this.inviteeLimit = 10;
+    }
+
+    setupHandlers() {
+        this.bot.action('referrals', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showReferrals(ctx);
+        });
+
+        this.bot.action('referral_claim', async (ctx) => {
+            await this.claimRewards(ctx);
+        });
+    }
+
+    /**
+     * Referral link, invitees with their volume, rewards per tier and claimable balance
+     */
+    async showReferrals(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const [code, summary, invitees] = await Promise.all([
+                this.referralService.getReferralCode(userId),
+                this.referralService.getSummary(userId),
+                this.referralService.getInvitees(userId, this.inviteeLimit)
+            ]);
+
+            const botUsername = ctx.botInfo?.username || this.bot.botInfo?.username;
+            const link = `https://t.me/${botUsername}?start=ref_${code}`;
+
+            const tierLines = summary.tiers.map(tier =>
+                `• *Tier ${tier.level}* (${tier.sharePercent}% of fees): ${tier.users} users · ${this.formatMon(tier.volume)} MON vol · ${this.formatMon(tier.earned)} MON`
+            );
+
+            const inviteeLines = invitees.map(invitee =>
+                `• ${invitee.username ? `@${TelegramUtils.stripMarkdown(invitee.username)}` : `User ${String(invitee.referred_id).slice(-4)}`} · joined ${new Date(invitee.created_at).toISOString().slice(0, 10)} · ${this.formatMon(invitee.volume)} MON`
+            );
+
+            const text = `🤝 *Referrals*
+
+Share your link and earn a share of the trading fees of everyone you invite, and of the people they invite.
+
+*Your Link*
+\`${link}\`
+
+*Rewards*
+${tierLines.join('\n')}
+
+• *Earned:* ${this.formatMon(summary.earned)} MON
+• *Paid Out:* ${this.formatMon(summary.paid)} MON${summary.pending > 0 ? `\n• *Payout Pending:* ${this.formatMon(summary.pending)} MON` : ''}
+• *Claimable:* ${this.formatMon(summary.claimable)} MON
+
+*Recent Invitees*
+${inviteeLines.length > 0 ? inviteeLines.join('\n') : '_Nobody yet, share your link!_'}`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    Markup.button.url('📤 Share Link', `https://t.me/share/url?url=${encodeURIComponent(link)}`),
+                    Markup.button.callback(`💰 Claim (min ${this.referralService.minClaim} MON)`, 'referral_claim')
+                ],
+                [
+                    Markup.button.callback('🔄 Refresh', 'referrals'),
+                    Markup.button.callback('🏠 Main Menu', 'back_to_main')
+                ]
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard, { disableWebPagePreview: true });
+        } catch (error) {
+            this.monitoring?.logError('Show referrals failed', error, { userId });
+            await ctx.reply('❌ Error loading referrals. Please try again.');
+        }
+    }
+
+    async claimRewards(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const result = await this.referralService.claim(userId);
+            if (!result.success) {
+                await ctx.answerCbQuery(`❌ ${result.error}`, { show_alert: true });
+                return;
+            }
+
+            await ctx.answerCbQuery('✅ Payout requested');
+            await ctx.replyWithMarkdown(`💰 *Payout Requested*
+
+${this.formatMon(result.payout.amount)} MON will be sent to \`${result.payout.wallet_address}\`.
+Payouts are processed manually, usually within a few days.`);
+            await this.showReferrals(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Referral claim failed', error, { userId });
+            await ctx.reply('❌ Error requesting payout. Please try again.');
+        }
+    }
+
+    formatMon(amount) {
+        const value = parseFloat(amount) || 0;
+        if (value > 0 && value < 0.0001) return '<0.0001';
+        return value === 0 ? '0' : value.toFixed(4).replace(/\.?0+$/, '');
+    }
+}
+
+module.exports = ReferralHandlers;
@@ -0,0 +1,247 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class SniperHandlers {
+    constructor(bot, database, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monitoring = monitoring;
+
+        this.riskOptions = [null, 'low', 'medium', 'high'];
+        this.maxAllowlistSize = 20;
+        this.inputPrompts = {
+            liquidity: 'Send the minimum liquidity in USD (e.g. `5000`), or `none` to accept any.\n\n_Tokens without liquidity data are skipped while this filter is set._',
+            pattern: 'Send words to look for in the name / symbol, separated by `|` (e.g. `pepe|doge`, case-insensitive), or `none` to accept any.',
+            deployers: 'Send the deployer addresses to allow (separated by spaces or new lines), or `none` to accept any deployer.',
+            cap: 'Send the maximum MON the sniper may spend per day (UTC), e.g. `1`.'
+        };
+    }
+
+    setupHandlers() {
+        // Sniper screen (from /sniper and settings)
+        this.bot.action('sniper_settings', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showSniper(ctx);
+        });
+
+        this.bot.action('sniper_toggle', async (ctx) => {
+            await this.toggleSniper(ctx);
+        });
+
+        this.bot.action('sniper_risk', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.cycleMaxRisk(ctx);
+        });
+
+        this.bot.action(/^sniper_set_(liquidity|pattern|deployers|cap)$/, async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.startInput(ctx, ctx.match[1]);
+        });
+    }
+
+    /**
+     * Show sniper status, filters and the latest snipes
+     */
+    async showSniper(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const [sniper, userSettings, spentToday, executions] = await Promise.all([
+                this.database.getSniperSettings(userId),
+                this.database.getUserSettings(userId),
+                this.database.getSniperSpentToday(userId),
+                this.database.getRecentSniperExecutions(userId, 5)
+            ]);
+
+            const enabled = sniper?.enabled || false;
+            const allowlist = sniper?.deployer_allowlist || [];
+            const dailyCap = sniper ? parseFloat(sniper.daily_cap) : 1;
+            const statusIcons = { pending: '⏳', executed: '✅', failed: '❌' };
+
+            const recent = executions.length > 0
+                ? executions.map(execution => `${statusIcons[execution.status]} \`${execution.token_address}\` · ${parseFloat(execution.amount)} MON`).join('\n')
+                : '_No snipes yet._';
+
+            const text = `🎯 *Sniper Mode* | ${enabled ? '🟢 On' : '🔴 Off'}
+
+Buys newly launched tokens as soon as Monorail can trade them, with your Auto Buy amount (*${parseFloat(userSettings?.auto_buy_amount || 0.1)} MON*), gas and slippage.
+
+*Filters:*
+• *Min Liquidity:* ${sniper?.min_liquidity_usd ? `$${parseFloat(sniper.min_liquidity_usd)}` : 'Any'}
+• *Name Pattern:* ${sniper?.name_pattern ? `\`${sniper.name_pattern}\`` : 'Any'}
+• *Deployers:* ${allowlist.length > 0 ? `${allowlist.length} allowed` : 'Any'}
+• *Max Risk:* ${this.getMaxRiskLabel(sniper?.max_risk)}
+• *Daily Cap:* ${dailyCap} MON _(${parseFloat(spentToday.toFixed(4))} spent today)_
+
+*Recent Snipes:*
+${recent}
+
+⚠️ _New tokens are high risk. Only snipe with amounts you can lose._`;
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback(enabled ? '🔴 Disable Sniper' : '🟢 Enable Sniper', 'sniper_toggle')],
+                [
+                    Markup.button.callback('💧 Min Liquidity', 'sniper_set_liquidity'),
+                    Markup.button.callback('🔤 Name Pattern', 'sniper_set_pattern')
+                ],
+                [
+                    Markup.button.callback('👷 Deployers', 'sniper_set_deployers'),
+                    Markup.button.callback(`🛡️ Max Risk: ${this.getMaxRiskLabel(sniper?.max_risk)}`, 'sniper_risk')
+                ],
+                [
+                    Markup.button.callback('💰 Daily Cap', 'sniper_set_cap'),
+                    Markup.button.callback('🔄 Auto Buy Settings', 'auto_buy_settings')
+                ],
+                [
+                    Markup.button.callback('⚙️ Settings', 'settings'),
+                    Markup.button.callback('🏠 Main Menu', 'back_to_main')
+                ]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, text, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Show sniper failed', error, { userId });
+            await ctx.reply('❌ Error loading sniper. Please try again.');
+        }
+    }
+
+    async toggleSniper(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const user = await this.database.getUser(userId);
+            if (!user?.wallet_address || user.wallet_address === 'pending_wallet_creation') {
+                await ctx.answerCbQuery('❌ Create a wallet first');
+                return;
+            }
+
+            const sniper = await this.database.getSniperSettings(userId);
+            const updated = await this.database.updateSniperSettings(userId, { enabled: !(sniper?.enabled) });
+
+            await ctx.answerCbQuery(updated.enabled ? '🟢 Sniper enabled' : '🔴 Sniper disabled');
+            this.monitoring?.logInfo('Sniper toggled', { userId, enabled: updated.enabled });
+            await this.showSniper(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Toggle sniper failed', error, { userId });
+            await ctx.reply('❌ Error updating sniper. Please try again.');
+        }
+    }
+
+    async cycleMaxRisk(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const sniper = await this.database.getSniperSettings(userId);
+            const next = this.riskOptions[(this.riskOptions.indexOf(sniper?.max_risk || null) + 1) % this.riskOptions.length];
+
+            await this.database.updateSniperSettings(userId, { max_risk: next });
+            await this.showSniper(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Cycle sniper max risk failed', error, { userId });
+            await ctx.reply('❌ Error updating sniper. Please try again.');
+        }
+    }
+
+    /**
+     * Ask for the value of a sniper filter
+     */
+    async startInput(ctx, field) {
+        const userId = ctx.from.id;
+
+        try {
+            await this.database.setUserState(userId, 'awaiting_sniper_input', { field });
+
+            const keyboard = Markup.inlineKeyboard([
+                [Markup.button.callback('🔙 Back', 'sniper_settings')]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, `🎯 *Sniper Filter*\n\n${this.inputPrompts[field]}`, keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Start sniper input failed', error, { userId, field });
+            await ctx.reply('❌ Error starting input. Please try again.');
+        }
+    }
+
+    /**
+     * Validate and store the filter value typed by the user
+     */
+    async processSniperInput(ctx, userState) {
+        const userId = ctx.from.id;
+
+        try {
+            const { field } = userState.data || {};
+            if (!this.inputPrompts[field]) {
+                await this.database.clearUserState(userId);
+                await ctx.reply('❌ Session expired. Please start over.');
+                return;
+            }
+
+            const input = ctx.message.text.trim();
+            const clear = input.toLowerCase() === 'none';
+            let updates;
+
+            switch (field) {
+                case 'liquidity': {
+                    const value = parseFloat(input.replace(/[$,]/g, ''));
+                    if (!clear && (isNaN(value) || value <= 0)) {
+                        await ctx.reply('❌ Please send a USD amount greater than 0, or `none`.', { parse_mode: 'Markdown' });
+                        return;
+                    }
+                    updates = { min_liquidity_usd: clear ? null : value };
+                    break;
+                }
+
+                case 'pattern':
+                    if (!clear) {
+                        if (!input.split('|').some(word => word.trim())) {
+                            await ctx.reply('❌ Invalid pattern. Try something like `pepe|doge`.', { parse_mode: 'Markdown' });
+                            return;
+                        }
+                        if (input.length > 100 || input.includes('`')) {
+                            await ctx.reply('❌ Patterns can be at most 100 characters and cannot contain backticks.');
+                            return;
+                        }
+                    }
+                    updates = { name_pattern: clear ? null : input };
+                    break;
+
+                case 'deployers': {
+                    const addresses = clear ? [] : [...new Set(input.toLowerCase().split(/[\s,]+/))];
+                    if (addresses.some(address => !/^0x[a-f0-9]{40}$/.test(address))) {
+                        await ctx.reply('❌ Please send valid deployer addresses, or `none`.', { parse_mode: 'Markdown' });
+                        return;
+                    }
+                    if (addresses.length > this.maxAllowlistSize) {
+                        await ctx.reply(`❌ The allowlist can hold at most ${this.maxAllowlistSize} deployers.`);
+                        return;
+                    }
+                    updates = { deployer_allowlist: addresses.length > 0 ? addresses : null };
+                    break;
+                }
+
+                case 'cap': {
+                    const value = parseFloat(input);
+                    if (isNaN(value) || value <= 0) {
+                        await ctx.reply('❌ Please send a MON amount greater than 0.');
+                        return;
+                    }
+                    updates = { daily_cap: value };
+                    break;
+                }
+            }
+
+            await this.database.updateSniperSettings(userId, updates);
+            await this.database.clearUserState(userId);
+            await ctx.reply('✅ Sniper filter updated.');
+            await this.showSniper(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Sniper input processing failed', error, { userId });
+            await ctx.reply('❌ Error updating sniper. Please try again.');
+        }
+    }
+
+    getMaxRiskLabel(maxRisk) {
+        const labels = { low: '🟢 Low', medium: '🟡 Medium', high: '🟠 High' };
+        return labels[maxRisk] || 'Off';
+    }
+}
+
+module.exports = SniperHandlers;
@@ -0,0 +1,93 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class TokenSafetyHandlers {
+    constructor(bot, tokenSafetyScanner, monitoring) {
+        this.bot = bot;
+        this.scanner = tokenSafetyScanner;
+        this.monitoring = monitoring;
+    }
+
+    setupHandlers() {
+        // Full risk report (from the token view)
+        this.bot.action(/^safety_report_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery('🛡️ Scanning token...');
+            await this.showReport(ctx, ctx.match[1]);
+        });
+
+        this.bot.action(/^safety_rescan_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await ctx.answerCbQuery('🛡️ Rescanning token...');
+            await this.showReport(ctx, ctx.match[1], true);
+        });
+    }
+
+    /**
+     * Show the risk report with every check
+     */
+    async showReport(ctx, tokenAddress, forceRefresh = false) {
+        const userId = ctx.from.id;
+
+        try {
+            const report = await this.scanner.scan(tokenAddress, forceRefresh);
+
+            const keyboard = Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('🔄 Rescan', `safety_rescan_${tokenAddress}`),
+                    Markup.button.callback('🔙 Back to Token', `refresh_token_${tokenAddress}`)
+                ]
+            ]);
+            await TelegramUtils.sendOrEdit(ctx, this.formatReport(report), keyboard);
+        } catch (error) {
+            this.monitoring?.logError('Token safety report failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error scanning token. Please try again.');
+        }
+    }
+
+    formatReport(report) {
+        const yesNo = value => (value ? '⚠️ Yes' : '✅ No');
+        const simulation = (result) => {
+            if (!result || result.status === 'skipped') {
+                return '—';
+            }
+            if (result.status === 'ok') {
+                return `✅ OK (tax ${this.scanner.describeTax(result)})`;
+            }
+            return result.status === 'reverted' ? '❌ Reverts' : '⚪ Not simulated';
+        };
+
+        let ownerLine = '⚪ Unknown';
+        if (report.owner) {
+            ownerLine = report.owner.renounced ? '✅ Renounced' : `⚠️ \`${report.owner.address}\``;
+        }
+
+        const capabilities = report.capabilities || {};
+        const holders = report.holders
+            ? `• *Top Wallet:* ${report.holders.topHolderPercent}%
+• *Top 10 Wallets:* ${report.holders.top10Percent}% _(of ${report.holders.sampled} recent holders)_`
+            : '• _Holder data unavailable_';
+
+        return `🛡️ *Token Safety Report* | ${this.scanner.getRiskBadge(report)}
+
+\`${report.tokenAddress}\`
+
+*Round Trip Simulation:*
+• *Buy:* ${simulation(report.buy)}
+• *Sell:* ${simulation(report.sell)}
+
+*Contract:*
+• *Owner:* ${ownerLine}
+• *Mint:* ${yesNo(capabilities.mint)}
+• *Pause:* ${yesNo(capabilities.pause)}
+• *Blacklist:* ${yesNo(capabilities.blacklist)}
+• *Fee Setters:* ${yesNo(capabilities.fees)}
+
+*Holders:*
+${holders}
+
+${report.flags.length > 0 ? `*Warnings:*\n${report.flags.map(flag => `• ${flag.message}`).join('\n')}` : '_No warnings found._'}
+
+_Scanned ${new Date(report.scannedAt).toLocaleString('en-US')}. Checks are heuristics, not guarantees._`;
+    }
+}
+
+module.exports = TokenSafetyHandlers;
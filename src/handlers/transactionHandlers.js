@@ -0,0 +1,36 @@
+class TransactionHandlers {
+    constructor(bot, transactionTracker, monitoring) {
+        this.bot = bot;
+        this.transactionTracker = transactionTracker;
+        this.monitoring = monitoring;
+    }
+
+    setupHandlers() {
+        // Buttons on stuck trade messages (added by the transaction tracker)
+        this.bot.action(/^tx_speedup_(\d+)$/, async (ctx) => {
+            await this.replaceTransaction(ctx, ctx.match[1], 'speed_up');
+        });
+
+        this.bot.action(/^tx_cancel_(\d+)$/, async (ctx) => {
+            await this.replaceTransaction(ctx, ctx.match[1], 'cancel');
+        });
+    }
+
+    async replaceTransaction(ctx, transactionId, type) {
+        const userId = ctx.from.id;
+
+        try {
+            await ctx.answerCbQuery(type === 'cancel' ? '🛑 Sending cancellation...' : '🚀 Sending speed-up...');
+
+            const result = await this.transactionTracker.replaceTransaction(transactionId, userId, type);
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}.`);
+            }
+        } catch (error) {
+            this.monitoring?.logError('Transaction replacement failed', error, { userId, transactionId, type });
+            await ctx.reply(`❌ Could not ${type === 'cancel' ? 'cancel' : 'speed up'} the transaction: ${String(error.shortMessage || error.message).split('\n')[0]}`);
+        }
+    }
+}
+
+module.exports = TransactionHandlers;
@@ -15,6 +15,7 @@ class WalletHandlers {
         this.monitoring = monitoring;
         this.redis = redis;
         this.cacheService = cacheService;
+        this.maxWallets = 10;
         // Initialize unified security system
         this.security = new UnifiedSecuritySystem(redis, database);
         
@@ -45,6 +46,13 @@ class WalletHandlers {
         this.bot.action('confirm_delete_wallet', async (ctx) => {
             await this.handleConfirmDeleteWallet(ctx);
         });
+        // Multi-wallet: switch the active wallet and rename it
+        this.bot.action(/^wallet_switch_(\d+)$/, async (ctx) => {
+            await this.handleSwitchWallet(ctx, ctx.match[1]);
+        });
+        this.bot.action('wallet_rename', async (ctx) => {
+            await this.handleRenameWallet(ctx);
+        });
         // Reveal handlers for security
         this.bot.action(/^reveal_key_(.+)$/, async (ctx) => {
             await this.handleRevealPrivateKey(ctx);
@@ -60,14 +68,29 @@ class WalletHandlers {
             if (!user) {
                 return ctx.reply('❌ No wallet found. Please create one first.');
             }
+            const wallets = await this.database.getUserWallets(userId);
+            const activeWallet = wallets.find(wallet => wallet.is_active);
+            const walletLines = wallets.map(wallet =>
+                `${wallet.is_active ? '✅' : '▫️'} *${wallet.name}* - \`${this.shortAddress(wallet.wallet_address)}\``
+            );
             const walletText = `👛 *Wallet Management*
+*Active:* ${activeWallet ? `*${activeWallet.name}*` : '-'}
 *Address:* \`${user.wallet_address}\`
-Manage your wallet securely:`;
-            const keyboard = Markup.inlineKeyboard([
-                [Markup.button.callback('🔑 Export Private Key', 'export_private_key')],
+${wallets.length > 0 ? `
+*Your Wallets (${wallets.length}/${this.maxWallets}):*
+${walletLines.join('\n')}
+` : ''}
+Manage your wallets securely:`;
+            const buttons = wallets
+                .filter(wallet => !wallet.is_active)
+                .map(wallet => [Markup.button.callback(`🔄 Switch to ${wallet.name}`, `wallet_switch_${wallet.id}`)]);
+            buttons.push(
+                [Markup.button.callback('➕ New Wallet', 'generate_wallet'), Markup.button.callback('📥 Import Wallet', 'import_wallet')],
+                [Markup.button.callback('✏️ Rename', 'wallet_rename'), Markup.button.callback('🔑 Export Private Key', 'export_private_key')],
                 [Markup.button.callback('🗑️ Delete Wallet', 'delete_wallet')],
                 [Markup.button.callback('🔙 Back to Main', 'back_to_main')]
-            ]);
+            );
+            const keyboard = Markup.inlineKeyboard(buttons);
             try {
                 await ctx.editMessageText(walletText, {
                     parse_mode: 'Markdown',
@@ -87,6 +110,9 @@ Manage your wallet securely:`;
                 await ctx.answerCbQuery();
             }
             const userId = ctx.from.id;
+            if (await this.hasReachedWalletLimit(userId)) {
+                return ctx.reply(`❌ You already have ${this.maxWallets} wallets. Delete one before adding another.`);
+            }
             // Clear any existing cache for this user first
             if (this.cacheService) {
                 try {
@@ -148,6 +174,9 @@ Manage your wallet securely:`;
                 await ctx.answerCbQuery();
             }
             const userId = ctx.from.id;
+            if (await this.hasReachedWalletLimit(userId)) {
+                return ctx.reply(`❌ You already have ${this.maxWallets} wallets. Delete one before adding another.`);
+            }
             // Clear any existing cache for this user first
             if (this.cacheService) {
                 try {
@@ -271,7 +300,9 @@ _This message will be deleted in 30 seconds for security._`, {
             if (ctx.callbackQuery) {
                 await ctx.answerCbQuery();
             }
-            const warningText = `⚠️ *DELETE WALLET*
+            const wallets = await this.database.getUserWallets(ctx.from.id);
+            const activeWallet = wallets.find(wallet => wallet.is_active);
+            const warningText = `⚠️ *DELETE WALLET*${activeWallet ? ` *${activeWallet.name}*` : ''}
 *This action is IRREVERSIBLE!*
 • All funds will be lost if not backed up
 • Your private key will be permanently deleted
@@ -311,6 +342,25 @@ Use /start to create a new wallet.`, {
                 });
                 return;
             }
+            // With several wallets only the active one is removed and the next one takes over
+            const wallets = await this.database.getUserWallets(userId);
+            const activeWallet = wallets.find(wallet => wallet.is_active);
+            const nextWallet = wallets.find(wallet => !wallet.is_active);
+            if (activeWallet && nextWallet) {
+                const updatedUser = await this.database.switchActiveWallet(userId, nextWallet.id);
+                await this.database.deleteUserWallet(userId, activeWallet.id);
+                await this.clearActiveWalletCache(userId, updatedUser);
+                await ctx.editMessageText(`🗑️ *Wallet Deleted*
+*${activeWallet.name}* has been permanently deleted.
+Your active wallet is now *${nextWallet.name}*.`, {
+                    parse_mode: 'Markdown',
+                    reply_markup: Markup.inlineKeyboard([
+                        [Markup.button.callback('👛 Wallets', 'wallet')]
+                    ]).reply_markup
+                });
+                this.monitoring.logInfo('Wallet deleted', { userId, walletId: activeWallet.id });
+                return;
+            }
             // Delete user from database
             secureLogger.info('Starting wallet deletion process', { userId });
             await this.database.deleteUser(userId);
@@ -388,6 +438,99 @@ Use /start to create a new wallet.`, {
             }
         }
     }
+    /**
+     * Make another wallet the active one and redraw the wallet menu
+     */
+    async handleSwitchWallet(ctx, walletId) {
+        const userId = ctx.from.id;
+        try {
+            const updatedUser = await this.database.switchActiveWallet(userId, walletId);
+            if (!updatedUser) {
+                return ctx.answerCbQuery('⚠️ Wallet not found');
+            }
+            await this.clearActiveWalletCache(userId, updatedUser);
+            this.monitoring.logInfo('Active wallet switched', { userId, walletId });
+            await this.showWalletInterface(ctx);
+        } catch (error) {
+            this.monitoring.logError('Switch wallet failed', error, { userId, walletId });
+            await ctx.reply('❌ Error switching wallet. Please try again.');
+        }
+    }
+    async handleRenameWallet(ctx) {
+        const userId = ctx.from.id;
+        try {
+            await ctx.answerCbQuery();
+            const wallets = await this.database.getUserWallets(userId);
+            const activeWallet = wallets.find(wallet => wallet.is_active);
+            if (!activeWallet) {
+                return ctx.reply('❌ No wallet found. Please create one first.');
+            }
+            await this.database.setUserState(userId, 'awaiting_wallet_name', { walletId: activeWallet.id });
+            await ctx.reply(`✏️ Send a new name for *${activeWallet.name}* (max 32 characters):`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    force_reply: true,
+                    input_field_placeholder: 'Trading, Savings...'
+                }
+            });
+        } catch (error) {
+            this.monitoring.logError('Rename wallet failed', error, { userId });
+            await ctx.reply('❌ Error renaming wallet. Please try again.');
+        }
+    }
+    /**
+     * Handle the wallet name typed by the user
+     */
+    async processWalletNameInput(ctx, userState) {
+        const userId = ctx.from.id;
+        try {
+            // Strip characters that break Markdown in the wallet menu
+            const name = ctx.message.text.replace(/[_*`[\]]/g, '').trim();
+            if (name.length === 0 || name.length > 32) {
+                return ctx.reply('❌ Please enter a name between 1 and 32 characters.');
+            }
+            const wallet = await this.database.renameUserWallet(userId, userState.data?.walletId, name);
+            await this.database.clearUserState(userId);
+            if (!wallet) {
+                return ctx.reply('❌ Wallet not found. Please try again.');
+            }
+            await ctx.reply(`✅ Wallet renamed to *${wallet.name}*`, {
+                parse_mode: 'Markdown',
+                reply_markup: Markup.inlineKeyboard([
+                    [Markup.button.callback('👛 Wallets', 'wallet')]
+                ]).reply_markup
+            });
+        } catch (error) {
+            this.monitoring.logError('Wallet name input failed', error, { userId });
+            await ctx.reply('❌ Error renaming wallet. Please try again.');
+        }
+    }
+    async hasReachedWalletLimit(userId) {
+        const wallets = await this.database.getUserWallets(userId);
+        return wallets.length >= this.maxWallets;
+    }
+    /**
+     * Drop cached data that belongs to the previously active wallet
+     */
+    async clearActiveWalletCache(userId, updatedUser) {
+        if (!this.cacheService) {
+            return;
+        }
+        try {
+            await this.cacheService.delete('main_menu', userId);
+            await this.cacheService.delete('portfolio', userId);
+            if (updatedUser) {
+                await this.cacheService.set('user', userId, updatedUser);
+            } else {
+                await this.cacheService.delete('user', userId);
+            }
+        } catch (cacheError) {
+            console.log('⚠️ Wallet switch cache update error:', cacheError.message);
+        }
+    }
+    shortAddress(address) {
+        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    }
     getTrustLevelEmoji(trustLevel) {
         const emojis = {
             'new': '🆕',
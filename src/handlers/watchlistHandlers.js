@@ -0,0 +1,186 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class WatchlistHandlers {
+    constructor(bot, database, monorailAPI, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+
+        this.maxEntries = 20;
+        this.batchSize = 5;
+    }
+
+    setupHandlers() {
+        // Watchlist summary (from /watchlist and the main menu button)
+        this.bot.action('watchlist', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showWatchlist(ctx);
+        });
+
+        this.bot.action('watchlist_refresh', async (ctx) => {
+            await ctx.answerCbQuery('🔄 Refreshing...');
+            await this.showWatchlist(ctx, true);
+        });
+
+        // Add from the token view
+        this.bot.action(/^watch_add_(0x[a-fA-F0-9]{40})$/, async (ctx) => {
+            await this.addToken(ctx, ctx.match[1]);
+        });
+
+        this.bot.action(/^watch_remove_(\d+)$/, async (ctx) => {
+            await this.removeToken(ctx, ctx.match[1]);
+        });
+    }
+
+    async addToken(ctx, tokenAddress) {
+        const userId = ctx.from.id;
+
+        try {
+            const entries = await this.database.getWatchlist(userId);
+            if (entries.some(entry => entry.token_address === tokenAddress.toLowerCase())) {
+                await ctx.answerCbQuery('⭐ Already on your watchlist');
+                return;
+            }
+            if (entries.length >= this.maxEntries) {
+                await ctx.answerCbQuery(`❌ Your watchlist is full (${this.maxEntries} tokens)`);
+                return;
+            }
+
+            const tokenInfo = await this.monorailAPI.getTokenInfo(tokenAddress);
+            const symbol = tokenInfo?.success ? tokenInfo.token.symbol?.substring(0, 20) : null;
+            const entry = await this.database.addWatchlistToken(userId, tokenAddress, symbol);
+            if (!entry) {
+                await ctx.answerCbQuery('⭐ Already on your watchlist');
+                return;
+            }
+
+            await ctx.answerCbQuery(`⭐ ${symbol || 'Token'} added to your watchlist`);
+            this.monitoring?.logInfo('Watchlist token added', { userId, tokenAddress });
+        } catch (error) {
+            this.monitoring?.logError('Add watchlist token failed', error, { userId, tokenAddress });
+            await ctx.reply('❌ Error updating watchlist. Please try again.');
+        }
+    }
+
+    async removeToken(ctx, entryId) {
+        const userId = ctx.from.id;
+
+        try {
+            const removed = await this.database.removeWatchlistToken(entryId, userId);
+            await ctx.answerCbQuery(removed ? `✅ ${removed.token_symbol || 'Token'} removed` : '⚠️ Already removed');
+            await this.showWatchlist(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Remove watchlist token failed', error, { userId, entryId });
+            await ctx.reply('❌ Error updating watchlist. Please try again.');
+        }
+    }
+
+    /**
+     * Price, 24h change and held balance for every watched token, with quick buy / sell buttons
+     */
+    async showWatchlist(ctx, forceRefresh = false) {
+        const userId = ctx.from.id;
+
+        try {
+            const [entries, user] = await Promise.all([
+                this.database.getWatchlist(userId),
+                this.database.getUser(userId)
+            ]);
+
+            if (entries.length === 0) {
+                const keyboard = Markup.inlineKeyboard([
+                    [Markup.button.callback('🏠 Main Menu', 'back_to_main')]
+                ]);
+                await TelegramUtils.sendOrEdit(ctx, `⭐ *Watchlist*
+
+_Your watchlist is empty._
+
+Open a token (paste its address) and tap ⭐ *Watchlist* to add it.`, keyboard);
+                return;
+            }
+
+            const [tokens, balances] = await Promise.all([
+                this.getTokenInfos(entries.map(entry => entry.token_address)),
+                user?.wallet_address
+                    ? this.monorailAPI.getWalletBalance(user.wallet_address, forceRefresh).catch(() => [])
+                    : []
+            ]);
+
+            const lines = [];
+            const buttons = [];
+            entries.forEach((entry, index) => {
+                const token = tokens[index];
+                const symbol = token?.symbol || entry.token_symbol || 'Token';
+                const held = (balances || []).find(balance => balance.address?.toLowerCase() === entry.token_address);
+                const heldAmount = held ? parseFloat(held.balance) : 0;
+
+                lines.push(this.formatEntry(entry, token, symbol, heldAmount));
+
+                const row = [Markup.button.callback(`🟢 Buy ${symbol}`, `buy_token_${entry.token_address}`)];
+                // Sell screen looks tokens up by symbol (sell:SYMBOL), so only plain symbols get a button
+                if (heldAmount > 0 && /^[A-Za-z0-9]+$/.test(held.symbol || '')) {
+                    row.push(Markup.button.callback('🔴 Sell', `sell:${held.symbol}`));
+                }
+                row.push(Markup.button.callback('❌', `watch_remove_${entry.id}`));
+                buttons.push(row);
+            });
+
+            buttons.push([
+                Markup.button.callback('🔄 Refresh', 'watchlist_refresh'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            const text = `⭐ *Watchlist* | ${entries.length}/${this.maxEntries}
+
+${lines.join('\n\n')}
+
+_Updated ${new Date().toUTCString().slice(17, 22)} UTC_`;
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(buttons));
+        } catch (error) {
+            this.monitoring?.logError('Show watchlist failed', error, { userId });
+            await ctx.reply('❌ Error loading watchlist. Please try again.');
+        }
+    }
+
+    /**
+     * Fetch token info in small batches to stay within API rate limits
+     */
+    async getTokenInfos(tokenAddresses) {
+        const tokens = [];
+        for (let i = 0; i < tokenAddresses.length; i += this.batchSize) {
+            const batch = tokenAddresses.slice(i, i + this.batchSize);
+            const results = await Promise.all(batch.map(tokenAddress =>
+                this.monorailAPI.getTokenInfo(tokenAddress).catch(() => null)
+            ));
+            tokens.push(...results.map(result => (result?.success ? result.token : null)));
+        }
+        return tokens;
+    }
+
+    formatEntry(entry, token, symbol, heldAmount) {
+        const monPrice = parseFloat(token?.mon_per_token);
+        const usdPrice = parseFloat(token?.usd_per_token);
+        const priceText = monPrice > 0
+            ? `${TelegramUtils.formatPrice(monPrice)} MON${usdPrice > 0 ? ` ($${TelegramUtils.formatPrice(usdPrice)})` : ''}`
+            : 'Price unavailable';
+
+        let changeText = '24h —';
+        if (token?.priceChange24h !== null && token?.priceChange24h !== undefined && !isNaN(parseFloat(token.priceChange24h))) {
+            const change = parseFloat(token.priceChange24h);
+            changeText = `${change >= 0 ? '🟢 +' : '🔴 '}${change.toFixed(2)}% 24h`;
+        }
+
+        const heldText = heldAmount > 0
+            ? `💼 ${TelegramUtils.formatCompact(heldAmount)} ${TelegramUtils.stripMarkdown(symbol)}${monPrice > 0 ? ` ≈ ${(heldAmount * monPrice).toFixed(4)} MON` : ''}`
+            : '💼 Not held';
+
+        return `*${TelegramUtils.stripMarkdown(symbol)}* · \`${entry.token_address}\`
+   ${priceText} · ${changeText}
+   ${heldText}`;
+    }
+}
+
+module.exports = WatchlistHandlers;
@@ -0,0 +1,163 @@
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+class WithdrawalWhitelistHandlers {
+    constructor(bot, database, whitelistService, monitoring) {
+        this.bot = bot;
+        this.database = database;
+        this.whitelistService = whitelistService;
+        this.monitoring = monitoring;
+    }
+
+    setupHandlers() {
+        this.bot.action('withdrawal_whitelist', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.showWhitelist(ctx);
+        });
+
+        this.bot.action('wl_add', async (ctx) => {
+            await ctx.answerCbQuery();
+            await this.promptAddAddress(ctx);
+        });
+
+        this.bot.action('wl_enable', async (ctx) => {
+            await this.enableWhitelist(ctx);
+        });
+
+        this.bot.action('wl_disable', async (ctx) => {
+            await this.disableWhitelist(ctx);
+        });
+
+        this.bot.action(/^wl_remove_(\d+)$/, async (ctx) => {
+            await this.removeAddress(ctx, parseInt(ctx.match[1]));
+        });
+    }
+
+    /**
+     * Whitelist status and saved addresses with their cooling state
+     */
+    async showWhitelist(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const overview = await this.whitelistService.getOverview(userId);
+            const cooldown = this.whitelistService.cooldownHours;
+
+            let status = overview.enabled ? '✅ *On*: transfers only go to active saved addresses' : '⛔ *Off*: transfers can go to any address';
+            if (overview.disableAt) {
+                status += `\n⏳ Turning off on ${this.whitelistService.formatDate(overview.disableAt)}`;
+            }
+
+            const lines = overview.addresses.map(entry =>
+                `${entry.active ? '🟢' : '⏳'} *${entry.label}* \`${entry.address}\`${entry.active ? '' : `\n   usable from ${this.whitelistService.formatDate(new Date(entry.active_at))}`}`
+            );
+
+            const text = `🛡️ *Withdrawal Whitelist*
+
+${status}
+
+*Saved Addresses*
+${lines.length > 0 ? lines.join('\n') : '_No saved addresses yet_'}
+
+New addresses and turning the whitelist off take ${cooldown}h to apply, and you get a notification each time.`;
+
+            const rows = [[Markup.button.callback('➕ Add Address', 'wl_add')]];
+            if (!overview.enabled) {
+                rows[0].push(Markup.button.callback('🔒 Enable', 'wl_enable'));
+            } else if (overview.disableAt) {
+                rows[0].push(Markup.button.callback('🔒 Keep Enabled', 'wl_enable'));
+            } else {
+                rows[0].push(Markup.button.callback('🔓 Disable', 'wl_disable'));
+            }
+            overview.addresses.forEach(entry => {
+                rows.push([Markup.button.callback(`🗑️ Remove ${entry.label}`, `wl_remove_${entry.id}`)]);
+            });
+            rows.push([
+                Markup.button.callback('📤 Transfer', 'transfer'),
+                Markup.button.callback('🏠 Main Menu', 'back_to_main')
+            ]);
+
+            await TelegramUtils.sendOrEdit(ctx, text, Markup.inlineKeyboard(rows));
+        } catch (error) {
+            this.monitoring?.logError('Show withdrawal whitelist failed', error, { userId });
+            await ctx.reply('❌ Error loading your whitelist. Please try again.');
+        }
+    }
+
+    async promptAddAddress(ctx) {
+        await this.database.setUserState(ctx.from.id, 'awaiting_whitelist_address', {});
+        await ctx.replyWithMarkdown(`➕ *Add Withdrawal Address*
+
+Send the address followed by a label:
+\`0x1234567890123456789012345678901234567890 Cold wallet\`
+
+It becomes usable for whitelisted transfers after ${this.whitelistService.cooldownHours}h.`, {
+            reply_markup: { force_reply: true, input_field_placeholder: '0x... label' }
+        });
+    }
+
+    async processAddressInput(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const [address, ...label] = ctx.message.text.trim().split(/\s+/);
+            const result = await this.whitelistService.addAddress(userId, address, label.join(' '));
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}. Example: 0x1234...7890 Cold wallet`);
+                return;
+            }
+
+            await this.database.clearUserState(userId);
+            await this.showWhitelist(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Add withdrawal address failed', error, { userId });
+            await ctx.reply('❌ Error saving the address. Please try again.');
+        }
+    }
+
+    async enableWhitelist(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            await this.whitelistService.enable(userId);
+            await ctx.answerCbQuery('✅ Whitelist enabled');
+            await this.showWhitelist(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Enable withdrawal whitelist failed', error, { userId });
+            await ctx.reply('❌ Error enabling the whitelist. Please try again.');
+        }
+    }
+
+    async disableWhitelist(ctx) {
+        const userId = ctx.from.id;
+
+        try {
+            const result = await this.whitelistService.requestDisable(userId);
+            if (!result.success) {
+                await ctx.answerCbQuery(`❌ ${result.error}`, { show_alert: true });
+                return;
+            }
+
+            await ctx.answerCbQuery(`⏳ Turns off in ${this.whitelistService.cooldownHours}h`, { show_alert: true });
+            await this.showWhitelist(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Disable withdrawal whitelist failed', error, { userId });
+            await ctx.reply('❌ Error updating the whitelist. Please try again.');
+        }
+    }
+
+    async removeAddress(ctx, addressId) {
+        const userId = ctx.from.id;
+
+        try {
+            const result = await this.whitelistService.removeAddress(userId, addressId);
+            await ctx.answerCbQuery(result.success ? '🗑️ Address removed' : `❌ ${result.error}`);
+            await this.showWhitelist(ctx);
+        } catch (error) {
+            this.monitoring?.logError('Remove withdrawal address failed', error, { userId, addressId });
+            await ctx.reply('❌ Error removing the address. Please try again.');
+        }
+    }
+}
+
+module.exports = WithdrawalWhitelistHandlers;
@@ -63,12 +63,40 @@ const NavigationHandlers = require('./handlers/navigationHandlers');
 const InlineHandlers = require('./handlers/inlineHandlers');
 const GroupHandlers = require('./handlers/groupHandlers');
 const FeedbackHandlers = require('./handlers/feedbackHandlers');
-
-// Simple Access Code System - REMOVED
+const LimitOrderHandlers = require('./handlers/limitOrderHandlers');
+const PositionProtectionHandlers = require('./handlers/positionProtectionHandlers');
+const DcaHandlers = require('./handlers/dcaHandlers');
+const HistoryHandlers = require('./handlers/historyHandlers');
+const PriceAlertHandlers = require('./handlers/priceAlertHandlers');
+const BundleHandlers = require('./handlers/bundleHandlers');
+const CopyTradeHandlers = require('./handlers/copyTradeHandlers');
+const TokenSafetyHandlers = require('./handlers/tokenSafetyHandlers');
+const SniperHandlers = require('./handlers/sniperHandlers');
+const WatchlistHandlers = require('./handlers/watchlistHandlers');
+const TransactionHandlers = require('./handlers/transactionHandlers');
+const AdminHandlers = require('./handlers/adminHandlers');
+const AccessHandlers = require('./handlers/accessHandlers');
+const ReferralHandlers = require('./handlers/referralHandlers');
+const WithdrawalWhitelistHandlers = require('./handlers/withdrawalWhitelistHandlers');
+const AccessControlMiddleware = require('./middleware/AccessControlMiddleware');
 
 // Legacy trading optimizers - REPLACED by unified system
 // const TradingCacheOptimizer = require('./utils/tradingCacheOptimizer');
 const StateManager = require('./services/StateManager');
+const LimitOrderService = require('./services/LimitOrderService');
+const PositionProtectionService = require('./services/PositionProtectionService');
+const DcaService = require('./services/DcaService');
+const PriceAlertService = require('./services/PriceAlertService');
+const CopyTradeService = require('./services/CopyTradeService');
+const TokenSafetyScanner = require('./services/TokenSafetyScanner');
+const GroupLeaderboardService = require('./services/GroupLeaderboardService');
+const GroupCallService = require('./services/GroupCallService');
+const SniperService = require('./services/SniperService');
+const TransactionTracker = require('./services/TransactionTracker');
+const NonceManager = require('./services/NonceManager');
+const AccessCodeService = require('./services/AccessCodeService');
+const ReferralService = require('./services/ReferralService');
+const WithdrawalWhitelistService = require('./services/WithdrawalWhitelistService');
 // const TransactionAccelerator = require('./utils/transactionAccelerator');
 
 // Admin tools for rate limit management
@@ -276,22 +304,124 @@ class Area51BotModularSimple {
         this.monorailAPI = new MonorailAPI(this.redis, this.cacheService);
         this.walletManager = new WalletManager(this.redis, this.database);
         
+        // One nonce sequence per wallet for swaps, approvals and transfers (Redis-backed, in-memory fallback)
+        this.nonceManager = new NonceManager(
+            this.walletManager.rpcManager,
+            this.redisFallbackManager,
+            this.monitoring
+        );
+        this.monorailAPI.nonceManager = this.nonceManager;
+        this.walletManager.nonceManager = this.nonceManager;
+        
         // Cache monitoring is now integrated in the unified cache system
         
+        // Transaction lifecycle - receipts of pending (turbo) trades, speed up / cancel of stuck ones
+        this.transactionTracker = new TransactionTracker(
+            this.database,
+            this.walletManager,
+            this.bot,
+            this.monitoring
+        );
+        this.transactionTracker.start(5); // Check every 5 seconds
+        
         // NEW UNIFIED TRADING SYSTEM - Replace legacy trading handlers
         const tradingDependencies = {
             redis: this.redis,
             database: this.database,
             monorailAPI: this.monorailAPI,
             walletManager: this.walletManager,
+            transactionTracker: this.transactionTracker,
             monitoring: this.monitoring
         };
         
         this.tradingInterface = new TradingInterface(this.bot, tradingDependencies);
+        this.transactionTracker.tradingEngine = this.tradingInterface.engine;
         console.log('✅ Unified Trading System initialized successfully');
         
+        // Limit order watcher - executes through the unified trading engine
+        this.limitOrderService = new LimitOrderService(
+            this.database,
+            this.monorailAPI,
+            this.tradingInterface.engine,
+            this.bot,
+            this.monitoring
+        );
+        this.limitOrderService.start(30); // Check every 30 seconds
+        
+        // Stop-loss / take-profit watcher for open positions
+        this.positionProtectionService = new PositionProtectionService(
+            this.database,
+            this.monorailAPI,
+            this.tradingInterface.engine,
+            this.bot,
+            this.monitoring
+        );
+        this.positionProtectionService.start(30); // Check every 30 seconds
+        
+        // Recurring DCA buys - schedules are persisted, so runs resume after a restart
+        this.dcaService = new DcaService(
+            this.database,
+            this.tradingInterface.engine,
+            this.bot,
+            this.monitoring
+        );
+        this.dcaService.start(); // Check due schedules every minute
+        
+        // Price alert evaluator - above/below and % change alerts
+        this.priceAlertService = new PriceAlertService(
+            this.database,
+            this.monorailAPI,
+            this.bot,
+            this.monitoring
+        );
+        this.priceAlertService.start(60); // Check every minute
+        
+        // Copy trading - mirrors Monorail swaps of followed wallets
+        this.copyTradeService = new CopyTradeService(
+            this.database,
+            this.monorailAPI,
+            this.tradingInterface.engine,
+            this.bot,
+            this.monitoring
+        );
+        this.copyTradeService.start(15); // Check every 15 seconds
+        
+        // Token risk reports (honeypot / tax simulation, ownership, holders) - cached per token
+        this.tokenSafetyScanner = new TokenSafetyScanner(
+            this.monorailAPI,
+            this.cacheService,
+            this.monitoring
+        );
+        
+        // Group leaderboards - posts weekly competition results to enabled groups
+        this.groupLeaderboardService = new GroupLeaderboardService(
+            this.database,
+            this.bot,
+            this.monitoring
+        );
+        this.groupLeaderboardService.start(); // Check ended rounds every 10 minutes
+        
+        // Group call tracking - peak / current multiple of tokens posted in groups
+        this.groupCallService = new GroupCallService(
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        this.groupCallService.start(300); // Check every 5 minutes
+        
+        // Sniper - buys new token launches for users who enabled it
+        this.sniperService = new SniperService(
+            this.database,
+            this.monorailAPI,
+            this.tradingInterface.engine,
+            this.tokenSafetyScanner,
+            this.bot,
+            this.monitoring
+        );
+        this.sniperService.start(10); // Check every 10 seconds
+        
         // this.portfolioManager = new PortfolioManager(this.monorailAPI, this.database, this.redis); // Removed - using portfolioService instead
-        this.portfolioService = new (require('./services/PortfolioService'))(this.monorailAPI, this.redis, this.monitoring, this.cacheService);
+        this.portfolioService = new (require('./services/PortfolioService'))(this.monorailAPI, this.redis, this.monitoring, this.cacheService, this.database);
             
         if (this.redis && this.cacheService) {
             // Initialize background refresh service
@@ -342,6 +472,45 @@ class Area51BotModularSimple {
             this.cacheService
         );
         
+        // Background trading skips users an admin has locked
+        for (const service of [this.limitOrderService, this.dcaService, this.copyTradeService, this.sniperService]) {
+            service.security = this.walletHandlers.security;
+        }
+        
+        // Invite-only onboarding (gate enabled with ACCESS_CODES_ENABLED)
+        this.accessCodeService = new AccessCodeService(this.database, this.monitoring);
+        
+        // Referral links and fee-share rewards (navigationHandlers reads mainBot.referralService for ref_ links)
+        this.referralService = new ReferralService(this.database, this.monitoring);
+        
+        // Initialize Admin Handlers (roles and audit log in the database)
+        this.adminHandlers = new AdminHandlers(
+            this.bot,
+            this.database,
+            this.walletHandlers.security,
+            this.walletHandlers.adminRateLimitManager,
+            this.accessCodeService,
+            this.referralService,
+            this.monitoring
+        );
+        
+        // Initialize Referral Handlers
+        this.referralHandlers = new ReferralHandlers(
+            this.bot,
+            this.referralService,
+            this.monitoring
+        );
+        
+        // Withdrawal whitelist (navigationHandlers reads mainBot.withdrawalWhitelistService for saved addresses;
+        // enforcement is in walletHandlers.security)
+        this.withdrawalWhitelistService = new WithdrawalWhitelistService(this.database, this.bot, this.monitoring);
+        this.withdrawalWhitelistHandlers = new WithdrawalWhitelistHandlers(
+            this.bot,
+            this.database,
+            this.withdrawalWhitelistService,
+            this.monitoring
+        );
+        
         // Unified Trading System already initialized above
         
         this.portfolioHandlers = new PortfolioHandlers(
@@ -383,6 +552,9 @@ class Area51BotModularSimple {
             tradingEngine: this.tradingInterface,
             walletManager: this.walletManager,
             cacheService: this.cacheService,
+            tokenSafetyScanner: this.tokenSafetyScanner,
+            groupLeaderboardService: this.groupLeaderboardService,
+            groupCallService: this.groupCallService,
             botUsername: this.bot.botInfo?.username || 'MonAreaBot'
         };
         
@@ -398,24 +570,106 @@ class Area51BotModularSimple {
         );
         console.log('✅ Feedback Handlers initialized successfully');
         
+        // Initialize Limit Order Handlers
+        this.limitOrderHandlers = new LimitOrderHandlers(
+            this.bot,
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        
+        // Initialize Stop-Loss / Take-Profit Handlers
+        this.positionProtectionHandlers = new PositionProtectionHandlers(
+            this.bot,
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        
+        // Initialize DCA Handlers
+        this.dcaHandlers = new DcaHandlers(
+            this.bot,
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        
+        // Initialize Trade History Handlers
+        this.historyHandlers = new HistoryHandlers(
+            this.bot,
+            this.database,
+            this.monitoring
+        );
+        
+        // Initialize Price Alert Handlers
+        this.priceAlertHandlers = new PriceAlertHandlers(
+            this.bot,
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        
+        // Initialize Bundle (multi-wallet) Trade Handlers
+        this.bundleHandlers = new BundleHandlers(
+            this.bot,
+            this.database,
+            this.tradingInterface.engine,
+            this.monitoring
+        );
+        
+        // Initialize Copy Trading Handlers
+        this.copyTradeHandlers = new CopyTradeHandlers(
+            this.bot,
+            this.database,
+            this.monitoring
+        );
+        
+        // Initialize Sniper Handlers
+        this.sniperHandlers = new SniperHandlers(
+            this.bot,
+            this.database,
+            this.monitoring
+        );
+        
+        // Initialize Watchlist Handlers
+        this.watchlistHandlers = new WatchlistHandlers(
+            this.bot,
+            this.database,
+            this.monorailAPI,
+            this.monitoring
+        );
+        
+        // Initialize Transaction Handlers (speed up / cancel buttons)
+        this.transactionHandlers = new TransactionHandlers(
+            this.bot,
+            this.transactionTracker,
+            this.monitoring
+        );
+        
+        // Initialize Token Safety Handlers
+        this.tokenSafetyHandlers = new TokenSafetyHandlers(
+            this.bot,
+            this.tokenSafetyScanner,
+            this.monitoring
+        );
+        
         // Legacy trading cache optimizer - REPLACED by unified system
         // this.tradingCacheOptimizer = new TradingCacheOptimizer(
         //     this.database,
         
-        // Simple Access Code System - REMOVED
-        // this.accessSystem = new SimpleAccessCode(this.database, this.cacheService);
-        // this.accessMiddleware = new AccessMiddleware(this.accessSystem);
-        // this.accessHandler = new SimpleAccessHandler(this.bot, this.database, this.accessSystem);
+        // Access code system (navigationHandlers.handleStart shows mainBot.accessHandler's prompt)
+        this.accessHandler = new AccessHandlers(this.bot, this.accessCodeService, this.monitoring);
+        this.accessMiddleware = new AccessControlMiddleware(
+            this.accessCodeService,
+            this.accessHandler,
+            this.adminHandlers,
+            this.monitoring
+        );
         
-        console.log('[Main] Simple Access Code System - REMOVED');
+        console.log(`[Main] Access code gate ${this.accessCodeService.isEnabled() ? 'ENABLED' : 'disabled'}`);
     }
 
     async setupMiddleware() {
-        // Access control middleware - REMOVED (Simple Access Code System removed)
-        // this.bot.use(async (ctx, next) => {
-        //     await this.accessMiddleware.checkAccess(ctx, next);
-        // });
-        
         // Global error handling
         this.bot.catch((err, ctx) => {
             this.monitoring.logError('Bot error occurred', err, {
@@ -439,6 +693,9 @@ class Area51BotModularSimple {
             this.bot.use(this.monitoring.getTelegramMiddleware());
         }
 
+        // Access code gate, before auth so new users can send their code
+        this.bot.use(this.accessMiddleware.middleware());
+
         // Use unified bot middleware (rate limiting, sessions, auth, error handling)
         if (this.database && this.monitoring) {
             const middlewares = createBotMiddleware(this.database, this.monitoring, this.redis, this.cacheService);
@@ -452,6 +709,24 @@ class Area51BotModularSimple {
         //     console.log('🚀 Transaction acceleration middleware enabled');
         // }
 
+        // Accounts locked from the admin console can't use the bot until the lock expires
+        this.bot.use(async (ctx, next) => {
+            const userId = ctx.from?.id;
+            if (userId && this.walletHandlers?.security) {
+                const lock = await this.walletHandlers.security.checkUserLock(userId);
+                if (lock.locked) {
+                    const message = `🔒 Your account is locked until ${lock.until.toUTCString()}${lock.reason ? `: ${lock.reason}` : ''}`;
+                    if (ctx.callbackQuery) {
+                        await ctx.answerCbQuery(message.substring(0, 200), { show_alert: true }).catch(() => {});
+                    } else if (ctx.chat?.type === 'private') {
+                        await ctx.reply(message).catch(() => {});
+                    }
+                    return;
+                }
+            }
+            await next();
+        });
+
         // User activity tracking
         this.bot.use(async (ctx, next) => {
             const userId = ctx.from?.id;
@@ -531,6 +806,51 @@ class Area51BotModularSimple {
         // Setup Feedback handlers
         this.feedbackHandlers.setupHandlers();
         
+        // Setup Limit Order handlers
+        this.limitOrderHandlers.setupHandlers();
+        
+        // Setup Stop-Loss / Take-Profit handlers
+        this.positionProtectionHandlers.setupHandlers();
+        
+        // Setup DCA handlers
+        this.dcaHandlers.setupHandlers();
+        
+        // Setup Trade History handlers
+        this.historyHandlers.setupHandlers();
+        
+        // Setup Price Alert handlers
+        this.priceAlertHandlers.setupHandlers();
+        
+        // Setup Bundle Trade handlers
+        this.bundleHandlers.setupHandlers();
+        
+        // Setup Copy Trading handlers
+        this.copyTradeHandlers.setupHandlers();
+        
+        // Setup Sniper handlers
+        this.sniperHandlers.setupHandlers();
+        
+        // Setup Watchlist handlers
+        this.watchlistHandlers.setupHandlers();
+        
+        // Setup Transaction handlers
+        this.transactionHandlers.setupHandlers();
+        
+        // Setup Admin console handlers
+        this.adminHandlers.setupHandlers();
+        
+        // Setup Access code handlers (invites)
+        this.accessHandler.setupHandlers();
+        
+        // Setup Referral handlers
+        this.referralHandlers.setupHandlers();
+        
+        // Setup Withdrawal whitelist handlers
+        this.withdrawalWhitelistHandlers.setupHandlers();
+        
+        // Setup Token Safety handlers
+        this.tokenSafetyHandlers.setupHandlers();
+        
         // Setup Inline Mode handlers
         this.inlineHandlers.setupHandlers();
         
@@ -547,9 +867,9 @@ class Area51BotModularSimple {
             await this.handleStart(ctx);
         });
 
-        // Admin commands for rate limit management
+        // Admin console (role-based, see AdminHandlers)
         this.bot.command('admin', async (ctx) => {
-            await this.handleAdminCommand(ctx);
+            await this.adminHandlers.handleAdminCommand(ctx);
         });
 
         // Settings handlers
@@ -579,6 +899,10 @@ class Area51BotModularSimple {
             await this.toggleAutoBuy(ctx);
         });
 
+        this.bot.action('cycle_auto_buy_max_risk', async (ctx) => {
+            await this.cycleAutoBuyMaxRisk(ctx);
+        });
+
         this.bot.action('auto_buy_amount', async (ctx) => {
             await this.showAutoBuyAmount(ctx);
         });
@@ -918,6 +1242,153 @@ class Area51BotModularSimple {
             }
         });
 
+        this.bot.command('dca', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('DCA command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block DCA command in groups for security (financial transactions)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'dca');
+                    return;
+                }
+                
+                // /dca <token address> starts a new schedule, plain /dca lists them
+                const tokenAddress = ctx.message.text.split(/\s+/)[1];
+                if (tokenAddress && /^0x[a-fA-F0-9]{40}$/.test(tokenAddress)) {
+                    await this.dcaHandlers.startScheduleCreation(ctx, tokenAddress);
+                } else {
+                    await this.dcaHandlers.showDcaSchedules(ctx);
+                }
+            } catch (error) {
+                this.monitoring?.logError('DCA command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing DCA schedules. Please try again.');
+            }
+        });
+
+        this.bot.command('history', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('History command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block history command in groups for security (exposes trades)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'history');
+                    return;
+                }
+                
+                await this.historyHandlers.showHistory(ctx);
+            } catch (error) {
+                this.monitoring?.logError('History command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing trade history. Please try again.');
+            }
+        });
+
+        this.bot.command('alerts', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Alerts command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block alerts command in groups for security (personal settings)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'alerts');
+                    return;
+                }
+                
+                await this.priceAlertHandlers.showUserAlerts(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Alerts command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing price alerts. Please try again.');
+            }
+        });
+
+        this.bot.command('copy', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Copy command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block copy command in groups for security (financial transactions)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'copy');
+                    return;
+                }
+                
+                await this.copyTradeHandlers.showFollows(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Copy command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing copy trading. Please try again.');
+            }
+        });
+
+        this.bot.command('sniper', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Sniper command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block sniper command in groups for security (financial transactions)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'sniper');
+                    return;
+                }
+                
+                await this.sniperHandlers.showSniper(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Sniper command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing sniper. Please try again.');
+            }
+        });
+
+        this.bot.command('watchlist', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Watchlist command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block watchlist command in groups (shows wallet holdings)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'watchlist');
+                    return;
+                }
+                
+                await this.watchlistHandlers.showWatchlist(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Watchlist command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing watchlist. Please try again.');
+            }
+        });
+
+        this.bot.command('referrals', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Referrals command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block referrals command in groups (shows earnings)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'referrals');
+                    return;
+                }
+                
+                await this.referralHandlers.showReferrals(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Referrals command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing referrals. Please try again.');
+            }
+        });
+
+        this.bot.command('whitelist', async (ctx) => {
+            try {
+                this.monitoring?.logInfo('Whitelist command received', { userId: ctx.from.id, chatType: ctx.chat.type });
+                
+                // Block whitelist command in groups (shows withdrawal addresses)
+                if (isGroupChat(ctx)) {
+                    await sendSecurityWarning(ctx, 'whitelist');
+                    return;
+                }
+                
+                await this.withdrawalWhitelistHandlers.showWhitelist(ctx);
+            } catch (error) {
+                this.monitoring?.logError('Whitelist command failed', error, { userId: ctx.from.id });
+                await ctx.reply('Error accessing whitelist. Please try again.');
+            }
+        });
+
+        this.bot.command('invite', async (ctx) => {
+            this.monitoring?.logInfo('Invite command received', { userId: ctx.from.id });
+            await this.accessHandler.showInvite(ctx);
+        });
+
         this.bot.command('refresh', async (ctx) => {
             try {
                 this.monitoring?.logInfo('Refresh command received', { userId: ctx.from.id });
@@ -956,14 +1427,36 @@ class Area51BotModularSimple {
                 if (userState?.state === 'collecting_feedback') {
                     // Handle feedback message collection
                     await this.feedbackHandlers.processFeedbackMessage(ctx, userState);
+                } else if (userState?.state === 'awaiting_limit_order') {
+                    await this.limitOrderHandlers.processLimitOrderInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_protection_percent') {
+                    await this.positionProtectionHandlers.processCustomPercentInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_dca_schedule') {
+                    await this.dcaHandlers.processDcaInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_history_token') {
+                    await this.historyHandlers.processTokenFilterInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_price_alert') {
+                    await this.priceAlertHandlers.processAlertInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_wallet_name') {
+                    await this.walletHandlers.processWalletNameInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_bundle_buy') {
+                    await this.bundleHandlers.processBundleBuyInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_copy_target') {
+                    await this.copyTradeHandlers.processFollowInput(ctx);
+                } else if (userState?.state === 'awaiting_copy_blacklist') {
+                    await this.copyTradeHandlers.processBlacklistInput(ctx, userState);
+                } else if (userState?.state === 'awaiting_sniper_input') {
+                    await this.sniperHandlers.processSniperInput(ctx, userState);
                 } else if (userState?.state === 'awaiting_custom_buy_amounts') {
                     await this.handleCustomBuyAmountsInput(ctx);
                 } else if (userState?.state === 'awaiting_custom_sell_percentages') {
                     await this.handleCustomSellPercentagesInput(ctx);
                 } else if (userState?.state === 'awaiting_transfer_address') {
-                    await this.navigationHandlers.processTransferAddress(ctx, ctx.message.text);
+                    await this.navigationHandlers.processTransferAddress(ctx, ctx.message.text, userState.data || {});
                 } else if (userState?.state === 'awaiting_transfer_amount') {
-                    await this.navigationHandlers.processTransferAmount(ctx, ctx.message.text, userState.data?.recipientAddress);
+                    await this.navigationHandlers.processTransferAmount(ctx, ctx.message.text, userState.data || {});
+                } else if (userState?.state === 'awaiting_whitelist_address') {
+                    await this.withdrawalWhitelistHandlers.processAddressInput(ctx);
                 } else if (userState?.state?.startsWith('awaiting_edit_buy_amount_')) {
                     const buttonIndex = parseInt(userState.state.split('_').pop());
                     await this.handleEditBuyAmountInput(ctx, buttonIndex);
@@ -1016,11 +1509,16 @@ class Area51BotModularSimple {
 
 • **Buy Settings** - _Gas, slippage & auto buy configuration_
 • **Sell Settings** - _Gas & slippage for sales_  
-• **Turbo Mode** - _Ultra-fast execution (${turboStatus === '🟢' ? '**enabled**' : '**disabled**'})_`;
+• **Turbo Mode** - _Ultra-fast execution (${turboStatus === '🟢' ? '**enabled**' : '**disabled**'})_
+• **DCA Schedules** - _Recurring buys: list, pause & cancel_
+• **Copy Trading** - _Mirror another wallet's swaps_
+• **Sniper** - _Auto buy new token launches_`;
 
             const keyboard = Markup.inlineKeyboard([
                 [Markup.button.callback('Buy Settings', 'buy_settings'), Markup.button.callback('Sell Settings', 'sell_settings')],
                 [Markup.button.callback(`Turbo Mode ${turboStatus}`, 'toggle_turbo_mode')],
+                [Markup.button.callback('DCA Schedules', 'dca_schedules'), Markup.button.callback('Copy Trading', 'copy_trading')],
+                [Markup.button.callback('Sniper', 'sniper_settings')],
                 [Markup.button.callback('Back to Main', 'back_to_main')]
             ]);
 
@@ -1335,11 +1833,13 @@ _Set price tolerance for market volatility:_
             // Use only auto_buy_slippage, not fallback to slippage_tolerance
             const autoBuySlippage = userSettings?.auto_buy_slippage || 5;
             const status = autoBuyEnabled ? '🟢 ON' : '🔴 OFF';
+            const maxRisk = this.getMaxRiskLabel(userSettings?.auto_buy_max_risk);
 
             const settingsText = `🔄 **Auto Buy Settings**
 
 **Status:** ${status} | **Amount:** ${autoBuyAmount} MON
 **Gas:** ${autoBuyGas} Gwei | **Slippage:** ${autoBuySlippage}%
+**Max Risk:** ${maxRisk} _(tokens above it are not auto bought)_
 
 ⚠️ **Auto purchases tokens when detected**
 
@@ -1348,7 +1848,7 @@ Configure your automatic buying preferences:`;
             const keyboard = Markup.inlineKeyboard([
                 [Markup.button.callback(`Auto Buy ${status}`, 'toggle_auto_buy')],
                 [Markup.button.callback('Set Amount', 'auto_buy_amount'), Markup.button.callback('Set Gas', 'auto_buy_gas')],
-                [Markup.button.callback('Set Slippage', 'auto_buy_slippage')],
+                [Markup.button.callback('Set Slippage', 'auto_buy_slippage'), Markup.button.callback(`🛡️ Max Risk: ${maxRisk}`, 'cycle_auto_buy_max_risk')],
                 [Markup.button.callback('Back to Settings', 'settings')]
             ]);
 
@@ -1385,6 +1885,29 @@ Configure your automatic buying preferences:`;
         }
     }
 
+    /**
+     * Cycle the highest token risk level auto buy accepts: off -> low -> medium -> high -> off
+     */
+    async cycleAutoBuyMaxRisk(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const currentSettings = await this.database.getUserSettings(userId);
+            const options = [null, 'low', 'medium', 'high'];
+            const next = options[(options.indexOf(currentSettings?.auto_buy_max_risk || null) + 1) % options.length];
+
+            await this.database.updateUserSettings(userId, { auto_buy_max_risk: next });
+            await this.showAutoBuySettings(ctx);
+        } catch (error) {
+            this.monitoring.logError('Cycle auto buy max risk failed', error, { userId: ctx.from.id });
+            await ctx.reply('❌ Error updating auto buy settings.');
+        }
+    }
+
+    getMaxRiskLabel(maxRisk) {
+        const labels = { low: '🟢 Low', medium: '🟡 Medium', high: '🟠 High' };
+        return labels[maxRisk] || 'Off';
+    }
+
     async toggleAutoBuy(ctx) {
         try {
             await ctx.answerCbQuery();
@@ -1499,6 +2022,7 @@ _Sale transaction configuration:_
             const keyboard = Markup.inlineKeyboard([
                 [Markup.button.callback('Gas Settings', 'sell_gas_settings'), Markup.button.callback('Slippage', 'sell_slippage_settings')],
                 [Markup.button.callback('⚙️ Custom Percentages', 'custom_sell_percentages')],
+                [Markup.button.callback('🛡️ Default SL / TP', 'default_protection')],
                 [Markup.button.callback('Back to Settings', 'settings')]
             ]);
 
@@ -2523,53 +3047,47 @@ _Price tolerance for automated purchases:_
         }
     }
 
-    async handleAdminCommand(ctx) {
+    async stop(signal) {
+        this.monitoring.logInfo(`Received ${signal}, stopping bot...`);
+        
         try {
-            const userId = ctx.from.id;
-            const args = ctx.message.text.split(' ').slice(1);
+            this.bot.stop(signal);
             
-            // Check if user is admin (you can add your admin user IDs here)
-            const adminIds = [123456789]; // Replace with actual admin user IDs
-            if (!adminIds.includes(userId)) {
-                await ctx.reply('❌ Access denied. Admin privileges required.');
-                return;
+            if (this.limitOrderService) {
+                this.limitOrderService.stop();
             }
             
-            if (args.length === 0) {
-                await ctx.reply(`🔧 **Admin Commands**
-
-Available commands:
-• \`/admin fix_stuck_limits\` - Fix all stuck rate limits
-• \`/admin reset_user <user_id>\` - Reset rate limits for specific user
-• \`/admin report <user_id>\` - Generate rate limit report for user
-• \`/admin diagnose <user_id>\` - Diagnose rate limit issues for user
-
-Example: \`/admin reset_user 123456789\``, {
-                    parse_mode: 'Markdown'
-                });
-                return;
+            if (this.positionProtectionService) {
+                this.positionProtectionService.stop();
             }
             
-            const command = args[0];
+            if (this.dcaService) {
+                this.dcaService.stop();
+            }
             
-            if (this.walletHandlers && this.walletHandlers.adminRateLimitManager) {
-                const result = await this.walletHandlers.adminRateLimitManager.handleAdminCommand(command, args.slice(1));
-                await ctx.reply(result, { parse_mode: 'Markdown' });
-            } else {
-                await ctx.reply('❌ Admin rate limit manager not available.');
+            if (this.priceAlertService) {
+                this.priceAlertService.stop();
             }
             
-        } catch (error) {
-            this.monitoring?.logError('Admin command error', error, { userId: ctx.from.id });
-            await ctx.reply('❌ Error processing admin command.');
-        }
-    }
-
-    async stop(signal) {
-        this.monitoring.logInfo(`Received ${signal}, stopping bot...`);
-        
-        try {
-            this.bot.stop(signal);
+            if (this.copyTradeService) {
+                this.copyTradeService.stop();
+            }
+            
+            if (this.groupLeaderboardService) {
+                this.groupLeaderboardService.stop();
+            }
+            
+            if (this.groupCallService) {
+                this.groupCallService.stop();
+            }
+            
+            if (this.sniperService) {
+                this.sniperService.stop();
+            }
+            
+            if (this.transactionTracker) {
+                this.transactionTracker.stop();
+            }
             
             if (this.database && this.database.close) {
                 await this.database.close();
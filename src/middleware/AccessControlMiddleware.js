@@ -0,0 +1,81 @@
+// Access Control Middleware - Invite-only gate for private chats
+// Groups and inline queries stay open; staff (AdminHandlers roles) are never gated
+class AccessControlMiddleware {
+    constructor(accessCodeService, accessHandler, adminHandlers, monitoring) {
+        this.accessCodeService = accessCodeService;
+        this.accessHandler = accessHandler;
+        this.adminHandlers = adminHandlers;
+        this.monitoring = monitoring;
+
+        // Failed code attempts per user, to slow down guessing
+        this.failedAttempts = new Map();
+        this.maxFailedAttempts = 5;
+        this.failedAttemptWindowMs = 10 * 60 * 1000;
+    }
+
+    middleware() {
+        return async (ctx, next) => {
+            const userId = ctx.from?.id;
+            if (!this.accessCodeService.isEnabled() || !userId || ctx.chat?.type !== 'private') {
+                return next();
+            }
+
+            try {
+                if (await this.accessCodeService.hasAccess(userId) || await this.adminHandlers?.getRole(userId)) {
+                    return next();
+                }
+
+                const text = ctx.message?.text?.trim();
+                const startMatch = text?.match(/^\/start(?:@\w+)?(?:\s+(\S+))?$/);
+
+                if (startMatch && (!startMatch[1] || /^ref_[a-z0-9]{4,16}$/i.test(startMatch[1]))) {
+                    // Plain /start and referral links: handleStart records the referral and shows the access prompt
+                    ctx.needsAccessCode = true;
+                    return next();
+                }
+
+                const code = startMatch ? startMatch[1] : text;
+                if (code && this.accessCodeService.looksLikeCode(code)) {
+                    await this.redeem(ctx, code);
+                    return;
+                }
+
+                if (ctx.callbackQuery) {
+                    await ctx.answerCbQuery('🔐 Access code required. Send /start to enter it.', { show_alert: true });
+                    return;
+                }
+                await this.accessHandler.showAccessPrompt(ctx);
+            } catch (error) {
+                this.monitoring.logError('Access control failed', error, { userId });
+                await ctx.reply('⚠️ Could not verify your access. Please try /start again.');
+            }
+        };
+    }
+
+    async redeem(ctx, code) {
+        const userId = ctx.from.id;
+        const now = Date.now();
+        const attempts = (this.failedAttempts.get(userId) || []).filter(time => now - time < this.failedAttemptWindowMs);
+        if (attempts.length >= this.maxFailedAttempts) {
+            await ctx.reply('⚠️ Too many invalid codes. Please wait a few minutes and try again.');
+            return;
+        }
+
+        const result = await this.accessCodeService.redeem(userId, code, {
+            username: ctx.from.username,
+            firstName: ctx.from.first_name
+        });
+
+        if (!result.success) {
+            attempts.push(now);
+            this.failedAttempts.set(userId, attempts);
+            await this.accessHandler.showAccessPrompt(ctx, result.error);
+            return;
+        }
+
+        this.failedAttempts.delete(userId);
+        await this.accessHandler.showAccessGranted(ctx);
+    }
+}
+
+module.exports = AccessControlMiddleware;
@@ -39,8 +39,8 @@ class BotMiddleware {
         return async (ctx, next) => {
             const userId = ctx.from.id;
             try {
-                // Skip auth for start command and wallet creation
-                if (ctx.message && ctx.message.text === '/start') {
+                // Skip auth for start command (plain or referral link) and wallet creation
+                if (ctx.message && (ctx.message.text === '/start' || /^\/start ref_\w+$/.test(ctx.message.text || ''))) {
                     return next();
                 }
                 if (ctx.callbackQuery && ['generate_wallet', 'import_wallet'].includes(ctx.callbackQuery.data)) {
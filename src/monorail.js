@@ -30,6 +30,8 @@ class MonorailAPI {
         this.cacheService = cacheService;
         // Initialize RPC Manager for fallback support
         this.rpcManager = new RPCManager();
+        // Shared per-wallet nonce allocation (set by the bot, see NonceManager)
+        this.nonceManager = null;
         // Common token addresses
         this.tokens = {
             MON: '0x0000000000000000000000000000000000000000',
@@ -203,7 +205,10 @@ class MonorailAPI {
                         mon_per_token: response.data.mon_per_token,
                         pconf: response.data.pconf,
                         marketCap: response.data.market_cap,
-                        volume24h: response.data.volume_24h
+                        volume24h: response.data.volume_24h,
+                        liquidity: response.data.liquidity ?? null,
+                        priceChange24h: response.data.price_change_24h ?? null,
+                        categories: response.data.categories || []
                     }
                 };
             } else {
@@ -590,7 +595,7 @@ class MonorailAPI {
                 gasLimit: gasLimit || 100000,
                 nonce: nonce
             };
-            const txResponse = await wallet.sendTransaction(approvalTx);
+            const txResponse = await this.sendWalletTransaction(wallet, approvalTx);
             // Token approval transaction broadcast
             return {
                 success: true,
@@ -629,7 +634,7 @@ class MonorailAPI {
                 gasLimit: finalGasLimit,
                 nonce: nonce
             };
-            const txResponse = await wallet.sendTransaction(swapTx);
+            const txResponse = await this.sendWalletTransaction(wallet, swapTx);
             
             // Check if turbo mode based on gas price
             const isTurboMode = gasPrice && parseInt(gasPrice) >= 100000000000; // 100 Gwei
@@ -725,7 +730,7 @@ class MonorailAPI {
             const txResponse = await this.rpcManager.executeWithFallback(
                 async (provider) => {
                     const walletWithProvider = wallet.connect(provider);
-                    return await walletWithProvider.sendTransaction(transaction);
+                    return await this.sendWalletTransaction(walletWithProvider, transaction);
                 },
                 'SEND_TRANSACTION'
             );
@@ -782,6 +787,13 @@ class MonorailAPI {
             };
         }
     }
+    // Broadcast through the nonce manager unless the caller pinned a nonce
+    async sendWalletTransaction(wallet, transaction) {
+        if (!this.nonceManager || (transaction.nonce !== undefined && transaction.nonce !== null)) {
+            return await wallet.sendTransaction(transaction);
+        }
+        return await this.nonceManager.sendTransaction(wallet, transaction);
+    }
     // Prepare transaction object for ethers.js
     prepareTransaction(monorailTx, gasEstimate) {
         try {
@@ -870,7 +882,10 @@ class MonorailAPI {
                 // Approving token for maximum amount
                 // Approve maximum amount to avoid future approvals
                 const maxAmount = ethers.MaxUint256;
-                const approveTx = await tokenContract.approve(spenderAddress, maxAmount);
+                const approveTx = await this.sendWalletTransaction(
+                    wallet,
+                    await tokenContract.approve.populateTransaction(spenderAddress, maxAmount)
+                );
                 // Approval transaction sent
                 // Wait for approval confirmation
                 const approvalReceipt = await approveTx.wait();
@@ -282,7 +282,7 @@ class UnifiedSecuritySystem {
      * Advanced user verification for sensitive operations
      * @param {number} userId - User ID
      * @param {string} operation - Operation type
-     * @param {object} context - Additional context (IP, device, etc.)
+     * @param {object} context - Additional context (IP, device, recipientAddress for withdrawals, etc.)
      * @returns {Promise<object>} Verification result
      */
     async verifyUserForSensitiveOperation(userId, operation, context = {}) {
@@ -290,7 +290,25 @@ class UnifiedSecuritySystem {
             const verificationSteps = [];
             let riskScore = 0;
             
-            // Step 1: Rate limiting check
+            // Step 1: Withdrawal whitelist (before the rate limit so rejected addresses don't use it up)
+            if (context.recipientAddress) {
+                const whitelistResult = await this.checkWithdrawalAddress(userId, context.recipientAddress);
+                if (!whitelistResult.allowed) {
+                    await this.logSecurityEvent('WITHDRAWAL_BLOCKED', userId, {
+                        operation,
+                        recipientAddress: context.recipientAddress,
+                        reason: whitelistResult.reason
+                    }, 'HIGH');
+                    return {
+                        allowed: false,
+                        reason: whitelistResult.reason,
+                        riskScore: 100
+                    };
+                }
+                verificationSteps.push(whitelistResult.whitelistEnabled ? 'Whitelisted address verified' : 'Whitelist not enabled');
+            }
+            
+            // Step 2: Rate limiting check
             const rateLimitResult = await this.checkRateLimit(userId, operation);
             if (!rateLimitResult.allowed) {
                 return {
@@ -301,7 +319,7 @@ class UnifiedSecuritySystem {
             }
             verificationSteps.push('Rate limit passed');
             
-            // Step 2: User ownership verification
+            // Step 3: User ownership verification
             if (!context.userTelegramId || context.userTelegramId !== userId) {
                 riskScore += 50;
                 verificationSteps.push('User ID mismatch detected');
@@ -309,7 +327,7 @@ class UnifiedSecuritySystem {
                 verificationSteps.push('User ownership verified');
             }
             
-            // Step 3: Time-based analysis
+            // Step 4: Time-based analysis
             const currentHour = new Date().getHours();
             if (currentHour >= 2 && currentHour <= 6) {
                 riskScore += 20; // Unusual hours
@@ -318,7 +336,7 @@ class UnifiedSecuritySystem {
                 verificationSteps.push('Normal time verified');
             }
             
-            // Step 4: Operation frequency analysis
+            // Step 5: Operation frequency analysis
             const recentOperations = await this.getRecentSensitiveOperations(userId);
             if (recentOperations > 2) {
                 riskScore += 30;
@@ -327,7 +345,7 @@ class UnifiedSecuritySystem {
                 verificationSteps.push('Normal operation frequency');
             }
             
-            // Step 5: Final risk assessment
+            // Step 6: Final risk assessment
             const allowed = riskScore < 70; // Allow if risk score is below 70
             
             // Log the verification attempt
@@ -356,6 +374,41 @@ class UnifiedSecuritySystem {
         }
     }
     
+    /**
+     * Whether a transfer may go to this address under the user's withdrawal whitelist
+     * @param {number} userId - User ID
+     * @param {string} address - Recipient address
+     * @returns {Promise<object>} { allowed, reason, whitelistEnabled, entry }
+     */
+    async checkWithdrawalAddress(userId, address) {
+        try {
+            const status = await this.database.getWithdrawalWhitelistStatus(userId);
+            const disableAt = status?.withdrawal_whitelist_disable_at;
+            const whitelistEnabled = Boolean(status?.withdrawal_whitelist_enabled) &&
+                !(disableAt && new Date(disableAt) <= new Date());
+            if (!whitelistEnabled) {
+                return { allowed: true, whitelistEnabled };
+            }
+
+            const entry = await this.database.getWithdrawalAddress(userId, address);
+            if (!entry) {
+                return { allowed: false, whitelistEnabled, reason: 'Address is not on your withdrawal whitelist' };
+            }
+            if (new Date(entry.active_at) > new Date()) {
+                return {
+                    allowed: false,
+                    whitelistEnabled,
+                    entry,
+                    reason: `Address "${entry.label}" is still in its cooling period until ${new Date(entry.active_at).toUTCString()}`
+                };
+            }
+            return { allowed: true, whitelistEnabled, entry };
+        } catch (error) {
+            secureLogger.error('Withdrawal whitelist check failed', error);
+            return { allowed: false, reason: 'Security check failed' };
+        }
+    }
+    
     /**
      * Get recent sensitive operations count
      * @param {number} userId - User ID
@@ -637,6 +690,48 @@ class UnifiedSecuritySystem {
         }
     }
 
+    /**
+     * Lock a user account (read by checkUserLock)
+     * @param {number} userId - User ID
+     * @param {string} reason - Shown to the user
+     * @param {number} durationSeconds - Lock duration
+     * @param {number|null} lockedBy - Admin who locked the account
+     */
+    async lockUser(userId, reason, durationSeconds = 7 * 24 * 3600, lockedBy = null) {
+        const lockKey = `security:user_lock:${userId}`;
+        const lockData = JSON.stringify({
+            reason,
+            lockedBy,
+            lockedAt: new Date().toISOString()
+        });
+        if (this.redis && this.redis.setEx) {
+            await this.redis.setEx(lockKey, durationSeconds, lockData);
+        } else if (this.redis && this.redis.set) {
+            // Fallback for different Redis client interfaces
+            await this.redis.set(lockKey, lockData, 'EX', durationSeconds);
+        } else {
+            throw new Error('Redis client not properly configured');
+        }
+
+        await this.logSecurityEvent('USER_LOCKED', userId, { reason, lockedBy, durationSeconds }, 'HIGH');
+    }
+
+    /**
+     * Remove a user lock
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Whether the user was locked
+     */
+    async unlockUser(userId, unlockedBy = null) {
+        if (!this.redis) {
+            throw new Error('Redis client not properly configured');
+        }
+        const removed = await this.redis.del(`security:user_lock:${userId}`);
+        if (removed > 0) {
+            await this.logSecurityEvent('USER_UNLOCKED', userId, { unlockedBy }, 'MEDIUM');
+        }
+        return removed > 0;
+    }
+
     /**
      * Secure memory wipe
      * @param {string|object} sensitiveData - Data to wipe
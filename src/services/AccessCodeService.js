@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// 🔐 Access Code Service - Invite-only onboarding
+// Gate is on when ACCESS_CODES_ENABLED=true; users registered before that keep their access
+class AccessCodeService {
+    constructor(database, monitoring = null) {
+        this.database = database;
+        this.monitoring = monitoring;
+
+        this.enabled = process.env.ACCESS_CODES_ENABLED === 'true';
+        // No 0/O/1/I so codes can be typed from a screenshot
+        this.alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        this.codeLength = 10;
+        this.maxBulkCodes = 100;
+        this.inviteMaxUses = parseInt(process.env.INVITE_CODE_MAX_USES) || 5;
+        // Users known to have access (never revoked at runtime, so no expiry needed)
+        this.grantedUsers = new Set();
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    generateCode() {
+        let code = '';
+        for (let i = 0; i < this.codeLength; i++) {
+            code += this.alphabet[crypto.randomInt(this.alphabet.length)];
+        }
+        return code;
+    }
+
+    normalizeCode(text) {
+        return String(text || '').trim().toUpperCase();
+    }
+
+    looksLikeCode(text) {
+        return /^[A-Z0-9]{6,20}$/.test(this.normalizeCode(text));
+    }
+
+    /**
+     * Whether the user may use the bot (always true while the gate is off)
+     */
+    async hasAccess(userId) {
+        if (!this.enabled || this.grantedUsers.has(userId)) {
+            return true;
+        }
+
+        const [access, user] = await Promise.all([
+            this.database.getUserAccess(userId),
+            this.database.getUser(userId)
+        ]);
+        if (access || user) {
+            this.grantedUsers.add(userId);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Use a code for a user. Returns { success, accessCode } or { success: false, error }
+     */
+    async redeem(userId, rawCode, userInfo = {}) {
+        const code = this.normalizeCode(rawCode);
+        const accessCode = await this.database.getAccessCode(code);
+        if (!accessCode) {
+            return { success: false, error: 'Invalid access code' };
+        }
+        if (accessCode.code_type === 'invite' && String(accessCode.created_by) === String(userId)) {
+            return { success: false, error: 'You cannot use your own invite code' };
+        }
+
+        try {
+            await this.database.incrementCodeUsage(code);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+
+        await this.database.grantUserAccess(userId, code, {
+            ...userInfo,
+            invitedBy: accessCode.code_type === 'invite' ? accessCode.created_by : null
+        });
+        this.grantedUsers.add(userId);
+
+        this.monitoring?.logInfo('Access code redeemed', { userId, code, codeType: accessCode.code_type });
+        return { success: true, accessCode };
+    }
+
+    /**
+     * Create codes in bulk; maxUses null = unlimited, expiresInDays null = never expires
+     */
+    async mintCodes(count, { maxUses = 1, expiresInDays = null, description = null }, createdBy) {
+        const total = Math.min(Math.max(parseInt(count) || 1, 1), this.maxBulkCodes);
+        const codeType = maxUses === 1 ? 'single' : 'multi';
+        const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 3600 * 1000) : null;
+
+        const codes = [];
+        while (codes.length < total) {
+            const created = await this.createUniqueCode(codeType, maxUses, expiresAt, createdBy, description);
+            codes.push(created);
+        }
+
+        this.monitoring?.logInfo('Access codes minted', { createdBy, count: total, codeType, maxUses, expiresInDays });
+        return codes;
+    }
+
+    /**
+     * The user's personal invite code, created on first request
+     */
+    async getInviteCode(userId) {
+        const existing = await this.database.getActiveInviteCode(userId);
+        if (existing) {
+            return existing;
+        }
+        return await this.createUniqueCode('invite', this.inviteMaxUses, null, userId, 'Personal invite');
+    }
+
+    async createUniqueCode(codeType, maxUses, expiresAt, createdBy, description) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            try {
+                return await this.database.createAccessCode(this.generateCode(), codeType, maxUses, expiresAt, createdBy, description);
+            } catch (error) {
+                // 23505 = unique violation: the random code already exists
+                if (error.code !== '23505') {
+                    throw error;
+                }
+            }
+        }
+        throw new Error('Could not generate a unique access code');
+    }
+}
+
+module.exports = AccessCodeService;
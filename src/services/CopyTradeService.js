@@ -0,0 +1,387 @@
+const { ethers } = require('ethers');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🪞 Copy Trade Service - Mirrors Monorail buys and sells of followed wallets
+// Detection uses RPCManager transaction monitoring when WebSocket is enabled, with block polling as the fallback
+class CopyTradeService {
+    constructor(database, monorailAPI, tradingEngine, bot = null, monitoring = null) {
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.tradingEngine = tradingEngine;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notifyUser = TelegramUtils.createNotifier(bot, monitoring, 'Copy trade notification failed');
+        // UnifiedSecuritySystem, set by the bot once it exists; locked users are skipped
+        this.security = null;
+        this.checkInterval = null;
+        this.isChecking = false;
+
+        this.routerAddress = '0x525b929fcd6a64aff834f4eecc6e860486ced700';
+        this.transferTopic = ethers.id('Transfer(address,address,uint256)');
+        this.erc20Abi = [
+            'function balanceOf(address) view returns (uint256)',
+            'function decimals() view returns (uint8)'
+        ];
+        this.explorerUrl = 'https://testnet.monadexplorer.com/tx/';
+
+        // targetAddress -> active follows, refreshed every cycle
+        this.followsByTarget = new Map();
+        // targetAddress -> WebSocket subscription id
+        this.subscriptions = new Map();
+        this.lastPolledBlock = null;
+        this.maxBlocksPerPoll = 50;
+    }
+
+    /**
+     * Start watching followed wallets
+     */
+    start(intervalSeconds = 15) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkTargets();
+        }, intervalSeconds * 1000);
+        console.log('🪞 CopyTradeService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    /**
+     * Stop polling and drop all WebSocket subscriptions
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+        for (const subscriptionId of this.subscriptions.values()) {
+            this.monorailAPI.rpcManager?.unsubscribeFromWebSocket(subscriptionId);
+        }
+        this.subscriptions.clear();
+    }
+
+    /**
+     * Refresh follows, keep subscriptions in sync and poll blocks for targets without one
+     */
+    async checkTargets() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const follows = await this.database.getActiveCopyFollows();
+            const followsByTarget = new Map();
+            for (const follow of follows) {
+                const target = follow.target_address.toLowerCase();
+                if (!followsByTarget.has(target)) {
+                    followsByTarget.set(target, []);
+                }
+                followsByTarget.get(target).push(follow);
+            }
+            this.followsByTarget = followsByTarget;
+
+            await this.syncSubscriptions();
+
+            const polledTargets = new Set([...followsByTarget.keys()].filter(target => !this.subscriptions.has(target)));
+            if (polledTargets.size > 0) {
+                await this.pollBlocks(polledTargets);
+            } else {
+                // Resume from the chain head next time polling is needed
+                this.lastPolledBlock = null;
+            }
+        } catch (error) {
+            this.monitoring?.logError('Copy trade check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Subscribe to new targets and unsubscribe from targets nobody follows anymore
+     */
+    async syncSubscriptions() {
+        const rpcManager = this.monorailAPI.rpcManager;
+        if (!rpcManager?.webSocketEnabled) {
+            return;
+        }
+
+        for (const [target, subscriptionId] of this.subscriptions) {
+            if (!this.followsByTarget.has(target)) {
+                rpcManager.unsubscribeFromWebSocket(subscriptionId);
+                this.subscriptions.delete(target);
+            }
+        }
+
+        for (const target of this.followsByTarget.keys()) {
+            if (this.subscriptions.has(target)) {
+                continue;
+            }
+            try {
+                const subscriptionId = await rpcManager.subscribeToTransactionMonitoring(
+                    target,
+                    (data) => this.handleTransactionUpdate(target, data)
+                );
+                this.subscriptions.set(target, subscriptionId);
+            } catch (error) {
+                // Target stays on block polling
+                this.monitoring?.logError('Copy trade subscription failed', error, { target });
+            }
+        }
+    }
+
+    async handleTransactionUpdate(target, data) {
+        if (!data?.hash) {
+            return;
+        }
+        try {
+            await this.processSourceTransaction(target, data.hash);
+        } catch (error) {
+            this.monitoring?.logError('Copy trade transaction update failed', error, { target, txHash: data.hash });
+        }
+    }
+
+    /**
+     * Scan blocks since the last poll for router transactions sent by the targets
+     */
+    async pollBlocks(targets) {
+        const latestBlock = await this.monorailAPI.rpcManager.executeWithFallback(
+            async (provider) => await provider.getBlockNumber(),
+            'COPY_TRADE_BLOCK_NUMBER'
+        );
+
+        // Never copy swaps from before polling started, and skip ahead after long gaps
+        if (this.lastPolledBlock === null) {
+            this.lastPolledBlock = latestBlock;
+            return;
+        }
+        const fromBlock = Math.max(this.lastPolledBlock + 1, latestBlock - this.maxBlocksPerPoll + 1);
+
+        for (let blockNumber = fromBlock; blockNumber <= latestBlock; blockNumber++) {
+            const block = await this.monorailAPI.rpcManager.executeWithFallback(
+                async (provider) => await provider.getBlock(blockNumber, true),
+                'COPY_TRADE_GET_BLOCK'
+            );
+
+            for (const tx of block?.prefetchedTransactions || []) {
+                const from = tx.from?.toLowerCase();
+                if (tx.to?.toLowerCase() === this.routerAddress && targets.has(from)) {
+                    await this.processSourceTransaction(from, tx.hash);
+                }
+            }
+            this.lastPolledBlock = blockNumber;
+        }
+    }
+
+    /**
+     * Decode a target's swap and mirror it for every follower
+     */
+    async processSourceTransaction(target, txHash) {
+        const follows = this.followsByTarget.get(target) || [];
+        if (follows.length === 0) {
+            return;
+        }
+
+        const swap = await this.decodeSwap(target, txHash);
+        if (!swap) {
+            return;
+        }
+
+        for (const follow of follows) {
+            await this.mirrorTrade(follow, swap);
+        }
+    }
+
+    /**
+     * Read a router transaction as a buy (MON in, tokens to the target) or a sell (tokens from the target)
+     */
+    async decodeSwap(target, txHash) {
+        const [tx, receipt] = await this.monorailAPI.rpcManager.executeWithFallback(
+            async (provider) => await Promise.all([
+                provider.getTransaction(txHash),
+                provider.getTransactionReceipt(txHash)
+            ]),
+            'COPY_TRADE_GET_TRANSACTION'
+        );
+        if (!tx || !receipt || receipt.status !== 1) {
+            return null;
+        }
+        if (tx.to?.toLowerCase() !== this.routerAddress || tx.from.toLowerCase() !== target) {
+            return null;
+        }
+
+        const transfers = receipt.logs
+            .filter(log => log.topics.length === 3 && log.topics[0] === this.transferTopic)
+            .map(log => ({
+                token: log.address.toLowerCase(),
+                from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase(),
+                to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)).toLowerCase(),
+                value: BigInt(log.data)
+            }));
+
+        if (tx.value > 0n) {
+            const received = transfers.find(transfer => transfer.to === target);
+            if (!received) {
+                return null;
+            }
+            return {
+                action: 'buy',
+                sourceTxHash: txHash,
+                tokenAddress: received.token,
+                sourceAmount: ethers.formatEther(tx.value)
+            };
+        }
+
+        const sent = transfers.find(transfer => transfer.from === target);
+        if (!sent) {
+            return null;
+        }
+
+        // Share of the position the target sold: sold / (balance after the swap + sold)
+        const token = new ethers.Contract(sent.token, this.erc20Abi, await this.monorailAPI.rpcManager.getProvider());
+        const [balanceAfter, decimals] = await Promise.all([
+            token.balanceOf(target, { blockTag: receipt.blockNumber }),
+            token.decimals()
+        ]);
+        const soldPercent = Number(sent.value * 10000n / (balanceAfter + sent.value)) / 100;
+
+        return {
+            action: 'sell',
+            sourceTxHash: txHash,
+            tokenAddress: sent.token,
+            sourceAmount: ethers.formatUnits(sent.value, decimals),
+            soldPercent
+        };
+    }
+
+    /**
+     * Execute one mirrored trade for a follower and log it against the source transaction
+     */
+    async mirrorTrade(follow, swap) {
+        const userId = follow.telegram_id;
+
+        // Claim first so WebSocket and polling detections never copy the same swap twice
+        const execution = await this.database.claimCopyExecution(follow, swap.sourceTxHash, swap);
+        if (!execution) {
+            return;
+        }
+
+        try {
+            if ((await this.security?.checkUserLock(userId))?.locked) {
+                await this.database.recordCopyExecution(execution.id, 'skipped', { errorMessage: 'Account is locked' });
+                return;
+            }
+            const blacklist = follow.token_blacklist || [];
+            if (blacklist.includes(swap.tokenAddress)) {
+                await this.database.recordCopyExecution(execution.id, 'skipped', { errorMessage: 'Token is blacklisted' });
+                return;
+            }
+            if (swap.action === 'sell' && !follow.copy_sells) {
+                await this.database.recordCopyExecution(execution.id, 'skipped', { errorMessage: 'Sell copying is disabled' });
+                return;
+            }
+
+            const amount = swap.action === 'buy'
+                ? this.getBuyAmount(follow, parseFloat(swap.sourceAmount))
+                : await this.getSellAmount(userId, swap);
+            if (!(parseFloat(amount) > 0)) {
+                await this.database.recordCopyExecution(execution.id, 'skipped', {
+                    errorMessage: swap.action === 'buy' ? 'Amount rounds to zero' : 'No balance to sell'
+                });
+                return;
+            }
+
+            const result = await this.tradingEngine.executeTrade({
+                type: 'normal',
+                action: swap.action,
+                userId: userId,
+                tokenAddress: swap.tokenAddress,
+                amount: amount,
+                metadata: {
+                    source: 'copy_trade',
+                    followId: follow.id,
+                    targetAddress: follow.target_address,
+                    sourceTxHash: swap.sourceTxHash
+                }
+            });
+
+            if (result.success) {
+                await this.database.recordCopyExecution(execution.id, 'executed', { amount, txHash: result.txHash });
+                await this.notifyUser(userId, this.formatExecution(follow, swap, result));
+            } else {
+                await this.database.recordCopyExecution(execution.id, 'failed', { amount, errorMessage: result.error });
+                await this.notifyUser(userId, `❌ *Copy ${swap.action === 'buy' ? 'Buy' : 'Sell'} Failed*
+
+• *Target:* \`${follow.target_address}\`
+• *Token:* \`${swap.tokenAddress}\`
+Error: ${String(result.error || 'Unknown error').split('\n')[0]}
+
+[Source Tx](${this.explorerUrl}${swap.sourceTxHash})`);
+            }
+
+            this.monitoring?.logInfo('Copy trade executed', {
+                userId,
+                followId: follow.id,
+                action: swap.action,
+                sourceTxHash: swap.sourceTxHash,
+                success: result.success
+            });
+        } catch (error) {
+            this.monitoring?.logError('Copy trade failed', error, { userId, followId: follow.id, sourceTxHash: swap.sourceTxHash });
+            await this.database.recordCopyExecution(execution.id, 'failed', { errorMessage: error.message });
+        }
+    }
+
+    /**
+     * Fixed MON amount or a percentage of the target's buy, capped at the follow's max per trade
+     */
+    getBuyAmount(follow, sourceMonAmount) {
+        let amount = follow.mode === 'fixed'
+            ? parseFloat(follow.fixed_amount)
+            : sourceMonAmount * parseFloat(follow.proportion_percent) / 100;
+        if (follow.max_per_trade) {
+            amount = Math.min(amount, parseFloat(follow.max_per_trade));
+        }
+        return parseFloat(amount.toFixed(6)).toString();
+    }
+
+    /**
+     * Sell the same share of the follower's own balance that the target sold
+     */
+    async getSellAmount(userId, swap) {
+        const user = await this.database.getUser(userId);
+        if (!user?.wallet_address) {
+            return '0';
+        }
+
+        const token = new ethers.Contract(swap.tokenAddress, this.erc20Abi, await this.monorailAPI.rpcManager.getProvider());
+        const [balance, decimals] = await Promise.all([
+            token.balanceOf(user.wallet_address),
+            token.decimals()
+        ]);
+        const balanceAmount = parseFloat(ethers.formatUnits(balance, decimals));
+
+        // Use 99.99% for full exits to avoid precision issues with fees
+        const percentage = Math.min(swap.soldPercent, 99.99);
+        return (balanceAmount * percentage / 100).toString();
+    }
+
+    formatExecution(follow, swap, result) {
+        const isBuy = swap.action === 'buy';
+        const detail = isBuy
+            ? `• *Spent:* ${parseFloat(result.monAmount || 0)} MON
+• *Received:* ${parseFloat(result.actualTokenAmount || result.tokenAmount || 0).toFixed(4)} tokens
+• *Target Spent:* ${parseFloat(parseFloat(swap.sourceAmount).toFixed(6))} MON`
+            : `• *Sold:* ${parseFloat(result.tokenAmount || 0).toFixed(4)} tokens (${swap.soldPercent}%)
+• *Received:* ${parseFloat(result.monReceived || 0).toFixed(4)} MON`;
+
+        return `🪞 *Copy ${isBuy ? 'Buy' : 'Sell'}*
+
+• *Target:* \`${follow.target_address}\`
+• *Token:* \`${swap.tokenAddress}\`
+${detail}
+
+[View on Explorer](${this.explorerUrl}${result.txHash}) · [Source Tx](${this.explorerUrl}${swap.sourceTxHash})`;
+    }
+}
+
+module.exports = CopyTradeService;
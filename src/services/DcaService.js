@@ -0,0 +1,183 @@
+const cron = require('node-cron');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🔁 DCA Service - Runs recurring buys from persisted dca_schedules
+class DcaService {
+    constructor(database, tradingEngine, bot = null, monitoring = null) {
+        this.database = database;
+        this.tradingEngine = tradingEngine;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notifyUser = TelegramUtils.createNotifier(bot, monitoring, 'DCA notification failed');
+        // UnifiedSecuritySystem, set by the bot once it exists; locked users are skipped
+        this.security = null;
+        this.task = null;
+        this.isRunning = false;
+        this.maxConsecutiveFailures = 3;
+    }
+
+    /**
+     * Start the scheduler; due runs are read from the database so schedules survive restarts
+     */
+    start(cronExpression = '* * * * *') {
+        if (this.task) {
+            this.task.stop();
+        }
+        this.task = cron.schedule(cronExpression, async () => {
+            await this.runDueSchedules();
+        });
+        console.log('🔁 DcaService started, schedule:', cronExpression);
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    /**
+     * Execute every schedule whose next run is due
+     */
+    async runDueSchedules() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+
+        try {
+            const schedules = await this.database.getDueDcaSchedules();
+            for (const schedule of schedules) {
+                await this.executeRun(schedule);
+            }
+        } catch (error) {
+            this.monitoring?.logError('DCA schedule check failed', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Run one buy of a schedule through the normal trading path
+     */
+    async executeRun(schedule) {
+        const userId = schedule.telegram_id;
+        const symbol = schedule.token_symbol || 'Token';
+
+        // Locked accounts keep their schedules; runs stay due until an admin unlocks them
+        if ((await this.security?.checkUserLock(userId))?.locked) {
+            return;
+        }
+
+        // Move the next run forward first so a slow buy can never fire twice
+        const claimed = await this.database.claimDcaRun(schedule.id);
+        if (!claimed) {
+            return;
+        }
+
+        const runNumber = claimed.completed_runs + 1;
+        const amount = parseFloat(claimed.amount).toString();
+
+        try {
+            // Same balance and limit checks as a manual normal buy; pause instead of failing every interval
+            const tradeData = await this.tradingEngine.dataManager.prepareTradeData(userId, 'normal');
+            try {
+                await this.tradingEngine.validateNormalTrade(tradeData, claimed.token_address, amount);
+            } catch (validationError) {
+                await this.database.pauseDcaSchedule(claimed.id, null, validationError.message);
+                await this.notifyUser(userId, `⏸️ *DCA Paused* | *${symbol}*
+
+${this.describeSchedule(claimed)}
+
+${validationError.message}
+
+_Top up your wallet and resume the schedule from /dca._`);
+                this.monitoring?.logInfo('DCA schedule paused', { userId, scheduleId: claimed.id, reason: validationError.message });
+                return;
+            }
+
+            const result = await this.tradingEngine.executeTrade({
+                type: 'normal',
+                action: 'buy',
+                userId: userId,
+                tokenAddress: claimed.token_address,
+                amount: amount,
+                preloadedUser: tradeData.user,
+                preloadedSettings: tradeData.settings,
+                metadata: {
+                    source: 'dca',
+                    scheduleId: claimed.id,
+                    run: runNumber,
+                    totalRuns: claimed.total_runs
+                }
+            });
+
+            if (result.success) {
+                const updated = await this.database.recordDcaRun(claimed.id, true, { txHash: result.txHash });
+                const explorerUrl = `https://testnet.monadexplorer.com/tx/${result.txHash}`;
+                const finished = updated?.status === 'completed';
+                await this.notifyUser(userId, `🔁 *DCA Buy ${runNumber}/${claimed.total_runs}* | *${symbol}*
+
+• *Spent:* ${amount} MON
+• *Received:* ${parseFloat(result.actualTokenAmount || result.tokenAmount || 0).toFixed(4)} ${symbol}
+${finished ? '\n✅ _Schedule completed._' : `• *Next Buy:* ${new Date(claimed.next_run_at).toLocaleString('en-US')}`}
+
+[View on Explorer](${explorerUrl})`);
+            } else {
+                await this.handleFailedRun(claimed, result.error);
+            }
+
+            this.monitoring?.logInfo('DCA run executed', {
+                userId,
+                scheduleId: claimed.id,
+                run: runNumber,
+                success: result.success
+            });
+        } catch (error) {
+            this.monitoring?.logError('DCA run failed', error, { userId, scheduleId: claimed.id });
+            await this.handleFailedRun(claimed, error.message);
+        }
+    }
+
+    /**
+     * Record a failed buy and pause the schedule after repeated failures
+     */
+    async handleFailedRun(schedule, errorMessage) {
+        const userId = schedule.telegram_id;
+        const symbol = schedule.token_symbol || 'Token';
+        const updated = await this.database.recordDcaRun(schedule.id, false, { errorMessage });
+
+        if (updated && updated.failed_runs >= this.maxConsecutiveFailures) {
+            await this.database.pauseDcaSchedule(schedule.id, null, errorMessage);
+            await this.notifyUser(userId, `⏸️ *DCA Paused* | *${symbol}*
+
+${this.describeSchedule(schedule)}
+
+The last ${this.maxConsecutiveFailures} buys failed.
+Error: ${errorMessage}
+
+_Resume the schedule from /dca once the issue is resolved._`);
+            return;
+        }
+
+        await this.notifyUser(userId, `❌ *DCA Buy Failed* | *${symbol}*
+
+Error: ${errorMessage}
+
+_The schedule will retry at the next interval._`);
+    }
+
+    /**
+     * Short human-readable schedule summary
+     */
+    describeSchedule(schedule) {
+        return `🟣 *${schedule.token_symbol || 'Token'}* \`${schedule.token_address}\`
+• *Amount:* ${parseFloat(schedule.amount)} MON every ${schedule.interval_hours}h
+• *Progress:* ${schedule.completed_runs}/${schedule.total_runs} buys`;
+    }
+}
+
+module.exports = DcaService;
@@ -0,0 +1,170 @@
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 📣 Group Call Service - Tracks the performance of tokens called in groups
+// Prices are in MON; calls stop being tracked after trackingDays so old calls keep their final multiple
+class GroupCallService {
+    constructor(database, monorailAPI, monitoring = null) {
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.monitoring = monitoring;
+        this.checkInterval = null;
+        this.isChecking = false;
+        this.batchSize = 10;
+        this.trackingDays = 14;
+        this.rankingDays = 30;
+        this.medals = ['🥇', '🥈', '🥉'];
+    }
+
+    /**
+     * Start the background price tracker
+     */
+    start(intervalSeconds = 300) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.trackCalls();
+        }, intervalSeconds * 1000);
+        console.log('📣 GroupCallService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Refresh current and peak price of every tracked call, one price fetch per token
+     */
+    async trackCalls() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const tokens = await this.database.getTrackedGroupCallTokens(this.trackingDays);
+            for (let i = 0; i < tokens.length; i += this.batchSize) {
+                const batch = tokens.slice(i, i + this.batchSize);
+                const prices = await Promise.all(batch.map(tokenAddress => this.fetchPrice(tokenAddress)));
+
+                for (let j = 0; j < batch.length; j++) {
+                    if (prices[j] > 0) {
+                        await this.database.updateGroupCallPrices(batch[j], prices[j], this.trackingDays);
+                    }
+                }
+            }
+        } catch (error) {
+            this.monitoring?.logError('Group call tracking failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async fetchPrice(tokenAddress) {
+        try {
+            const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+            return priceResult?.success ? parseFloat(priceResult.price || '0') : 0;
+        } catch (error) {
+            this.monitoring?.logError('Group call price fetch failed', error, { tokenAddress });
+            return 0;
+        }
+    }
+
+    /**
+     * Record the call for a recognized token, or return the existing call if it was posted before
+     */
+    async recordCall(ctx, token) {
+        const existing = await this.database.getGroupCall(ctx.chat.id, token.address);
+        if (existing) {
+            return { call: existing, isNew: false };
+        }
+
+        const callPrice = parseFloat(token.mon_per_token);
+        if (!(callPrice > 0)) {
+            return null;
+        }
+
+        const call = await this.database.recordGroupCall(ctx.chat.id, {
+            callerId: ctx.from.id,
+            callerName: (ctx.from.first_name || ctx.from.username || 'Member').substring(0, 64),
+            tokenAddress: token.address,
+            tokenSymbol: token.symbol?.substring(0, 20),
+            callPrice
+        });
+
+        // Lost a race with another member posting the same token
+        if (!call) {
+            return { call: await this.database.getGroupCall(ctx.chat.id, token.address), isNew: false };
+        }
+
+        this.monitoring?.logInfo('Group call recorded', { chatId: ctx.chat.id, callerId: ctx.from.id, tokenAddress: token.address });
+        return { call, isNew: true };
+    }
+
+    /**
+     * Recent calls with their performance, followed by the caller ranking
+     */
+    async getCallsText(chatId) {
+        const since = new Date(Date.now() - this.rankingDays * 24 * 60 * 60 * 1000);
+        const [calls, callers] = await Promise.all([
+            this.database.getRecentGroupCalls(chatId, 10),
+            this.database.getGroupCallerRanking(chatId, since, 5)
+        ]);
+
+        if (calls.length === 0) {
+            return '📣 *Group Calls*\n\n_No calls yet. Post a token contract address to make the first call._';
+        }
+
+        const callLines = calls.map(call => `• *${TelegramUtils.stripMarkdown(call.token_symbol || 'Token')}* by ${TelegramUtils.stripMarkdown(call.caller_name)} · ${this.formatAge(call.created_at)}
+   Now ${this.formatMultiple(this.getMultiple(call, 'current_price'))} · Peak ${this.formatMultiple(this.getMultiple(call, 'peak_price'))}`);
+
+        const callerLines = callers.map((caller, index) => {
+            const rank = this.medals[index] || `${index + 1}.`;
+            return `${rank} ${TelegramUtils.stripMarkdown(caller.caller_name)} - avg peak *${this.formatMultiple(parseFloat(caller.avg_peak_multiple))}* · best ${this.formatMultiple(parseFloat(caller.best_multiple))} · ${caller.hits}/${caller.calls} hit 2x`;
+        });
+
+        return `📣 *Recent Calls*
+
+${callLines.join('\n')}
+
+🏆 *Top Callers* _(last ${this.rankingDays} days)_
+${callerLines.length > 0 ? callerLines.join('\n') : '_No calls in this period._'}`;
+    }
+
+    /**
+     * One-line summary shown on the token card
+     */
+    formatCallLine(call, isNew) {
+        if (isNew) {
+            return `📣 *Call recorded* for ${TelegramUtils.stripMarkdown(call.caller_name)}`;
+        }
+        return `📣 *Called by* ${TelegramUtils.stripMarkdown(call.caller_name)} ${this.formatAge(call.created_at)} · Now ${this.formatMultiple(this.getMultiple(call, 'current_price'))} · Peak ${this.formatMultiple(this.getMultiple(call, 'peak_price'))}`;
+    }
+
+    getMultiple(call, field) {
+        return parseFloat(call[field]) / parseFloat(call.call_price);
+    }
+
+    formatMultiple(multiple) {
+        if (!isFinite(multiple)) {
+            return '—';
+        }
+        return `${multiple >= 10 ? multiple.toFixed(0) : multiple.toFixed(2)}x`;
+    }
+
+    formatAge(date) {
+        const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+        if (minutes < 60) {
+            return `${Math.max(minutes, 1)}m ago`;
+        }
+        if (minutes < 24 * 60) {
+            return `${Math.floor(minutes / 60)}h ago`;
+        }
+        return `${Math.floor(minutes / (24 * 60))}d ago`;
+    }
+}
+
+module.exports = GroupCallService;
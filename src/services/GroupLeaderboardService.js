@@ -0,0 +1,150 @@
+const cron = require('node-cron');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🏆 Group Leaderboard Service - Ranks opted-in group members and posts round results
+// Rounds roll every period_days (weekly by default) from the moment an admin enabled the board
+class GroupLeaderboardService {
+    constructor(database, bot = null, monitoring = null) {
+        this.database = database;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.task = null;
+        this.isRunning = false;
+
+        this.periods = {
+            '24h': { label: 'Last 24h', hours: 24 },
+            '7d': { label: 'Last 7 days', hours: 24 * 7 },
+            '30d': { label: 'Last 30 days', hours: 24 * 30 },
+            all: { label: 'All time', hours: null }
+        };
+        this.medals = ['🥇', '🥈', '🥉'];
+    }
+
+    /**
+     * Start posting round results; ended rounds are read from the database so restarts catch up
+     */
+    start(cronExpression = '*/10 * * * *') {
+        if (this.task) {
+            this.task.stop();
+        }
+        this.task = cron.schedule(cronExpression, async () => {
+            await this.postEndedRounds();
+        });
+        console.log('🏆 GroupLeaderboardService started, schedule:', cronExpression);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    /**
+     * Close every ended round, start the next one and post the final standings
+     */
+    async postEndedRounds() {
+        if (this.isRunning) {
+            return;
+        }
+        this.isRunning = true;
+
+        try {
+            const boards = await this.database.getEndedGroupLeaderboardRounds();
+            for (const board of boards) {
+                // Advance first so a slow post can never announce the same round twice
+                const next = await this.database.advanceGroupLeaderboardRound(board.chat_id, board.round_number);
+                if (!next) {
+                    continue;
+                }
+
+                const standings = await this.database.getGroupLeaderboardStandings(
+                    board.chat_id, board.metric, board.round_started_at, next.round_started_at
+                );
+                // Skip silent rounds (e.g. several rounds missed while the bot was down)
+                const winner = standings.find(row => parseInt(row.trades) > 0);
+                if (!winner) {
+                    continue;
+                }
+
+                await this.postToGroup(board.chat_id, `🏁 *Round #${board.round_number} Results*
+
+${this.formatStandings(standings, board.metric)}
+
+🏆 Congratulations ${TelegramUtils.stripMarkdown(winner.display_name)}!
+_Round #${next.round_number} has started and ends ${this.formatDate(this.getRoundEnd(next))}._`);
+            }
+        } catch (error) {
+            this.monitoring?.logError('Group leaderboard round check failed', error);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Leaderboard message for the current round or a fixed period ('24h', '7d', '30d', 'all')
+     */
+    async getLeaderboardText(board, period = 'round') {
+        let title;
+        let since;
+        if (period === 'round' || !this.periods[period]) {
+            title = `Round #${board.round_number} · ends ${this.formatDate(this.getRoundEnd(board))}`;
+            since = board.round_started_at;
+        } else {
+            title = this.periods[period].label;
+            since = this.periods[period].hours ? new Date(Date.now() - this.periods[period].hours * 60 * 60 * 1000) : null;
+        }
+
+        const [standings, members] = await Promise.all([
+            this.database.getGroupLeaderboardStandings(board.chat_id, board.metric, since),
+            this.database.countGroupLeaderboardMembers(board.chat_id)
+        ]);
+
+        const body = standings.length > 0
+            ? this.formatStandings(standings, board.metric)
+            : '_No ranked members yet._';
+
+        return `🏆 *Leaderboard* | ${board.metric === 'volume' ? 'Volume' : 'Realized PnL'}
+_${title}_
+
+${body}
+
+👥 ${members} ranked member${members === 1 ? '' : 's'} · join with \`leaderboard join\``;
+    }
+
+    formatStandings(standings, metric) {
+        return standings.map((row, index) => {
+            const rank = this.medals[index] || `${index + 1}.`;
+            const pnl = parseFloat(row.realized_pnl);
+            const pnlText = `${pnl >= 0 ? '+' : ''}${pnl.toFixed(4)} MON`;
+            const volumeText = `${parseFloat(row.volume).toFixed(2)} MON vol`;
+            const main = metric === 'volume' ? `*${volumeText}* · ${pnlText} PnL` : `*${pnlText}* · ${volumeText}`;
+            return `${rank} ${TelegramUtils.stripMarkdown(row.display_name)} - ${main} (${row.trades} trades)`;
+        }).join('\n');
+    }
+
+    getRoundEnd(board) {
+        return new Date(new Date(board.round_started_at).getTime() + board.period_days * 24 * 60 * 60 * 1000);
+    }
+
+    formatDate(date) {
+        return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    async postToGroup(chatId, text) {
+        if (!this.bot) {
+            return;
+        }
+        try {
+            await this.bot.telegram.sendMessage(chatId, text, {
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+            this.monitoring?.logInfo('Group leaderboard summary posted', { chatId });
+        } catch (error) {
+            this.monitoring?.logError('Group leaderboard summary failed', error, { chatId });
+        }
+    }
+}
+
+module.exports = GroupLeaderboardService;
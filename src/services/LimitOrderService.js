@@ -0,0 +1,224 @@
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🎯 Limit Order Service - Watches prices and executes buy-below / sell-above orders
+class LimitOrderService {
+    constructor(database, monorailAPI, tradingEngine, bot = null, monitoring = null) {
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.tradingEngine = tradingEngine;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notifyUser = TelegramUtils.createNotifier(bot, monitoring, 'Limit order notification failed');
+        // UnifiedSecuritySystem, set by the bot once it exists; locked users are skipped
+        this.security = null;
+        this.checkInterval = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Start the background price watcher
+     */
+    start(intervalSeconds = 30) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkOrders();
+        }, intervalSeconds * 1000);
+        console.log('🎯 LimitOrderService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    /**
+     * Stop the background price watcher
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Expire stale orders, then check active orders against current prices
+     */
+    async checkOrders() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const expiredOrders = await this.database.expireLimitOrders();
+            for (const order of expiredOrders) {
+                await this.notifyUser(order.telegram_id, `⌛ *Limit Order Expired*
+
+${this.describeOrder(order)}
+
+_The order was not triggered before its expiry._`);
+            }
+
+            const activeOrders = await this.database.getActiveLimitOrders();
+            if (activeOrders.length === 0) {
+                return;
+            }
+
+            // Group orders by token so each price is fetched once per cycle
+            const ordersByToken = new Map();
+            for (const order of activeOrders) {
+                const key = order.token_address.toLowerCase();
+                if (!ordersByToken.has(key)) {
+                    ordersByToken.set(key, []);
+                }
+                ordersByToken.get(key).push(order);
+            }
+
+            for (const [tokenAddress, orders] of ordersByToken) {
+                const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+                const currentPrice = parseFloat(priceResult?.price || '0');
+                if (!priceResult?.success || !(currentPrice > 0)) {
+                    continue;
+                }
+
+                for (const order of orders) {
+                    if (this.isTriggered(order, currentPrice)) {
+                        await this.executeOrder(order, currentPrice);
+                    }
+                }
+            }
+        } catch (error) {
+            this.monitoring?.logError('Limit order check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Buy orders fire at or below the target, sell orders at or above it
+     */
+    isTriggered(order, currentPrice) {
+        const targetPrice = parseFloat(order.target_price);
+        if (order.order_type === 'buy') {
+            return currentPrice <= targetPrice;
+        }
+        return currentPrice >= targetPrice;
+    }
+
+    /**
+     * Execute a triggered order through the normal trading path
+     */
+    async executeOrder(order, currentPrice) {
+        const userId = order.telegram_id;
+
+        // Locked accounts keep their orders; nothing fills until an admin unlocks them
+        if ((await this.security?.checkUserLock(userId))?.locked) {
+            return;
+        }
+
+        // Claim the order first so a slow trade can never fire twice
+        const claimed = await this.database.claimLimitOrder(order.id);
+        if (!claimed) {
+            return;
+        }
+
+        try {
+            let amount = order.amount;
+            if (order.order_type === 'sell') {
+                amount = await this.getSellAmount(userId, order);
+            }
+
+            const result = await this.tradingEngine.executeTrade({
+                type: 'normal',
+                action: order.order_type,
+                userId: userId,
+                tokenAddress: order.token_address,
+                amount: amount
+            });
+
+            if (result.success) {
+                await this.database.completeLimitOrder(order.id, 'filled', {
+                    txHash: result.txHash,
+                    executedPrice: currentPrice
+                });
+                const explorerUrl = `https://testnet.monadexplorer.com/tx/${result.txHash}`;
+                const outcome = order.order_type === 'buy'
+                    ? `• *Spent:* ${parseFloat(order.amount)} MON`
+                    : `• *Received:* ${parseFloat(result.monReceived || 0).toFixed(4)} MON`;
+                await this.notifyUser(userId, `✅ *Limit Order Filled*
+
+${this.describeOrder(order)}
+• *Executed at:* ${currentPrice} MON
+${outcome}
+
+[View on Explorer](${explorerUrl})`);
+            } else {
+                await this.database.completeLimitOrder(order.id, 'failed', {
+                    executedPrice: currentPrice,
+                    errorMessage: result.error
+                });
+                await this.notifyUser(userId, `❌ *Limit Order Failed*
+
+${this.describeOrder(order)}
+• *Triggered at:* ${currentPrice} MON
+
+Error: ${result.error}`);
+            }
+
+            this.monitoring?.logInfo('Limit order executed', {
+                userId,
+                orderId: order.id,
+                orderType: order.order_type,
+                success: result.success
+            });
+        } catch (error) {
+            this.monitoring?.logError('Limit order execution failed', error, { userId, orderId: order.id });
+            await this.database.completeLimitOrder(order.id, 'failed', {
+                executedPrice: currentPrice,
+                errorMessage: error.message
+            });
+            await this.notifyUser(userId, `❌ *Limit Order Failed*
+
+${this.describeOrder(order)}
+
+Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sell orders store a percentage; convert it to a token amount at execution time
+     */
+    async getSellAmount(userId, order) {
+        const user = await this.database.getUserByTelegramId(userId);
+        if (!user?.wallet_address) {
+            throw new Error('Wallet not found');
+        }
+
+        const walletBalance = await this.monorailAPI.getWalletBalance(user.wallet_address);
+        const token = (walletBalance || []).find(t =>
+            t.address && t.address.toLowerCase() === order.token_address.toLowerCase()
+        );
+        const balance = parseFloat(token?.balance || '0');
+        if (balance <= 0) {
+            throw new Error('No token balance to sell');
+        }
+
+        // The full percentage: the engine already keeps a dust margin on every normal sell
+        const percentage = Math.min(parseFloat(order.amount), 100);
+        return (balance * percentage / 100).toString();
+    }
+
+    /**
+     * Short human-readable order summary
+     */
+    describeOrder(order) {
+        const symbol = order.token_symbol || 'Token';
+        const amountText = order.order_type === 'buy'
+            ? `${parseFloat(order.amount)} MON`
+            : `${parseFloat(order.amount)}% of holdings`;
+        const condition = order.order_type === 'buy' ? 'Buy below' : 'Sell above';
+        return `🟣 *${symbol}* \`${order.token_address}\`
+• *${condition}:* ${parseFloat(order.target_price)} MON
+• *Amount:* ${amountText}`;
+    }
+}
+
+module.exports = LimitOrderService;
@@ -0,0 +1,121 @@
+// 🔢 Nonce Manager - Hands out wallet nonces so concurrent transactions never collide
+// Next nonce per wallet lives in Redis (shared by every engine / process), in memory when Redis is down
+class NonceManager {
+    constructor(rpcManager, redisFallbackManager = null, monitoring = null) {
+        this.rpcManager = rpcManager;
+        this.redisFallbackManager = redisFallbackManager;
+        this.monitoring = monitoring;
+
+        this.keyPrefix = 'nonce:';
+        // Stored nonces expire so an idle wallet always restarts from the chain
+        this.ttlSeconds = 600;
+        // walletAddress -> next nonce (fallback when Redis is unavailable)
+        this.localNonces = new Map();
+        // walletAddress -> tail of that wallet's reservation queue
+        this.locks = new Map();
+        this.maxRetries = 2;
+
+        // Take the higher of the stored and the chain nonce, store the one after it, return it (atomic)
+        this.reserveScript = `
+            local stored = tonumber(redis.call('GET', KEYS[1]) or '-1')
+            local nonce = math.max(stored, tonumber(ARGV[1]))
+            redis.call('SET', KEYS[1], nonce + 1, 'EX', ARGV[2])
+            return nonce`;
+    }
+
+    /**
+     * Sign and broadcast a transaction with a managed nonce.
+     * Sending is serialized per wallet, waiting for the receipt is not, so transactions are pipelined
+     */
+    async sendTransaction(wallet, transaction) {
+        const address = wallet.address.toLowerCase();
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.runExclusive(address, async () => {
+                    const nonce = await this.reserveNonce(address);
+                    try {
+                        return await wallet.sendTransaction({ ...transaction, nonce });
+                    } catch (error) {
+                        // The nonce was not used: drop the stored value so the next reservation starts from the chain
+                        await this.resync(address);
+                        throw error;
+                    }
+                });
+            } catch (error) {
+                if (!this.isNonceError(error) || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                this.monitoring?.logInfo('Nonce conflict, retrying with a fresh nonce', { address, attempt: attempt + 1, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Next nonce for the wallet (must be called inside runExclusive)
+     */
+    async reserveNonce(address) {
+        const chainNonce = await this.rpcManager.executeWithFallback(
+            async (provider) => await provider.getTransactionCount(address, 'pending'),
+            'NONCE_PENDING_COUNT'
+        );
+
+        const local = () => {
+            const stored = this.localNonces.get(address);
+            const nonce = stored !== undefined && stored > chainNonce ? stored : chainNonce;
+            this.localNonces.set(address, nonce + 1);
+            return nonce;
+        };
+
+        if (!this.redisFallbackManager) {
+            return local();
+        }
+        const nonce = await this.redisFallbackManager.executeWithFallback(
+            async () => await this.redisFallbackManager.redis.eval(this.reserveScript, {
+                keys: [this.keyPrefix + address],
+                arguments: [String(chainNonce), String(this.ttlSeconds)]
+            }),
+            async () => local()
+        );
+        return nonce !== null ? Number(nonce) : local();
+    }
+
+    /**
+     * Forget the stored nonce; the next transaction uses the chain's pending nonce
+     */
+    async resync(address) {
+        const key = address.toLowerCase();
+        this.localNonces.delete(key);
+        if (this.redisFallbackManager) {
+            await this.redisFallbackManager.deleteWithFallback(this.keyPrefix + key);
+        }
+    }
+
+    isNonceError(error) {
+        const message = `${error?.code || ''} ${error?.shortMessage || ''} ${error?.message || ''}`.toLowerCase();
+        return message.includes('nonce_expired') ||
+            message.includes('nonce too low') ||
+            message.includes('nonce has already been used') ||
+            message.includes('replacement transaction underpriced') ||
+            message.includes('replacement_underpriced');
+    }
+
+    /**
+     * Queue a task behind earlier reservations of the same wallet
+     */
+    async runExclusive(address, task) {
+        const previous = this.locks.get(address) || Promise.resolve();
+        const run = previous.then(task);
+        const tail = run.catch(() => {});
+        this.locks.set(address, tail);
+        try {
+            return await run;
+        } finally {
+            if (this.locks.get(address) === tail) {
+                this.locks.delete(address);
+            }
+        }
+    }
+}
+
+module.exports = NonceManager;
@@ -1,9 +1,10 @@
 class PortfolioService {
-    constructor(monorailAPI, redis, monitoring, cacheService = null) {
+    constructor(monorailAPI, redis, monitoring, cacheService = null, database = null) {
         this.monorailAPI = monorailAPI;
         this.redis = redis;
         this.monitoring = monitoring;
         this.cache = cacheService; // Use shared cache service
+        this.database = database; // Cost basis / PnL from portfolio_entries
         
         // Configuration
         this.TOKENS_PER_PAGE = 5;
@@ -216,10 +217,14 @@ class PortfolioService {
     }
 
     /**
-     * Get user portfolio with caching
+     * Get user portfolio with caching (the per-user cache only holds the active wallet)
      */
-    async getUserPortfolio(telegramId, walletAddress, forceRefresh = false) {
+    async getUserPortfolio(telegramId, walletAddress, forceRefresh = false, useUserCache = true) {
         try {
+            if (!useUserCache) {
+                return await this.fetchPortfolioFromAPI(walletAddress, forceRefresh);
+            }
+
             // Clear cache if force refresh is requested
             if (forceRefresh && this.cache) {
                 await this.cache.delete('portfolio', telegramId);
@@ -251,10 +256,127 @@ class PortfolioService {
         }
     }
 
+    /**
+     * Load one wallet's cost-basis entries keyed by lowercase token address.
+     * With the wallet's token balances, positions from before balance tracking are rebuilt from them first
+     */
+    async getPositionEntries(telegramId, walletAddress, tokens = null) {
+        const entries = {};
+        if (!this.database) {
+            return entries;
+        }
+        try {
+            const rows = await this.database.getPortfolioEntries(telegramId, walletAddress);
+            for (const row of rows || []) {
+                entries[row.token_address.toLowerCase()] = row;
+            }
+            if (Array.isArray(tokens) && tokens.length > 0) {
+                await this.syncLegacyBalances(telegramId, walletAddress, entries, tokens);
+            }
+        } catch (error) {
+            this.monitoring?.logError('Load position entries failed', error, { telegramId });
+        }
+        return entries;
+    }
+
+    /**
+     * Legacy positions never recorded sells: start them at what the wallet holds now
+     */
+    async syncLegacyBalances(telegramId, walletAddress, entries, tokens) {
+        const balances = {};
+        for (const token of tokens) {
+            if (token.address) {
+                balances[token.address.toLowerCase()] = parseFloat(token.balance || 0);
+            }
+        }
+
+        for (const [address, entry] of Object.entries(entries)) {
+            if (!entry.needs_balance_sync) {
+                continue;
+            }
+            const synced = await this.database.syncLegacyPortfolioBalance(telegramId, walletAddress, address, balances[address] || 0);
+            if (synced) {
+                entries[address] = synced;
+            }
+        }
+    }
+
+    /**
+     * Average-cost PnL for one token. Only the balance bought through the bot is
+     * valued against its cost basis; tokens received elsewhere are ignored.
+     */
+    calculatePnL(entry, token = null) {
+        const realized = parseFloat(entry?.realized_pnl || 0);
+        const invested = parseFloat(entry?.total_invested || 0);
+        const averagePrice = parseFloat(entry?.average_buy_price || 0);
+        const walletBalance = parseFloat(token?.balance || 0);
+        const trackedBalance = Math.min(parseFloat(entry?.current_balance || 0), walletBalance);
+
+        let unrealized = 0;
+        let costBasis = 0;
+        if (trackedBalance > 0 && averagePrice > 0) {
+            const monPerToken = parseFloat(token.mon_value || 0) / walletBalance;
+            costBasis = averagePrice * trackedBalance;
+            unrealized = monPerToken * trackedBalance - costBasis;
+        }
+
+        return {
+            realized,
+            unrealized,
+            costBasis,
+            invested,
+            roi: invested > 0 ? (realized + unrealized) / invested * 100 : null
+        };
+    }
+
+    /**
+     * Total realized / unrealized PnL over every tracked position
+     */
+    calculatePnLSummary(entries, tokens) {
+        const tokensByAddress = {};
+        for (const token of tokens || []) {
+            if (token.address) {
+                tokensByAddress[token.address.toLowerCase()] = token;
+            }
+        }
+
+        const summary = { realized: 0, unrealized: 0, invested: 0, roi: null, hasEntries: false };
+        for (const [address, entry] of Object.entries(entries || {})) {
+            const pnl = this.calculatePnL(entry, tokensByAddress[address]);
+            summary.realized += pnl.realized;
+            summary.unrealized += pnl.unrealized;
+            summary.invested += pnl.invested;
+            summary.hasEntries = true;
+        }
+        if (summary.invested > 0) {
+            summary.roi = (summary.realized + summary.unrealized) / summary.invested * 100;
+        }
+        return summary;
+    }
+
+    /**
+     * PnL totals for the main menu (uses cached wallet balances)
+     */
+    async getPnLSummary(telegramId, walletAddress) {
+        const tokens = await this.monorailAPI.getWalletBalance(walletAddress);
+        const entries = await this.getPositionEntries(telegramId, walletAddress, tokens);
+        if (Object.keys(entries).length === 0) {
+            return null;
+        }
+        return this.calculatePnLSummary(entries, Array.isArray(tokens) ? tokens : []);
+    }
+
+    /**
+     * Signed MON amount for PnL lines
+     */
+    formatPnL(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(4)} MON`;
+    }
+
     /**
      * Format portfolio message for Telegram
      */
-    formatPortfolioMessage(tokens, page = 1) {
+    formatPortfolioMessage(tokens, page = 1, entries = {}, walletName = null) {
         const totalPages = Math.ceil(tokens.length / this.TOKENS_PER_PAGE);
         const startIndex = (page - 1) * this.TOKENS_PER_PAGE;
         const endIndex = startIndex + this.TOKENS_PER_PAGE;
@@ -278,7 +400,15 @@ class PortfolioService {
             totalMONValue += parseFloat(token.mon_value || 0);
         });
 
-        let message = `<b>📊 Portfolio</b>\n\n`;
+        let message = `<b>📊 Portfolio</b>${walletName ? ` · 👛 ${this.escapeHtml(walletName)}` : ''}\n\n`;
+
+        const summary = this.calculatePnLSummary(entries, tokens);
+        if (summary.hasEntries) {
+            const roiText = summary.roi !== null ? ` (ROI ${summary.roi >= 0 ? '+' : ''}${summary.roi.toFixed(2)}%)` : '';
+            message += `<b>💹 Total PnL:</b> ${this.formatPnL(summary.realized + summary.unrealized)}${roiText}\n`;
+            message += `• <b>Realized:</b> ${this.formatPnL(summary.realized)}\n`;
+            message += `• <b>Unrealized:</b> ${this.formatPnL(summary.unrealized)}\n\n`;
+        }
 
         pageTokens.forEach(token => {
             const balance = parseFloat(token.balance || '0').toFixed(6);
@@ -295,6 +425,16 @@ class PortfolioService {
             
             message += `• <b>Balance:</b> ${balance} ${token.symbol}\n`;
             message += `• <b>Value in MON:</b> ${monValue}\n`;
+
+            const entry = entries[(token.address || '').toLowerCase()];
+            if (entry) {
+                const pnl = this.calculatePnL(entry, token);
+                message += `• <b>Unrealized PnL:</b> ${this.formatPnL(pnl.unrealized)}\n`;
+                message += `• <b>Realized PnL:</b> ${this.formatPnL(pnl.realized)}\n`;
+                if (pnl.roi !== null) {
+                    message += `• <b>ROI:</b> ${pnl.roi >= 0 ? '+' : ''}${pnl.roi.toFixed(2)}%\n`;
+                }
+            }
             
             // Price display
             if (usdPrice !== null && usdPrice > 0) {
@@ -349,22 +489,47 @@ class PortfolioService {
         }
     }
 
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Wallet selector row(s); callbacks carry the viewed wallet so paging stays on it
+     */
+    createWalletButtons(wallets, viewedWalletId) {
+        const { Markup } = require('telegraf');
+        const rows = [];
+        if (!wallets || wallets.length < 2) {
+            return rows;
+        }
+        for (let i = 0; i < wallets.length; i += 3) {
+            rows.push(wallets.slice(i, i + 3).map(wallet =>
+                Markup.button.callback(
+                    `${String(wallet.id) === String(viewedWalletId) ? '✓ ' : ''}${wallet.name}`,
+                    `portfolio:wallet:${wallet.id}`
+                )
+            ));
+        }
+        return rows;
+    }
+
     /**
      * Create inline keyboard for portfolio
      */
-    createPortfolioKeyboard(tokens, currentPage, totalPages) {
+    createPortfolioKeyboard(tokens, currentPage, totalPages, wallets = [], viewedWalletId = null) {
         const { Markup } = require('telegraf');
         const buttons = [];
+        const walletSuffix = viewedWalletId ? `:${viewedWalletId}` : '';
 
         // Add navigation buttons only (no individual token sell buttons)
         const navButtons = [];
         
         if (totalPages > 1) {
             if (currentPage > 1) {
-                navButtons.push(Markup.button.callback('⬅️ Previous', `portfolio:page:${currentPage - 1}`));
+                navButtons.push(Markup.button.callback('⬅️ Previous', `portfolio:page:${currentPage - 1}${walletSuffix}`));
             }
             if (currentPage < totalPages) {
-                navButtons.push(Markup.button.callback('Next ➡️', `portfolio:page:${currentPage + 1}`));
+                navButtons.push(Markup.button.callback('Next ➡️', `portfolio:page:${currentPage + 1}${walletSuffix}`));
             }
         }
 
@@ -372,8 +537,10 @@ class PortfolioService {
             buttons.push(navButtons);
         }
 
+        buttons.push(...this.createWalletButtons(wallets, viewedWalletId));
+
         // Add refresh button
-        buttons.push([Markup.button.callback('🔄 Refresh', 'portfolio:refresh')]);
+        buttons.push([Markup.button.callback('🔄 Refresh', `portfolio:refresh${walletSuffix}`)]);
 
         // Add main menu button
         buttons.push([Markup.button.callback('🏠 Main Menu', 'main')]);
@@ -384,18 +551,27 @@ class PortfolioService {
     /**
      * Get portfolio display data
      */
-    async getPortfolioDisplay(telegramId, walletAddress, page = 1, forceRefresh = false) {
+    async getPortfolioDisplay(telegramId, walletAddress, page = 1, forceRefresh = false, wallets = []) {
         try {
-            const tokens = await this.getUserPortfolio(telegramId, walletAddress, forceRefresh);
+            // With several wallets the view can show any of them; cost basis is tracked per wallet
+            const viewedWallet = (wallets || []).find(wallet =>
+                wallet.wallet_address.toLowerCase() === (walletAddress || '').toLowerCase()
+            );
+            const isActiveWallet = !viewedWallet || viewedWallet.is_active;
+            const walletName = wallets && wallets.length > 1 && viewedWallet ? viewedWallet.name : null;
+            const viewedWalletId = walletName ? viewedWallet.id : null;
+
+            const tokens = await this.getUserPortfolio(telegramId, walletAddress, forceRefresh, isActiveWallet);
             
             // Handle empty portfolio gracefully
             if (!tokens || tokens.length === 0) {
                 this.monitoring?.logInfo('Empty portfolio returned', { telegramId, walletAddress });
                 const { Markup } = require('telegraf');
                 return {
-                    text: `📊 **Portfolio**\n\n_No tokens found in your portfolio._\n\n<i>🕒 Last updated: ${new Date().toLocaleTimeString('en-US', { hour12: true, hour: 'numeric', minute: '2-digit', second: '2-digit' })}</i>`,
+                    text: `📊 **Portfolio**${walletName ? ` · 👛 ${this.escapeHtml(walletName)}` : ''}\n\n_No tokens found in your portfolio._\n\n<i>🕒 Last updated: ${new Date().toLocaleTimeString('en-US', { hour12: true, hour: 'numeric', minute: '2-digit', second: '2-digit' })}</i>`,
                     keyboard: Markup.inlineKeyboard([
-                        [Markup.button.callback('🔄 Refresh', 'portfolio:refresh')],
+                        ...this.createWalletButtons(wallets, viewedWalletId),
+                        [Markup.button.callback('🔄 Refresh', `portfolio:refresh${viewedWalletId ? `:${viewedWalletId}` : ''}`)],
                         [Markup.button.callback('🏠 Back to Main', 'main')]
                     ]).reply_markup,
                     hasTokens: false,
@@ -404,11 +580,14 @@ class PortfolioService {
                 };
             }
             
-            const messageData = this.formatPortfolioMessage(tokens, page);
+            const entries = await this.getPositionEntries(telegramId, walletAddress, tokens);
+            const messageData = this.formatPortfolioMessage(tokens, page, entries, walletName);
             const keyboard = this.createPortfolioKeyboard(
                 messageData.tokens, 
                 messageData.currentPage, 
-                messageData.totalPages
+                messageData.totalPages,
+                wallets,
+                viewedWalletId
             );
 
             return {
@@ -0,0 +1,255 @@
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🛡️ Position Protection Service - Stop-loss / take-profit / trailing stop watcher for open positions
+class PositionProtectionService {
+    constructor(database, monorailAPI, tradingEngine, bot = null, monitoring = null) {
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.tradingEngine = tradingEngine;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notifyUser = TelegramUtils.createNotifier(bot, monitoring, 'Position protection notification failed');
+        this.checkInterval = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Start the background position watcher
+     */
+    start(intervalSeconds = 30) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkPositions();
+        }, intervalSeconds * 1000);
+        console.log('🛡️ PositionProtectionService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    /**
+     * Stop the background position watcher
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Compare every protected position against the current MON price
+     */
+    async checkPositions() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const positions = await this.database.getProtectedPositions();
+            if (positions.length === 0) {
+                return;
+            }
+
+            // Group positions by token so each price is fetched once per cycle
+            const positionsByToken = new Map();
+            for (const position of positions) {
+                const key = position.token_address.toLowerCase();
+                if (!positionsByToken.has(key)) {
+                    positionsByToken.set(key, []);
+                }
+                positionsByToken.get(key).push(position);
+            }
+
+            for (const [tokenAddress, tokenPositions] of positionsByToken) {
+                const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+                const currentPrice = parseFloat(priceResult?.price || '0');
+                if (!priceResult?.success || !(currentPrice > 0)) {
+                    continue;
+                }
+
+                for (const position of tokenPositions) {
+                    await this.updateTrailingPeak(position, currentPrice);
+                    const trigger = this.getTrigger(position, currentPrice);
+                    if (trigger) {
+                        await this.executeProtectionSell(position, currentPrice, trigger);
+                    }
+                }
+            }
+        } catch (error) {
+            this.monitoring?.logError('Position protection check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Persist a new trailing-stop peak when the price has risen above it
+     */
+    async updateTrailingPeak(position, currentPrice) {
+        if (!(parseFloat(position.trailing_stop_percent) > 0)) {
+            return;
+        }
+        const peakPrice = parseFloat(position.trailing_peak_price || '0');
+        if (currentPrice > peakPrice) {
+            await this.database.updateTrailingPeak(position.id, currentPrice);
+            position.trailing_peak_price = currentPrice;
+        }
+    }
+
+    /**
+     * Return 'stop_loss', 'trailing_stop', 'take_profit' or null for a position at the given price
+     */
+    getTrigger(position, currentPrice) {
+        const entryPrice = parseFloat(position.average_buy_price);
+        if (!(entryPrice > 0)) {
+            return null;
+        }
+        const changePercent = (currentPrice - entryPrice) / entryPrice * 100;
+        const stopLoss = parseFloat(position.stop_loss_percent);
+        const takeProfit = parseFloat(position.take_profit_percent);
+        const trailingStop = parseFloat(position.trailing_stop_percent);
+        const peakPrice = parseFloat(position.trailing_peak_price || '0');
+
+        if (stopLoss > 0 && changePercent <= -stopLoss) {
+            return 'stop_loss';
+        }
+        if (trailingStop > 0 && peakPrice > 0 && currentPrice <= peakPrice * (1 - trailingStop / 100)) {
+            return 'trailing_stop';
+        }
+        if (takeProfit > 0 && changePercent >= takeProfit) {
+            return 'take_profit';
+        }
+        return null;
+    }
+
+    /**
+     * Sell the whole position through the normal trading path and report the result
+     */
+    async executeProtectionSell(position, currentPrice, trigger) {
+        const userId = position.telegram_id;
+        const symbol = position.token_symbol || 'Token';
+        const triggerLabel = { stop_loss: 'Stop-Loss', take_profit: 'Take-Profit', trailing_stop: 'Trailing Stop' }[trigger];
+        const triggerEmoji = { stop_loss: '🔻', take_profit: '🎯', trailing_stop: '📉' }[trigger];
+        const entryPrice = parseFloat(position.average_buy_price);
+        const peakPrice = parseFloat(position.trailing_peak_price || '0');
+        const peakLine = trigger === 'trailing_stop'
+            ? `\n• *Peak Price:* ${peakPrice} MON (-${parseFloat(position.trailing_stop_percent)}% trail)`
+            : '';
+
+        // Clear the protection first so a slow sell can never fire twice
+        const claimed = await this.database.claimPositionProtection(position.id);
+        if (!claimed) {
+            return;
+        }
+
+        try {
+            const user = await this.getPositionWallet(position);
+            const balance = await this.getTokenBalance(user.wallet_address, position.token_address);
+            if (balance <= 0) {
+                this.monitoring?.logInfo('Protected position already closed', { userId, tokenAddress: position.token_address });
+                return;
+            }
+
+            const result = await this.tradingEngine.executeTrade({
+                type: 'normal',
+                action: 'sell',
+                userId: userId,
+                tokenAddress: position.token_address,
+                amount: balance.toString(),
+                // Sell from the wallet holding the position, which need not be the active one
+                preloadedUser: user,
+                preloadedSettings: await this.database.getUserSettings(userId),
+                // Audit trail stored in transactions.metadata
+                metadata: {
+                    source: 'position_protection',
+                    trigger,
+                    entryPrice,
+                    triggerPrice: currentPrice,
+                    peakPrice: trigger === 'trailing_stop' ? peakPrice : null,
+                    stopLossPercent: parseFloat(position.stop_loss_percent) || null,
+                    takeProfitPercent: parseFloat(position.take_profit_percent) || null,
+                    trailingStopPercent: parseFloat(position.trailing_stop_percent) || null
+                }
+            });
+
+            if (result.success) {
+                const monReceived = parseFloat(result.monReceived || 0);
+                const costBasis = entryPrice * balance;
+                const realizedPnl = monReceived - costBasis;
+                const realizedPercent = costBasis > 0 ? realizedPnl / costBasis * 100 : 0;
+                const explorerUrl = `https://testnet.monadexplorer.com/tx/${result.txHash}`;
+
+                await this.notifyUser(userId, `${triggerEmoji} *${triggerLabel} Triggered* | *${symbol}*
+
+• *Entry Price:* ${entryPrice} MON${peakLine}
+• *Trigger Price:* ${currentPrice} MON
+• *Sold:* ${balance.toFixed(4)} ${symbol}
+• *Received:* ${monReceived.toFixed(4)} MON
+• *Realized PnL:* ${realizedPnl >= 0 ? '+' : ''}${realizedPnl.toFixed(4)} MON (${realizedPercent >= 0 ? '+' : ''}${realizedPercent.toFixed(2)}%)
+
+[View on Explorer](${explorerUrl})`);
+            } else {
+                await this.notifyUser(userId, `❌ *${triggerLabel} Sell Failed* | *${symbol}*
+
+• *Entry Price:* ${entryPrice} MON${peakLine}
+• *Trigger Price:* ${currentPrice} MON
+
+Error: ${result.error}
+
+_Protection has been removed from this position. Please review it manually._`);
+            }
+
+            this.monitoring?.logInfo('Position protection executed', {
+                userId,
+                tokenAddress: position.token_address,
+                trigger,
+                success: result.success
+            });
+        } catch (error) {
+            this.monitoring?.logError('Position protection sell failed', error, { userId, tokenAddress: position.token_address });
+            await this.notifyUser(userId, `❌ *${triggerLabel} Sell Failed* | *${symbol}*
+
+Error: ${error.message}
+
+_Protection has been removed from this position. Please review it manually._`);
+        }
+    }
+
+    /**
+     * The user row with the wallet fields of the wallet that holds the position
+     */
+    async getPositionWallet(position) {
+        const user = await this.database.getUserByTelegramId(position.telegram_id);
+        if (!user?.wallet_address) {
+            throw new Error('Wallet not found');
+        }
+        if (!position.wallet_address || position.wallet_address === user.wallet_address.toLowerCase()) {
+            return user;
+        }
+
+        const wallet = await this.database.getUserWalletByAddress(position.telegram_id, position.wallet_address);
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        return {
+            ...user,
+            wallet_address: wallet.wallet_address,
+            encrypted_private_key: wallet.encrypted_private_key,
+            encrypted_mnemonic: wallet.encrypted_mnemonic
+        };
+    }
+
+    /**
+     * Current on-chain token balance of a wallet
+     */
+    async getTokenBalance(walletAddress, tokenAddress) {
+        const walletBalance = await this.monorailAPI.getWalletBalance(walletAddress);
+        const token = (walletBalance || []).find(t =>
+            t.address && t.address.toLowerCase() === tokenAddress.toLowerCase()
+        );
+        return parseFloat(token?.balance || '0');
+    }
+}
+
+module.exports = PositionProtectionService;
@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const { Markup } = require('telegraf');
+const { PRICE_EVENTS, SUBSCRIPTION_TYPES, PRIORITY_LEVELS, createWebSocketMessage } = require('../constants/WebSocketEvents');
+
+// 🔔 Price Alert Service - Evaluates price / % change alerts and pushes Telegram notifications
+// Emits PRICE_EVENTS.PRICE_ALERT and PRICE_EVENTS.PRICE_CHANGE_THRESHOLD messages for other listeners
+class PriceAlertService extends EventEmitter {
+    constructor(database, monorailAPI, bot = null, monitoring = null) {
+        super();
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.checkInterval = null;
+        this.isChecking = false;
+        this.batchSize = 10;
+
+        // tokenAddress -> [{ timestamp, price }] samples for % change alerts (in-memory, refills after a restart)
+        this.priceHistory = new Map();
+    }
+
+    /**
+     * Start the background alert evaluator
+     */
+    start(intervalSeconds = 60) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkAlerts();
+        }, intervalSeconds * 1000);
+        console.log('🔔 PriceAlertService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    /**
+     * Stop the background alert evaluator
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Fetch prices for every alerted token in batches and evaluate its alerts
+     */
+    async checkAlerts() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const alerts = await this.database.getActivePriceAlerts();
+
+            // Group alerts by token so each price is fetched once per cycle
+            const alertsByToken = new Map();
+            for (const alert of alerts) {
+                const key = alert.token_address.toLowerCase();
+                if (!alertsByToken.has(key)) {
+                    alertsByToken.set(key, []);
+                }
+                alertsByToken.get(key).push(alert);
+            }
+
+            // Forget history of tokens nobody watches anymore
+            for (const tokenAddress of this.priceHistory.keys()) {
+                if (!alertsByToken.has(tokenAddress)) {
+                    this.priceHistory.delete(tokenAddress);
+                }
+            }
+
+            const tokens = [...alertsByToken.keys()];
+            for (let i = 0; i < tokens.length; i += this.batchSize) {
+                const batch = tokens.slice(i, i + this.batchSize);
+                const prices = await Promise.all(batch.map(tokenAddress => this.fetchPrice(tokenAddress)));
+
+                for (let j = 0; j < batch.length; j++) {
+                    if (prices[j] > 0) {
+                        await this.evaluateToken(batch[j], prices[j], alertsByToken.get(batch[j]));
+                    }
+                }
+            }
+        } catch (error) {
+            this.monitoring?.logError('Price alert check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async fetchPrice(tokenAddress) {
+        try {
+            const priceResult = await this.monorailAPI.getTokenPriceInMON(tokenAddress);
+            return priceResult?.success ? parseFloat(priceResult.price || '0') : 0;
+        } catch (error) {
+            this.monitoring?.logError('Price alert price fetch failed', error, { tokenAddress });
+            return 0;
+        }
+    }
+
+    /**
+     * Evaluate all alerts of one token and send one notification per user
+     */
+    async evaluateToken(tokenAddress, currentPrice, alerts) {
+        const maxWindowMinutes = Math.max(...alerts.map(alert => alert.window_minutes || 60));
+        this.recordPrice(tokenAddress, currentPrice, maxWindowMinutes);
+
+        const triggeredByUser = new Map();
+        for (const alert of alerts) {
+            const evaluation = this.evaluateAlert(alert, tokenAddress, currentPrice);
+            if (!evaluation) {
+                continue;
+            }
+
+            // Claim first so overlapping cycles or duplicate alerts never notify twice
+            const claimed = await this.database.claimPriceAlert(alert.id, currentPrice);
+            if (!claimed) {
+                continue;
+            }
+
+            if (!triggeredByUser.has(claimed.telegram_id)) {
+                triggeredByUser.set(claimed.telegram_id, []);
+            }
+            triggeredByUser.get(claimed.telegram_id).push({ alert: claimed, ...evaluation });
+
+            this.emit(evaluation.eventType, createWebSocketMessage(
+                evaluation.eventType,
+                SUBSCRIPTION_TYPES.PRICE_FEED,
+                {
+                    alertId: claimed.id,
+                    telegramId: claimed.telegram_id,
+                    tokenAddress: claimed.token_address,
+                    tokenSymbol: claimed.token_symbol,
+                    price: currentPrice,
+                    referencePrice: evaluation.referencePrice || null,
+                    changePercent: evaluation.changePercent || null
+                },
+                PRIORITY_LEVELS.HIGH
+            ));
+        }
+
+        for (const [userId, triggered] of triggeredByUser) {
+            await this.notifyUser(userId, tokenAddress, currentPrice, triggered);
+        }
+    }
+
+    /**
+     * Return { eventType, ... } when an alert's condition is met, otherwise null
+     */
+    evaluateAlert(alert, tokenAddress, currentPrice) {
+        if (alert.alert_type === PRICE_EVENTS.PRICE_ALERT) {
+            const targetPrice = parseFloat(alert.target_price);
+            const hit = alert.direction === 'above' ? currentPrice >= targetPrice : currentPrice <= targetPrice;
+            return hit ? { eventType: PRICE_EVENTS.PRICE_ALERT } : null;
+        }
+
+        if (alert.alert_type === PRICE_EVENTS.PRICE_CHANGE_THRESHOLD) {
+            const referencePrice = this.getReferencePrice(tokenAddress, alert.window_minutes || 60);
+            if (!(referencePrice > 0)) {
+                return null;
+            }
+            const changePercent = (currentPrice - referencePrice) / referencePrice * 100;
+            if (Math.abs(changePercent) >= parseFloat(alert.change_percent)) {
+                return { eventType: PRICE_EVENTS.PRICE_CHANGE_THRESHOLD, referencePrice, changePercent };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Store a price sample, keeping only what the longest window needs
+     */
+    recordPrice(tokenAddress, price, windowMinutes) {
+        const now = Date.now();
+        const samples = this.priceHistory.get(tokenAddress) || [];
+        samples.push({ timestamp: now, price });
+        const cutoff = now - windowMinutes * 60 * 1000;
+        this.priceHistory.set(tokenAddress, samples.filter(sample => sample.timestamp >= cutoff));
+    }
+
+    /**
+     * Oldest price inside the window (excluding the sample just recorded)
+     */
+    getReferencePrice(tokenAddress, windowMinutes) {
+        const samples = this.priceHistory.get(tokenAddress) || [];
+        const cutoff = Date.now() - windowMinutes * 60 * 1000;
+        const inWindow = samples.slice(0, -1).filter(sample => sample.timestamp >= cutoff);
+        return inWindow.length > 0 ? inWindow[0].price : null;
+    }
+
+    /**
+     * Send one combined notification for all alerts of a user on a token
+     */
+    async notifyUser(userId, tokenAddress, currentPrice, triggered) {
+        if (!this.bot) {
+            return;
+        }
+        const symbol = triggered[0].alert.token_symbol || 'Token';
+        const lines = triggered.map(({ alert, changePercent, referencePrice }) => {
+            if (alert.alert_type === PRICE_EVENTS.PRICE_ALERT) {
+                return `${alert.direction === 'above' ? '📈 Above' : '📉 Below'} ${parseFloat(alert.target_price)} MON`;
+            }
+            return `⚡ ${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}% in ${alert.window_minutes}m (from ${referencePrice} MON)`;
+        });
+
+        const keyboard = Markup.inlineKeyboard([
+            [
+                Markup.button.callback('🔄 View Token', `refresh_token_${tokenAddress}`),
+                Markup.button.callback('🔔 My Alerts', 'price_alerts')
+            ]
+        ]);
+
+        try {
+            await this.bot.telegram.sendMessage(userId, `🔔 *Price Alert* | *${symbol}*
+
+\`${tokenAddress}\`
+
+• *Current Price:* ${currentPrice} MON
+${lines.map(line => `• ${line}`).join('\n')}`, {
+                parse_mode: 'Markdown',
+                reply_markup: keyboard.reply_markup
+            });
+            this.monitoring?.logInfo('Price alert notification sent', { userId, tokenAddress, alerts: triggered.length });
+        } catch (error) {
+            this.monitoring?.logError('Price alert notification failed', error, { userId });
+        }
+    }
+}
+
+module.exports = PriceAlertService;
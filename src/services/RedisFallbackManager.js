@@ -72,10 +72,10 @@ class RedisFallbackManager {
     }
 
     /**
-     * Check if Redis is available
+     * Check if Redis is available (node-redis exposes isReady, ioredis exposes status)
      */
     isRedisAvailable() {
-        return this.isConnected && this.redis && this.redis.status === 'ready';
+        return Boolean(this.isConnected && this.redis && (this.redis.isReady === true || this.redis.status === 'ready'));
     }
 
     /**
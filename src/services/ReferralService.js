@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// 🤝 Referral Service - Referral links, tiered fee-share rewards and payout claims
+// Rewards are a share of the platform fees collected from referred users' trades, down to three levels
+class ReferralService {
+    constructor(database, monitoring = null) {
+        this.database = database;
+        this.monitoring = monitoring;
+
+        // Share of the collected platform fees per level: direct invitees, their invitees, and one level further
+        this.tiers = [
+            { level: 1, sharePercent: 25 },
+            { level: 2, sharePercent: 5 },
+            { level: 3, sharePercent: 2 }
+        ];
+        this.minClaim = parseFloat(process.env.REFERRAL_MIN_CLAIM) || 0.1;
+        this.alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+        this.codeLength = 8;
+    }
+
+    /**
+     * The user's referral code, created on first request
+     */
+    async getReferralCode(userId) {
+        const existing = await this.database.getReferralCode(userId);
+        if (existing) {
+            return existing.code;
+        }
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            let code = '';
+            for (let i = 0; i < this.codeLength; i++) {
+                code += this.alphabet[crypto.randomInt(this.alphabet.length)];
+            }
+            const created = await this.database.createReferralCode(userId, code);
+            if (created) {
+                return created.code;
+            }
+            // Either the code is taken or a concurrent request created this user's code
+            const current = await this.database.getReferralCode(userId);
+            if (current) {
+                return current.code;
+            }
+        }
+        throw new Error('Could not generate a referral code');
+    }
+
+    /**
+     * Link a new user to the owner of the code. Only users without a wallet can be referred
+     */
+    async registerReferral(userId, code) {
+        const owner = await this.database.getReferralCodeOwner(String(code).toLowerCase());
+        if (!owner) {
+            return { success: false, error: 'Invalid referral link' };
+        }
+        if (String(owner.telegram_id) === String(userId)) {
+            return { success: false, error: 'You cannot refer yourself' };
+        }
+
+        const user = await this.database.getUser(userId);
+        if (user?.wallet_address && user.wallet_address !== 'pending_wallet_creation') {
+            return { success: false, error: 'Referral links only work for new users' };
+        }
+
+        const referral = await this.database.addReferral(userId, owner.telegram_id, owner.code);
+        if (!referral) {
+            return { success: false, error: 'You were already referred' };
+        }
+
+        this.monitoring?.logInfo('Referral registered', { userId, referrerId: owner.telegram_id });
+        return { success: true, referrerId: owner.telegram_id };
+    }
+
+    async getInvitees(userId, limit = 10) {
+        return await this.database.getReferralInvitees(userId, limit);
+    }
+
+    /**
+     * Invitees, volume and rewards per tier, plus claimed / claimable totals (all in MON)
+     */
+    async getSummary(userId) {
+        const [levels, payouts] = await Promise.all([
+            this.database.getReferralVolumeByLevel(userId, this.tiers.length),
+            this.database.getReferralPayoutTotals(userId)
+        ]);
+
+        const tiers = this.tiers.map(tier => {
+            const row = levels.find(level => Number(level.level) === tier.level);
+            return {
+                ...tier,
+                users: parseInt(row?.users || 0),
+                volume: parseFloat(row?.volume || 0),
+                earned: this.calculateReward(parseFloat(row?.fees || 0), tier.sharePercent)
+            };
+        });
+
+        const earned = tiers.reduce((sum, tier) => sum + tier.earned, 0);
+        const pending = parseFloat(payouts?.pending || 0);
+        const paid = parseFloat(payouts?.paid || 0);
+
+        return {
+            tiers,
+            earned,
+            pending,
+            paid,
+            claimable: Math.max(earned - pending - paid, 0)
+        };
+    }
+
+    calculateReward(fees, sharePercent) {
+        return fees * (sharePercent / 100);
+    }
+
+    /**
+     * Request a payout of everything claimable to the user's active wallet
+     */
+    async claim(userId) {
+        const [summary, user] = await Promise.all([
+            this.getSummary(userId),
+            this.database.getUser(userId)
+        ]);
+
+        if (!user?.wallet_address || user.wallet_address === 'pending_wallet_creation') {
+            return { success: false, error: 'Create a wallet first' };
+        }
+        if (summary.pending > 0) {
+            return { success: false, error: 'You already have a payout in progress' };
+        }
+        if (summary.claimable < this.minClaim) {
+            return { success: false, error: `Minimum claim is ${this.minClaim} MON` };
+        }
+
+        const amount = summary.claimable.toFixed(6);
+        const payout = await this.database.createReferralPayout(userId, amount, user.wallet_address);
+        if (!payout) {
+            return { success: false, error: 'You already have a payout in progress' };
+        }
+
+        this.monitoring?.logInfo('Referral payout requested', { userId, amount, payoutId: payout.id });
+        return { success: true, payout };
+    }
+
+    /**
+     * Payout requests as CSV (status null = all)
+     */
+    async exportPayouts(status = 'pending') {
+        const payouts = await this.database.getReferralPayouts(status);
+        const rows = payouts.map(payout => [
+            payout.id,
+            payout.telegram_id,
+            payout.username || '',
+            payout.wallet_address,
+            parseFloat(payout.amount).toFixed(6),
+            payout.status,
+            new Date(payout.created_at).toISOString(),
+            payout.tx_hash || ''
+        ].join(','));
+
+        return {
+            count: payouts.length,
+            total: payouts.reduce((sum, payout) => sum + parseFloat(payout.amount), 0),
+            csv: ['id,telegram_id,username,wallet_address,amount_mon,status,requested_at,tx_hash', ...rows].join('\n')
+        };
+    }
+}
+
+module.exports = ReferralService;
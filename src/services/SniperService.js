@@ -0,0 +1,267 @@
+const { ethers } = require('ethers');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🎯 Sniper Service - Buys newly launched tokens for users who opted in
+// New ERC-20 deployments are found by block polling and bought once Monorail can price (route) them
+class SniperService {
+    constructor(database, monorailAPI, tradingEngine, tokenSafetyScanner = null, bot = null, monitoring = null) {
+        this.database = database;
+        this.monorailAPI = monorailAPI;
+        this.tradingEngine = tradingEngine;
+        this.tokenSafetyScanner = tokenSafetyScanner;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notifyUser = TelegramUtils.createNotifier(bot, monitoring, 'Sniper notification failed');
+        // UnifiedSecuritySystem, set by the bot once it exists; locked users are skipped
+        this.security = null;
+        this.checkInterval = null;
+        this.isChecking = false;
+
+        this.tokenAbi = [
+            'function name() view returns (string)',
+            'function symbol() view returns (string)',
+            'function decimals() view returns (uint8)'
+        ];
+        this.explorerUrl = 'https://testnet.monadexplorer.com/tx/';
+
+        // tokenAddress -> { tokenAddress, deployer, name, symbol, detectedAt } waiting for a Monorail listing
+        this.candidates = new Map();
+        this.maxCandidates = 100;
+        this.candidateTtlMs = 30 * 60 * 1000;
+        this.lastPolledBlock = null;
+        this.maxBlocksPerPoll = 50;
+    }
+
+    /**
+     * Start watching for launches
+     */
+    start(intervalSeconds = 10) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkLaunches();
+        }, intervalSeconds * 1000);
+        console.log('🎯 SniperService started, interval:', intervalSeconds, 'seconds');
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Detect new deployments, then snipe candidates that became tradable
+     */
+    async checkLaunches() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const snipers = await this.database.getEnabledSnipers();
+            if (snipers.length === 0) {
+                // Nobody is sniping: start from the chain head when someone enables it
+                this.lastPolledBlock = null;
+                this.candidates.clear();
+                return;
+            }
+
+            await this.pollBlocks(snipers);
+            await this.checkCandidates(snipers);
+        } catch (error) {
+            this.monitoring?.logError('Sniper check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Scan blocks since the last poll for contract creations that look like ERC-20 tokens
+     */
+    async pollBlocks(snipers) {
+        const rpcManager = this.monorailAPI.rpcManager;
+        const latestBlock = await rpcManager.executeWithFallback(
+            async (provider) => await provider.getBlockNumber(),
+            'SNIPER_BLOCK_NUMBER'
+        );
+
+        if (this.lastPolledBlock === null) {
+            this.lastPolledBlock = latestBlock;
+            return;
+        }
+        const fromBlock = Math.max(this.lastPolledBlock + 1, latestBlock - this.maxBlocksPerPoll + 1);
+
+        for (let blockNumber = fromBlock; blockNumber <= latestBlock; blockNumber++) {
+            const block = await rpcManager.executeWithFallback(
+                async (provider) => await provider.getBlock(blockNumber, true),
+                'SNIPER_GET_BLOCK'
+            );
+
+            for (const tx of block?.prefetchedTransactions || []) {
+                if (!tx.to) {
+                    await this.inspectDeployment(tx, snipers);
+                }
+            }
+            this.lastPolledBlock = blockNumber;
+        }
+    }
+
+    /**
+     * Keep the deployment as a candidate if it is a token at least one sniper could want
+     */
+    async inspectDeployment(tx, snipers) {
+        const tokenAddress = ethers.getCreateAddress({ from: tx.from, nonce: tx.nonce }).toLowerCase();
+        const deployer = tx.from.toLowerCase();
+
+        try {
+            const token = new ethers.Contract(tokenAddress, this.tokenAbi, await this.monorailAPI.rpcManager.getProvider());
+            const [name, symbol] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+
+            const candidate = { tokenAddress, deployer, name, symbol, detectedAt: Date.now() };
+            if (!snipers.some(sniper => this.matchesLaunchFilters(sniper, candidate))) {
+                return;
+            }
+
+            this.candidates.set(tokenAddress, candidate);
+            if (this.candidates.size > this.maxCandidates) {
+                // Maps keep insertion order, so the first key is the oldest candidate
+                this.candidates.delete(this.candidates.keys().next().value);
+            }
+            this.monitoring?.logInfo('Sniper launch detected', { tokenAddress, deployer, symbol });
+        } catch (error) {
+            // Not a token (or the deployment reverted)
+        }
+    }
+
+    /**
+     * Snipe candidates Monorail can now price; drop the ones that never got listed
+     */
+    async checkCandidates(snipers) {
+        for (const candidate of [...this.candidates.values()]) {
+            if (Date.now() - candidate.detectedAt > this.candidateTtlMs) {
+                this.candidates.delete(candidate.tokenAddress);
+                continue;
+            }
+
+            const tokenInfo = await this.monorailAPI.getTokenInfo(candidate.tokenAddress);
+            if (!tokenInfo?.success || !(parseFloat(tokenInfo.token.mon_per_token) > 0)) {
+                continue;
+            }
+            this.candidates.delete(candidate.tokenAddress);
+
+            let report = null;
+            for (const sniper of snipers) {
+                if (!this.matchesLaunchFilters(sniper, candidate) || !this.hasMinLiquidity(sniper, tokenInfo.token)) {
+                    continue;
+                }
+                if (sniper.max_risk && this.tokenSafetyScanner) {
+                    // One scan per token, shared by every sniper
+                    report = report || await this.tokenSafetyScanner.scan(candidate.tokenAddress).catch(() => null);
+                    if (!report || this.tokenSafetyScanner.exceedsRisk(report, sniper.max_risk)) {
+                        continue;
+                    }
+                }
+                await this.snipe(sniper, candidate);
+            }
+        }
+    }
+
+    /**
+     * Deployer allowlist and name pattern, checked before the token is even listed.
+     * The pattern is a `|`-separated list of literal words, never a regex: names are chosen by deployers
+     */
+    matchesLaunchFilters(sniper, candidate) {
+        const allowlist = sniper.deployer_allowlist || [];
+        if (allowlist.length > 0 && !allowlist.includes(candidate.deployer)) {
+            return false;
+        }
+        if (sniper.name_pattern) {
+            const words = sniper.name_pattern.toLowerCase().split('|').map(word => word.trim()).filter(Boolean);
+            const name = String(candidate.name).slice(0, 64).toLowerCase();
+            const symbol = String(candidate.symbol).slice(0, 32).toLowerCase();
+            return words.some(word => name.includes(word) || symbol.includes(word));
+        }
+        return true;
+    }
+
+    /**
+     * Monorail liquidity in USD; tokens without liquidity data fail a min liquidity filter
+     */
+    hasMinLiquidity(sniper, token) {
+        if (!sniper.min_liquidity_usd) {
+            return true;
+        }
+        return parseFloat(token.liquidity) >= parseFloat(sniper.min_liquidity_usd);
+    }
+
+    /**
+     * Buy with the auto buy amount / gas / slippage, within the daily cap
+     */
+    async snipe(sniper, candidate) {
+        const userId = sniper.telegram_id;
+        const amount = parseFloat(sniper.auto_buy_amount) || 0.1;
+
+        // Checked before the claim so a locked account does not use up its daily cap
+        if ((await this.security?.checkUserLock(userId))?.locked) {
+            return;
+        }
+
+        const execution = await this.database.claimSniperExecution(userId, candidate.tokenAddress, amount, sniper.daily_cap);
+        if (!execution) {
+            this.monitoring?.logInfo('Sniper buy skipped (already sniped or daily cap reached)', { userId, tokenAddress: candidate.tokenAddress });
+            return;
+        }
+
+        try {
+            const [user, settings] = await Promise.all([
+                this.database.getUser(userId),
+                this.database.getUserSettings(userId)
+            ]);
+
+            const result = await this.tradingEngine.executeTrade({
+                type: 'normal',
+                action: 'buy',
+                userId: userId,
+                tokenAddress: candidate.tokenAddress,
+                amount: amount.toString(),
+                preloadedUser: user,
+                preloadedSettings: {
+                    ...settings,
+                    turbo_mode: false,
+                    gas_price: sniper.auto_buy_gas || settings?.gas_price,
+                    slippage_tolerance: sniper.auto_buy_slippage || settings?.slippage_tolerance
+                },
+                metadata: { source: 'sniper', deployer: candidate.deployer }
+            });
+
+            if (result.success) {
+                await this.database.recordSniperExecution(execution.id, 'executed', { txHash: result.txHash });
+                await this.notifyUser(userId, `🎯 *Sniped ${TelegramUtils.stripMarkdown(candidate.symbol)}*
+
+\`${candidate.tokenAddress}\`
+• *Spent:* ${amount} MON
+• *Received:* ${parseFloat(result.actualTokenAmount || result.tokenAmount || 0).toFixed(4)} ${TelegramUtils.stripMarkdown(candidate.symbol)}
+• *Deployer:* \`${candidate.deployer}\`
+
+[View on Explorer](${this.explorerUrl}${result.txHash})`);
+            } else {
+                await this.database.recordSniperExecution(execution.id, 'failed', { errorMessage: result.error });
+                await this.notifyUser(userId, `❌ *Snipe Failed* | ${TelegramUtils.stripMarkdown(candidate.symbol)}
+
+\`${candidate.tokenAddress}\`
+Error: ${String(result.error || 'Unknown error').split('\n')[0]}`);
+            }
+
+            this.monitoring?.logInfo('Sniper buy executed', { userId, tokenAddress: candidate.tokenAddress, success: result.success });
+        } catch (error) {
+            this.monitoring?.logError('Sniper buy failed', error, { userId, tokenAddress: candidate.tokenAddress });
+            await this.database.recordSniperExecution(execution.id, 'failed', { errorMessage: error.message });
+        }
+    }
+}
+
+module.exports = SniperService;
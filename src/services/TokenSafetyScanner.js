@@ -0,0 +1,434 @@
+const { ethers } = require('ethers');
+
+// 🛡️ Token Safety Scanner - On-chain risk report for a token before buying
+// Simulates a Monorail buy -> sell round trip with eth_call state overrides and inspects the contract and holders
+class TokenSafetyScanner {
+    constructor(monorailAPI, cacheService = null, monitoring = null) {
+        this.monorailAPI = monorailAPI;
+        this.cacheService = cacheService;
+        this.monitoring = monitoring;
+
+        this.riskLevels = ['low', 'medium', 'high', 'critical'];
+        this.routerAddress = '0x525b929fcd6a64aff834f4eecc6e860486ced700';
+        // Throwaway sender for simulations; balances and allowances are injected per call
+        this.simulationAddress = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+        this.simulationAmount = '0.1';
+        // A swap that only passes with a higher max slippage is losing the difference to transfer taxes
+        this.slippageSteps = [2, 10, 25, 49];
+        this.maxStorageSlot = 10;
+
+        this.holderScanBlocks = 5000;
+        this.logChunkSize = 500;
+        this.maxHolderCandidates = 40;
+        this.burnAddresses = [ethers.ZeroAddress, '0x000000000000000000000000000000000000dead'];
+
+        this.erc20Abi = [
+            'function balanceOf(address) view returns (uint256)',
+            'function allowance(address owner, address spender) view returns (uint256)',
+            'function decimals() view returns (uint8)',
+            'function totalSupply() view returns (uint256)',
+            'function owner() view returns (address)'
+        ];
+        this.erc20Interface = new ethers.Interface(this.erc20Abi);
+        this.transferTopic = ethers.id('Transfer(address,address,uint256)');
+
+        // Privileged functions looked up in the bytecode dispatcher
+        this.capabilitySignatures = {
+            mint: ['mint(address,uint256)', 'mint(uint256)'],
+            pause: ['pause()', 'setPaused(bool)'],
+            blacklist: [
+                'blacklist(address)', 'addToBlacklist(address)', 'setBlacklist(address,bool)',
+                'blacklistAddress(address,bool)', 'addBots(address[])', 'setBots(address[],bool)'
+            ],
+            fees: [
+                'setFee(uint256)', 'setFees(uint256,uint256)', 'setTaxes(uint256,uint256)',
+                'setBuyTax(uint256)', 'setSellTax(uint256)', 'setTaxFeePercent(uint256)'
+            ]
+        };
+
+        // In-memory fallback when Redis is unavailable, plus de-duplication of concurrent scans
+        this.memoryCache = new Map();
+        this.memoryCacheTtl = 15 * 60 * 1000;
+        this.pendingScans = new Map();
+    }
+
+    /**
+     * Cached risk report for a token, scanning it when needed
+     */
+    async scan(tokenAddress, forceRefresh = false) {
+        const key = tokenAddress.toLowerCase();
+
+        if (!forceRefresh) {
+            const cached = await this.getCachedReport(key);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        if (!this.pendingScans.has(key)) {
+            const pending = this.runScan(key)
+                .then(async (report) => {
+                    await this.cacheReport(key, report);
+                    return report;
+                })
+                .finally(() => this.pendingScans.delete(key));
+            this.pendingScans.set(key, pending);
+        }
+        return await this.pendingScans.get(key);
+    }
+
+    /**
+     * Report if it is ready within timeoutMs, otherwise null (the scan keeps running and is cached)
+     */
+    async getReport(tokenAddress, timeoutMs = 4000) {
+        const scan = this.scan(tokenAddress).catch((error) => {
+            this.monitoring?.logError('Token safety scan failed', error, { tokenAddress });
+            return null;
+        });
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeoutMs);
+        });
+        try {
+            return await Promise.race([scan, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async getCachedReport(key) {
+        if (this.cacheService) {
+            const cached = await this.cacheService.get('token_safety', key);
+            if (cached) {
+                return cached;
+            }
+        }
+        const entry = this.memoryCache.get(key);
+        if (entry && Date.now() - entry.timestamp < this.memoryCacheTtl) {
+            return entry.report;
+        }
+        return null;
+    }
+
+    async cacheReport(key, report) {
+        this.memoryCache.set(key, { report, timestamp: Date.now() });
+        if (this.cacheService) {
+            await this.cacheService.set('token_safety', key, report);
+        }
+    }
+
+    async runScan(tokenAddress) {
+        const startTime = Date.now();
+        const provider = await this.monorailAPI.rpcManager.getProvider();
+        const flags = [];
+
+        const code = await provider.getCode(tokenAddress);
+        if (!code || code === '0x') {
+            return this.buildReport(tokenAddress, [{ level: 'critical', message: 'Address is not a contract' }], {}, startTime);
+        }
+
+        const token = new ethers.Contract(tokenAddress, this.erc20Abi, provider);
+        const [decimals, totalSupply] = await Promise.all([
+            token.decimals().then(Number).catch(() => 18),
+            token.totalSupply().catch(() => 0n)
+        ]);
+
+        const [contract, simulation, holders] = await Promise.all([
+            this.checkContract(token, code),
+            this.simulateRoundTrip(provider, tokenAddress, decimals),
+            this.checkHolders(provider, token, totalSupply)
+        ]);
+
+        flags.push(...contract.flags, ...simulation.flags, ...holders.flags);
+        return this.buildReport(tokenAddress, flags, {
+            owner: contract.owner,
+            capabilities: contract.capabilities,
+            buy: simulation.buy,
+            sell: simulation.sell,
+            holders: holders.summary
+        }, startTime);
+    }
+
+    buildReport(tokenAddress, flags, details, startTime) {
+        const riskLevel = flags.reduce((level, flag) =>
+            (this.getRiskRank(flag.level) > this.getRiskRank(level) ? flag.level : level), 'low');
+
+        this.monitoring?.logInfo('Token safety scan completed', {
+            tokenAddress,
+            riskLevel,
+            flags: flags.length,
+            duration: Date.now() - startTime
+        });
+
+        return {
+            tokenAddress,
+            riskLevel,
+            flags,
+            ...details,
+            scannedAt: Date.now()
+        };
+    }
+
+    /**
+     * Owner state and privileged functions (mint, pause, blacklist, fee setters)
+     */
+    async checkContract(token, code) {
+        const hasFunction = signature => code.includes(`63${ethers.id(signature).slice(2, 10)}`);
+        const capabilities = {};
+        for (const [name, signatures] of Object.entries(this.capabilitySignatures)) {
+            capabilities[name] = signatures.some(hasFunction);
+        }
+
+        let owner = null;
+        if (hasFunction('owner()')) {
+            const address = await token.owner().catch(() => null);
+            if (address) {
+                owner = { address, renounced: this.burnAddresses.includes(address.toLowerCase()) };
+            }
+        }
+
+        // Without a readable owner the functions may still be role-gated, so treat them as live
+        const privileged = !owner || !owner.renounced;
+        const flags = [];
+        if (privileged) {
+            if (capabilities.mint) {
+                flags.push({ level: 'high', message: 'Owner can mint new tokens' });
+            }
+            if (capabilities.blacklist) {
+                flags.push({ level: 'high', message: 'Owner can blacklist wallets' });
+            }
+            if (capabilities.fees) {
+                flags.push({ level: 'medium', message: 'Owner can change transfer taxes' });
+            }
+            if (capabilities.pause) {
+                flags.push({ level: 'medium', message: 'Owner can pause trading' });
+            }
+        }
+
+        return { owner, capabilities, flags };
+    }
+
+    /**
+     * Buy with injected MON, then sell the bought amount with injected token balance and router allowance
+     */
+    async simulateRoundTrip(provider, tokenAddress, decimals) {
+        const flags = [];
+        const monBalance = ethers.toQuantity(ethers.parseEther(this.simulationAmount) * 10n);
+
+        const buy = await this.simulateSwap(provider, this.monorailAPI.tokens.MON, tokenAddress, this.simulationAmount, {
+            [this.simulationAddress]: { balance: monBalance }
+        });
+        if (buy.status === 'unavailable') {
+            flags.push({ level: 'medium', message: 'Buy could not be simulated' });
+            return { buy, sell: { status: 'skipped' }, flags };
+        }
+        if (buy.status === 'reverted') {
+            flags.push({ level: 'critical', message: 'Buy simulation reverts' });
+            return { buy, sell: { status: 'skipped' }, flags };
+        }
+        this.addTaxFlag(flags, 'Buy', buy);
+
+        const sellAmount = parseFloat(buy.outputAmount).toFixed(Math.min(decimals, 18));
+        const sellAmountRaw = ethers.parseUnits(sellAmount, decimals);
+        const slots = await this.findTokenSlots(provider, tokenAddress);
+        if (!slots || !(sellAmountRaw > 0n)) {
+            flags.push({ level: 'medium', message: 'Sell could not be simulated (non-standard token)' });
+            return { buy, sell: { status: 'unavailable' }, flags };
+        }
+
+        const sell = await this.simulateSwap(provider, tokenAddress, this.monorailAPI.tokens.MON, sellAmount, {
+            [this.simulationAddress]: { balance: monBalance },
+            [tokenAddress]: {
+                stateDiff: {
+                    [this.getBalanceKey(this.simulationAddress, slots.balanceSlot)]: ethers.toBeHex(sellAmountRaw, 32),
+                    [this.getAllowanceKey(this.simulationAddress, this.routerAddress, slots.allowanceSlot)]: ethers.toBeHex(ethers.MaxUint256, 32)
+                }
+            }
+        });
+        if (sell.status === 'reverted') {
+            flags.push({ level: 'critical', message: 'Sell simulation reverts - possible honeypot' });
+        } else if (sell.status === 'unavailable') {
+            flags.push({ level: 'medium', message: 'Sell could not be simulated' });
+        } else {
+            this.addTaxFlag(flags, 'Sell', sell);
+        }
+
+        return { buy, sell, flags };
+    }
+
+    /**
+     * eth_call the Monorail route at increasing max slippage; the first passing step bounds the tax
+     */
+    async simulateSwap(provider, fromToken, toToken, amount, stateOverrides) {
+        let lastError = null;
+        for (const slippage of this.slippageSteps) {
+            const quote = await this.monorailAPI.getQuote(fromToken, toToken, amount, this.simulationAddress, slippage);
+            if (!quote.success || !quote.transaction) {
+                return { status: 'unavailable', error: quote.error };
+            }
+
+            const transaction = this.monorailAPI.prepareTransaction(quote.transaction, quote.gasEstimate);
+            try {
+                await provider.send('eth_call', [{
+                    from: this.simulationAddress,
+                    to: transaction.to,
+                    data: transaction.data,
+                    value: ethers.toQuantity(BigInt(transaction.value || 0))
+                }, 'latest', stateOverrides]);
+                return { status: 'ok', slippage, outputAmount: quote.outputAmount };
+            } catch (error) {
+                // RPC failures (e.g. overrides not supported) say nothing about the token
+                if (error.code !== 'CALL_EXCEPTION' && !/revert/i.test(error.message || '')) {
+                    return { status: 'unavailable', error: error.message };
+                }
+                lastError = error.shortMessage || error.message;
+            }
+        }
+        return { status: 'reverted', error: lastError };
+    }
+
+    addTaxFlag(flags, side, result) {
+        const step = this.slippageSteps.indexOf(result.slippage);
+        if (step >= 2) {
+            flags.push({ level: 'high', message: `${side} tax around ${this.describeTax(result)}` });
+        } else if (step === 1) {
+            flags.push({ level: 'medium', message: `${side} tax around ${this.describeTax(result)}` });
+        }
+    }
+
+    /**
+     * Tax range implied by the slippage step a simulation passed at
+     */
+    describeTax(result) {
+        if (!result || result.status !== 'ok') {
+            return 'unknown';
+        }
+        const step = this.slippageSteps.indexOf(result.slippage);
+        return step === 0 ? `<${result.slippage}%` : `${this.slippageSteps[step - 1]}-${result.slippage}%`;
+    }
+
+    /**
+     * Locate the balances and allowances mappings by probing storage slots with overrides
+     */
+    async findTokenSlots(provider, tokenAddress) {
+        const probe = 123456789n;
+        const findSlot = async (getKey, data) => {
+            for (let slot = 0; slot <= this.maxStorageSlot; slot++) {
+                try {
+                    const result = await provider.send('eth_call', [
+                        { to: tokenAddress, data },
+                        'latest',
+                        { [tokenAddress]: { stateDiff: { [getKey(slot)]: ethers.toBeHex(probe, 32) } } }
+                    ]);
+                    if (BigInt(result) === probe) {
+                        return slot;
+                    }
+                } catch (error) {
+                    return null;
+                }
+            }
+            return null;
+        };
+
+        const balanceSlot = await findSlot(
+            slot => this.getBalanceKey(this.simulationAddress, slot),
+            this.erc20Interface.encodeFunctionData('balanceOf', [this.simulationAddress])
+        );
+        if (balanceSlot === null) {
+            return null;
+        }
+        const allowanceSlot = await findSlot(
+            slot => this.getAllowanceKey(this.simulationAddress, this.routerAddress, slot),
+            this.erc20Interface.encodeFunctionData('allowance', [this.simulationAddress, this.routerAddress])
+        );
+        return allowanceSlot === null ? null : { balanceSlot, allowanceSlot };
+    }
+
+    getBalanceKey(holder, slot) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [holder, slot]));
+    }
+
+    getAllowanceKey(owner, spender, slot) {
+        const ownerKey = this.getBalanceKey(owner, slot);
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [spender, ownerKey]));
+    }
+
+    /**
+     * Share of supply held by the largest wallets among recent transfer recipients
+     * Contracts (pools, routers, lockers) and burn addresses are excluded
+     */
+    async checkHolders(provider, token, totalSupply) {
+        const flags = [];
+        if (!(totalSupply > 0n)) {
+            return { summary: null, flags };
+        }
+
+        try {
+            const tokenAddress = await token.getAddress();
+            const latestBlock = await provider.getBlockNumber();
+            const candidates = new Set();
+            const oldestBlock = Math.max(latestBlock - this.holderScanBlocks + 1, 0);
+            for (let toBlock = latestBlock; toBlock >= oldestBlock && candidates.size < this.maxHolderCandidates; toBlock -= this.logChunkSize) {
+                const logs = await provider.getLogs({
+                    address: tokenAddress,
+                    topics: [this.transferTopic],
+                    fromBlock: Math.max(toBlock - this.logChunkSize + 1, oldestBlock),
+                    toBlock
+                });
+                for (const log of logs) {
+                    if (log.topics.length === 3) {
+                        candidates.add(ethers.getAddress(ethers.dataSlice(log.topics[2], 12)).toLowerCase());
+                    }
+                }
+            }
+
+            const holders = await Promise.all([...candidates].slice(0, this.maxHolderCandidates)
+                .filter(address => !this.burnAddresses.includes(address))
+                .map(async (address) => {
+                    const [balance, code] = await Promise.all([token.balanceOf(address), provider.getCode(address)]);
+                    return { address, balance, isContract: code !== '0x' };
+                }));
+
+            const wallets = holders
+                .filter(holder => !holder.isContract && holder.balance > 0n)
+                .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+            const percentOf = amount => Number(amount * 10000n / totalSupply) / 100;
+            const topHolderPercent = wallets.length > 0 ? percentOf(wallets[0].balance) : 0;
+            const top10Percent = percentOf(wallets.slice(0, 10).reduce((sum, holder) => sum + holder.balance, 0n));
+
+            if (topHolderPercent >= 20) {
+                flags.push({ level: 'high', message: `Top wallet holds ${topHolderPercent}% of supply` });
+            } else if (top10Percent >= 50) {
+                flags.push({ level: 'medium', message: `Top 10 wallets hold ${top10Percent}% of supply` });
+            }
+
+            return { summary: { sampled: holders.length, topHolderPercent, top10Percent }, flags };
+        } catch (error) {
+            this.monitoring?.logError('Token holder check failed', error);
+            return { summary: null, flags };
+        }
+    }
+
+    getRiskRank(level) {
+        return this.riskLevels.indexOf(level);
+    }
+
+    /**
+     * True when the report is above the highest risk level the user accepts
+     */
+    exceedsRisk(report, maxRiskLevel) {
+        return this.getRiskRank(report.riskLevel) > this.getRiskRank(maxRiskLevel);
+    }
+
+    getRiskBadge(report) {
+        const badges = {
+            low: '🟢 Low Risk',
+            medium: '🟡 Medium Risk',
+            high: '🟠 High Risk',
+            critical: '🔴 Critical Risk'
+        };
+        return report ? badges[report.riskLevel] : '⏳ Scanning...';
+    }
+}
+
+module.exports = TokenSafetyScanner;
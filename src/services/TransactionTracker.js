@@ -0,0 +1,378 @@
+const { ethers } = require('ethers');
+const { Markup } = require('telegraf');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🧾 Transaction Tracker - Follows submitted transactions until they are mined
+// Updates status / gas in the database, edits the trade message and replaces stuck transactions (same nonce)
+class TransactionTracker {
+    constructor(database, walletManager, bot = null, monitoring = null) {
+        this.database = database;
+        this.walletManager = walletManager;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        // UnifiedTradingEngine, set by the bot once it exists; charges platform fees of confirmed pending trades
+        this.tradingEngine = null;
+        this.checkInterval = null;
+        this.isChecking = false;
+
+        this.explorerUrl = 'https://testnet.monadexplorer.com/tx/';
+        this.trackingWindowHours = 24;
+        // Pending longer than this counts as stuck and gets speed up / cancel buttons
+        this.stuckAfterMs = 30 * 1000;
+        // Replacements must outbid the pending transaction's gas price
+        this.gasBumpPercent = 30;
+        // Transaction ids whose message already shows the stuck buttons
+        this.stuckNotified = new Set();
+    }
+
+    /**
+     * Start polling receipts of pending transactions
+     */
+    start(intervalSeconds = 5) {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+        }
+        this.checkInterval = setInterval(async () => {
+            await this.checkPendingTransactions();
+        }, intervalSeconds * 1000);
+        console.log('🧾 TransactionTracker started, interval:', intervalSeconds, 'seconds');
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Link a submitted transaction to the Telegram message that shows it
+     */
+    async track(txHash, chatId, messageId) {
+        try {
+            return await this.database.attachTransactionMessage(txHash, chatId, messageId);
+        } catch (error) {
+            this.monitoring?.logError('Track transaction failed', error, { txHash });
+            return null;
+        }
+    }
+
+    async checkPendingTransactions() {
+        if (this.isChecking) {
+            return;
+        }
+        this.isChecking = true;
+
+        try {
+            const transactions = await this.database.getPendingTransactions(this.trackingWindowHours);
+            for (const transaction of transactions) {
+                try {
+                    await this.checkTransaction(transaction);
+                } catch (error) {
+                    this.monitoring?.logError('Transaction check failed', error, { transactionId: transaction.id });
+                }
+            }
+        } catch (error) {
+            this.monitoring?.logError('Pending transaction check failed', error);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Settle the transaction if the original or its replacement was mined
+     */
+    async checkTransaction(transaction) {
+        const hashes = [transaction.replacement_tx_hash, transaction.tx_hash].filter(Boolean);
+        for (const hash of hashes) {
+            const receipt = await this.walletManager.getTransactionReceipt(hash);
+            if (receipt) {
+                return await this.settle(transaction, hash, receipt);
+            }
+        }
+
+        if (transaction.nonce === null || transaction.nonce === undefined) {
+            // First look at this transaction: remember sender and nonce for replacements
+            const pendingTx = await this.getTransaction(transaction.tx_hash);
+            if (pendingTx) {
+                transaction = await this.database.updateTransactionTracking(transaction.id, {
+                    from_address: pendingTx.from.toLowerCase(),
+                    nonce: pendingTx.nonce
+                });
+            }
+        } else if (await this.isNonceUsed(transaction)) {
+            // The nonce was consumed by a transaction we do not know about (dropped / replaced elsewhere)
+            const settled = await this.database.settleTransaction(transaction.id, 'failed', {});
+            if (settled) {
+                await this.updateMessage(settled);
+            }
+            return settled;
+        }
+
+        if (transaction && !this.stuckNotified.has(transaction.id) &&
+            Date.now() - new Date(transaction.created_at).getTime() > this.stuckAfterMs) {
+            this.stuckNotified.add(transaction.id);
+            await this.updateMessage(transaction);
+        }
+        return transaction;
+    }
+
+    async settle(transaction, minedHash, receipt) {
+        const isReplacement = minedHash === transaction.replacement_tx_hash;
+        let status = receipt.status === 1 ? 'confirmed' : 'failed';
+        if (isReplacement && transaction.replacement_type === 'cancel' && status === 'confirmed') {
+            status = 'cancelled';
+        }
+
+        const settled = await this.database.settleTransaction(transaction.id, status, {
+            txHash: minedHash,
+            gasUsed: receipt.gasUsed?.toString() || null,
+            gasPrice: (receipt.gasPrice ?? receipt.effectiveGasPrice)?.toString() || null,
+            blockNumber: receipt.blockNumber
+        });
+        this.stuckNotified.delete(transaction.id);
+
+        if (settled) {
+            this.monitoring?.logInfo('Transaction settled', { transactionId: transaction.id, status, txHash: minedHash });
+            if (status === 'confirmed') {
+                await this.applyToPortfolio(settled);
+                await this.collectPlatformFee(settled);
+            }
+            await this.updateMessage(settled);
+        }
+        return settled;
+    }
+
+    /**
+     * Apply a trade or token transfer that was logged while pending to the position of the wallet that sent it.
+     * Failed, cancelled and dropped transactions never touch the portfolio.
+     */
+    async applyToPortfolio(transaction) {
+        const amount = parseFloat(transaction.amount);
+        if (!transaction.from_address || !transaction.token_address || !(amount > 0)) {
+            return;
+        }
+
+        try {
+            if (transaction.type === 'buy') {
+                const price = parseFloat(transaction.price_per_token);
+                if (price > 0) {
+                    await this.database.updatePortfolioEntry(
+                        transaction.telegram_id, transaction.from_address, transaction.token_address,
+                        transaction.token_symbol, amount, price
+                    );
+                }
+            } else if (transaction.type === 'sell') {
+                const sale = await this.database.recordPortfolioSale(
+                    transaction.telegram_id, transaction.from_address, transaction.token_address,
+                    amount, parseFloat(transaction.total_value || 0)
+                );
+                if (sale) {
+                    await this.database.setTransactionRealizedPnl(transaction.id, sale.realized_delta);
+                }
+            } else if (transaction.type === 'transfer') {
+                await this.database.reducePortfolioBalance(
+                    transaction.telegram_id, transaction.from_address, transaction.token_address, amount
+                );
+            }
+        } catch (error) {
+            this.monitoring?.logError('Apply confirmed trade to portfolio failed', error, { transactionId: transaction.id });
+        }
+    }
+
+    /**
+     * Charge the platform fee of a trade that was logged while pending (its terms are kept in the metadata)
+     */
+    async collectPlatformFee(transaction) {
+        const fee = transaction.metadata?.platformFee;
+        if (!fee || !this.tradingEngine || !['buy', 'sell'].includes(transaction.type)) {
+            return null;
+        }
+
+        try {
+            const wallet = await this.getSigner(transaction.telegram_id, transaction.from_address || '');
+            if (!wallet) {
+                throw new Error('Sending wallet not found');
+            }
+            return await this.tradingEngine.collectPlatformFee(transaction.telegram_id, wallet, {
+                ...fee,
+                txHash: transaction.tx_hash,
+                side: transaction.type,
+                tokenAddress: transaction.token_address
+            });
+        } catch (error) {
+            this.monitoring?.logError('Collect platform fee of confirmed trade failed', error, { transactionId: transaction.id });
+            return null;
+        }
+    }
+
+    /**
+     * Whether the account nonce moved past this transaction without either of our hashes being mined
+     */
+    async isNonceUsed(transaction) {
+        if (!transaction.from_address) {
+            return false;
+        }
+        const [minedNonce, latestTx] = await Promise.all([
+            this.walletManager.rpcManager.executeWithFallback(
+                async (provider) => await provider.getTransactionCount(transaction.from_address, 'latest'),
+                'TRACKER_NONCE'
+            ),
+            this.getTransaction(transaction.replacement_tx_hash || transaction.tx_hash)
+        ]);
+        return minedNonce > Number(transaction.nonce) && !latestTx?.blockNumber;
+    }
+
+    async getTransaction(txHash) {
+        return await this.walletManager.rpcManager.executeWithFallback(
+            async (provider) => await provider.getTransaction(txHash),
+            'TRACKER_GET_TRANSACTION'
+        );
+    }
+
+    /**
+     * Speed up (same call, higher gas) or cancel (0 MON to self) a pending transaction.
+     * Returns { success, transaction } or { success: false, error }
+     */
+    async replaceTransaction(transactionId, userId, type) {
+        const transaction = await this.database.getTransactionById(transactionId, userId);
+        if (!transaction || transaction.status !== 'pending') {
+            return { success: false, error: 'Transaction is no longer pending' };
+        }
+        if (type === 'speed_up' && transaction.replacement_type === 'cancel') {
+            return { success: false, error: 'A cancellation is already pending' };
+        }
+
+        const pendingTx = await this.getTransaction(transaction.replacement_tx_hash || transaction.tx_hash);
+        if (!pendingTx) {
+            return { success: false, error: 'Transaction not found in the mempool' };
+        }
+        if (pendingTx.blockNumber) {
+            await this.checkTransaction(transaction);
+            return { success: false, error: 'Transaction was already mined' };
+        }
+
+        const wallet = await this.getSigner(userId, pendingTx.from);
+        if (!wallet) {
+            return { success: false, error: 'Sending wallet not found' };
+        }
+
+        const feeData = await wallet.provider.getFeeData();
+        const bumped = (pendingTx.gasPrice || 0n) * BigInt(100 + this.gasBumpPercent) / 100n;
+        const gasPrice = feeData.gasPrice && feeData.gasPrice > bumped ? feeData.gasPrice : bumped;
+
+        const replacement = type === 'cancel'
+            ? { to: pendingTx.from, value: 0n, gasLimit: 21000n }
+            : { to: pendingTx.to, data: pendingTx.data, value: pendingTx.value, gasLimit: pendingTx.gasLimit };
+
+        const txResponse = await wallet.sendTransaction({
+            ...replacement,
+            nonce: pendingTx.nonce,
+            gasPrice,
+            chainId: pendingTx.chainId
+        });
+
+        const updated = await this.database.updateTransactionTracking(transaction.id, {
+            from_address: pendingTx.from.toLowerCase(),
+            nonce: pendingTx.nonce,
+            replacement_tx_hash: txResponse.hash,
+            replacement_type: type
+        });
+        this.monitoring?.logInfo('Transaction replacement sent', {
+            userId, transactionId, type, txHash: txResponse.hash, gasPrice: gasPrice.toString()
+        });
+
+        await this.updateMessage(updated);
+        return { success: true, transaction: updated };
+    }
+
+    /**
+     * Wallet of this user that sent the transaction (any of their wallets)
+     */
+    async getSigner(userId, fromAddress) {
+        const wallets = await this.database.getUserWallets(userId);
+        let source = wallets.find(wallet => wallet.wallet_address?.toLowerCase() === fromAddress.toLowerCase());
+        if (!source) {
+            const user = await this.database.getUser(userId);
+            source = user?.wallet_address?.toLowerCase() === fromAddress.toLowerCase() ? user : null;
+        }
+        return source ? await this.walletManager.getWalletWithProvider(source.encrypted_private_key) : null;
+    }
+
+    /**
+     * Edit the trade message (if any) to show the current state
+     */
+    async updateMessage(transaction) {
+        if (!this.bot || !transaction?.chat_id || !transaction?.message_id) {
+            return;
+        }
+
+        const keyboard = transaction.status === 'pending'
+            ? Markup.inlineKeyboard([[
+                Markup.button.callback('🚀 Speed Up', `tx_speedup_${transaction.id}`),
+                Markup.button.callback('🛑 Cancel', `tx_cancel_${transaction.id}`)
+            ]])
+            : Markup.inlineKeyboard([]);
+
+        try {
+            await this.bot.telegram.editMessageText(
+                transaction.chat_id,
+                transaction.message_id,
+                undefined,
+                this.formatStatus(transaction),
+                {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true,
+                    reply_markup: keyboard.reply_markup
+                }
+            );
+        } catch (error) {
+            // Message deleted or unchanged
+        }
+    }
+
+    formatStatus(transaction) {
+        const titles = {
+            pending: '⏳ *Transaction Pending*',
+            confirmed: '✅ *Transaction Confirmed*',
+            failed: '❌ *Transaction Failed*',
+            cancelled: '🛑 *Transaction Cancelled*'
+        };
+        const action = { sell: 'Sell', transfer: 'Transfer' }[transaction.type] || 'Buy';
+        const symbol = TelegramUtils.stripMarkdown(transaction.token_symbol || 'Token');
+        const amountLines = {
+            sell: `${parseFloat(transaction.amount)} ${symbol} → ${parseFloat(transaction.total_value)} MON`,
+            transfer: `${parseFloat(transaction.amount)} ${symbol} → \`${transaction.metadata?.recipient || 'recipient'}\``
+        };
+        const amountLine = amountLines[transaction.type] || `${parseFloat(transaction.total_value)} MON → ${symbol}`;
+
+        let details;
+        if (transaction.status === 'pending') {
+            const replacement = {
+                speed_up: '🚀 Speed-up sent, waiting for it to be mined...',
+                cancel: '🛑 Cancellation sent, waiting for it to be mined...'
+            }[transaction.replacement_type];
+            details = replacement || '_Not mined yet. You can speed it up with a higher gas price or cancel it._';
+        } else if (transaction.status === 'failed' && !transaction.block_number) {
+            details = '_Dropped: its nonce was used by another transaction._';
+        } else {
+            const gasUsed = transaction.gas_used ? Number(transaction.gas_used).toLocaleString('en-US') : 'N/A';
+            const gasPrice = transaction.gas_price ? `${parseFloat(ethers.formatUnits(transaction.gas_price.toString(), 'gwei')).toFixed(1)} gwei` : 'N/A';
+            details = `• *Block:* ${transaction.block_number}
+• *Gas Used:* ${gasUsed} @ ${gasPrice}`;
+        }
+
+        const hash = transaction.status === 'pending' && transaction.replacement_tx_hash
+            ? transaction.replacement_tx_hash
+            : transaction.tx_hash;
+
+        return `${titles[transaction.status] || titles.pending} | ${action} ${symbol}
+
+• *Amount:* ${amountLine}
+${details}
+
+[View on Explorer](${this.explorerUrl}${hash})`;
+    }
+}
+
+module.exports = TransactionTracker;
@@ -0,0 +1,122 @@
+const { ethers } = require('ethers');
+const TelegramUtils = require('../utils/telegramUtils');
+
+// 🛡️ Withdrawal Whitelist Service - Saved, labeled withdrawal addresses with time-locked changes
+// New addresses and turning the whitelist off only take effect after a cooling period; enforcement is in UnifiedSecuritySystem
+class WithdrawalWhitelistService {
+    constructor(database, bot = null, monitoring = null) {
+        this.database = database;
+        this.bot = bot;
+        this.monitoring = monitoring;
+        this.notify = TelegramUtils.createNotifier(bot, monitoring, 'Whitelist notification failed');
+
+        this.cooldownHours = parseInt(process.env.WITHDRAWAL_WHITELIST_COOLDOWN_HOURS) || 24;
+        this.maxAddresses = 20;
+        this.maxLabelLength = 32;
+    }
+
+    /**
+     * Whitelist state and saved addresses, each flagged active or cooling
+     */
+    async getOverview(userId) {
+        const [status, addresses] = await Promise.all([
+            this.database.getWithdrawalWhitelistStatus(userId),
+            this.database.getWithdrawalAddresses(userId)
+        ]);
+
+        const now = new Date();
+        const disableAt = status?.withdrawal_whitelist_disable_at ? new Date(status.withdrawal_whitelist_disable_at) : null;
+
+        return {
+            enabled: Boolean(status?.withdrawal_whitelist_enabled) && !(disableAt && disableAt <= now),
+            disableAt: disableAt && disableAt > now ? disableAt : null,
+            addresses: addresses.map(entry => ({
+                ...entry,
+                active: new Date(entry.active_at) <= now
+            }))
+        };
+    }
+
+    async enable(userId) {
+        await this.database.enableWithdrawalWhitelist(userId);
+        this.monitoring?.logInfo('Withdrawal whitelist enabled', { userId });
+        return { success: true };
+    }
+
+    /**
+     * Turning the whitelist off is time-locked like adding an address
+     */
+    async requestDisable(userId) {
+        const overview = await this.getOverview(userId);
+        if (!overview.enabled) {
+            return { success: false, error: 'The whitelist is not enabled' };
+        }
+
+        const updated = await this.database.scheduleWithdrawalWhitelistDisable(userId, this.cooldownHours);
+        const disableAt = new Date(updated.withdrawal_whitelist_disable_at);
+
+        this.monitoring?.logInfo('Withdrawal whitelist disable scheduled', { userId, disableAt });
+        await this.notify(userId, `🛡️ *Security Notice*
+
+Your withdrawal whitelist will turn off on *${this.formatDate(disableAt)}*.
+Until then transfers still only go to your saved addresses.
+
+If this wasn't you, open /whitelist and tap *Keep Enabled* right away.`);
+
+        return { success: true, disableAt };
+    }
+
+    /**
+     * Save a labeled address; it can receive whitelisted transfers after the cooling period
+     */
+    async addAddress(userId, address, label) {
+        if (!ethers.isAddress(address)) {
+            return { success: false, error: 'Invalid address format' };
+        }
+
+        const cleanLabel = String(label || '').replace(/[_*`[\]]/g, '').trim().substring(0, this.maxLabelLength);
+        if (!cleanLabel) {
+            return { success: false, error: 'Please add a label after the address' };
+        }
+
+        const existing = await this.database.getWithdrawalAddresses(userId);
+        if (existing.length >= this.maxAddresses) {
+            return { success: false, error: `You can save up to ${this.maxAddresses} addresses` };
+        }
+
+        const entry = await this.database.addWithdrawalAddress(userId, address, cleanLabel, this.cooldownHours);
+        if (!entry) {
+            return { success: false, error: 'This address is already saved' };
+        }
+
+        this.monitoring?.logInfo('Withdrawal address added', { userId, addressId: entry.id });
+        await this.notify(userId, `🛡️ *Security Notice*
+
+A new withdrawal address was added to your whitelist:
+*${cleanLabel}* \`${entry.address}\`
+
+It can receive transfers from *${this.formatDate(new Date(entry.active_at))}*.
+If this wasn't you, remove it in /whitelist right away.`);
+
+        return { success: true, entry };
+    }
+
+    /**
+     * Removing an address only narrows the whitelist, so it takes effect immediately
+     */
+    async removeAddress(userId, addressId) {
+        const removed = await this.database.removeWithdrawalAddress(userId, addressId);
+        if (!removed) {
+            return { success: false, error: 'Address not found' };
+        }
+
+        this.monitoring?.logInfo('Withdrawal address removed', { userId, addressId });
+        return { success: true, entry: removed };
+    }
+
+    formatDate(date) {
+        return date.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+    }
+}
+
+module.exports = WithdrawalWhitelistService;
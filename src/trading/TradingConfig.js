@@ -106,6 +106,24 @@ class TradingConfig {
             retryAttempts: 3, // Number of retry attempts
             timeoutBuffer: 5000 // 5 seconds buffer for timeout
         };
+
+        // Platform fee on buys and sells, collected in MON (disabled without a fee wallet)
+        this.platformFee = {
+            wallet: process.env.PLATFORM_FEE_WALLET || null,
+            // Basis points per user tier
+            tiers: {
+                standard: this.parseBps(process.env.PLATFORM_FEE_BPS, 100),   // 1%
+                referred: this.parseBps(process.env.PLATFORM_FEE_REFERRED_BPS, 90),
+                vip: this.parseBps(process.env.PLATFORM_FEE_VIP_BPS, 50),
+                exempt: 0
+            },
+            maxBps: 500 // 5% hard cap
+        };
+    }
+
+    parseBps(value, fallback) {
+        const bps = parseInt(value);
+        return Number.isInteger(bps) && bps >= 0 ? bps : fallback;
     }
 
     /**
@@ -202,6 +220,25 @@ class TradingConfig {
         return config.gas.default || 50000000000;
     }
 
+    /**
+     * Platform fee is on when a valid fee wallet is configured
+     */
+    isPlatformFeeEnabled() {
+        return /^0x[a-fA-F0-9]{40}$/.test(this.platformFee.wallet || '');
+    }
+
+    isValidFeeTier(tier) {
+        return Object.keys(this.platformFee.tiers).includes(tier);
+    }
+
+    /**
+     * Fee in basis points for a user tier (unknown tiers pay standard)
+     */
+    getPlatformFeeBps(tier) {
+        const bps = this.platformFee.tiers[tier] ?? this.platformFee.tiers.standard;
+        return Math.min(bps, this.platformFee.maxBps);
+    }
+
     /**
      * Get timeout for trading type
      */
@@ -64,7 +64,8 @@ class TradingDataManager {
         });
         
         try {
-            // Use preloaded data if available (for speed)
+            // Use preloaded data if available (for speed). A preloaded user picks the trading wallet,
+            // so it is kept even when the settings still have to be loaded
             let user, settings;
             if (preloadedUser && preloadedSettings) {
                 user = preloadedUser;
@@ -80,8 +81,8 @@ class TradingDataManager {
                 const dataFetchTimer = logger.startTimer('fetch_user_settings_data');
                 
                 [user, settings] = await Promise.all([
-                    this.getCachedUser(userId),
-                    this.getCachedSettings(userId)
+                    preloadedUser || this.getCachedUser(userId),
+                    preloadedSettings || this.getCachedSettings(userId)
                 ]);
                 
                 logger.endTimer(dataFetchTimer, 'User and settings data fetched', {
@@ -366,16 +367,16 @@ class TradingDataManager {
             await this.cache.invalidateAfterOperation(operationType, userId, walletAddress);
             // Log successful trade
             if (result.txHash) {
-                await this.logSuccessfulTrade(userId, result);
+                await this.logSuccessfulTrade(userId, result, walletAddress);
             }
         } catch (error) {
             // Don't throw error here as the trade was successful
         }
     }
     /**
-     * 📝 Log successful transaction
+     * 📝 Log successful transaction against the position of the wallet that traded
      */
-    async logSuccessfulTrade(userId, result) {
+    async logSuccessfulTrade(userId, result, walletAddress) {
         const timer = logger.startTimer('log_successful_trade');
         
         try {
@@ -387,8 +388,8 @@ class TradingDataManager {
                 category: 'trading_transaction'
             });
             
-            // Get the correct amount based on action type
-            let amount = result.amount || result.monAmount || result.tokenAmount;
+            // Token amount for buys and sells alike; the MON side goes to total_value
+            let amount = result.actualTokenAmount || result.tokenAmount || result.amount || result.monAmount;
             // Ensure amount is not null
             if (!amount) {
                 amount = '0';
@@ -406,14 +407,24 @@ class TradingDataManager {
                 totalValue = amount.toString(); // Final fallback
             }
             
+            const numAmount = parseFloat(amount);
             const transactionData = {
                 txHash: result.txHash,
-                type: result.type || 'unknown',
+                // result.type (normal/turbo) is only set after logging; the history needs buy/sell
+                type: result.action || result.type || 'unknown',
                 tokenAddress: result.tokenAddress,
+                tokenSymbol: result.tokenSymbol || null,
                 amount: amount.toString(),
+                pricePerToken: numAmount > 0 ? (parseFloat(totalValue) / numAmount).toString() : null,
                 totalValue: totalValue, // Fixed: use camelCase to match database function
+                // Turbo trades do not wait for a receipt, so gas is unknown and the tx still pending
+                gasUsed: result.gasUsed || null,
+                gasPrice: result.gasUsed ? result.effectiveGasPrice || null : null,
+                status: result.gasUsed ? 'confirmed' : 'pending',
+                fromAddress: walletAddress,
                 timestamp: new Date(),
-                success: true
+                success: true,
+                metadata: result.metadata || null
             };
             
             logger.debug('Transaction data prepared for database', {
@@ -422,8 +433,37 @@ class TradingDataManager {
                 category: 'trading_transaction'
             });
             
+            // Pending trades reach the portfolio once TransactionTracker sees them confirmed
+            const isConfirmed = transactionData.status === 'confirmed';
+
+            // Average-cost accounting: sells realize PnL against the cost basis (stored on the sell row)
+            const soldAmount = parseFloat(result.tokenAmount || 0);
+            if (isConfirmed && result.action === 'sell' && soldAmount > 0) {
+                const sale = await this.database.recordPortfolioSale(
+                    userId,
+                    walletAddress,
+                    result.tokenAddress,
+                    soldAmount,
+                    parseFloat(result.monReceived || 0)
+                );
+                transactionData.realizedPnl = sale ? sale.realized_delta : null;
+            }
+
             await this.database.addTransaction(userId, transactionData);
-            
+
+            // Buys raise the cost basis
+            const boughtAmount = parseFloat(result.actualTokenAmount || result.tokenAmount || 0);
+            if (isConfirmed && result.action === 'buy' && boughtAmount > 0 && result.tokenPrice) {
+                await this.database.updatePortfolioEntry(
+                    userId,
+                    walletAddress,
+                    result.tokenAddress,
+                    result.tokenSymbol,
+                    boughtAmount,
+                    result.tokenPrice
+                );
+            }
+
             logger.info('Successful trade logged to database', {
                 userId,
                 txHash: result.txHash,
@@ -18,6 +18,7 @@ class TradingInterface {
         this.config = new TradingConfig();
         this.database = dependencies.database;
         this.monitoring = dependencies.monitoring;
+        this.transactionTracker = dependencies.transactionTracker || null;
         
         // Initialize professional messaging system
         this.messageUpdater = new RealTimeMessageUpdater(bot, {
@@ -57,6 +58,10 @@ class TradingInterface {
         this.bot.action(/^sell_percentage_([A-Za-z0-9]+)_(\d+)$/, async (ctx) => {
             await this.handleSellPercentageSelection(ctx);
         });
+        // Pick the wallet used by the open buy / sell screen
+        this.bot.action(/^trade_wallet_(\d+)$/, async (ctx) => {
+            await this.handleTradeWalletSelection(ctx);
+        });
     }
     /**
      * Handle custom buy amount - EXACT COPY from old system
@@ -82,6 +87,12 @@ class TradingInterface {
         if (!tokenAddress || tokenAddress === 'undefined') {
             return ctx.reply('❌ Invalid token address. Please try again.');
         }
+        await this.showBuyScreen(ctx, tokenAddress);
+    }
+    /**
+     * Buy screen for a token, trading from the given wallet (active wallet by default)
+     */
+    async showBuyScreen(ctx, tokenAddress, walletId = null) {
         try {
             // Get token info to display in buy screen
             const tokenInfo = await this.engine.dataManager.getCachedTokenInfo(tokenAddress);
@@ -101,8 +112,10 @@ class TradingInterface {
             // Set user state with token selection
             await this.database.setUserState(ctx.from.id, 'token_selected', {
                 tokenAddress: tokenAddress,
-                tokenInfo: tokenInfo.token
+                tokenInfo: tokenInfo.token,
+                walletId: walletId
             });
+            const walletRow = await this.getTradeWalletRow(ctx.from.id, walletId);
             const buyText = `💎 *Buy ${tokenInfo.token.symbol}*
 
 📊 *Token Information:*
@@ -123,6 +136,7 @@ _💡 Select your investment amount:_`;
                     Markup.button.callback(`${amountsArray[3]?.trim() || '5'} MON`, `buy_amount_${amountsArray[3]?.trim() || '5'}`)
                 ],
                 [Markup.button.callback('📝 Custom Amount', 'buy_amount_custom')],
+                ...walletRow,
                 [Markup.button.callback('🔙 Back', 'token_categories')]
             ]);
             await ctx.editMessageText(buyText, {
@@ -138,11 +152,16 @@ _💡 Select your investment amount:_`;
      * Handle sell from new portfolio - EXACT COPY from old system
      */
     async handleSellFromNewPortfolio(ctx) {
+        await ctx.answerCbQuery();
+        await this.showSellScreen(ctx, ctx.match[1]);
+    }
+    /**
+     * Sell screen for a held token, using the balance of the given wallet (active wallet by default)
+     */
+    async showSellScreen(ctx, tokenSymbol, walletId = null) {
         try {
-            await ctx.answerCbQuery();
             const userId = ctx.from.id;
-            const tokenSymbol = ctx.match[1];
-            const user = await this.database.getUser(userId);
+            const user = await this.getTradeUser(userId, walletId);
             if (!user) {
                 await ctx.reply('❌ Please start the bot first with /start');
                 return;
@@ -169,8 +188,10 @@ _💡 Select your investment amount:_`;
                 tokenSymbol: tokenSymbol,
                 tokenAddress: token.address,
                 balance: token.balance,
-                tokenInfo: token
+                tokenInfo: token,
+                walletId: walletId
             });
+            const walletRow = await this.getTradeWalletRow(userId, walletId, 'sell');
             const sellText = `📈 *Sell ${tokenSymbol}*
 
 💼 *Your Holdings:*
@@ -189,6 +210,7 @@ _🎯 Select percentage to sell:_`;
                     Markup.button.callback(`${percentagesArray[2]?.trim() || '75'}%`, `sell_percentage_${tokenSymbol}_${percentagesArray[2]?.trim() || '75'}`),
                     Markup.button.callback(`${percentagesArray[3]?.trim() || '100'}%`, `sell_percentage_${tokenSymbol}_${percentagesArray[3]?.trim() || '100'}`)
                 ],
+                ...walletRow,
                 [Markup.button.callback('🔙 Back to Portfolio', 'portfolio')]
             ]);
             await ctx.editMessageText(sellText, {
@@ -218,7 +240,7 @@ _🎯 Select percentage to sell:_`;
             }
             
             // Safety checks before execution
-            const user = await this.database.getUser(userId);
+            const user = await this.getTradeUser(userId, userState.data.walletId);
             if (!user?.wallet_address) {
                 return ctx.reply('❌ Wallet not found. Please create a wallet first.');
             }
@@ -252,7 +274,9 @@ _🎯 Select percentage to sell:_`;
                 tokenAddress: userState.data.tokenAddress,
                 amount: tokenAmount,
                 percentage: effectivePercentage,
-                ctx: ctx
+                ctx: ctx,
+                preloadedUser: user,
+                preloadedSettings: userSettings
             });
             
             // Clear user state
@@ -294,7 +318,7 @@ _🎯 Select percentage to sell:_`;
             const userId = ctx.from.id;
             
             // Safety checks before execution
-            const user = await this.database.getUser(userId);
+            const user = await this.getTradeUser(userId, userState.data.walletId);
             if (!user?.wallet_address) {
                 return ctx.reply('❌ Wallet not found. Please create a wallet first.');
             }
@@ -339,7 +363,9 @@ _🎯 Select percentage to sell:_`;
                 userId: userId,
                 tokenAddress: tokenAddress,
                 amount: buyAmount,
-                ctx: ctx
+                ctx: ctx,
+                preloadedUser: user,
+                preloadedSettings: userSettings
             });
             
             // Clear user state
@@ -393,6 +419,61 @@ Please enter the token contract address you want to buy:`;
         // Set user state to expect token address input
         await this.database.setUserState(ctx.from.id, 'awaiting_token_address', {});
     }
+    /**
+     * Switch the wallet of the open buy / sell screen and redraw it
+     */
+    async handleTradeWalletSelection(ctx) {
+        await ctx.answerCbQuery();
+        const userId = ctx.from.id;
+        const userState = await this.database.getUserState(userId);
+        if (userState?.state === 'token_selected' && userState.data?.tokenAddress) {
+            await this.showBuyScreen(ctx, userState.data.tokenAddress, ctx.match[1]);
+        } else if (userState?.state === 'selling_token' && userState.data?.tokenSymbol) {
+            await this.showSellScreen(ctx, userState.data.tokenSymbol, ctx.match[1]);
+        } else {
+            await ctx.reply('❌ Token selection expired. Please select a token again.');
+        }
+    }
+    /**
+     * User record with the wallet picked for this trade swapped in
+     */
+    async getTradeUser(userId, walletId = null) {
+        const user = await this.database.getUser(userId);
+        if (!user || !walletId) {
+            return user;
+        }
+        const wallet = await this.database.getUserWallet(userId, walletId);
+        if (!wallet) {
+            return user;
+        }
+        return {
+            ...user,
+            wallet_address: wallet.wallet_address,
+            encrypted_private_key: wallet.encrypted_private_key,
+            encrypted_mnemonic: wallet.encrypted_mnemonic
+        };
+    }
+    /**
+     * "Trading from" button that cycles through the user's wallets plus the
+     * bundle (all wallets) button; hidden with a single wallet
+     */
+    async getTradeWalletRow(userId, walletId = null, action = 'buy') {
+        const wallets = await this.database.getUserWallets(userId);
+        if (wallets.length < 2) {
+            return [];
+        }
+        let index = wallets.findIndex(wallet => String(wallet.id) === String(walletId));
+        if (index === -1) {
+            index = Math.max(wallets.findIndex(wallet => wallet.is_active), 0);
+        }
+        const nextWallet = wallets[(index + 1) % wallets.length];
+        return [
+            [Markup.button.callback(`👛 Wallet: ${wallets[index].name} 🔄`, `trade_wallet_${nextWallet.id}`)],
+            [action === 'buy'
+                ? Markup.button.callback(`📦 Bundle Buy (${wallets.length} wallets)`, 'bundle_buy')
+                : Markup.button.callback('📦 Sell from All Wallets', 'bundle_sell')]
+        ];
+    }
     /**
      * Send success message - Enhanced version with processing message support
      */
@@ -420,6 +501,7 @@ Please enter the token contract address you want to buy:`;
                 tokenPrice: result.tokenPrice,
                 route: result.route,
                 executionTime: result.executionTime,
+                platformFee: result.platformFee,
                 isAutoBuy: operationType === 'auto_buy'
             };
 
@@ -455,6 +537,12 @@ Please enter the token contract address you want to buy:`;
                 });
             }
 
+            // Turbo trades return before they are mined: the tracker updates this message once they are
+            const messageId = processingMessage?.message_id || ctx.callbackQuery?.message?.message_id;
+            if (this.transactionTracker && result.txHash && !result.gasUsed && messageId) {
+                await this.transactionTracker.track(result.txHash, ctx.chat.id, messageId);
+            }
+
         } catch (error) {
             console.error('Error sending success message:', error);
             
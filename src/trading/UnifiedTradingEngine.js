@@ -3,6 +3,7 @@
  * Unified entry point for all trading types (Normal, Turbo, Auto Buy)
  * Replaces all legacy trading engines
  */
+const { ethers } = require('ethers');
 const TradingDataManager = require('./TradingDataManager');
 const TradingConfig = require('./TradingConfig');
 class UnifiedTradingEngine {
@@ -30,7 +31,7 @@ class UnifiedTradingEngine {
      */
     async executeTrade(request) {
         const startTime = Date.now();
-        const { type, action, userId, tokenAddress, amount, ctx, preloadedUser, preloadedSettings } = request;
+        const { type, action, userId, tokenAddress, amount, ctx, preloadedUser, preloadedSettings, metadata } = request;
         try {
             // Validate trade type
             if (!this.config.isValidTradeType(type)) {
@@ -38,15 +39,41 @@ class UnifiedTradingEngine {
             }
             // 1️⃣ Prepare data once only (using preloaded data for speed)
             const tradeData = await this.dataManager.prepareTradeData(userId, type, preloadedUser, preloadedSettings);
-            // 2️⃣ Execute trade by type and action
+            const fee = await this.getPlatformFee(userId);
+            // 2️⃣ Execute trade by type and action (NonceManager keeps concurrent trades of a wallet from colliding)
             let result;
             if (action === 'buy') {
-                result = await this.executeBuyByType(type, tradeData, tokenAddress, amount);
+                // The fee comes out of the buy amount, only the rest is swapped
+                const swapAmount = fee ? this.splitPlatformFee(amount, fee.bps).netAmount : amount;
+                if (fee && type === 'normal') {
+                    // The fee is sent after the swap, so the balance has to cover the whole amount
+                    await this.validateNormalTrade(tradeData, tokenAddress, amount);
+                }
+                result = await this.executeBuyByType(type, tradeData, tokenAddress, swapAmount);
             } else if (action === 'sell') {
                 result = await this.executeSellByType(type, tradeData, tokenAddress, amount);
             } else {
                 throw new Error(`Invalid action: ${action}`);
             }
+            // Attach caller audit data (e.g. automated sell reason) for the transaction log
+            if (metadata) {
+                result.metadata = metadata;
+            }
+            if (fee && result.success) {
+                const terms = { tier: fee.tier, bps: fee.bps, tradeValue: action === 'buy' ? String(amount) : null };
+                if (result.gasUsed) {
+                    // Already mined (normal trades wait for the receipt)
+                    result.platformFee = await this.collectPlatformFee(userId, tradeData.wallet, {
+                        ...terms,
+                        txHash: result.txHash,
+                        side: action,
+                        tokenAddress
+                    });
+                } else {
+                    // Pending turbo trade: TransactionTracker charges it once confirmed, a reverted swap is never charged
+                    result.metadata = { ...result.metadata, platformFee: terms };
+                }
+            }
             // 3️⃣ Clean cache after successful trade
             if (result.success) {
                 await this.dataManager.postTradeCleanup(userId, tradeData.user.wallet_address, result);
@@ -71,6 +98,153 @@ class UnifiedTradingEngine {
             };
         }
     }
+    /**
+     * 📦 Run the same trade from several wallets concurrently
+     * legs: [{ wallet, amount }] where wallet is a user_wallets row
+     */
+    async executeBundle(request) {
+        const { type, action, userId, tokenAddress, legs, preloadedUser, preloadedSettings, metadata } = request;
+        const startTime = Date.now();
+
+        const results = await Promise.all(legs.map(async (leg, index) => {
+            const result = await this.executeTrade({
+                type,
+                action,
+                userId,
+                tokenAddress,
+                amount: leg.amount,
+                preloadedUser: {
+                    ...preloadedUser,
+                    wallet_address: leg.wallet.wallet_address,
+                    encrypted_private_key: leg.wallet.encrypted_private_key,
+                    encrypted_mnemonic: leg.wallet.encrypted_mnemonic
+                },
+                preloadedSettings,
+                metadata: {
+                    ...metadata,
+                    source: 'bundle',
+                    walletId: leg.wallet.id,
+                    leg: index + 1,
+                    legs: legs.length
+                }
+            });
+            return { ...result, wallet: leg.wallet, requestedAmount: leg.amount };
+        }));
+
+        const successes = results.filter(result => result.success);
+        return {
+            action,
+            results,
+            successCount: successes.length,
+            failureCount: results.length - successes.length,
+            totalSpent: action === 'buy' ? successes.reduce((sum, result) => sum + parseFloat(result.monAmount || 0), 0) : 0,
+            totalTokens: successes.reduce((sum, result) =>
+                sum + parseFloat(action === 'buy' ? (result.actualTokenAmount || 0) : (result.tokenAmount || 0)), 0),
+            totalReceived: action === 'sell' ? successes.reduce((sum, result) => sum + parseFloat(result.monReceived || 0), 0) : 0,
+            executionTime: Date.now() - startTime
+        };
+    }
+    /**
+     * 💸 Platform fee for the user's tier, or null when no fee applies
+     */
+    async getPlatformFee(userId) {
+        if (!this.config.isPlatformFeeEnabled()) {
+            return null;
+        }
+        let tier = 'standard';
+        try {
+            const feeTier = await this.database.getUserFeeTier(userId);
+            tier = feeTier?.fee_tier || (feeTier?.referred ? 'referred' : 'standard');
+        } catch (error) {
+            this.monitoring?.logError('Fee tier lookup failed', error, { userId });
+        }
+        const bps = this.config.getPlatformFeeBps(tier);
+        return bps > 0 ? { tier, bps } : null;
+    }
+    /**
+     * Split a MON amount into the fee (wei) and what is left after it
+     */
+    splitPlatformFee(value, bps) {
+        // Decimal strings are parsed as-is; toFixed(18) would carry float error into the wei amount
+        const text = String(value).trim();
+        const valueWei = ethers.parseEther(/^\d+(\.\d{1,18})?$/.test(text) ? text : parseFloat(text).toFixed(18));
+        const feeWei = valueWei * BigInt(bps) / 10000n;
+        return {
+            feeWei,
+            netAmount: parseFloat(ethers.formatEther(valueWei - feeWei))
+        };
+    }
+    /**
+     * Send the fee of a mined trade to the fee wallet and record it in the ledger.
+     * trade: { txHash, side, tokenAddress, tier, bps, tradeValue } - buys pay on the requested amount,
+     * sells on the MON actually received. Never throws; returns the fee shown with the trade or null.
+     */
+    async collectPlatformFee(userId, wallet, trade) {
+        let tradeValue = trade.tradeValue;
+        if (trade.side === 'sell') {
+            try {
+                const receivedWei = await this.getMonReceived(wallet.address, trade.txHash);
+                tradeValue = receivedWei ? ethers.formatEther(receivedWei) : null;
+            } catch (error) {
+                tradeValue = null;
+            }
+            if (!tradeValue) {
+                this.monitoring?.logWarning('Platform fee skipped: MON received unknown', { userId, txHash: trade.txHash });
+                return null;
+            }
+        }
+        const { feeWei } = this.splitPlatformFee(tradeValue, trade.bps);
+        if (feeWei === 0n) {
+            return null;
+        }
+        const feeAmount = ethers.formatEther(feeWei);
+        const entry = {
+            txHash: trade.txHash,
+            side: trade.side,
+            tokenAddress: trade.tokenAddress,
+            tradeValue: parseFloat(tradeValue).toFixed(18),
+            feeTier: trade.tier,
+            feeBps: trade.bps,
+            feeAmount
+        };
+        try {
+            const tx = await this.monorailAPI.sendWalletTransaction(wallet, {
+                to: this.config.platformFee.wallet,
+                value: feeWei,
+                gasLimit: 21000n
+            });
+            entry.status = 'collected';
+            entry.feeTxHash = tx.hash;
+        } catch (error) {
+            entry.status = 'failed';
+            entry.errorMessage = error.message;
+            this.monitoring?.logError('Platform fee transfer failed', error, { userId, txHash: trade.txHash });
+        }
+        try {
+            await this.database.recordPlatformFee(userId, entry);
+        } catch (error) {
+            this.monitoring?.logError('Record platform fee failed', error, { userId, entry });
+        }
+        return { amount: feeAmount, bps: trade.bps, tier: trade.tier, status: entry.status };
+    }
+    /**
+     * MON a mined sell paid out: the wallet's balance change over the sell's block plus the gas it paid
+     */
+    async getMonReceived(walletAddress, txHash) {
+        const receipt = await this.walletManager.getTransactionReceipt(txHash);
+        if (!receipt || receipt.status !== 1) {
+            return null;
+        }
+        const [before, after] = await this.walletManager.rpcManager.executeWithFallback(
+            async (provider) => await Promise.all([
+                provider.getBalance(walletAddress, receipt.blockNumber - 1),
+                provider.getBalance(walletAddress, receipt.blockNumber)
+            ]),
+            'PLATFORM_FEE_SELL_OUTPUT'
+        );
+        const received = after - before + receipt.gasUsed * (receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n);
+        return received > 0n ? received : null;
+    }
     /**
      * 💰 Execute buy operations by type
      */
@@ -135,6 +309,8 @@ class UnifiedTradingEngine {
                 ? (amount / swapResult.expectedOutput).toFixed(6) 
                 : null;
             
+            await this.applyDefaultProtection(tradeData, tokenAddress, tokenInfo.token.symbol);
+            
             return {
                 success: true,
                 action: 'buy',
@@ -190,6 +366,8 @@ class UnifiedTradingEngine {
                 ? (amount / swapResult.expectedOutput).toFixed(6) 
                 : null;
             
+            await this.applyDefaultProtection(tradeData, tokenAddress, tokenInfo?.token?.symbol);
+            
             return {
                 success: true,
                 action: 'buy',
@@ -262,7 +440,8 @@ class UnifiedTradingEngine {
                 tokenAddress: tokenAddress,
                 tokenSymbol: tokenSymbol,
                 tokenName: tokenName,
-                tokenAmount: tokenAmount,
+                // What was actually sold, so PnL is realized on the right amount
+                tokenAmount: adjustedAmount,
                 monReceived: swapResult.expectedOutput || swapResult.outputAmount || '0',
                 mode: 'normal',
                 gasUsed: swapResult.receipt?.gasUsed?.toString(),
@@ -320,6 +499,29 @@ class UnifiedTradingEngine {
             throw error;
         }
     }
+    /**
+     * 🛡️ Attach the user's default stop-loss / take-profit to the position after a buy
+     */
+    async applyDefaultProtection(tradeData, tokenAddress, tokenSymbol) {
+        const stopLoss = tradeData.settings?.default_stop_loss_percent;
+        const takeProfit = tradeData.settings?.default_take_profit_percent;
+        if (!stopLoss && !takeProfit) {
+            return;
+        }
+        try {
+            await this.database.applyDefaultPositionProtection(
+                tradeData.user.telegram_id,
+                tradeData.user.wallet_address,
+                tokenAddress,
+                tokenSymbol,
+                stopLoss || null,
+                takeProfit || null
+            );
+        } catch (error) {
+            // Never fail a completed buy because protection could not be saved
+            this.monitoring?.logError('Apply default protection failed', error, { tokenAddress });
+        }
+    }
     /**
      * ✅ Security validations for normal trading
      */
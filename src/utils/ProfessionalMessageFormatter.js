@@ -52,6 +52,7 @@ class ProfessionalMessageFormatter {
             priceChange30m,
             priceChange24h,
             isRenounced,
+            platformFee,
             isAutoBuy = false
         } = data;
 
@@ -100,7 +101,7 @@ class ProfessionalMessageFormatter {
 ⚡️Mode: ${modeDisplay}
 
 🟢 Fetched Quote (_${dexName}_)
-
+${this.formatPlatformFee(platformFee)}
 🟢 _Buy Success!_ [View on MonVision](${explorerUrl})`;
     }
 
@@ -119,7 +120,8 @@ class ProfessionalMessageFormatter {
             gasUsed,
             timestamp,
             dexName = 'Monorail',
-            mode = 'normal'
+            mode = 'normal',
+            platformFee
         } = data;
 
         const explorerUrl = `${this.explorerBaseUrl}/tx/${txHash}`;
@@ -138,10 +140,21 @@ class ProfessionalMessageFormatter {
 ⚡️Mode: ${modeDisplay}
 
 🟢 Fetched Quote (_${dexName}_)
-
+${this.formatPlatformFee(platformFee)}
 🟢 _Sell Success!_ [View on MonVision](${explorerUrl})`;
     }
 
+    /**
+     * Fee line for trade messages (empty line when no fee was collected)
+     */
+    formatPlatformFee(platformFee) {
+        if (!platformFee || platformFee.status !== 'collected') {
+            return '';
+        }
+        return `💸 Fee: ${this.formatNumber(platformFee.amount)} MON (${platformFee.bps / 100}%)
+`;
+    }
+
     /**
      * Format Quote Message (Real-time)
      */
@@ -7,12 +7,20 @@ class InterfaceUtils {
      * @param {number} monBalance - MON balance
      * @param {number} monPriceUSD - MON price in USD
      * @param {number} portfolioValueUSD - Portfolio value in USD
+     * @param {Object|null} pnlSummary - {realized, unrealized, roi} totals, omitted when null
      * @returns {Object} - {text, keyboard}
      */
-    static generateMainInterface(user, monBalance, monPriceUSD, portfolioValueUSD) {
+    static generateMainInterface(user, monBalance, monPriceUSD, portfolioValueUSD, pnlSummary = null) {
         const portfolioValueMON = monPriceUSD > 0 ? portfolioValueUSD / monPriceUSD : 0;
         const monValueUSD = monBalance * monPriceUSD;
 
+        let pnlLine = '';
+        if (pnlSummary && pnlSummary.hasEntries) {
+            const totalPnL = pnlSummary.realized + pnlSummary.unrealized;
+            const roiText = pnlSummary.roi !== null ? ` (ROI ${pnlSummary.roi >= 0 ? '+' : ''}${pnlSummary.roi.toFixed(2)}%)` : '';
+            pnlLine = `\n• PnL: ${totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(4)} MON${roiText}`;
+        }
+
         const welcomeText = `🛸 *Welcome to Area51!*
 _The main area for real nads!_
 
@@ -21,7 +29,7 @@ _The main area for real nads!_
 
 💼 *Balance:*
 • MON: ${monBalance.toFixed(2)} ~$${monValueUSD.toFixed(2)}
-• Portfolio Value: ${portfolioValueMON.toFixed(2)} MON ~$${portfolioValueUSD.toFixed(2)}
+• Portfolio Value: ${portfolioValueMON.toFixed(2)} MON ~$${portfolioValueUSD.toFixed(2)}${pnlLine}
 
 🟣 *Current MON Price:* $${monPriceUSD.toFixed(2)}
 
@@ -32,7 +40,8 @@ _The main area for real nads!_
             [Markup.button.callback('👛 Wallet', 'wallet'), Markup.button.callback('📊 Portfolio', 'portfolio')],
             [Markup.button.callback('📈 Categories', 'token_categories'), Markup.button.callback('⚙️ Settings', 'settings')],
             [Markup.button.callback('📤 Transfer', 'transfer'), Markup.button.callback('💬 Feedback', 'feedback')],
-            [Markup.button.callback('🔄 Refresh', 'refresh')]
+            [Markup.button.callback('📜 History', 'history'), Markup.button.callback('🤝 Referrals', 'referrals')],
+            [Markup.button.callback('⭐ Watchlist', 'watchlist'), Markup.button.callback('🔄 Refresh', 'refresh')]
         ]);
 
         return { text: welcomeText, keyboard };
@@ -73,6 +73,65 @@ class TelegramUtils {
         return text.toString().replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
     }
 
+    /**
+     * Strip characters that break legacy Markdown (token names, labels and other user-chosen text)
+     * @param {string} text - Text to clean
+     * @returns {string} Text safe inside a legacy Markdown message
+     */
+    static stripMarkdown(text) {
+        return String(text).replace(/[_*`[\]]/g, '');
+    }
+
+    /**
+     * Edit the message of a button press in place, otherwise send a new one (legacy Markdown)
+     * @param {Object} ctx - Telegraf context
+     * @param {string} text - Message text
+     * @param {Object} keyboard - Markup keyboard
+     * @param {Object} options - { disableWebPagePreview }
+     */
+    static async sendOrEdit(ctx, text, keyboard, { disableWebPagePreview = false } = {}) {
+        const options = {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard.reply_markup
+        };
+        if (disableWebPagePreview) {
+            options.disable_web_page_preview = true;
+        }
+        if (ctx.callbackQuery) {
+            try {
+                await ctx.editMessageText(text, options);
+                return;
+            } catch (error) {
+                // Fall through to a new message
+            }
+        }
+        await ctx.reply(text, options);
+    }
+
+    /**
+     * Create a notifyUser(userId, text) function for background services.
+     * Messages are legacy Markdown; delivery failures (blocked bot, deleted chat) are only logged
+     * @param {Object|null} bot - Telegraf bot, notifications are skipped without one
+     * @param {Object|null} monitoring - Monitoring system
+     * @param {string} errorMessage - Logged when a message cannot be delivered
+     * @returns {Function} async (userId, text) => void
+     */
+    static createNotifier(bot, monitoring, errorMessage) {
+        return async (userId, text) => {
+            if (!bot) {
+                return;
+            }
+            try {
+                await bot.telegram.sendMessage(userId, text, {
+                    parse_mode: 'Markdown',
+                    disable_web_page_preview: true
+                });
+            } catch (error) {
+                monitoring?.logError(errorMessage, error, { userId });
+            }
+        };
+    }
+
     /**
      * Format number with commas
      * @param {number} num - Number to format
@@ -87,6 +146,32 @@ class TelegramUtils {
         });
     }
 
+    /**
+     * Format a token price with 4 significant digits below 1
+     * @param {number} price - Price
+     * @returns {string} Formatted price
+     */
+    static formatPrice(price) {
+        if (!price || isNaN(price)) return '0';
+        if (price >= 1) return price.toFixed(4).replace(/\.?0+$/, '');
+        return price.toPrecision(4).replace(/\.?0+$/, '');
+    }
+
+    /**
+     * Format an amount with K / M / B suffixes
+     * @param {number|string} num - Amount
+     * @param {number} decimals - Decimal places below 1,000
+     * @returns {string} Formatted amount
+     */
+    static formatCompact(num, decimals = 4) {
+        const number = parseFloat(num);
+        if (!number || isNaN(number)) return '0';
+        if (number >= 1e9) return (number / 1e9).toFixed(2).replace(/\.?0+$/, '') + 'B';
+        if (number >= 1e6) return (number / 1e6).toFixed(2).replace(/\.?0+$/, '') + 'M';
+        if (number >= 1e3) return (number / 1e3).toFixed(2).replace(/\.?0+$/, '') + 'K';
+        return number.toFixed(decimals).replace(/\.?0+$/, '');
+    }
+
     /**
      * Create loading message
      * @param {string} action - Action being performed
@@ -11,6 +11,16 @@ class WalletManager {
         // Initialize RPC manager with fallback support
         this.rpcManager = new RPCManager();
         
+        // Shared per-wallet nonce allocation (set by the bot, see NonceManager)
+        this.nonceManager = null;
+        
+        this.erc20Abi = [
+            'function balanceOf(address owner) view returns (uint256)',
+            'function decimals() view returns (uint8)',
+            'function symbol() view returns (string)',
+            'function transfer(address to, uint256 amount) returns (bool)'
+        ];
+        
         console.log('WalletManager initialized with unified security system and RPC fallback');
     }
 
@@ -251,8 +261,10 @@ class WalletManager {
                 gasPrice: gasPrice
             };
 
-            // Send transaction
-            const txResponse = await wallet.sendTransaction(tx);
+            // Send transaction (managed nonce so it cannot collide with a pending trade)
+            const txResponse = this.nonceManager
+                ? await this.nonceManager.sendTransaction(wallet, tx)
+                : await wallet.sendTransaction(tx);
             
             return {
                 success: true,
@@ -273,6 +285,81 @@ class WalletManager {
         }
     }
 
+    // Get raw ERC-20 balance with token metadata
+    async getTokenBalance(walletAddress, tokenAddress) {
+        return await this.rpcManager.executeWithFallback(
+            async (provider) => {
+                const token = new ethers.Contract(tokenAddress, this.erc20Abi, provider);
+                const [balance, decimals, symbol] = await Promise.all([
+                    token.balanceOf(walletAddress),
+                    token.decimals(),
+                    token.symbol()
+                ]);
+                return { balance, decimals: Number(decimals), symbol };
+            },
+            'GET_TOKEN_BALANCE'
+        );
+    }
+
+    // Estimate gas for a MON (tokenAddress = null) or ERC-20 transfer; amount is in wei / token units
+    async estimateTransferGas(fromAddress, toAddress, amount, tokenAddress = null) {
+        return await this.rpcManager.executeWithFallback(
+            async (provider) => {
+                const tx = tokenAddress
+                    ? { from: fromAddress, to: tokenAddress, data: new ethers.Interface(this.erc20Abi).encodeFunctionData('transfer', [toAddress, amount]) }
+                    : { from: fromAddress, to: toAddress, value: amount };
+                const [gasLimit, feeData] = await Promise.all([provider.estimateGas(tx), provider.getFeeData()]);
+                return {
+                    gasLimit,
+                    gasPrice: feeData.gasPrice,
+                    gasCost: ethers.formatEther(gasLimit * feeData.gasPrice)
+                };
+            },
+            'ESTIMATE_TRANSFER_GAS'
+        );
+    }
+
+    // Send an ERC-20 token to another address; amount is in token units (bigint)
+    async sendToken(encryptedPrivateKey, tokenAddress, toAddress, amount) {
+        try {
+            const wallet = await this.getWalletWithProvider(encryptedPrivateKey);
+            
+            // Validate recipient address
+            if (!this.isValidAddress(toAddress)) {
+                throw new Error('Invalid recipient address');
+            }
+
+            const token = new ethers.Contract(tokenAddress, this.erc20Abi, wallet);
+            const tx = await token.transfer.populateTransaction(toAddress, amount);
+            const [gasLimit, feeData] = await Promise.all([wallet.estimateGas(tx), wallet.provider.getFeeData()]);
+            tx.gasLimit = gasLimit;
+            tx.gasPrice = feeData.gasPrice;
+
+            // Send transaction (managed nonce so it cannot collide with a pending trade)
+            const txResponse = this.nonceManager
+                ? await this.nonceManager.sendTransaction(wallet, tx)
+                : await wallet.sendTransaction(tx);
+
+            return {
+                success: true,
+                transactionHash: txResponse.hash,
+                txHash: txResponse.hash,
+                from: wallet.address,
+                to: toAddress,
+                tokenAddress: tokenAddress,
+                amount: amount.toString(),
+                gasLimit: gasLimit.toString(),
+                gasPrice: feeData.gasPrice.toString()
+            };
+        } catch (error) {
+            console.error('Error sending token', error);
+            return {
+                success: false,
+                error: error.shortMessage || error.message
+            };
+        }
+    }
+
     // Sign transaction
     async signTransaction(encryptedPrivateKey, transaction) {
         try {
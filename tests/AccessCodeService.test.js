@@ -0,0 +1,171 @@
+const AccessCodeService = require('../src/services/AccessCodeService');
+const AccessControlMiddleware = require('../src/middleware/AccessControlMiddleware');
+
+function createService({ codes = {}, access = null, user = null } = {}) {
+    const database = {
+        getAccessCode: jest.fn(async (code) => codes[code] || null),
+        incrementCodeUsage: jest.fn().mockResolvedValue({}),
+        grantUserAccess: jest.fn().mockResolvedValue({}),
+        getUserAccess: jest.fn().mockResolvedValue(access),
+        getUser: jest.fn().mockResolvedValue(user),
+        createAccessCode: jest.fn(async (code, codeType, maxUses) => ({ code, code_type: codeType, max_uses: maxUses }))
+    };
+    const service = new AccessCodeService(database, null);
+    service.enabled = true;
+    return { service, database };
+}
+
+describe('AccessCodeService', () => {
+    test('lets everyone in while the gate is off', async () => {
+        const { service, database } = createService();
+        service.enabled = false;
+
+        await expect(service.hasAccess(1)).resolves.toBe(true);
+        expect(database.getUserAccess).not.toHaveBeenCalled();
+    });
+
+    test('keeps access for users registered before the gate', async () => {
+        const { service, database } = createService({ user: { telegram_id: 1 } });
+
+        await expect(service.hasAccess(1)).resolves.toBe(true);
+        await expect(service.hasAccess(1)).resolves.toBe(true);
+        expect(database.getUser).toHaveBeenCalledTimes(1);
+    });
+
+    test('locks out unknown users', async () => {
+        const { service } = createService();
+
+        await expect(service.hasAccess(1)).resolves.toBe(false);
+    });
+
+    test('redeems a code and grants access', async () => {
+        const { service, database } = createService({ codes: { AB23CD45EF: { code: 'AB23CD45EF', code_type: 'single' } } });
+
+        const result = await service.redeem(1, ' ab23cd45ef ', { username: 'neo' });
+
+        expect(result.success).toBe(true);
+        expect(database.incrementCodeUsage).toHaveBeenCalledWith('AB23CD45EF');
+        expect(database.grantUserAccess).toHaveBeenCalledWith(1, 'AB23CD45EF', { username: 'neo', invitedBy: null });
+        await expect(service.hasAccess(1)).resolves.toBe(true);
+        expect(database.getUserAccess).not.toHaveBeenCalled();
+    });
+
+    test('records who invited the user', async () => {
+        const { service, database } = createService({ codes: { INVITE2345: { code: 'INVITE2345', code_type: 'invite', created_by: 7 } } });
+
+        await service.redeem(1, 'INVITE2345');
+
+        expect(database.grantUserAccess).toHaveBeenCalledWith(1, 'INVITE2345', { invitedBy: 7 });
+    });
+
+    test('rejects unknown, own and used up codes', async () => {
+        const { service, database } = createService({ codes: {
+            INVITE2345: { code: 'INVITE2345', code_type: 'invite', created_by: 1 },
+            SINGLE2345: { code: 'SINGLE2345', code_type: 'single' }
+        } });
+        database.incrementCodeUsage.mockRejectedValue(new Error('Access code has been fully used'));
+
+        await expect(service.redeem(1, 'NOPE234567')).resolves.toEqual({ success: false, error: 'Invalid access code' });
+        await expect(service.redeem(1, 'INVITE2345')).resolves.toEqual({ success: false, error: 'You cannot use your own invite code' });
+        await expect(service.redeem(1, 'SINGLE2345')).resolves.toEqual({ success: false, error: 'Access code has been fully used' });
+        expect(database.grantUserAccess).not.toHaveBeenCalled();
+    });
+
+    test('mints single and multi use codes from the unambiguous alphabet', async () => {
+        const { service, database } = createService();
+
+        const single = await service.mintCodes(3, { maxUses: 1 }, 9);
+        const multi = await service.mintCodes(1, { maxUses: 10, expiresInDays: 2 }, 9);
+
+        expect(single).toHaveLength(3);
+        expect(single.every(code => /^[A-HJ-NP-Z2-9]{10}$/.test(code.code) && code.code_type === 'single')).toBe(true);
+        expect(multi[0].code_type).toBe('multi');
+        expect(database.createAccessCode.mock.calls[3][3]).toBeInstanceOf(Date);
+    });
+
+    test('retries codes that already exist', async () => {
+        const { service, database } = createService();
+        database.createAccessCode
+            .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }))
+            .mockResolvedValueOnce({ code: 'SECOND2345' });
+
+        await expect(service.mintCodes(1, {}, 9)).resolves.toEqual([{ code: 'SECOND2345' }]);
+        expect(database.createAccessCode).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('AccessControlMiddleware', () => {
+    function createMiddleware(service) {
+        const accessHandler = { showAccessPrompt: jest.fn().mockResolvedValue(), showAccessGranted: jest.fn().mockResolvedValue() };
+        const adminHandlers = { getRole: jest.fn().mockResolvedValue(null) };
+        const monitoring = { logError: jest.fn() };
+        const middleware = new AccessControlMiddleware(service, accessHandler, adminHandlers, monitoring);
+        return { middleware, handle: middleware.middleware(), accessHandler, adminHandlers };
+    }
+
+    function privateMessage(text) {
+        return { from: { id: 1, username: 'neo' }, chat: { type: 'private' }, message: { text }, reply: jest.fn() };
+    }
+
+    test('passes plain /start through to show the access prompt', async () => {
+        const { handle } = createMiddleware(createService().service);
+        const ctx = privateMessage('/start');
+        const next = jest.fn();
+
+        await handle(ctx, next);
+
+        expect(ctx.needsAccessCode).toBe(true);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('passes referral links through so the referral is recorded before the access prompt', async () => {
+        const { service, database } = createService();
+        const { handle } = createMiddleware(service);
+        const ctx = privateMessage('/start ref_abcd2345');
+        const next = jest.fn();
+
+        await handle(ctx, next);
+
+        expect(ctx.needsAccessCode).toBe(true);
+        expect(next).toHaveBeenCalled();
+        expect(database.getAccessCode).not.toHaveBeenCalled();
+    });
+
+    test('redeems a code sent as a message or a start link', async () => {
+        const { service } = createService({ codes: { AB23CD45EF: { code: 'AB23CD45EF', code_type: 'single' } } });
+        const { handle, accessHandler } = createMiddleware(service);
+        const next = jest.fn();
+
+        await handle(privateMessage('/start AB23CD45EF'), next);
+
+        expect(accessHandler.showAccessGranted).toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+        await handle(privateMessage('/wallet'), next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('lets staff and group chats through', async () => {
+        const { handle, adminHandlers } = createMiddleware(createService().service);
+        const next = jest.fn();
+        adminHandlers.getRole.mockResolvedValue('support');
+
+        await handle(privateMessage('/wallet'), next);
+        await handle({ from: { id: 2 }, chat: { type: 'group' }, message: { text: '/top' } }, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops accepting codes after too many invalid attempts', async () => {
+        const { service, database } = createService();
+        const { handle, accessHandler } = createMiddleware(service);
+        const next = jest.fn();
+
+        for (let i = 0; i < 6; i++) {
+            await handle(privateMessage('WRONG23456'), next);
+        }
+
+        expect(database.getAccessCode).toHaveBeenCalledTimes(5);
+        expect(accessHandler.showAccessPrompt).toHaveBeenCalledWith(expect.anything(), 'Invalid access code');
+        expect(next).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,145 @@
+const UnifiedSecuritySystem = require('../src/security/UnifiedSecuritySystem');
+const AdminHandlers = require('../src/handlers/adminHandlers');
+const LimitOrderService = require('../src/services/LimitOrderService');
+const DcaService = require('../src/services/DcaService');
+const { secureLogger } = require('../src/utils/secureLogger');
+
+// In-memory node-redis style client (setEx / ttl / del)
+function createRedis() {
+    const store = new Map();
+    return {
+        store,
+        get: jest.fn(async (key) => store.get(key)?.value ?? null),
+        setEx: jest.fn(async (key, seconds, value) => {
+            store.set(key, { value, seconds });
+        }),
+        ttl: jest.fn(async (key) => (store.has(key) ? store.get(key).seconds : -2)),
+        del: jest.fn(async (key) => (store.delete(key) ? 1 : 0))
+    };
+}
+
+beforeAll(() => {
+    jest.spyOn(UnifiedSecuritySystem.prototype, 'startSecurityMonitoring').mockImplementation(() => {});
+    jest.spyOn(UnifiedSecuritySystem.prototype, 'generateMasterKey').mockReturnValue('0'.repeat(64));
+    jest.spyOn(UnifiedSecuritySystem.prototype, 'logSecurityEvent').mockResolvedValue();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('UnifiedSecuritySystem user locks', () => {
+    test('locks a user for the given time and reports the reason', async () => {
+        const redis = createRedis();
+        const security = new UnifiedSecuritySystem(redis, null);
+
+        await security.lockUser(5, 'Suspicious withdrawals', 3600, 1);
+        const lock = await security.checkUserLock(5);
+
+        expect(redis.setEx).toHaveBeenCalledWith('security:user_lock:5', 3600, expect.any(String));
+        expect(JSON.parse(redis.store.get('security:user_lock:5').value)).toMatchObject({ reason: 'Suspicious withdrawals', lockedBy: 1 });
+        expect(lock).toMatchObject({ locked: true, reason: 'Suspicious withdrawals' });
+        expect(lock.until.getTime()).toBeGreaterThan(Date.now() + 3590 * 1000);
+    });
+
+    test('unlocking removes the lock and says whether there was one', async () => {
+        const security = new UnifiedSecuritySystem(createRedis(), null);
+        await security.lockUser(5, 'reason', 60, 1);
+
+        await expect(security.unlockUser(5, 1)).resolves.toBe(true);
+        await expect(security.checkUserLock(5)).resolves.toEqual({ locked: false });
+        await expect(security.unlockUser(5, 1)).resolves.toBe(false);
+    });
+
+    test('fails open when the lock cannot be read', async () => {
+        const redis = createRedis();
+        redis.get.mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(secureLogger, 'error').mockImplementation(() => {});
+        const security = new UnifiedSecuritySystem(redis, null);
+
+        await expect(security.checkUserLock(5)).resolves.toEqual({ locked: false });
+    });
+});
+
+describe('AdminHandlers locks', () => {
+    function createHandlers(roles = {}) {
+        const database = {
+            getAdminRole: jest.fn(async (userId) => roles[userId] || null),
+            logAdminAction: jest.fn().mockResolvedValue({})
+        };
+        const security = { lockUser: jest.fn().mockResolvedValue(), unlockUser: jest.fn().mockResolvedValue(true) };
+        const handlers = new AdminHandlers(null, database, security, null, null, null, null);
+        return { handlers, database, security };
+    }
+
+    function adminCtx(id = 1) {
+        return { from: { id }, reply: jest.fn().mockResolvedValue({}) };
+    }
+
+    test('locks a user in hours and writes the audit log', async () => {
+        const { handlers, database, security } = createHandlers({ 1: 'admin' });
+        const ctx = adminCtx();
+
+        await handlers.lockUser(ctx, '5', 48, 'Chargeback');
+
+        expect(security.lockUser).toHaveBeenCalledWith('5', 'Chargeback', 48 * 3600, 1);
+        expect(database.logAdminAction).toHaveBeenCalledWith(1, 'user_lock', '5', { hours: 48, reason: 'Chargeback' });
+    });
+
+    test('never locks the admin themselves or staff of the same rank', async () => {
+        const { handlers, security } = createHandlers({ 1: 'admin', 2: 'admin', 3: 'support' });
+
+        await handlers.lockUser(adminCtx(), '1', 24, null);
+        await handlers.lockUser(adminCtx(), '2', 24, null);
+        await handlers.lockUser(adminCtx(), '3', 24, null);
+
+        expect(security.lockUser).toHaveBeenCalledTimes(1);
+        expect(security.lockUser).toHaveBeenCalledWith('3', 'Locked by an administrator', 24 * 3600, 1);
+    });
+
+    test('only admins may lock and unlock', () => {
+        const { handlers } = createHandlers();
+
+        expect(handlers.hasPermission('support', 'lock')).toBe(false);
+        expect(handlers.hasPermission('admin', 'lock')).toBe(true);
+        expect(handlers.hasPermission('admin', 'unlock')).toBe(true);
+    });
+
+    test('unlocking is audited', async () => {
+        const { handlers, database } = createHandlers({ 1: 'admin' });
+        const ctx = adminCtx();
+
+        await handlers.unlockUser(ctx, '5');
+
+        expect(database.logAdminAction).toHaveBeenCalledWith(1, 'user_unlock', '5', { wasLocked: true });
+        expect(ctx.reply).toHaveBeenCalledWith('🔓 User `5` unlocked.', { parse_mode: 'Markdown' });
+    });
+});
+
+describe('background trading of locked users', () => {
+    const locked = { checkUserLock: jest.fn().mockResolvedValue({ locked: true, reason: 'reason' }) };
+
+    test('limit orders stay open without filling', async () => {
+        const database = { claimLimitOrder: jest.fn() };
+        const tradingEngine = { executeTrade: jest.fn() };
+        const service = new LimitOrderService(database, null, tradingEngine);
+        service.security = locked;
+
+        await service.executeOrder({ id: 1, telegram_id: 5, order_type: 'buy', amount: '1' }, 0.01);
+
+        expect(database.claimLimitOrder).not.toHaveBeenCalled();
+        expect(tradingEngine.executeTrade).not.toHaveBeenCalled();
+    });
+
+    test('DCA runs stay due without buying', async () => {
+        const database = { claimDcaRun: jest.fn() };
+        const tradingEngine = { executeTrade: jest.fn() };
+        const service = new DcaService(database, tradingEngine);
+        service.security = locked;
+
+        await service.executeRun({ id: 1, telegram_id: 5, amount: '1' });
+
+        expect(database.claimDcaRun).not.toHaveBeenCalled();
+        expect(tradingEngine.executeTrade).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,23 @@
+const CopyTradeService = require('../src/services/CopyTradeService');
+
+const service = new CopyTradeService(null, null, null);
+
+describe('CopyTradeService.getBuyAmount', () => {
+    test('uses the fixed amount in fixed mode', () => {
+        expect(service.getBuyAmount({ mode: 'fixed', fixed_amount: '0.5' }, 10)).toBe('0.5');
+    });
+
+    test('scales the source amount in proportional mode', () => {
+        expect(service.getBuyAmount({ mode: 'proportional', proportion_percent: '25' }, 2)).toBe('0.5');
+    });
+
+    test('caps the amount at max_per_trade', () => {
+        expect(service.getBuyAmount({ mode: 'proportional', proportion_percent: '100', max_per_trade: '1.5' }, 4)).toBe('1.5');
+        expect(service.getBuyAmount({ mode: 'fixed', fixed_amount: '1', max_per_trade: '3' }, 4)).toBe('1');
+    });
+
+    test('rounds to 6 decimals', () => {
+        expect(service.getBuyAmount({ mode: 'proportional', proportion_percent: '10' }, 0.0000123)).toBe('0.000001');
+        expect(service.getBuyAmount({ mode: 'proportional', proportion_percent: '1' }, 0.00001)).toBe('0');
+    });
+});
@@ -0,0 +1,50 @@
+const DatabasePostgreSQL = require('../src/database-postgresql');
+
+// Pool whose clients record every statement; respond(sql, params) returns the rows of a statement
+function createDatabase(respond = () => []) {
+    const database = new DatabasePostgreSQL();
+    const statements = [];
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            statements.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+            return { rows: await respond(sql, params) };
+        }),
+        release: jest.fn()
+    };
+    database.pool = { connect: jest.fn().mockResolvedValue(client) };
+    return { database, client, statements };
+}
+
+describe('DatabasePostgreSQL.claimSniperExecution', () => {
+    test('inserts under the user\'s sniper settings row lock', async () => {
+        const execution = { id: 3, amount: '0.5' };
+        const { database, client, statements } = createDatabase((sql) => (sql.includes('INSERT') ? [execution] : []));
+
+        await expect(database.claimSniperExecution(1, '0xToken', 0.5, 2)).resolves.toBe(execution);
+
+        expect(statements).toEqual(['BEGIN', 'SELECT 1', 'INSERT INTO', 'COMMIT']);
+        expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(client.query.mock.calls[2][1]).toEqual([1, '0xToken', 0.5, 2]);
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    test('returns null when the cap or an earlier snipe blocks the claim', async () => {
+        const { database } = createDatabase();
+
+        await expect(database.claimSniperExecution(1, '0xToken', 0.5, 2)).resolves.toBeNull();
+    });
+
+    test('rolls back and releases the client on errors', async () => {
+        const { database, client, statements } = createDatabase((sql) => {
+            if (sql.includes('INSERT')) {
+                throw new Error('deadlock detected');
+            }
+            return [];
+        });
+
+        await expect(database.claimSniperExecution(1, '0xToken', 0.5, 2)).rejects.toThrow('deadlock detected');
+
+        expect(statements).toEqual(['BEGIN', 'SELECT 1', 'INSERT INTO', 'ROLLBACK']);
+        expect(client.release).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,45 @@
+const GroupLeaderboardService = require('../src/services/GroupLeaderboardService');
+
+const BOARD = { chat_id: -100, metric: 'pnl', round_number: 4, round_started_at: '2026-01-01T00:00:00Z', period_days: 7 };
+
+function member(name, trades, pnl = '0') {
+    return { telegram_id: name.length, display_name: name, realized_pnl: pnl, volume: '0', trades: String(trades) };
+}
+
+function createService(standings) {
+    const database = {
+        getEndedGroupLeaderboardRounds: jest.fn().mockResolvedValue([BOARD]),
+        advanceGroupLeaderboardRound: jest.fn().mockResolvedValue({ ...BOARD, round_number: 5, round_started_at: '2026-01-08T00:00:00Z' }),
+        getGroupLeaderboardStandings: jest.fn().mockResolvedValue(standings),
+        countGroupLeaderboardMembers: jest.fn().mockResolvedValue(standings.length)
+    };
+    const bot = { telegram: { sendMessage: jest.fn().mockResolvedValue({}) } };
+    return { service: new GroupLeaderboardService(database, bot, null), bot };
+}
+
+describe('GroupLeaderboardService', () => {
+    test('lists members who have not traded this round with zero', async () => {
+        const { service } = createService([member('alice', 3, '1.5'), member('bob', 0)]);
+
+        const text = await service.getLeaderboardText(BOARD);
+
+        expect(text).toContain('alice - *+1.5000 MON*');
+        expect(text).toContain('bob - *+0.0000 MON* · 0.00 MON vol (0 trades)');
+    });
+
+    test('congratulates the best member who traded', async () => {
+        const { service, bot } = createService([member('idle', 0), member('carol', 2, '-0.5')]);
+
+        await service.postEndedRounds();
+
+        expect(bot.telegram.sendMessage).toHaveBeenCalledWith(-100, expect.stringContaining('Congratulations carol!'), expect.anything());
+    });
+
+    test('skips rounds nobody traded in', async () => {
+        const { service, bot } = createService([member('idle', 0), member('quiet', 0)]);
+
+        await service.postEndedRounds();
+
+        expect(bot.telegram.sendMessage).not.toHaveBeenCalled();
+    });
+});
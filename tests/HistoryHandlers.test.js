@@ -0,0 +1,82 @@
+const HistoryHandlers = require('../src/handlers/historyHandlers');
+
+const TX = {
+    created_at: '2026-03-01T12:00:00Z',
+    type: 'buy',
+    token_symbol: 'MOON',
+    token_address: '0x1111111111111111111111111111111111111111',
+    amount: '1500',
+    price_per_token: '0.002',
+    total_value: '3',
+    gas_used: '21000',
+    gas_price: '50000000000',
+    status: 'confirmed',
+    tx_hash: '0xabc'
+};
+
+function createHandlers(transactions) {
+    const database = { getTransactionHistory: jest.fn().mockResolvedValue(transactions) };
+    const ctx = { from: { id: 1 }, reply: jest.fn().mockResolvedValue({}), replyWithDocument: jest.fn().mockResolvedValue({}) };
+    return { handlers: new HistoryHandlers(null, database, null), database, ctx };
+}
+
+function exportedLines(ctx) {
+    return ctx.replyWithDocument.mock.calls[0][0].source.toString('utf8').split('\n');
+}
+
+describe('HistoryHandlers.escapeCsv', () => {
+    const handlers = new HistoryHandlers(null, null, null);
+
+    test('neutralizes cells that a spreadsheet would run as formulas', () => {
+        expect(handlers.escapeCsv('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+        expect(handlers.escapeCsv('+SUM(A1)')).toBe('\'+SUM(A1)');
+        expect(handlers.escapeCsv('@cmd')).toBe('\'@cmd');
+        expect(handlers.escapeCsv('-1+1')).toBe('\'-1+1');
+    });
+
+    test('keeps negative numbers as numbers', () => {
+        expect(handlers.escapeCsv('-0.5')).toBe('-0.5');
+        expect(handlers.escapeCsv(-2)).toBe('-2');
+        expect(handlers.escapeCsv('-1e-7')).toBe('-1e-7');
+    });
+
+    test('quotes separators and leaves missing values empty', () => {
+        expect(handlers.escapeCsv('a,b')).toBe('"a,b"');
+        expect(handlers.escapeCsv('line\nbreak')).toBe('"line\nbreak"');
+        expect(handlers.escapeCsv(null)).toBe('');
+        expect(handlers.escapeCsv(undefined)).toBe('');
+    });
+});
+
+describe('HistoryHandlers.exportHistoryCsv', () => {
+    test('sends every transaction as a CSV row with the gas fee', async () => {
+        const { handlers, database, ctx } = createHandlers([TX]);
+
+        await handlers.exportHistoryCsv(ctx);
+
+        expect(database.getTransactionHistory).toHaveBeenCalledWith(1);
+        const lines = exportedLines(ctx);
+        expect(lines[0]).toBe('date,type,token_symbol,token_address,amount,price_per_token_mon,total_value_mon,gas_used,gas_price_wei,gas_fee_mon,status,tx_hash,explorer_url');
+        expect(lines[1]).toBe(`2026-03-01T12:00:00.000Z,buy,MOON,${TX.token_address},1500,0.002,3,21000,50000000000,0.00105,confirmed,0xabc,https://testnet.monadexplorer.com/tx/0xabc`);
+        expect(ctx.replyWithDocument.mock.calls[0][0].filename).toMatch(/^area51-history-\d{4}-\d{2}-\d{2}\.csv$/);
+    });
+
+    test('neutralizes token symbols chosen by token deployers', async () => {
+        const { handlers, ctx } = createHandlers([{ ...TX, token_symbol: '=cmd|"/c calc"!A1', gas_used: null }]);
+
+        await handlers.exportHistoryCsv(ctx);
+
+        const cells = exportedLines(ctx)[1];
+        expect(cells).toContain(',buy,"\'=cmd|""/c calc""!A1",');
+        expect(cells).toContain(',3,,50000000000,,confirmed,');
+    });
+
+    test('replies instead of sending an empty file', async () => {
+        const { handlers, ctx } = createHandlers([]);
+
+        await handlers.exportHistoryCsv(ctx);
+
+        expect(ctx.replyWithDocument).not.toHaveBeenCalled();
+        expect(ctx.reply).toHaveBeenCalledWith('📄 You have no transactions to export yet.');
+    });
+});
@@ -0,0 +1,39 @@
+const LimitOrderService = require('../src/services/LimitOrderService');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+
+function createService(balance) {
+    const database = {
+        getUserByTelegramId: jest.fn().mockResolvedValue({ telegram_id: 1, wallet_address: '0xabc' })
+    };
+    const monorailAPI = {
+        getWalletBalance: jest.fn().mockResolvedValue(
+            balance === null ? [] : [{ address: TOKEN.toUpperCase().replace('0X', '0x'), balance: String(balance) }]
+        )
+    };
+    return { service: new LimitOrderService(database, monorailAPI, null), database, monorailAPI };
+}
+
+describe('LimitOrderService.getSellAmount', () => {
+    test('sells the order percentage of the wallet balance', async () => {
+        const { service, monorailAPI } = createService(200);
+        await expect(service.getSellAmount(1, { token_address: TOKEN, amount: '25' })).resolves.toBe('50');
+        expect(monorailAPI.getWalletBalance).toHaveBeenCalledWith('0xabc');
+    });
+
+    test('sells the whole balance at 100%, leaving the dust margin to the engine', async () => {
+        const { service } = createService(100);
+        await expect(service.getSellAmount(1, { token_address: TOKEN, amount: '100' })).resolves.toBe('100');
+    });
+
+    test('rejects when the token is not held', async () => {
+        const { service } = createService(null);
+        await expect(service.getSellAmount(1, { token_address: TOKEN, amount: '50' })).rejects.toThrow('No token balance to sell');
+    });
+
+    test('rejects when the user has no wallet', async () => {
+        const { service, database } = createService(10);
+        database.getUserByTelegramId.mockResolvedValue(null);
+        await expect(service.getSellAmount(1, { token_address: TOKEN, amount: '50' })).rejects.toThrow('Wallet not found');
+    });
+});
@@ -0,0 +1,113 @@
+const { EventEmitter } = require('events');
+const NonceManager = require('../src/services/NonceManager');
+const RedisFallbackManager = require('../src/services/RedisFallbackManager');
+
+const WALLET = '0xAbC0000000000000000000000000000000000001';
+
+// Minimal node-redis v5 client: isReady instead of ioredis' status, eval(script, { keys, arguments })
+class NodeRedisStub extends EventEmitter {
+    constructor() {
+        super();
+        this.isReady = true;
+        this.store = new Map();
+        this.eval = jest.fn(async (script, { keys, arguments: args }) => {
+            const stored = this.store.has(keys[0]) ? Number(this.store.get(keys[0])) : -1;
+            const nonce = Math.max(stored, Number(args[0]));
+            this.store.set(keys[0], String(nonce + 1));
+            return nonce;
+        });
+        this.del = jest.fn(async (key) => (this.store.delete(key) ? 1 : 0));
+    }
+}
+
+function createManager(chainNonce, redis = new NodeRedisStub()) {
+    const provider = { getTransactionCount: jest.fn().mockResolvedValue(chainNonce) };
+    const rpcManager = { executeWithFallback: (operation) => operation(provider) };
+    const monitoring = { logInfo: jest.fn(), logError: jest.fn(), logWarning: jest.fn() };
+    const fallback = new RedisFallbackManager(redis, monitoring);
+    return { manager: new NonceManager(rpcManager, fallback, monitoring), redis, provider, monitoring };
+}
+
+describe('NonceManager.reserveNonce', () => {
+    test('reserves through Redis on a node-redis client', async () => {
+        const { manager, redis, monitoring } = createManager(7);
+
+        await expect(manager.reserveNonce(WALLET.toLowerCase())).resolves.toBe(7);
+        await expect(manager.reserveNonce(WALLET.toLowerCase())).resolves.toBe(8);
+
+        expect(redis.eval).toHaveBeenCalledWith(expect.any(String), {
+            keys: [`nonce:${WALLET.toLowerCase()}`],
+            arguments: ['7', '600']
+        });
+        expect(redis.store.get(`nonce:${WALLET.toLowerCase()}`)).toBe('9');
+        expect(manager.localNonces.size).toBe(0);
+        expect(monitoring.logError).not.toHaveBeenCalled();
+    });
+
+    test('shares the sequence between managers on the same Redis', async () => {
+        const redis = new NodeRedisStub();
+        const first = createManager(3, redis).manager;
+        const second = createManager(3, redis).manager;
+
+        await expect(first.reserveNonce(WALLET.toLowerCase())).resolves.toBe(3);
+        await expect(second.reserveNonce(WALLET.toLowerCase())).resolves.toBe(4);
+    });
+
+    test('jumps ahead when the chain is past the stored nonce', async () => {
+        const { manager, redis } = createManager(12);
+        redis.store.set(`nonce:${WALLET.toLowerCase()}`, '5');
+
+        await expect(manager.reserveNonce(WALLET.toLowerCase())).resolves.toBe(12);
+    });
+
+    test('falls back to memory only when Redis fails', async () => {
+        const { manager, redis, monitoring } = createManager(4);
+        redis.eval.mockRejectedValueOnce(new Error('connection reset'));
+
+        await expect(manager.reserveNonce(WALLET.toLowerCase())).resolves.toBe(4);
+        expect(manager.localNonces.get(WALLET.toLowerCase())).toBe(5);
+        expect(monitoring.logError).toHaveBeenCalledWith('Redis operation failed, using fallback', expect.any(Error));
+    });
+
+    test('falls back to memory while the client is not ready', async () => {
+        const redis = new NodeRedisStub();
+        redis.isReady = false;
+        const { manager } = createManager(2, redis);
+
+        await expect(manager.reserveNonce(WALLET.toLowerCase())).resolves.toBe(2);
+        expect(redis.eval).not.toHaveBeenCalled();
+    });
+});
+
+describe('NonceManager.sendTransaction', () => {
+    test('hands concurrent sends of one wallet consecutive nonces', async () => {
+        const { manager } = createManager(0);
+        const wallet = { address: WALLET, sendTransaction: jest.fn(async (tx) => ({ hash: `0x${tx.nonce}`, nonce: tx.nonce })) };
+
+        const sent = await Promise.all([1, 2, 3].map(() => manager.sendTransaction(wallet, { to: WALLET })));
+
+        expect(sent.map(tx => tx.nonce)).toEqual([0, 1, 2]);
+    });
+
+    test('drops the stored nonce when a send fails', async () => {
+        const { manager, redis } = createManager(6);
+        const wallet = { address: WALLET, sendTransaction: jest.fn().mockRejectedValue(new Error('insufficient funds')) };
+
+        await expect(manager.sendTransaction(wallet, { to: WALLET })).rejects.toThrow('insufficient funds');
+        expect(redis.del).toHaveBeenCalledWith(`nonce:${WALLET.toLowerCase()}`);
+        expect(redis.store.has(`nonce:${WALLET.toLowerCase()}`)).toBe(false);
+    });
+
+    test('retries nonce conflicts with a fresh nonce', async () => {
+        const { manager, provider } = createManager(1);
+        provider.getTransactionCount.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+        const wallet = {
+            address: WALLET,
+            sendTransaction: jest.fn()
+                .mockRejectedValueOnce(new Error('nonce too low'))
+                .mockImplementation(async (tx) => ({ nonce: tx.nonce }))
+        };
+
+        await expect(manager.sendTransaction(wallet, { to: WALLET })).resolves.toEqual({ nonce: 2 });
+    });
+});
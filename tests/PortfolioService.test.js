@@ -0,0 +1,101 @@
+const PortfolioService = require('../src/services/PortfolioService');
+
+const service = new PortfolioService(null, null, null);
+
+describe('PortfolioService.calculatePnL', () => {
+    test('values the tracked balance against its average cost', () => {
+        const entry = { average_buy_price: '0.5', current_balance: '100', total_invested: '50', realized_pnl: '10' };
+        const token = { balance: '100', mon_value: '80' };
+
+        expect(service.calculatePnL(entry, token)).toEqual({
+            realized: 10,
+            unrealized: 30,
+            costBasis: 50,
+            invested: 50,
+            roi: 80
+        });
+    });
+
+    test('ignores tokens received outside the bot', () => {
+        const entry = { average_buy_price: '1', current_balance: '10', total_invested: '10' };
+        const token = { balance: '40', mon_value: '80' };
+
+        const pnl = service.calculatePnL(entry, token);
+        expect(pnl.costBasis).toBe(10);
+        expect(pnl.unrealized).toBe(10);
+    });
+
+    test('only values what is still in the wallet', () => {
+        const entry = { average_buy_price: '1', current_balance: '10', total_invested: '10' };
+        const token = { balance: '4', mon_value: '8' };
+
+        const pnl = service.calculatePnL(entry, token);
+        expect(pnl.costBasis).toBe(4);
+        expect(pnl.unrealized).toBe(4);
+    });
+
+    test('keeps realized PnL once the position is closed', () => {
+        // Sells take their share of the cost basis out of total_invested
+        const entry = { average_buy_price: '1', current_balance: '0', total_invested: '0', realized_pnl: '-5' };
+
+        expect(service.calculatePnL(entry)).toEqual({
+            realized: -5,
+            unrealized: 0,
+            costBasis: 0,
+            invested: 0,
+            roi: null
+        });
+    });
+
+    test('has no ROI without an investment', () => {
+        expect(service.calculatePnL(null).roi).toBeNull();
+    });
+});
+
+describe('PortfolioService.getPositionEntries', () => {
+    const TOKEN = '0x1111111111111111111111111111111111111111';
+    const OTHER = '0x3333333333333333333333333333333333333333';
+
+    function createService(rows) {
+        const database = {
+            getPortfolioEntries: jest.fn().mockResolvedValue(rows),
+            syncLegacyPortfolioBalance: jest.fn(async (telegramId, walletAddress, tokenAddress, walletBalance) => ({
+                ...rows.find(row => row.token_address.toLowerCase() === tokenAddress),
+                current_balance: String(walletBalance),
+                needs_balance_sync: false
+            }))
+        };
+        return { service: new PortfolioService(null, null, null, null, database), database };
+    }
+
+    test('rebuilds legacy positions from the wallet balance', async () => {
+        const { service, database } = createService([
+            { token_address: TOKEN, needs_balance_sync: true, total_bought: '100', current_balance: '0' },
+            { token_address: OTHER, needs_balance_sync: false, current_balance: '5' }
+        ]);
+
+        const entries = await service.getPositionEntries(1, '0xabc', [{ address: TOKEN.toUpperCase().replace('0X', '0x'), balance: '40' }]);
+
+        expect(database.syncLegacyPortfolioBalance).toHaveBeenCalledTimes(1);
+        expect(database.syncLegacyPortfolioBalance).toHaveBeenCalledWith(1, '0xabc', TOKEN, 40);
+        expect(entries[TOKEN].current_balance).toBe('40');
+        expect(entries[OTHER].current_balance).toBe('5');
+    });
+
+    test('treats a legacy token the wallet no longer holds as sold', async () => {
+        const { service, database } = createService([{ token_address: TOKEN, needs_balance_sync: true, total_bought: '100' }]);
+
+        await service.getPositionEntries(1, '0xabc', [{ address: OTHER, balance: '1' }]);
+
+        expect(database.syncLegacyPortfolioBalance).toHaveBeenCalledWith(1, '0xabc', TOKEN, 0);
+    });
+
+    test('leaves legacy positions alone without wallet balances', async () => {
+        const { service, database } = createService([{ token_address: TOKEN, needs_balance_sync: true, total_bought: '100' }]);
+
+        await service.getPositionEntries(1, '0xabc', []);
+        await service.getPositionEntries(1, '0xabc');
+
+        expect(database.syncLegacyPortfolioBalance).not.toHaveBeenCalled();
+    });
+});
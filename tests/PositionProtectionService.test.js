@@ -0,0 +1,45 @@
+const PositionProtectionService = require('../src/services/PositionProtectionService');
+
+const service = new PositionProtectionService(null, null, null);
+
+function position(overrides = {}) {
+    return {
+        average_buy_price: '1',
+        stop_loss_percent: null,
+        take_profit_percent: null,
+        trailing_stop_percent: null,
+        trailing_peak_price: null,
+        ...overrides
+    };
+}
+
+describe('PositionProtectionService.getTrigger', () => {
+    test('fires the stop-loss below the loss threshold', () => {
+        expect(service.getTrigger(position({ stop_loss_percent: '20' }), 0.79)).toBe('stop_loss');
+        expect(service.getTrigger(position({ stop_loss_percent: '20' }), 0.81)).toBeNull();
+    });
+
+    test('fires the take-profit at the gain threshold', () => {
+        expect(service.getTrigger(position({ take_profit_percent: '50' }), 1.5)).toBe('take_profit');
+        expect(service.getTrigger(position({ take_profit_percent: '50' }), 1.49)).toBeNull();
+    });
+
+    test('fires the trailing stop once the price falls the trail below the peak', () => {
+        const trailing = position({ trailing_stop_percent: '10', trailing_peak_price: '2' });
+        expect(service.getTrigger(trailing, 1.8)).toBe('trailing_stop');
+        expect(service.getTrigger(trailing, 1.81)).toBeNull();
+    });
+
+    test('ignores the trailing stop until a peak is recorded', () => {
+        expect(service.getTrigger(position({ trailing_stop_percent: '10' }), 0.5)).toBeNull();
+    });
+
+    test('prefers the stop-loss over the trailing stop', () => {
+        const both = position({ stop_loss_percent: '10', trailing_stop_percent: '5', trailing_peak_price: '1.2' });
+        expect(service.getTrigger(both, 0.85)).toBe('stop_loss');
+    });
+
+    test('never fires without an entry price', () => {
+        expect(service.getTrigger(position({ average_buy_price: '0', stop_loss_percent: '10' }), 0)).toBeNull();
+    });
+});
@@ -0,0 +1,122 @@
+const ReferralService = require('../src/services/ReferralService');
+
+const WALLET = '0xabc0000000000000000000000000000000000001';
+
+// levels: rows of getReferralVolumeByLevel (fees are the platform fees collected from that level, in MON)
+function createService({ levels = [], payouts = { pending: '0', paid: '0' }, user = { telegram_id: 1, wallet_address: WALLET } } = {}) {
+    const database = {
+        getReferralVolumeByLevel: jest.fn().mockResolvedValue(levels),
+        getReferralPayoutTotals: jest.fn().mockResolvedValue(payouts),
+        getUser: jest.fn().mockResolvedValue(user),
+        createReferralPayout: jest.fn(async (userId, amount) => ({ id: 5, amount })),
+        getReferralCodeOwner: jest.fn().mockResolvedValue({ telegram_id: 2, code: 'abcd2345' }),
+        addReferral: jest.fn().mockResolvedValue({ id: 1 })
+    };
+    const service = new ReferralService(database, null);
+    service.minClaim = 0.1;
+    return { service, database };
+}
+
+describe('ReferralService.getSummary', () => {
+    test('pays each level its share of the fees collected from it', async () => {
+        const { service, database } = createService({
+            levels: [
+                { level: 1, users: '3', volume: '400', fees: '4' },
+                { level: 2, users: '5', volume: '1000', fees: '10' },
+                { level: 3, users: '1', volume: '50', fees: '0.5' }
+            ]
+        });
+
+        const summary = await service.getSummary(1);
+
+        expect(database.getReferralVolumeByLevel).toHaveBeenCalledWith(1, 3);
+        expect(summary.tiers.map(tier => tier.earned)).toEqual([1, 0.5, 0.01]);
+        expect(summary.tiers[1]).toMatchObject({ level: 2, sharePercent: 5, users: 5, volume: 1000 });
+        expect(summary.earned).toBeCloseTo(1.51, 10);
+        expect(summary.claimable).toBeCloseTo(1.51, 10);
+    });
+
+    test('counts missing levels as zero', async () => {
+        const { service } = createService({ levels: [{ level: 2, users: '1', volume: '10', fees: '2' }] });
+
+        const summary = await service.getSummary(1);
+
+        expect(summary.tiers.map(tier => tier.earned)).toEqual([0, 0.1, 0]);
+        expect(summary.tiers[0].users).toBe(0);
+    });
+
+    test('subtracts pending and paid payouts from what can be claimed', async () => {
+        const { service } = createService({
+            levels: [{ level: 1, users: '1', volume: '100', fees: '8' }],
+            payouts: { pending: '0.5', paid: '1' }
+        });
+
+        const summary = await service.getSummary(1);
+
+        expect(summary).toMatchObject({ earned: 2, pending: 0.5, paid: 1, claimable: 0.5 });
+    });
+
+    test('never reports a negative claimable amount', async () => {
+        const { service } = createService({ levels: [], payouts: { pending: '0', paid: '3' } });
+
+        await expect(service.getSummary(1)).resolves.toMatchObject({ claimable: 0 });
+    });
+});
+
+describe('ReferralService.claim', () => {
+    test('requests a payout of the claimable amount to the active wallet', async () => {
+        const { service, database } = createService({ levels: [{ level: 1, users: '1', volume: '100', fees: '1.2345678' }] });
+
+        const result = await service.claim(1);
+
+        expect(database.createReferralPayout).toHaveBeenCalledWith(1, '0.308642', WALLET);
+        expect(result.success).toBe(true);
+    });
+
+    test('rejects claims below the minimum', async () => {
+        const { service, database } = createService({ levels: [{ level: 1, users: '1', volume: '10', fees: '0.2' }] });
+
+        await expect(service.claim(1)).resolves.toEqual({ success: false, error: 'Minimum claim is 0.1 MON' });
+        expect(database.createReferralPayout).not.toHaveBeenCalled();
+    });
+
+    test('allows one payout in progress at a time', async () => {
+        const { service, database } = createService({
+            levels: [{ level: 1, users: '1', volume: '100', fees: '8' }],
+            payouts: { pending: '1', paid: '0' }
+        });
+
+        await expect(service.claim(1)).resolves.toEqual({ success: false, error: 'You already have a payout in progress' });
+
+        database.getReferralPayoutTotals.mockResolvedValue({ pending: '0', paid: '0' });
+        database.createReferralPayout.mockResolvedValue(null);
+        await expect(service.claim(1)).resolves.toEqual({ success: false, error: 'You already have a payout in progress' });
+    });
+
+    test('needs a wallet to pay out to', async () => {
+        const { service } = createService({
+            levels: [{ level: 1, users: '1', volume: '100', fees: '8' }],
+            user: { telegram_id: 1, wallet_address: 'pending_wallet_creation' }
+        });
+
+        await expect(service.claim(1)).resolves.toEqual({ success: false, error: 'Create a wallet first' });
+    });
+});
+
+describe('ReferralService.registerReferral', () => {
+    test('links a new user to the owner of the code', async () => {
+        const { service, database } = createService({ user: null });
+
+        await expect(service.registerReferral(1, 'ABCD2345')).resolves.toEqual({ success: true, referrerId: 2 });
+        expect(database.getReferralCodeOwner).toHaveBeenCalledWith('abcd2345');
+        expect(database.addReferral).toHaveBeenCalledWith(1, 2, 'abcd2345');
+    });
+
+    test('rejects self referrals and existing users', async () => {
+        const { service, database } = createService();
+
+        await expect(service.registerReferral(1, 'abcd2345')).resolves.toEqual({ success: false, error: 'Referral links only work for new users' });
+        await expect(service.registerReferral(2, 'abcd2345')).resolves.toEqual({ success: false, error: 'You cannot refer yourself' });
+        expect(database.addReferral).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,164 @@
+const TokenSafetyScanner = require('../src/services/TokenSafetyScanner');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+
+function createScanner({ code = '0x6080' } = {}) {
+    const provider = { getCode: jest.fn().mockResolvedValue(code) };
+    const monorailAPI = { rpcManager: { getProvider: jest.fn().mockResolvedValue(provider) } };
+    return { scanner: new TokenSafetyScanner(monorailAPI, null, null), provider };
+}
+
+describe('TokenSafetyScanner risk levels', () => {
+    const { scanner } = createScanner();
+
+    test('rates a report by its worst flag', () => {
+        const report = scanner.buildReport(TOKEN, [
+            { level: 'medium', message: 'Owner can mint' },
+            { level: 'high', message: 'Sell tax around 10-25%' },
+            { level: 'low', message: 'Verified' }
+        ], {}, Date.now());
+
+        expect(report.riskLevel).toBe('high');
+        expect(report.flags).toHaveLength(3);
+    });
+
+    test('is low risk without flags', () => {
+        expect(scanner.buildReport(TOKEN, [], {}, Date.now()).riskLevel).toBe('low');
+    });
+
+    test('compares a report with the highest accepted level', () => {
+        expect(scanner.exceedsRisk({ riskLevel: 'high' }, 'medium')).toBe(true);
+        expect(scanner.exceedsRisk({ riskLevel: 'medium' }, 'medium')).toBe(false);
+        expect(scanner.exceedsRisk({ riskLevel: 'low' }, 'critical')).toBe(false);
+    });
+
+    test('shows a scanning badge until the report is ready', () => {
+        expect(scanner.getRiskBadge(null)).toBe('⏳ Scanning...');
+        expect(scanner.getRiskBadge({ riskLevel: 'critical' })).toBe('🔴 Critical Risk');
+    });
+});
+
+describe('TokenSafetyScanner taxes', () => {
+    const { scanner } = createScanner();
+
+    test('infers the tax range from the slippage a simulated swap passed at', () => {
+        expect(scanner.describeTax({ status: 'ok', slippage: 2 })).toBe('<2%');
+        expect(scanner.describeTax({ status: 'ok', slippage: 25 })).toBe('10-25%');
+        expect(scanner.describeTax({ status: 'reverted' })).toBe('unknown');
+    });
+
+    test('flags medium taxes as medium and larger ones as high', () => {
+        const flags = [];
+        scanner.addTaxFlag(flags, 'Buy', { status: 'ok', slippage: 2 });
+        scanner.addTaxFlag(flags, 'Buy', { status: 'ok', slippage: 10 });
+        scanner.addTaxFlag(flags, 'Sell', { status: 'ok', slippage: 49 });
+
+        expect(flags).toEqual([
+            { level: 'medium', message: 'Buy tax around 2-10%' },
+            { level: 'high', message: 'Sell tax around 25-49%' }
+        ]);
+    });
+});
+
+describe('TokenSafetyScanner.scan', () => {
+    test('rates an address without code as critical', async () => {
+        const { scanner } = createScanner({ code: '0x' });
+
+        const report = await scanner.scan(TOKEN);
+
+        expect(report.riskLevel).toBe('critical');
+        expect(report.flags[0].message).toBe('Address is not a contract');
+    });
+
+    test('shares one scan between concurrent callers and caches the report', async () => {
+        const { scanner } = createScanner();
+        const report = { tokenAddress: TOKEN, riskLevel: 'low', flags: [] };
+        scanner.runScan = jest.fn().mockResolvedValue(report);
+
+        const [first, second] = await Promise.all([scanner.scan(TOKEN), scanner.scan(TOKEN.toUpperCase().replace('0X', '0x'))]);
+        const cached = await scanner.scan(TOKEN);
+
+        expect(first).toBe(report);
+        expect(second).toBe(report);
+        expect(cached).toBe(report);
+        expect(scanner.runScan).toHaveBeenCalledTimes(1);
+    });
+
+    test('rescans when forced', async () => {
+        const { scanner } = createScanner();
+        scanner.runScan = jest.fn().mockResolvedValue({ riskLevel: 'low', flags: [] });
+
+        await scanner.scan(TOKEN);
+        await scanner.scan(TOKEN, true);
+
+        expect(scanner.runScan).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('TokenSafetyScanner.getReport', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('gives up after the time limit and keeps scanning in the background', async () => {
+        jest.useFakeTimers();
+        const { scanner } = createScanner();
+        let finish;
+        scanner.runScan = jest.fn(() => new Promise(resolve => {
+            finish = resolve;
+        }));
+
+        const report = scanner.getReport(TOKEN, 4000);
+        jest.advanceTimersByTime(4000);
+        await expect(report).resolves.toBeNull();
+
+        finish({ riskLevel: 'medium', flags: [] });
+        await Promise.resolve();
+        await expect(scanner.getReport(TOKEN, 4000)).resolves.toEqual({ riskLevel: 'medium', flags: [] });
+    });
+
+    test('treats a failed scan as no report', async () => {
+        const { scanner } = createScanner();
+        scanner.runScan = jest.fn().mockRejectedValue(new Error('rpc down'));
+
+        await expect(scanner.getReport(TOKEN)).resolves.toBeNull();
+    });
+});
+
+describe('NavigationHandlers.getAutoBuyBlockReason', () => {
+    const NavigationHandlers = require('../src/handlers/navigationHandlers');
+
+    function createHandlers(report) {
+        const { scanner } = createScanner();
+        scanner.getReport = jest.fn().mockResolvedValue(report);
+        return { handlers: new NavigationHandlers(null, null, null, null, null, null, { tokenSafetyScanner: scanner }), scanner };
+    }
+
+    test('lets auto buy through without a max risk level', async () => {
+        const { handlers, scanner } = createHandlers(null);
+
+        await expect(handlers.getAutoBuyBlockReason(TOKEN, { auto_buy_max_risk: null })).resolves.toBeNull();
+        expect(scanner.getReport).not.toHaveBeenCalled();
+    });
+
+    test('blocks tokens above the max risk level', async () => {
+        const { handlers } = createHandlers({ riskLevel: 'high', flags: [] });
+
+        await expect(handlers.getAutoBuyBlockReason(TOKEN, { auto_buy_max_risk: 'medium' }))
+            .resolves.toBe('🟠 High Risk is above your max (medium)');
+    });
+
+    test('allows tokens at or below the max risk level', async () => {
+        const { handlers } = createHandlers({ riskLevel: 'medium', flags: [] });
+
+        await expect(handlers.getAutoBuyBlockReason(TOKEN, { auto_buy_max_risk: 'medium' })).resolves.toBeNull();
+    });
+
+    test('blocks when the scan does not finish in time', async () => {
+        const { handlers, scanner } = createHandlers(null);
+
+        await expect(handlers.getAutoBuyBlockReason(TOKEN, { auto_buy_max_risk: 'high' }))
+            .resolves.toBe('token could not be scanned in time');
+        expect(scanner.getReport).toHaveBeenCalledWith(TOKEN, 4000);
+    });
+});
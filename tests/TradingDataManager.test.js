@@ -0,0 +1,50 @@
+const TradingDataManager = require('../src/trading/TradingDataManager');
+
+const ACTIVE = { telegram_id: 1, wallet_address: '0xactive', encrypted_private_key: 'active-key' };
+const PICKED = { telegram_id: 1, wallet_address: '0xpicked', encrypted_private_key: 'picked-key' };
+
+function createManager(settings) {
+    const walletManager = { getWalletWithProvider: jest.fn(async (key) => ({ address: key })) };
+    const monorailAPI = { getMONBalance: jest.fn().mockResolvedValue({ balance: '3' }) };
+    const manager = new TradingDataManager({ database: {}, monorailAPI, walletManager, redis: null, monitoring: null });
+    manager.cache = {
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue(),
+        getOrSet: jest.fn((type, key, fetch) => fetch())
+    };
+    manager.getCachedUser = jest.fn().mockResolvedValue(ACTIVE);
+    manager.getCachedSettings = jest.fn().mockResolvedValue(settings);
+    return { manager, walletManager, monorailAPI };
+}
+
+describe('TradingDataManager.prepareTradeData', () => {
+    test('trades from a preloaded wallet when the user has no settings', async () => {
+        const { manager, walletManager, monorailAPI } = createManager(null);
+
+        const tradeData = await manager.prepareTradeData(1, 'normal', PICKED, null);
+
+        expect(manager.getCachedUser).not.toHaveBeenCalled();
+        expect(manager.getCachedSettings).toHaveBeenCalledWith(1);
+        expect(tradeData.walletAddress).toBe('0xpicked');
+        expect(walletManager.getWalletWithProvider).toHaveBeenCalledWith('picked-key');
+        expect(monorailAPI.getMONBalance).toHaveBeenCalledWith('0xpicked');
+    });
+
+    test('loads the settings for a preloaded wallet', async () => {
+        const settings = { slippage_tolerance: 3 };
+        const { manager } = createManager(settings);
+
+        const tradeData = await manager.prepareTradeData(1, 'normal', PICKED, null);
+
+        expect(tradeData.settings).toBe(settings);
+        expect(tradeData.walletAddress).toBe('0xpicked');
+    });
+
+    test('uses the active wallet without a preloaded user', async () => {
+        const { manager } = createManager(null);
+
+        const tradeData = await manager.prepareTradeData(1, 'normal');
+
+        expect(tradeData.walletAddress).toBe('0xactive');
+    });
+});
@@ -0,0 +1,214 @@
+const TransactionTracker = require('../src/services/TransactionTracker');
+
+const WALLET = '0xabc0000000000000000000000000000000000001';
+const TOKEN = '0x1111111111111111111111111111111111111111';
+
+function pendingTransaction(overrides = {}) {
+    return {
+        id: 7,
+        telegram_id: 1,
+        tx_hash: '0xswap',
+        type: 'buy',
+        token_address: TOKEN,
+        amount: '100',
+        price_per_token: '0.02',
+        total_value: '2',
+        status: 'pending',
+        from_address: WALLET,
+        nonce: 3,
+        created_at: new Date().toISOString(),
+        metadata: null,
+        ...overrides
+    };
+}
+
+// chain.transactions: mempool view by hash; chain.nonce: mined nonce of the sender
+function createTracker({ receipts = {}, chain = { transactions: {}, nonce: 0 } } = {}) {
+    const database = {
+        getTransactionById: jest.fn(async () => database.current),
+        updateTransactionTracking: jest.fn(async (id, fields) => ({ ...database.current, ...fields })),
+        settleTransaction: jest.fn(async (id, status, { txHash }) => ({ ...database.current, status, tx_hash: txHash || database.current.tx_hash })),
+        updatePortfolioEntry: jest.fn().mockResolvedValue({}),
+        recordPortfolioSale: jest.fn().mockResolvedValue({ realized_delta: '0' }),
+        setTransactionRealizedPnl: jest.fn().mockResolvedValue({}),
+        getUserWallets: jest.fn().mockResolvedValue([{ wallet_address: WALLET, encrypted_private_key: 'key' }])
+    };
+    const signer = {
+        address: WALLET,
+        provider: { getFeeData: jest.fn().mockResolvedValue({ gasPrice: 10n }) },
+        sendTransaction: jest.fn().mockResolvedValue({ hash: '0xreplacement' })
+    };
+    const provider = {
+        getTransaction: jest.fn(async (hash) => chain.transactions[hash] || null),
+        getTransactionCount: jest.fn(async () => chain.nonce)
+    };
+    const walletManager = {
+        rpcManager: { executeWithFallback: jest.fn((operation) => operation(provider)) },
+        getTransactionReceipt: jest.fn(async (hash) => receipts[hash] || null),
+        getWalletWithProvider: jest.fn().mockResolvedValue(signer)
+    };
+    const tracker = new TransactionTracker(database, walletManager, null, null);
+    tracker.tradingEngine = { collectPlatformFee: jest.fn().mockResolvedValue({ status: 'collected' }) };
+    return { tracker, database, walletManager, signer };
+}
+
+describe('TransactionTracker platform fees', () => {
+    const terms = { tier: 'standard', bps: 100, tradeValue: '2' };
+
+    test('charges the fee of a pending trade once it confirms', async () => {
+        const { tracker, database, signer } = createTracker({ receipts: { '0xswap': { status: 1, blockNumber: 9, gasUsed: 1n } } });
+        database.current = pendingTransaction({ metadata: { platformFee: terms } });
+
+        await tracker.checkTransaction(database.current);
+
+        expect(tracker.tradingEngine.collectPlatformFee).toHaveBeenCalledWith(1, signer, {
+            ...terms, txHash: '0xswap', side: 'buy', tokenAddress: TOKEN
+        });
+    });
+
+    test('never charges a reverted trade', async () => {
+        const { tracker, database } = createTracker({ receipts: { '0xswap': { status: 0, blockNumber: 9, gasUsed: 1n } } });
+        database.current = pendingTransaction({ metadata: { platformFee: terms } });
+
+        const settled = await tracker.checkTransaction(database.current);
+
+        expect(settled.status).toBe('failed');
+        expect(tracker.tradingEngine.collectPlatformFee).not.toHaveBeenCalled();
+    });
+
+    test('never charges a cancelled trade', async () => {
+        const { tracker, database } = createTracker({ receipts: { '0xcancel': { status: 1, blockNumber: 9, gasUsed: 1n } } });
+        database.current = pendingTransaction({
+            metadata: { platformFee: terms }, replacement_tx_hash: '0xcancel', replacement_type: 'cancel'
+        });
+
+        const settled = await tracker.checkTransaction(database.current);
+
+        expect(settled.status).toBe('cancelled');
+        expect(tracker.tradingEngine.collectPlatformFee).not.toHaveBeenCalled();
+    });
+
+    test('charges a sped-up trade against the replacement hash', async () => {
+        const { tracker, database } = createTracker({ receipts: { '0xfast': { status: 1, blockNumber: 9, gasUsed: 1n } } });
+        database.current = pendingTransaction({
+            type: 'sell', metadata: { platformFee: { ...terms, tradeValue: null } }, replacement_tx_hash: '0xfast', replacement_type: 'speed_up'
+        });
+
+        await tracker.checkTransaction(database.current);
+
+        expect(tracker.tradingEngine.collectPlatformFee).toHaveBeenCalledWith(1, expect.anything(), expect.objectContaining({
+            txHash: '0xfast', side: 'sell'
+        }));
+    });
+});
+
+describe('TransactionTracker.replaceTransaction', () => {
+    const mempoolTx = {
+        from: WALLET, to: TOKEN, data: '0xdata', value: 5n, gasLimit: 300000n, gasPrice: 100n, nonce: 3, chainId: 10143, blockNumber: null
+    };
+
+    test('speeds up with the same call and 30% more gas', async () => {
+        const { tracker, database, signer } = createTracker({ chain: { transactions: { '0xswap': mempoolTx }, nonce: 3 } });
+        database.current = pendingTransaction();
+
+        const result = await tracker.replaceTransaction(7, 1, 'speed_up');
+
+        expect(signer.sendTransaction).toHaveBeenCalledWith({
+            to: TOKEN, data: '0xdata', value: 5n, gasLimit: 300000n, nonce: 3, gasPrice: 130n, chainId: 10143
+        });
+        expect(database.updateTransactionTracking).toHaveBeenCalledWith(7, {
+            from_address: WALLET, nonce: 3, replacement_tx_hash: '0xreplacement', replacement_type: 'speed_up'
+        });
+        expect(result.success).toBe(true);
+    });
+
+    test('cancels by sending 0 MON to the sender with the same nonce', async () => {
+        const { tracker, database, signer } = createTracker({ chain: { transactions: { '0xswap': mempoolTx }, nonce: 3 } });
+        database.current = pendingTransaction();
+        signer.provider.getFeeData.mockResolvedValue({ gasPrice: 500n });
+
+        await tracker.replaceTransaction(7, 1, 'cancel');
+
+        expect(signer.sendTransaction).toHaveBeenCalledWith({
+            to: WALLET, value: 0n, gasLimit: 21000n, nonce: 3, gasPrice: 500n, chainId: 10143
+        });
+    });
+
+    test('outbids the latest replacement rather than the original', async () => {
+        const { tracker, database, signer } = createTracker({
+            chain: { transactions: { '0xswap': mempoolTx, '0xfast': { ...mempoolTx, gasPrice: 200n } }, nonce: 3 }
+        });
+        database.current = pendingTransaction({ replacement_tx_hash: '0xfast', replacement_type: 'speed_up' });
+
+        await tracker.replaceTransaction(7, 1, 'speed_up');
+
+        expect(signer.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ gasPrice: 260n }));
+    });
+
+    test('does not speed up a pending cancellation', async () => {
+        const { tracker, database, signer } = createTracker({ chain: { transactions: { '0xswap': mempoolTx }, nonce: 3 } });
+        database.current = pendingTransaction({ replacement_tx_hash: '0xcancel', replacement_type: 'cancel' });
+
+        const result = await tracker.replaceTransaction(7, 1, 'speed_up');
+
+        expect(result).toEqual({ success: false, error: 'A cancellation is already pending' });
+        expect(signer.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    test('refuses settled transactions', async () => {
+        const { tracker, database, signer } = createTracker();
+        database.current = pendingTransaction({ status: 'confirmed' });
+
+        const result = await tracker.replaceTransaction(7, 1, 'cancel');
+
+        expect(result).toEqual({ success: false, error: 'Transaction is no longer pending' });
+        expect(signer.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    test('settles instead of replacing a transaction that was just mined', async () => {
+        const { tracker, database, signer } = createTracker({
+            receipts: { '0xswap': { status: 1, blockNumber: 9, gasUsed: 1n } },
+            chain: { transactions: { '0xswap': { ...mempoolTx, blockNumber: 9 } }, nonce: 4 }
+        });
+        database.current = pendingTransaction();
+
+        const result = await tracker.replaceTransaction(7, 1, 'speed_up');
+
+        expect(result).toEqual({ success: false, error: 'Transaction was already mined' });
+        expect(database.settleTransaction).toHaveBeenCalledWith(7, 'confirmed', expect.anything());
+        expect(signer.sendTransaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('TransactionTracker.checkTransaction', () => {
+    test('fails a transaction whose nonce was used by an unknown transaction', async () => {
+        const { tracker, database } = createTracker({ chain: { transactions: { '0xswap': { blockNumber: null } }, nonce: 4 } });
+        database.current = pendingTransaction();
+
+        const settled = await tracker.checkTransaction(database.current);
+
+        expect(database.settleTransaction).toHaveBeenCalledWith(7, 'failed', {});
+        expect(settled.status).toBe('failed');
+    });
+
+    test('keeps waiting while the nonce is still open', async () => {
+        const { tracker, database } = createTracker({ chain: { transactions: { '0xswap': { blockNumber: null } }, nonce: 3 } });
+        database.current = pendingTransaction();
+
+        const result = await tracker.checkTransaction(database.current);
+
+        expect(database.settleTransaction).not.toHaveBeenCalled();
+        expect(result.status).toBe('pending');
+    });
+
+    test('records sender and nonce the first time it sees a transaction', async () => {
+        const { tracker, database } = createTracker({
+            chain: { transactions: { '0xswap': { from: WALLET.toUpperCase().replace('0X', '0x'), nonce: 11 } }, nonce: 0 }
+        });
+        database.current = pendingTransaction({ from_address: null, nonce: null });
+
+        await tracker.checkTransaction(database.current);
+
+        expect(database.updateTransactionTracking).toHaveBeenCalledWith(7, { from_address: WALLET, nonce: 11 });
+    });
+});
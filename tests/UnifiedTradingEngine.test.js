@@ -0,0 +1,137 @@
+const { ethers } = require('ethers');
+const UnifiedTradingEngine = require('../src/trading/UnifiedTradingEngine');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const FEE_WALLET = '0x2222222222222222222222222222222222222222';
+
+const engine = new UnifiedTradingEngine({ database: {}, monorailAPI: {}, walletManager: {}, monitoring: null });
+
+describe('UnifiedTradingEngine.splitPlatformFee', () => {
+    test('takes the fee in basis points', () => {
+        const { feeWei, netAmount } = engine.splitPlatformFee('1', 100);
+        expect(feeWei).toBe(ethers.parseEther('0.01'));
+        expect(netAmount).toBe(0.99);
+    });
+
+    test('is exact for decimal amounts', () => {
+        expect(engine.splitPlatformFee('0.3', 30).feeWei).toBe(ethers.parseEther('0.0009'));
+        expect(engine.splitPlatformFee('2.000000000000000001', 10000).feeWei).toBe(2000000000000000001n);
+    });
+
+    test('accepts amounts in exponent notation', () => {
+        expect(engine.splitPlatformFee('1e-7', 100).feeWei).toBe(1000000000n);
+    });
+
+    test('rounds the fee down to whole wei', () => {
+        const { feeWei } = engine.splitPlatformFee('0.000000000000000199', 50);
+        expect(feeWei).toBe(0n);
+    });
+
+    test('leaves the amount untouched at 0 bps', () => {
+        expect(engine.splitPlatformFee('2.5', 0)).toEqual({ feeWei: 0n, netAmount: 2.5 });
+    });
+});
+
+describe('UnifiedTradingEngine platform fee collection', () => {
+    function createEngine({ balance = '10', buyResult = {}, sellResult = {}, receipt = null, balances = [0n, 0n] } = {}) {
+        const database = {
+            getUserFeeTier: jest.fn().mockResolvedValue({ fee_tier: 'standard' }),
+            recordPlatformFee: jest.fn().mockResolvedValue({})
+        };
+        const monorailAPI = { sendWalletTransaction: jest.fn().mockResolvedValue({ hash: '0xfee' }) };
+        const provider = { getBalance: jest.fn().mockResolvedValueOnce(balances[0]).mockResolvedValueOnce(balances[1]) };
+        const walletManager = {
+            getTransactionReceipt: jest.fn().mockResolvedValue(receipt),
+            rpcManager: { executeWithFallback: (operation) => operation(provider) }
+        };
+        const engine = new UnifiedTradingEngine({ database, monorailAPI, walletManager, monitoring: null });
+        engine.config.platformFee.wallet = FEE_WALLET;
+        engine.config.platformFee.tiers.standard = 100;
+        const wallet = { address: '0xabc' };
+        engine.dataManager.prepareTradeData = jest.fn().mockResolvedValue({
+            user: { telegram_id: 1, wallet_address: '0xabc' }, wallet, balance
+        });
+        engine.dataManager.postTradeCleanup = jest.fn().mockResolvedValue();
+        engine.executeBuyByType = jest.fn(async (type, tradeData, tokenAddress, amount) =>
+            ({ success: true, action: 'buy', txHash: '0xswap', tokenAddress, monAmount: amount, ...buyResult }));
+        engine.executeSellByType = jest.fn(async (type, tradeData, tokenAddress) =>
+            ({ success: true, action: 'sell', txHash: '0xswap', tokenAddress, monReceived: '5', ...sellResult }));
+        return { engine, database, monorailAPI, wallet };
+    }
+
+    test('charges a mined buy on the requested amount and swaps the rest', async () => {
+        const { engine, database, monorailAPI, wallet } = createEngine({ buyResult: { gasUsed: '21000' } });
+
+        const result = await engine.executeTrade({ type: 'normal', action: 'buy', userId: 1, tokenAddress: TOKEN, amount: '2' });
+
+        expect(engine.executeBuyByType).toHaveBeenCalledWith('normal', expect.anything(), TOKEN, 1.98);
+        expect(monorailAPI.sendWalletTransaction).toHaveBeenCalledWith(wallet, {
+            to: FEE_WALLET, value: ethers.parseEther('0.02'), gasLimit: 21000n
+        });
+        expect(database.recordPlatformFee).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'collected', feeAmount: '0.02' }));
+        expect(result.platformFee).toEqual({ amount: '0.02', bps: 100, tier: 'standard', status: 'collected' });
+    });
+
+    test('defers the fee of a pending turbo trade to confirmation', async () => {
+        const { engine, database, monorailAPI } = createEngine();
+
+        const result = await engine.executeTrade({
+            type: 'turbo', action: 'buy', userId: 1, tokenAddress: TOKEN, amount: '2', metadata: { source: 'dca' }
+        });
+
+        expect(result.success).toBe(true);
+        expect(monorailAPI.sendWalletTransaction).not.toHaveBeenCalled();
+        expect(database.recordPlatformFee).not.toHaveBeenCalled();
+        expect(result.metadata).toEqual({ source: 'dca', platformFee: { tier: 'standard', bps: 100, tradeValue: '2' } });
+    });
+
+    test('rejects a normal buy when the balance only covers the amount after the fee', async () => {
+        const { engine, monorailAPI } = createEngine({ balance: '2.005', buyResult: { gasUsed: '21000' } });
+        engine.config.getSecurityConfig = () => ({ maxTransactionAmount: 100, gasBuffer: 0.01, minBalance: 0 });
+
+        const result = await engine.executeTrade({ type: 'normal', action: 'buy', userId: 1, tokenAddress: TOKEN, amount: '2' });
+
+        expect(result.success).toBe(false);
+        expect(engine.executeBuyByType).not.toHaveBeenCalled();
+        expect(monorailAPI.sendWalletTransaction).not.toHaveBeenCalled();
+    });
+
+    test('charges a sell on the MON actually received, not the quote', async () => {
+        const receipt = { status: 1, blockNumber: 100, gasUsed: 100000n, gasPrice: 1000000000n };
+        const { engine, database, monorailAPI } = createEngine({
+            receipt,
+            // 4 MON came in, 0.0001 MON of gas went out
+            balances: [ethers.parseEther('1'), ethers.parseEther('4.9999')],
+            sellResult: { gasUsed: '100000', monReceived: '5' }
+        });
+
+        const result = await engine.executeTrade({ type: 'normal', action: 'sell', userId: 1, tokenAddress: TOKEN, amount: '10' });
+
+        expect(monorailAPI.sendWalletTransaction).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            value: ethers.parseEther('0.04')
+        }));
+        expect(database.recordPlatformFee).toHaveBeenCalledWith(1, expect.objectContaining({ side: 'sell', tradeValue: '4.000000000000000000' }));
+        expect(result.platformFee.amount).toBe('0.04');
+    });
+
+    test('skips the sell fee when the sell did not succeed on chain', async () => {
+        const { engine, database, monorailAPI } = createEngine({ receipt: { status: 0 }, sellResult: { gasUsed: '100000' } });
+
+        const result = await engine.executeTrade({ type: 'normal', action: 'sell', userId: 1, tokenAddress: TOKEN, amount: '10' });
+
+        expect(result.platformFee).toBeNull();
+        expect(monorailAPI.sendWalletTransaction).not.toHaveBeenCalled();
+        expect(database.recordPlatformFee).not.toHaveBeenCalled();
+    });
+
+    test('records a failed fee transfer without failing the trade', async () => {
+        const { engine, database, monorailAPI } = createEngine({ buyResult: { gasUsed: '21000' } });
+        monorailAPI.sendWalletTransaction.mockRejectedValue(new Error('insufficient funds'));
+
+        const result = await engine.executeTrade({ type: 'normal', action: 'buy', userId: 1, tokenAddress: TOKEN, amount: '1' });
+
+        expect(result.success).toBe(true);
+        expect(result.platformFee.status).toBe('failed');
+        expect(database.recordPlatformFee).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'failed', errorMessage: 'insufficient funds' }));
+    });
+});
@@ -0,0 +1,138 @@
+const WithdrawalWhitelistService = require('../src/services/WithdrawalWhitelistService');
+const UnifiedSecuritySystem = require('../src/security/UnifiedSecuritySystem');
+
+const ADDRESS = '0x2222222222222222222222222222222222222222';
+const HOUR = 3600 * 1000;
+
+function inHours(hours) {
+    return new Date(Date.now() + hours * HOUR).toISOString();
+}
+
+function createDatabase({ status = { withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: null }, addresses = [] } = {}) {
+    return {
+        getWithdrawalWhitelistStatus: jest.fn().mockResolvedValue(status),
+        getWithdrawalAddresses: jest.fn().mockResolvedValue(addresses),
+        getWithdrawalAddress: jest.fn(async (userId, address) =>
+            addresses.find(entry => entry.address === address.toLowerCase()) || null
+        ),
+        addWithdrawalAddress: jest.fn(async (userId, address, label, cooldownHours) => ({
+            id: 9, address: address.toLowerCase(), label, active_at: inHours(cooldownHours)
+        })),
+        scheduleWithdrawalWhitelistDisable: jest.fn(async (userId, delayHours) => ({
+            withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: inHours(delayHours)
+        }))
+    };
+}
+
+function createService(options) {
+    const database = createDatabase(options);
+    const bot = { telegram: { sendMessage: jest.fn().mockResolvedValue({}) } };
+    const service = new WithdrawalWhitelistService(database, bot, null);
+    service.cooldownHours = 24;
+    return { service, database, bot };
+}
+
+describe('WithdrawalWhitelistService', () => {
+    test('new addresses only become active after the cooling period', async () => {
+        const { service, database, bot } = createService();
+
+        const result = await service.addAddress(1, ADDRESS, 'Cold *wallet*');
+
+        expect(database.addWithdrawalAddress).toHaveBeenCalledWith(1, ADDRESS, 'Cold wallet', 24);
+        expect(new Date(result.entry.active_at).getTime()).toBeGreaterThan(Date.now() + 23 * HOUR);
+        expect(bot.telegram.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('If this wasn\'t you'), expect.anything());
+    });
+
+    test('flags saved addresses as active or cooling', async () => {
+        const { service } = createService({
+            addresses: [
+                { id: 1, address: ADDRESS, label: 'old', active_at: inHours(-1) },
+                { id: 2, address: '0x3333333333333333333333333333333333333333', label: 'new', active_at: inHours(5) }
+            ]
+        });
+
+        const overview = await service.getOverview(1);
+
+        expect(overview.enabled).toBe(true);
+        expect(overview.addresses.map(entry => entry.active)).toEqual([true, false]);
+    });
+
+    test('rejects invalid addresses and missing labels', async () => {
+        const { service, database } = createService();
+
+        await expect(service.addAddress(1, '0x123', 'label')).resolves.toEqual({ success: false, error: 'Invalid address format' });
+        await expect(service.addAddress(1, ADDRESS, ' *_ ')).resolves.toEqual({ success: false, error: 'Please add a label after the address' });
+        expect(database.addWithdrawalAddress).not.toHaveBeenCalled();
+    });
+
+    test('turning the whitelist off waits for the cooling period', async () => {
+        const { service, database, bot } = createService();
+
+        const result = await service.requestDisable(1);
+
+        expect(database.scheduleWithdrawalWhitelistDisable).toHaveBeenCalledWith(1, 24);
+        expect(result.disableAt.getTime()).toBeGreaterThan(Date.now() + 23 * HOUR);
+        expect(bot.telegram.sendMessage).toHaveBeenCalledWith(1, expect.stringContaining('Keep Enabled'), expect.anything());
+    });
+
+    test('stays enabled until the scheduled disable time', async () => {
+        const pending = createService({ status: { withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: inHours(2) } });
+        const passed = createService({ status: { withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: inHours(-1) } });
+
+        await expect(pending.service.getOverview(1)).resolves.toMatchObject({ enabled: true, disableAt: expect.any(Date) });
+        await expect(passed.service.getOverview(1)).resolves.toMatchObject({ enabled: false, disableAt: null });
+        await expect(passed.service.requestDisable(1)).resolves.toEqual({ success: false, error: 'The whitelist is not enabled' });
+    });
+});
+
+describe('UnifiedSecuritySystem.checkWithdrawalAddress', () => {
+    beforeAll(() => {
+        jest.spyOn(UnifiedSecuritySystem.prototype, 'startSecurityMonitoring').mockImplementation(() => {});
+        jest.spyOn(UnifiedSecuritySystem.prototype, 'generateMasterKey').mockReturnValue('0'.repeat(64));
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createSecurity(options) {
+        return new UnifiedSecuritySystem(null, createDatabase(options));
+    }
+
+    test('allows any address while the whitelist is off', async () => {
+        const security = createSecurity({ status: { withdrawal_whitelist_enabled: false } });
+
+        await expect(security.checkWithdrawalAddress(1, ADDRESS)).resolves.toEqual({ allowed: true, whitelistEnabled: false });
+    });
+
+    test('blocks addresses that are not saved', async () => {
+        const security = createSecurity();
+
+        await expect(security.checkWithdrawalAddress(1, ADDRESS)).resolves.toMatchObject({
+            allowed: false, reason: 'Address is not on your withdrawal whitelist'
+        });
+    });
+
+    test('blocks saved addresses that are still cooling', async () => {
+        const security = createSecurity({ addresses: [{ id: 1, address: ADDRESS, label: 'new', active_at: inHours(3) }] });
+
+        const result = await security.checkWithdrawalAddress(1, ADDRESS);
+
+        expect(result.allowed).toBe(false);
+        expect(result.reason).toContain('"new" is still in its cooling period');
+    });
+
+    test('allows active saved addresses', async () => {
+        const security = createSecurity({ addresses: [{ id: 1, address: ADDRESS, label: 'old', active_at: inHours(-3) }] });
+
+        await expect(security.checkWithdrawalAddress(1, ADDRESS)).resolves.toMatchObject({ allowed: true, whitelistEnabled: true });
+    });
+
+    test('keeps enforcing until a scheduled disable takes effect', async () => {
+        const pending = createSecurity({ status: { withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: inHours(2) } });
+        const passed = createSecurity({ status: { withdrawal_whitelist_enabled: true, withdrawal_whitelist_disable_at: inHours(-1) } });
+
+        await expect(pending.checkWithdrawalAddress(1, ADDRESS)).resolves.toMatchObject({ allowed: false });
+        await expect(passed.checkWithdrawalAddress(1, ADDRESS)).resolves.toMatchObject({ allowed: true, whitelistEnabled: false });
+    });
+});
@@ -0,0 +1,54 @@
+const GroupHandlers = require('../src/handlers/groupHandlers');
+
+const handlers = new GroupHandlers({});
+
+function atUtcHour(hour) {
+    jest.setSystemTime(new Date(Date.UTC(2026, 0, 15, hour, 30)));
+}
+
+describe('GroupHandlers.isQuietHours', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('is off without quiet hours', () => {
+        atUtcHour(3);
+        expect(handlers.isQuietHours({ quiet_hours_start: null, quiet_hours_end: null })).toBe(false);
+        expect(handlers.isQuietHours(null)).toBe(false);
+    });
+
+    test('covers a same-day window, end exclusive', () => {
+        const settings = { quiet_hours_start: 9, quiet_hours_end: 17 };
+        atUtcHour(9);
+        expect(handlers.isQuietHours(settings)).toBe(true);
+        atUtcHour(16);
+        expect(handlers.isQuietHours(settings)).toBe(true);
+        atUtcHour(17);
+        expect(handlers.isQuietHours(settings)).toBe(false);
+        atUtcHour(8);
+        expect(handlers.isQuietHours(settings)).toBe(false);
+    });
+
+    test('covers a window that wraps past midnight', () => {
+        const settings = { quiet_hours_start: 22, quiet_hours_end: 6 };
+        atUtcHour(23);
+        expect(handlers.isQuietHours(settings)).toBe(true);
+        atUtcHour(0);
+        expect(handlers.isQuietHours(settings)).toBe(true);
+        atUtcHour(5);
+        expect(handlers.isQuietHours(settings)).toBe(true);
+        atUtcHour(6);
+        expect(handlers.isQuietHours(settings)).toBe(false);
+        atUtcHour(12);
+        expect(handlers.isQuietHours(settings)).toBe(false);
+    });
+
+    test('treats midnight as a valid start hour', () => {
+        atUtcHour(2);
+        expect(handlers.isQuietHours({ quiet_hours_start: 0, quiet_hours_end: 7 })).toBe(true);
+    });
+});